@@ -1,290 +1,645 @@
 // ============================================
 // GlobalSizeChart.com - Conversion Logic
+// Requires scripts/size-engine.js (window.SizeEngine) and scripts/i18n.js (window.I18n)
+// loaded before this file.
 // ============================================
 
+// EMBEDDED-DATA:START — generated by scripts/build-embedded-data.js from data/*.json; do not edit by hand
 // Embedded data - works both locally and when deployed
+const EMBEDDED_DATA_VERSION = 3;
+const EMBEDDED_DATA_HASH = 'f9d616cfcfeaf4cc';
+
 const embeddedShoeData = {
   "men": [
-    {"us": 6, "uk": 5, "eu": 39, "jp": 25, "cn": 39, "cm": 24.0},
-    {"us": 6.5, "uk": 5.5, "eu": 39.5, "jp": 25.5, "cn": 39.5, "cm": 24.5},
-    {"us": 7, "uk": 6, "eu": 40, "jp": 26, "cn": 40, "cm": 25.0},
-    {"us": 7.5, "uk": 6.5, "eu": 40.5, "jp": 26.5, "cn": 40.5, "cm": 25.5},
-    {"us": 8, "uk": 7, "eu": 41, "jp": 27, "cn": 41, "cm": 26.0},
-    {"us": 8.5, "uk": 7.5, "eu": 41.5, "jp": 27.5, "cn": 41.5, "cm": 26.5},
-    {"us": 9, "uk": 8, "eu": 42, "jp": 28, "cn": 42, "cm": 27.0},
-    {"us": 9.5, "uk": 8.5, "eu": 42.5, "jp": 28.5, "cn": 42.5, "cm": 27.5},
-    {"us": 10, "uk": 9, "eu": 43, "jp": 29, "cn": 43, "cm": 28.0},
-    {"us": 10.5, "uk": 9.5, "eu": 43.5, "jp": 29.5, "cn": 43.5, "cm": 28.5},
-    {"us": 11, "uk": 10, "eu": 44, "jp": 30, "cn": 44, "cm": 29.0},
-    {"us": 11.5, "uk": 10.5, "eu": 44.5, "jp": 30.5, "cn": 44.5, "cm": 29.5},
-    {"us": 12, "uk": 11, "eu": 45, "jp": 31, "cn": 45, "cm": 30.0},
-    {"us": 12.5, "uk": 11.5, "eu": 45.5, "jp": 31.5, "cn": 45.5, "cm": 30.5},
-    {"us": 13, "uk": 12, "eu": 46, "jp": 32, "cn": 46, "cm": 31.0},
-    {"us": 13.5, "uk": 12.5, "eu": 46.5, "jp": 32.5, "cn": 46.5, "cm": 31.5},
-    {"us": 14, "uk": 13, "eu": 47, "jp": 33, "cn": 47, "cm": 32.0}
+    {"us": 6, "uk": 5, "eu": 39, "jp": 25, "cn": 39, "kr": 240, "mx": 24, "br": 37, "au": 5, "cm": 24},
+    {"us": 6.5, "uk": 5.5, "eu": 39.5, "jp": 25.5, "cn": 39.5, "kr": 245, "mx": 24.5, "br": 37.5, "au": 5.5, "cm": 24.5},
+    {"us": 7, "uk": 6, "eu": 40, "jp": 26, "cn": 40, "kr": 250, "mx": 25, "br": 38, "au": 6, "cm": 25},
+    {"us": 7.5, "uk": 6.5, "eu": 40.5, "jp": 26.5, "cn": 40.5, "kr": 255, "mx": 25.5, "br": 38.5, "au": 6.5, "cm": 25.5},
+    {"us": 8, "uk": 7, "eu": 41, "jp": 27, "cn": 41, "kr": 260, "mx": 26, "br": 39, "au": 7, "cm": 26},
+    {"us": 8.5, "uk": 7.5, "eu": 41.5, "jp": 27.5, "cn": 41.5, "kr": 265, "mx": 26.5, "br": 39.5, "au": 7.5, "cm": 26.5},
+    {"us": 9, "uk": 8, "eu": 42, "jp": 28, "cn": 42, "kr": 270, "mx": 27, "br": 40, "au": 8, "cm": 27},
+    {"us": 9.5, "uk": 8.5, "eu": 42.5, "jp": 28.5, "cn": 42.5, "kr": 275, "mx": 27.5, "br": 40.5, "au": 8.5, "cm": 27.5},
+    {"us": 10, "uk": 9, "eu": 43, "jp": 29, "cn": 43, "kr": 280, "mx": 28, "br": 41, "au": 9, "cm": 28},
+    {"us": 10.5, "uk": 9.5, "eu": 43.5, "jp": 29.5, "cn": 43.5, "kr": 285, "mx": 28.5, "br": 41.5, "au": 9.5, "cm": 28.5},
+    {"us": 11, "uk": 10, "eu": 44, "jp": 30, "cn": 44, "kr": 290, "mx": 29, "br": 42, "au": 10, "cm": 29},
+    {"us": 11.5, "uk": 10.5, "eu": 44.5, "jp": 30.5, "cn": 44.5, "kr": 295, "mx": 29.5, "br": 42.5, "au": 10.5, "cm": 29.5},
+    {"us": 12, "uk": 11, "eu": 45, "jp": 31, "cn": 45, "kr": 300, "mx": 30, "br": 43, "au": 11, "cm": 30},
+    {"us": 12.5, "uk": 11.5, "eu": 45.5, "jp": 31.5, "cn": 45.5, "kr": 305, "mx": 30.5, "br": 43.5, "au": 11.5, "cm": 30.5},
+    {"us": 13, "uk": 12, "eu": 46, "jp": 32, "cn": 46, "kr": 310, "mx": 31, "br": 44, "au": 12, "cm": 31},
+    {"us": 13.5, "uk": 12.5, "eu": 46.5, "jp": 32.5, "cn": 46.5, "kr": 315, "mx": 31.5, "br": 44.5, "au": 12.5, "cm": 31.5},
+    {"us": 14, "uk": 13, "eu": 47, "jp": 33, "cn": 47, "kr": 320, "mx": 32, "br": 45, "au": 13, "cm": 32}
   ],
   "women": [
-    {"us": 4, "uk": 2, "eu": 35, "jp": 22, "cn": 35, "cm": 21.0},
-    {"us": 4.5, "uk": 2.5, "eu": 35.5, "jp": 22.5, "cn": 35.5, "cm": 21.5},
-    {"us": 5, "uk": 3, "eu": 36, "jp": 23, "cn": 36, "cm": 22.0},
-    {"us": 5.5, "uk": 3.5, "eu": 36.5, "jp": 23.5, "cn": 36.5, "cm": 22.5},
-    {"us": 6, "uk": 4, "eu": 37, "jp": 24, "cn": 37, "cm": 23.0},
-    {"us": 6.5, "uk": 4.5, "eu": 37.5, "jp": 24.5, "cn": 37.5, "cm": 23.5},
-    {"us": 7, "uk": 5, "eu": 38, "jp": 25, "cn": 38, "cm": 24.0},
-    {"us": 7.5, "uk": 5.5, "eu": 38.5, "jp": 25.5, "cn": 38.5, "cm": 24.5},
-    {"us": 8, "uk": 6, "eu": 39, "jp": 26, "cn": 39, "cm": 25.0},
-    {"us": 8.5, "uk": 6.5, "eu": 39.5, "jp": 26.5, "cn": 39.5, "cm": 25.5},
-    {"us": 9, "uk": 7, "eu": 40, "jp": 27, "cn": 40, "cm": 26.0},
-    {"us": 9.5, "uk": 7.5, "eu": 40.5, "jp": 27.5, "cn": 40.5, "cm": 26.5},
-    {"us": 10, "uk": 8, "eu": 41, "jp": 28, "cn": 41, "cm": 27.0},
-    {"us": 10.5, "uk": 8.5, "eu": 41.5, "jp": 28.5, "cn": 41.5, "cm": 27.5},
-    {"us": 11, "uk": 9, "eu": 42, "jp": 29, "cn": 42, "cm": 28.0},
-    {"us": 11.5, "uk": 9.5, "eu": 42.5, "jp": 29.5, "cn": 42.5, "cm": 28.5},
-    {"us": 12, "uk": 10, "eu": 43, "jp": 30, "cn": 43, "cm": 29.0}
+    {"us": 4, "uk": 2, "eu": 35, "jp": 22, "cn": 35, "kr": 210, "mx": 21, "br": 33, "au": 4, "cm": 21},
+    {"us": 4.5, "uk": 2.5, "eu": 35.5, "jp": 22.5, "cn": 35.5, "kr": 215, "mx": 21.5, "br": 33.5, "au": 4.5, "cm": 21.5},
+    {"us": 5, "uk": 3, "eu": 36, "jp": 23, "cn": 36, "kr": 220, "mx": 22, "br": 34, "au": 5, "cm": 22},
+    {"us": 5.5, "uk": 3.5, "eu": 36.5, "jp": 23.5, "cn": 36.5, "kr": 225, "mx": 22.5, "br": 34.5, "au": 5.5, "cm": 22.5},
+    {"us": 6, "uk": 4, "eu": 37, "jp": 24, "cn": 37, "kr": 230, "mx": 23, "br": 35, "au": 6, "cm": 23},
+    {"us": 6.5, "uk": 4.5, "eu": 37.5, "jp": 24.5, "cn": 37.5, "kr": 235, "mx": 23.5, "br": 35.5, "au": 6.5, "cm": 23.5},
+    {"us": 7, "uk": 5, "eu": 38, "jp": 25, "cn": 38, "kr": 240, "mx": 24, "br": 36, "au": 7, "cm": 24},
+    {"us": 7.5, "uk": 5.5, "eu": 38.5, "jp": 25.5, "cn": 38.5, "kr": 245, "mx": 24.5, "br": 36.5, "au": 7.5, "cm": 24.5},
+    {"us": 8, "uk": 6, "eu": 39, "jp": 26, "cn": 39, "kr": 250, "mx": 25, "br": 37, "au": 8, "cm": 25},
+    {"us": 8.5, "uk": 6.5, "eu": 39.5, "jp": 26.5, "cn": 39.5, "kr": 255, "mx": 25.5, "br": 37.5, "au": 8.5, "cm": 25.5},
+    {"us": 9, "uk": 7, "eu": 40, "jp": 27, "cn": 40, "kr": 260, "mx": 26, "br": 38, "au": 9, "cm": 26},
+    {"us": 9.5, "uk": 7.5, "eu": 40.5, "jp": 27.5, "cn": 40.5, "kr": 265, "mx": 26.5, "br": 38.5, "au": 9.5, "cm": 26.5},
+    {"us": 10, "uk": 8, "eu": 41, "jp": 28, "cn": 41, "kr": 270, "mx": 27, "br": 39, "au": 10, "cm": 27},
+    {"us": 10.5, "uk": 8.5, "eu": 41.5, "jp": 28.5, "cn": 41.5, "kr": 275, "mx": 27.5, "br": 39.5, "au": 10.5, "cm": 27.5},
+    {"us": 11, "uk": 9, "eu": 42, "jp": 29, "cn": 42, "kr": 280, "mx": 28, "br": 40, "au": 11, "cm": 28},
+    {"us": 11.5, "uk": 9.5, "eu": 42.5, "jp": 29.5, "cn": 42.5, "kr": 285, "mx": 28.5, "br": 40.5, "au": 11.5, "cm": 28.5},
+    {"us": 12, "uk": 10, "eu": 43, "jp": 30, "cn": 43, "kr": 290, "mx": 29, "br": 41, "au": 12, "cm": 29}
   ],
   "kids": [
-    {"us": 10, "uk": 9, "eu": 27, "jp": 17, "cn": 27, "cm": 16.5},
-    {"us": 10.5, "uk": 9.5, "eu": 28, "jp": 17.5, "cn": 28, "cm": 17.0},
-    {"us": 11, "uk": 10, "eu": 29, "jp": 18, "cn": 29, "cm": 17.5},
-    {"us": 11.5, "uk": 10.5, "eu": 30, "jp": 18.5, "cn": 30, "cm": 18.0},
-    {"us": 12, "uk": 11, "eu": 31, "jp": 19, "cn": 31, "cm": 18.5},
-    {"us": 12.5, "uk": 11.5, "eu": 31.5, "jp": 19.5, "cn": 31.5, "cm": 19.0},
-    {"us": 13, "uk": 12, "eu": 32, "jp": 20, "cn": 32, "cm": 19.5},
-    {"us": 13.5, "uk": 12.5, "eu": 33, "jp": 20.5, "cn": 33, "cm": 20.0},
-    {"us": 1, "uk": 0.5, "eu": 33.5, "jp": 21, "cn": 33.5, "cm": 20.5},
-    {"us": 1.5, "uk": 1, "eu": 34, "jp": 21.5, "cn": 34, "cm": 21.0},
-    {"us": 2, "uk": 1.5, "eu": 34.5, "jp": 22, "cn": 34.5, "cm": 21.5},
-    {"us": 2.5, "uk": 2, "eu": 35, "jp": 22.5, "cn": 35, "cm": 22.0},
-    {"us": 3, "uk": 2.5, "eu": 35.5, "jp": 23, "cn": 35.5, "cm": 22.5},
-    {"us": 3.5, "uk": 3, "eu": 36, "jp": 23.5, "cn": 36, "cm": 23.0},
-    {"us": 4, "uk": 3.5, "eu": 36.5, "jp": 24, "cn": 36.5, "cm": 23.5},
-    {"us": 4.5, "uk": 4, "eu": 37, "jp": 24.5, "cn": 37, "cm": 24.0},
-    {"us": 5, "uk": 4.5, "eu": 37.5, "jp": 25, "cn": 37.5, "cm": 24.5}
+    {"us": 1, "uk": 0, "eu": 16, "jp": 9.5, "cn": 16, "kr": 90, "mx": 9, "br": 14, "au": 0, "cm": 9, "scale": "C", "age": "Under 1 year"},
+    {"us": 1.5, "uk": 0.5, "eu": 16.5, "jp": 10, "cn": 16.5, "kr": 94, "mx": 9.4, "br": 14.5, "au": 0.5, "cm": 9.4, "scale": "C", "age": "Under 1 year"},
+    {"us": 2, "uk": 1, "eu": 17, "jp": 10.5, "cn": 17, "kr": 98, "mx": 9.8, "br": 15, "au": 1, "cm": 9.8, "scale": "C", "age": "Under 1 year"},
+    {"us": 2.5, "uk": 1.5, "eu": 17.5, "cn": 17.5, "kr": 102, "mx": 10.2, "br": 15.5, "au": 1.5, "cm": 10.2, "scale": "C", "age": "Under 1 year"},
+    {"us": 3, "uk": 2, "eu": 18.5, "jp": 11, "cn": 18.5, "kr": 107, "mx": 10.7, "br": 16.5, "au": 2, "cm": 10.7, "scale": "C", "age": "Under 1 year"},
+    {"us": 3.5, "uk": 2.5, "eu": 19, "jp": 11.5, "cn": 19, "kr": 111, "mx": 11.1, "br": 17, "au": 2.5, "cm": 11.1, "scale": "C", "age": "About 1 year"},
+    {"us": 4, "uk": 3, "eu": 19.5, "jp": 12, "cn": 19.5, "kr": 115, "mx": 11.5, "br": 17.5, "au": 3, "cm": 11.5, "scale": "C", "age": "About 1 year"},
+    {"us": 4.5, "uk": 3.5, "eu": 20, "jp": 12.5, "cn": 20, "kr": 119, "mx": 11.9, "br": 18, "au": 3.5, "cm": 11.9, "scale": "C", "age": "About 1 year"},
+    {"us": 5, "uk": 4, "eu": 20.5, "jp": 13, "cn": 20.5, "kr": 123, "mx": 12.3, "br": 18.5, "au": 4, "cm": 12.3, "scale": "C", "age": "About 1 year"},
+    {"us": 5.5, "uk": 4.5, "eu": 21.5, "jp": 13.5, "cn": 21.5, "kr": 128, "mx": 12.8, "br": 19.5, "au": 4.5, "cm": 12.8, "scale": "C", "age": "About 1 year"},
+    {"us": 6, "uk": 5, "eu": 22, "cn": 22, "kr": 132, "mx": 13.2, "br": 20, "au": 5, "cm": 13.2, "scale": "C", "age": "About 2 years"},
+    {"us": 6.5, "uk": 5.5, "eu": 22.5, "jp": 14, "cn": 22.5, "kr": 136, "mx": 13.6, "br": 20.5, "au": 5.5, "cm": 13.6, "scale": "C", "age": "About 2 years"},
+    {"us": 7, "uk": 6, "eu": 23, "jp": 14.5, "cn": 23, "kr": 140, "mx": 14, "br": 21, "au": 6, "cm": 14, "scale": "C", "age": "About 2 years"},
+    {"us": 7.5, "uk": 6.5, "eu": 24, "jp": 15, "cn": 24, "kr": 144, "mx": 14.4, "br": 22, "au": 6.5, "cm": 14.4, "scale": "C", "age": "About 2 years"},
+    {"us": 8, "uk": 7, "eu": 24.5, "jp": 15.5, "cn": 24.5, "kr": 148, "mx": 14.8, "br": 22.5, "au": 7, "cm": 14.8, "scale": "C", "age": "About 2 years"},
+    {"us": 8.5, "uk": 7.5, "eu": 25, "cn": 25, "kr": 152, "mx": 15.2, "br": 23, "au": 7.5, "cm": 15.2, "scale": "C", "age": "About 3 years"},
+    {"us": 9, "uk": 8, "eu": 26, "jp": 16, "cn": 26, "kr": 157, "mx": 15.7, "br": 24, "au": 8, "cm": 15.7, "scale": "C", "age": "About 3 years"},
+    {"us": 9.5, "uk": 8.5, "eu": 26.5, "jp": 16.5, "cn": 26.5, "kr": 161, "mx": 16.1, "br": 24.5, "au": 8.5, "cm": 16.1, "scale": "C", "age": "About 3 years"},
+    {"us": 10, "uk": 9, "eu": 27, "jp": 17, "cn": 27, "kr": 165, "mx": 16.5, "br": 25, "au": 9, "cm": 16.5, "scale": "C", "age": "About 3 years"},
+    {"us": 10.5, "uk": 9.5, "eu": 28, "jp": 17.5, "cn": 28, "kr": 170, "mx": 17, "br": 26, "au": 9.5, "cm": 17, "scale": "C", "age": "About 4–5 years"},
+    {"us": 11, "uk": 10, "eu": 29, "jp": 18, "cn": 29, "kr": 175, "mx": 17.5, "br": 27, "au": 10, "cm": 17.5, "scale": "C", "age": "About 4–5 years"},
+    {"us": 11.5, "uk": 10.5, "eu": 30, "jp": 18.5, "cn": 30, "kr": 180, "mx": 18, "br": 28, "au": 10.5, "cm": 18, "scale": "C", "age": "About 4–5 years"},
+    {"us": 12, "uk": 11, "eu": 31, "jp": 19, "cn": 31, "kr": 185, "mx": 18.5, "br": 29, "au": 11, "cm": 18.5, "scale": "C", "age": "About 4–5 years"},
+    {"us": 12.5, "uk": 11.5, "eu": 31.5, "jp": 19.5, "cn": 31.5, "kr": 190, "mx": 19, "br": 29.5, "au": 11.5, "cm": 19, "scale": "C", "age": "About 5–7 years"},
+    {"us": 13, "uk": 12, "eu": 32, "jp": 20, "cn": 32, "kr": 195, "mx": 19.5, "br": 30, "au": 12, "cm": 19.5, "scale": "C", "age": "About 5–7 years"},
+    {"us": 13.5, "uk": 12.5, "eu": 33, "jp": 20.5, "cn": 33, "kr": 200, "mx": 20, "br": 31, "au": 12.5, "cm": 20, "scale": "C", "age": "About 5–7 years"},
+    {"us": 1, "uk": 0.5, "eu": 33.5, "jp": 21, "cn": 33.5, "kr": 205, "mx": 20.5, "br": 31.5, "au": 0.5, "cm": 20.5, "scale": "Y", "age": "About 5–7 years"},
+    {"us": 1.5, "uk": 1, "eu": 34, "jp": 21.5, "cn": 34, "kr": 210, "mx": 21, "br": 32, "au": 1, "cm": 21, "scale": "Y", "age": "About 7–9 years"},
+    {"us": 2, "uk": 1.5, "eu": 34.5, "jp": 22, "cn": 34.5, "kr": 215, "mx": 21.5, "br": 32.5, "au": 1.5, "cm": 21.5, "scale": "Y", "age": "About 7–9 years"},
+    {"us": 2.5, "uk": 2, "eu": 35, "jp": 22.5, "cn": 35, "kr": 220, "mx": 22, "br": 33, "au": 2, "cm": 22, "scale": "Y", "age": "About 7–9 years"},
+    {"us": 3, "uk": 2.5, "eu": 35.5, "jp": 23, "cn": 35.5, "kr": 225, "mx": 22.5, "br": 33.5, "au": 2.5, "cm": 22.5, "scale": "Y", "age": "About 7–9 years"},
+    {"us": 3.5, "uk": 3, "eu": 36, "jp": 23.5, "cn": 36, "kr": 230, "mx": 23, "br": 34, "au": 3, "cm": 23, "scale": "Y", "age": "About 9–11 years"},
+    {"us": 4, "uk": 3.5, "eu": 36.5, "jp": 24, "cn": 36.5, "kr": 235, "mx": 23.5, "br": 34.5, "au": 3.5, "cm": 23.5, "scale": "Y", "age": "About 9–11 years"},
+    {"us": 4.5, "uk": 4, "eu": 37, "jp": 24.5, "cn": 37, "kr": 240, "mx": 24, "br": 35, "au": 4, "cm": 24, "scale": "Y", "age": "About 9–11 years"},
+    {"us": 5, "uk": 4.5, "eu": 37.5, "jp": 25, "cn": 37.5, "kr": 245, "mx": 24.5, "br": 35.5, "au": 4.5, "cm": 24.5, "scale": "Y", "age": "About 9–11 years"},
+    {"us": 5.5, "uk": 5, "eu": 38, "jp": 25.5, "cn": 38, "kr": 250, "mx": 25, "br": 36, "au": 5, "cm": 25, "scale": "Y", "age": "About 11+ years"},
+    {"us": 6, "uk": 5.5, "eu": 38.5, "jp": 26, "cn": 38.5, "kr": 255, "mx": 25.5, "br": 36.5, "au": 5.5, "cm": 25.5, "scale": "Y", "age": "About 11+ years"},
+    {"us": 6.5, "uk": 6, "eu": 39, "jp": 26.5, "cn": 39, "kr": 260, "mx": 26, "br": 37, "au": 6, "cm": 26, "scale": "Y", "age": "About 11+ years"},
+    {"us": 7, "uk": 6.5, "eu": 40, "jp": 27, "cn": 40, "kr": 265, "mx": 26.5, "br": 38, "au": 6.5, "cm": 26.5, "scale": "Y", "age": "About 11+ years"}
   ]
 };
 
 const embeddedClothingData = {
   "men": {
     "tops": [
-      {"us": "XS", "uk": "XS", "eu": "XS", "jp": "S", "cn": "S", "chest_cm": 86, "waist_cm": 71, "hips_cm": 91},
-      {"us": "S", "uk": "S", "eu": "S", "jp": "M", "cn": "M", "chest_cm": 91, "waist_cm": 76, "hips_cm": 96},
-      {"us": "M", "uk": "M", "eu": "M", "jp": "L", "cn": "L", "chest_cm": 96, "waist_cm": 81, "hips_cm": 101},
-      {"us": "L", "uk": "L", "eu": "L", "jp": "XL", "cn": "XL", "chest_cm": 101, "waist_cm": 86, "hips_cm": 106},
-      {"us": "XL", "uk": "XL", "eu": "XL", "jp": "XXL", "cn": "XXL", "chest_cm": 106, "waist_cm": 91, "hips_cm": 111},
-      {"us": "XXL", "uk": "XXL", "eu": "XXL", "jp": "XXXL", "cn": "XXXL", "chest_cm": 111, "waist_cm": 96, "hips_cm": 116},
-      {"us": "XXXL", "uk": "XXXL", "eu": "XXXL", "jp": "XXXXL", "cn": "XXXXL", "chest_cm": 116, "waist_cm": 101, "hips_cm": 121}
+      {"us": "XS", "uk": "XS", "eu": "XS", "jp": "S", "cn": "S", "chest_cm": 86, "waist_cm": 71, "hips_cm": 91, "ranges": {"chest_cm": [83.5, 88.5], "waist_cm": [68.5, 73.5], "hips_cm": [88.5, 93.5], "height_cm": [160, 170]}},
+      {"us": "S", "uk": "S", "eu": "S", "jp": "M", "cn": "M", "chest_cm": 91, "waist_cm": 76, "hips_cm": 96, "ranges": {"chest_cm": [88.5, 93.5], "waist_cm": [73.5, 78.5], "hips_cm": [93.5, 98.5], "height_cm": [165, 175]}},
+      {"us": "M", "uk": "M", "eu": "M", "jp": "L", "cn": "L", "chest_cm": 96, "waist_cm": 81, "hips_cm": 101, "ranges": {"chest_cm": [93.5, 98.5], "waist_cm": [78.5, 83.5], "hips_cm": [98.5, 103.5], "height_cm": [170, 180]}},
+      {"us": "L", "uk": "L", "eu": "L", "jp": "XL", "cn": "XL", "chest_cm": 101, "waist_cm": 86, "hips_cm": 106, "ranges": {"chest_cm": [98.5, 103.5], "waist_cm": [83.5, 88.5], "hips_cm": [103.5, 108.5], "height_cm": [175, 185]}},
+      {"us": "XL", "uk": "XL", "eu": "XL", "jp": "XXL", "cn": "XXL", "chest_cm": 106, "waist_cm": 91, "hips_cm": 111, "ranges": {"chest_cm": [103.5, 108.5], "waist_cm": [88.5, 93.5], "hips_cm": [108.5, 113.5], "height_cm": [178, 188]}},
+      {"us": "XXL", "uk": "XXL", "eu": "XXL", "jp": "XXXL", "cn": "XXXL", "chest_cm": 111, "waist_cm": 96, "hips_cm": 116, "ranges": {"chest_cm": [108.5, 113.5], "waist_cm": [93.5, 98.5], "hips_cm": [113.5, 118.5], "height_cm": [180, 190]}},
+      {"us": "XXXL", "uk": "XXXL", "eu": "XXXL", "jp": "XXXXL", "cn": "XXXXL", "chest_cm": 116, "waist_cm": 101, "hips_cm": 121, "ranges": {"chest_cm": [113.5, 118.5], "waist_cm": [98.5, 103.5], "hips_cm": [118.5, 123.5], "height_cm": [180, 193]}}
     ],
     "pants": [
-      {"us": "28", "uk": "28", "eu": "42", "jp": "S", "cn": "S", "chest_cm": 0, "waist_cm": 71, "hips_cm": 91},
-      {"us": "30", "uk": "30", "eu": "44", "jp": "M", "cn": "M", "chest_cm": 0, "waist_cm": 76, "hips_cm": 96},
-      {"us": "32", "uk": "32", "eu": "46", "jp": "L", "cn": "L", "chest_cm": 0, "waist_cm": 81, "hips_cm": 101},
-      {"us": "34", "uk": "34", "eu": "48", "jp": "XL", "cn": "XL", "chest_cm": 0, "waist_cm": 86, "hips_cm": 106},
-      {"us": "36", "uk": "36", "eu": "50", "jp": "XXL", "cn": "XXL", "chest_cm": 0, "waist_cm": 91, "hips_cm": 111},
-      {"us": "38", "uk": "38", "eu": "52", "jp": "XXXL", "cn": "XXXL", "chest_cm": 0, "waist_cm": 96, "hips_cm": 116},
-      {"us": "40", "uk": "40", "eu": "54", "jp": "XXXXL", "cn": "XXXXL", "chest_cm": 0, "waist_cm": 101, "hips_cm": 121},
-      {"us": "42", "uk": "42", "eu": "56", "jp": "XXXXXL", "cn": "XXXXXL", "chest_cm": 0, "waist_cm": 106, "hips_cm": 126}
+      {"us": "28", "uk": "28", "eu": "42", "jp": "S", "cn": "S", "chest_cm": 0, "waist_cm": 71, "hips_cm": 91, "ranges": {"waist_cm": [68.5, 73.5], "hips_cm": [88.5, 93.5], "inseam_cm": [76, 81]}},
+      {"us": "30", "uk": "30", "eu": "44", "jp": "M", "cn": "M", "chest_cm": 0, "waist_cm": 76, "hips_cm": 96, "ranges": {"waist_cm": [73.5, 78.5], "hips_cm": [93.5, 98.5], "inseam_cm": [76, 81]}},
+      {"us": "32", "uk": "32", "eu": "46", "jp": "L", "cn": "L", "chest_cm": 0, "waist_cm": 81, "hips_cm": 101, "ranges": {"waist_cm": [78.5, 83.5], "hips_cm": [98.5, 103.5], "inseam_cm": [78, 84]}},
+      {"us": "34", "uk": "34", "eu": "48", "jp": "XL", "cn": "XL", "chest_cm": 0, "waist_cm": 86, "hips_cm": 106, "ranges": {"waist_cm": [83.5, 88.5], "hips_cm": [103.5, 108.5], "inseam_cm": [78, 84]}},
+      {"us": "36", "uk": "36", "eu": "50", "jp": "XXL", "cn": "XXL", "chest_cm": 0, "waist_cm": 91, "hips_cm": 111, "ranges": {"waist_cm": [88.5, 93.5], "hips_cm": [108.5, 113.5], "inseam_cm": [79, 86]}},
+      {"us": "38", "uk": "38", "eu": "52", "jp": "XXXL", "cn": "XXXL", "chest_cm": 0, "waist_cm": 96, "hips_cm": 116, "ranges": {"waist_cm": [93.5, 98.5], "hips_cm": [113.5, 118.5], "inseam_cm": [79, 86]}},
+      {"us": "40", "uk": "40", "eu": "54", "jp": "XXXXL", "cn": "XXXXL", "chest_cm": 0, "waist_cm": 101, "hips_cm": 121, "ranges": {"waist_cm": [98.5, 103.5], "hips_cm": [118.5, 123.5], "inseam_cm": [80, 86]}},
+      {"us": "42", "uk": "42", "eu": "56", "jp": "XXXXXL", "cn": "XXXXXL", "chest_cm": 0, "waist_cm": 106, "hips_cm": 126, "ranges": {"waist_cm": [103.5, 108.5], "hips_cm": [123.5, 128.5], "inseam_cm": [80, 86]}}
+    ],
+    "shirts": [
+      {"us": "14", "uk": "14", "eu": "36", "jp": "36", "cn": "36", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 36, "sleeve_cm": 83, "ranges": {"neck_cm": [35.5, 36.5], "sleeve_cm": [81, 84]}},
+      {"us": "14.5", "uk": "14.5", "eu": "37", "jp": "37", "cn": "37", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 37, "sleeve_cm": 83, "ranges": {"neck_cm": [36.5, 37.5], "sleeve_cm": [81, 84]}},
+      {"us": "15", "uk": "15", "eu": "38", "jp": "38", "cn": "38", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 38, "sleeve_cm": 84, "ranges": {"neck_cm": [37.5, 38.5], "sleeve_cm": [81, 86]}},
+      {"us": "15.5", "uk": "15.5", "eu": "39", "jp": "39", "cn": "39", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 39, "sleeve_cm": 85, "ranges": {"neck_cm": [38.5, 40], "sleeve_cm": [84, 86]}},
+      {"us": "16", "uk": "16", "eu": "41", "jp": "41", "cn": "41", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 41, "sleeve_cm": 86, "ranges": {"neck_cm": [40, 41.5], "sleeve_cm": [84, 89]}},
+      {"us": "16.5", "uk": "16.5", "eu": "42", "jp": "42", "cn": "42", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 42, "sleeve_cm": 88, "ranges": {"neck_cm": [41.5, 42.5], "sleeve_cm": [86, 89]}},
+      {"us": "17", "uk": "17", "eu": "43", "jp": "43", "cn": "43", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 43, "sleeve_cm": 89, "ranges": {"neck_cm": [42.5, 43.5], "sleeve_cm": [86, 91]}},
+      {"us": "17.5", "uk": "17.5", "eu": "44", "jp": "44", "cn": "44", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 44, "sleeve_cm": 90, "ranges": {"neck_cm": [43.5, 45], "sleeve_cm": [89, 91]}},
+      {"us": "18", "uk": "18", "eu": "46", "jp": "46", "cn": "46", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 46, "sleeve_cm": 91, "ranges": {"neck_cm": [45, 46.5], "sleeve_cm": [89, 94]}},
+      {"us": "18.5", "uk": "18.5", "eu": "47", "jp": "47", "cn": "47", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "neck_cm": 47, "sleeve_cm": 93, "ranges": {"neck_cm": [46.5, 47.5], "sleeve_cm": [91, 94]}}
+    ],
+    "jackets": [
+      {"us": "34", "uk": "34", "eu": "44", "jp": "SS", "cn": "170/88A", "chest_cm": 86, "waist_cm": 71, "hips_cm": 0, "drop_in": 6, "ranges": {"chest_cm": [83.5, 88.5], "waist_cm": [68.5, 73.5]}},
+      {"us": "36", "uk": "36", "eu": "46", "jp": "S", "cn": "170/92A", "chest_cm": 91, "waist_cm": 76, "hips_cm": 0, "drop_in": 6, "ranges": {"chest_cm": [88.5, 94], "waist_cm": [73.5, 78.5]}},
+      {"us": "38", "uk": "38", "eu": "48", "jp": "M", "cn": "175/96A", "chest_cm": 97, "waist_cm": 81, "hips_cm": 0, "drop_in": 6, "ranges": {"chest_cm": [94, 99.5], "waist_cm": [78.5, 83.5]}},
+      {"us": "40", "uk": "40", "eu": "50", "jp": "L", "cn": "175/100A", "chest_cm": 102, "waist_cm": 86, "hips_cm": 0, "drop_in": 6, "ranges": {"chest_cm": [99.5, 104.5], "waist_cm": [83.5, 88.5]}},
+      {"us": "42", "uk": "42", "eu": "52", "jp": "LL", "cn": "180/108A", "chest_cm": 107, "waist_cm": 91, "hips_cm": 0, "drop_in": 6, "ranges": {"chest_cm": [104.5, 109.5], "waist_cm": [88.5, 94]}},
+      {"us": "44", "uk": "44", "eu": "54", "jp": "3L", "cn": "180/112A", "chest_cm": 112, "waist_cm": 97, "hips_cm": 0, "drop_in": 6, "ranges": {"chest_cm": [109.5, 114.5], "waist_cm": [94, 99.5]}},
+      {"us": "46", "uk": "46", "eu": "56", "jp": "4L", "cn": "185/116A", "chest_cm": 117, "waist_cm": 102, "hips_cm": 0, "drop_in": 6, "ranges": {"chest_cm": [114.5, 119.5], "waist_cm": [99.5, 104.5]}},
+      {"us": "48", "uk": "48", "eu": "58", "jp": "5L", "cn": "185/120A", "chest_cm": 122, "waist_cm": 107, "hips_cm": 0, "drop_in": 6, "ranges": {"chest_cm": [119.5, 124.5], "waist_cm": [104.5, 109.5]}},
+      {"us": "50", "uk": "50", "eu": "60", "jp": "6L", "cn": "190/128A", "chest_cm": 127, "waist_cm": 112, "hips_cm": 0, "drop_in": 6, "ranges": {"chest_cm": [124.5, 129.5], "waist_cm": [109.5, 114.5]}}
+    ],
+    "swimwear": [
+      {"us": "S", "uk": "S", "eu": "S", "jp": "M", "cn": "M", "chest_cm": 0, "waist_cm": 74, "hips_cm": 92, "ranges": {"waist_cm": [69, 79], "hips_cm": [87, 97]}},
+      {"us": "M", "uk": "M", "eu": "M", "jp": "L", "cn": "L", "chest_cm": 0, "waist_cm": 84, "hips_cm": 102, "ranges": {"waist_cm": [79, 89], "hips_cm": [97, 107]}},
+      {"us": "L", "uk": "L", "eu": "L", "jp": "XL", "cn": "XL", "chest_cm": 0, "waist_cm": 94, "hips_cm": 112, "ranges": {"waist_cm": [89, 99], "hips_cm": [107, 117]}},
+      {"us": "XL", "uk": "XL", "eu": "XL", "jp": "XXL", "cn": "XXL", "chest_cm": 0, "waist_cm": 104, "hips_cm": 122, "ranges": {"waist_cm": [99, 109], "hips_cm": [117, 127]}},
+      {"us": "XXL", "uk": "XXL", "eu": "XXL", "jp": "XXXL", "cn": "XXXL", "chest_cm": 0, "waist_cm": 114, "hips_cm": 132, "ranges": {"waist_cm": [109, 119], "hips_cm": [127, 137]}}
     ]
   },
   "women": {
     "tops": [
-      {"us": "XS", "uk": "6", "eu": "34", "jp": "S", "cn": "S", "chest_cm": 81, "waist_cm": 61, "hips_cm": 86},
-      {"us": "S", "uk": "8", "eu": "36", "jp": "M", "cn": "M", "chest_cm": 86, "waist_cm": 66, "hips_cm": 91},
-      {"us": "M", "uk": "10", "eu": "38", "jp": "L", "cn": "L", "chest_cm": 91, "waist_cm": 71, "hips_cm": 96},
-      {"us": "L", "uk": "12", "eu": "40", "jp": "XL", "cn": "XL", "chest_cm": 96, "waist_cm": 76, "hips_cm": 101},
-      {"us": "XL", "uk": "14", "eu": "42", "jp": "XXL", "cn": "XXL", "chest_cm": 101, "waist_cm": 81, "hips_cm": 106},
-      {"us": "XXL", "uk": "16", "eu": "44", "jp": "XXXL", "cn": "XXXL", "chest_cm": 106, "waist_cm": 86, "hips_cm": 111},
-      {"us": "XXXL", "uk": "18", "eu": "46", "jp": "XXXXL", "cn": "XXXXL", "chest_cm": 111, "waist_cm": 91, "hips_cm": 116}
+      {"us": "XS", "uk": "6", "eu": "34", "jp": "S", "cn": "S", "chest_cm": 81, "waist_cm": 61, "hips_cm": 86, "ranges": {"chest_cm": [78.5, 83.5], "waist_cm": [58.5, 63.5], "hips_cm": [83.5, 88.5], "height_cm": [150, 160]}},
+      {"us": "S", "uk": "8", "eu": "36", "jp": "M", "cn": "M", "chest_cm": 86, "waist_cm": 66, "hips_cm": 91, "ranges": {"chest_cm": [83.5, 88.5], "waist_cm": [63.5, 68.5], "hips_cm": [88.5, 93.5], "height_cm": [155, 165]}},
+      {"us": "M", "uk": "10", "eu": "38", "jp": "L", "cn": "L", "chest_cm": 91, "waist_cm": 71, "hips_cm": 96, "ranges": {"chest_cm": [88.5, 93.5], "waist_cm": [68.5, 73.5], "hips_cm": [93.5, 98.5], "height_cm": [160, 170]}},
+      {"us": "L", "uk": "12", "eu": "40", "jp": "XL", "cn": "XL", "chest_cm": 96, "waist_cm": 76, "hips_cm": 101, "ranges": {"chest_cm": [93.5, 98.5], "waist_cm": [73.5, 78.5], "hips_cm": [98.5, 103.5], "height_cm": [163, 173]}},
+      {"us": "XL", "uk": "14", "eu": "42", "jp": "XXL", "cn": "XXL", "chest_cm": 101, "waist_cm": 81, "hips_cm": 106, "ranges": {"chest_cm": [98.5, 103.5], "waist_cm": [78.5, 83.5], "hips_cm": [103.5, 108.5], "height_cm": [165, 175]}},
+      {"us": "XXL", "uk": "16", "eu": "44", "jp": "XXXL", "cn": "XXXL", "chest_cm": 106, "waist_cm": 86, "hips_cm": 111, "ranges": {"chest_cm": [103.5, 108.5], "waist_cm": [83.5, 88.5], "hips_cm": [108.5, 113.5], "height_cm": [165, 178]}},
+      {"us": "XXXL", "uk": "18", "eu": "46", "jp": "XXXXL", "cn": "XXXXL", "chest_cm": 111, "waist_cm": 91, "hips_cm": 116, "ranges": {"chest_cm": [108.5, 113.5], "waist_cm": [88.5, 93.5], "hips_cm": [113.5, 118.5], "height_cm": [165, 178]}}
     ],
     "pants": [
-      {"us": "0", "uk": "4", "eu": "32", "jp": "S", "cn": "S", "chest_cm": 0, "waist_cm": 61, "hips_cm": 86},
-      {"us": "2", "uk": "6", "eu": "34", "jp": "M", "cn": "M", "chest_cm": 0, "waist_cm": 66, "hips_cm": 91},
-      {"us": "4", "uk": "8", "eu": "36", "jp": "L", "cn": "L", "chest_cm": 0, "waist_cm": 71, "hips_cm": 96},
-      {"us": "6", "uk": "10", "eu": "38", "jp": "XL", "cn": "XL", "chest_cm": 0, "waist_cm": 76, "hips_cm": 101},
-      {"us": "8", "uk": "12", "eu": "40", "jp": "XXL", "cn": "XXL", "chest_cm": 0, "waist_cm": 81, "hips_cm": 106},
-      {"us": "10", "uk": "14", "eu": "42", "jp": "XXXL", "cn": "XXXL", "chest_cm": 0, "waist_cm": 86, "hips_cm": 111},
-      {"us": "12", "uk": "16", "eu": "44", "jp": "XXXXL", "cn": "XXXXL", "chest_cm": 0, "waist_cm": 91, "hips_cm": 116},
-      {"us": "14", "uk": "18", "eu": "46", "jp": "XXXXXL", "cn": "XXXXXL", "chest_cm": 0, "waist_cm": 96, "hips_cm": 121}
+      {"us": "0", "uk": "4", "eu": "32", "jp": "S", "cn": "S", "chest_cm": 0, "waist_cm": 61, "hips_cm": 86, "ranges": {"waist_cm": [58.5, 63.5], "hips_cm": [83.5, 88.5], "inseam_cm": [74, 79]}},
+      {"us": "2", "uk": "6", "eu": "34", "jp": "M", "cn": "M", "chest_cm": 0, "waist_cm": 66, "hips_cm": 91, "ranges": {"waist_cm": [63.5, 68.5], "hips_cm": [88.5, 93.5], "inseam_cm": [74, 79]}},
+      {"us": "4", "uk": "8", "eu": "36", "jp": "L", "cn": "L", "chest_cm": 0, "waist_cm": 71, "hips_cm": 96, "ranges": {"waist_cm": [68.5, 73.5], "hips_cm": [93.5, 98.5], "inseam_cm": [74, 79]}},
+      {"us": "6", "uk": "10", "eu": "38", "jp": "XL", "cn": "XL", "chest_cm": 0, "waist_cm": 76, "hips_cm": 101, "ranges": {"waist_cm": [73.5, 78.5], "hips_cm": [98.5, 103.5], "inseam_cm": [76, 81]}},
+      {"us": "8", "uk": "12", "eu": "40", "jp": "XXL", "cn": "XXL", "chest_cm": 0, "waist_cm": 81, "hips_cm": 106, "ranges": {"waist_cm": [78.5, 83.5], "hips_cm": [103.5, 108.5], "inseam_cm": [76, 81]}},
+      {"us": "10", "uk": "14", "eu": "42", "jp": "XXXL", "cn": "XXXL", "chest_cm": 0, "waist_cm": 86, "hips_cm": 111, "ranges": {"waist_cm": [83.5, 88.5], "hips_cm": [108.5, 113.5], "inseam_cm": [76, 81]}},
+      {"us": "12", "uk": "16", "eu": "44", "jp": "XXXXL", "cn": "XXXXL", "chest_cm": 0, "waist_cm": 91, "hips_cm": 116, "ranges": {"waist_cm": [88.5, 93.5], "hips_cm": [113.5, 118.5], "inseam_cm": [76, 81]}},
+      {"us": "14", "uk": "18", "eu": "46", "jp": "XXXXXL", "cn": "XXXXXL", "chest_cm": 0, "waist_cm": 96, "hips_cm": 121, "ranges": {"waist_cm": [93.5, 98.5], "hips_cm": [118.5, 123.5], "inseam_cm": [76, 81]}}
     ],
     "dresses": [
-      {"us": "XS", "uk": "6", "eu": "34", "jp": "S", "cn": "S", "chest_cm": 81, "waist_cm": 61, "hips_cm": 86},
-      {"us": "S", "uk": "8", "eu": "36", "jp": "M", "cn": "M", "chest_cm": 86, "waist_cm": 66, "hips_cm": 91},
-      {"us": "M", "uk": "10", "eu": "38", "jp": "L", "cn": "L", "chest_cm": 91, "waist_cm": 71, "hips_cm": 96},
-      {"us": "L", "uk": "12", "eu": "40", "jp": "XL", "cn": "XL", "chest_cm": 96, "waist_cm": 76, "hips_cm": 101},
-      {"us": "XL", "uk": "14", "eu": "42", "jp": "XXL", "cn": "XXL", "chest_cm": 101, "waist_cm": 81, "hips_cm": 106},
-      {"us": "XXL", "uk": "16", "eu": "44", "jp": "XXXL", "cn": "XXXL", "chest_cm": 106, "waist_cm": 86, "hips_cm": 111}
+      {"us": "XS", "uk": "6", "eu": "34", "jp": "S", "cn": "S", "chest_cm": 81, "waist_cm": 61, "hips_cm": 86, "ranges": {"chest_cm": [78.5, 83.5], "waist_cm": [58.5, 63.5], "hips_cm": [83.5, 88.5], "height_cm": [150, 160]}},
+      {"us": "S", "uk": "8", "eu": "36", "jp": "M", "cn": "M", "chest_cm": 86, "waist_cm": 66, "hips_cm": 91, "ranges": {"chest_cm": [83.5, 88.5], "waist_cm": [63.5, 68.5], "hips_cm": [88.5, 93.5], "height_cm": [155, 165]}},
+      {"us": "M", "uk": "10", "eu": "38", "jp": "L", "cn": "L", "chest_cm": 91, "waist_cm": 71, "hips_cm": 96, "ranges": {"chest_cm": [88.5, 93.5], "waist_cm": [68.5, 73.5], "hips_cm": [93.5, 98.5], "height_cm": [160, 170]}},
+      {"us": "L", "uk": "12", "eu": "40", "jp": "XL", "cn": "XL", "chest_cm": 96, "waist_cm": 76, "hips_cm": 101, "ranges": {"chest_cm": [93.5, 98.5], "waist_cm": [73.5, 78.5], "hips_cm": [98.5, 103.5], "height_cm": [163, 173]}},
+      {"us": "XL", "uk": "14", "eu": "42", "jp": "XXL", "cn": "XXL", "chest_cm": 101, "waist_cm": 81, "hips_cm": 106, "ranges": {"chest_cm": [98.5, 103.5], "waist_cm": [78.5, 83.5], "hips_cm": [103.5, 108.5], "height_cm": [165, 175]}},
+      {"us": "XXL", "uk": "16", "eu": "44", "jp": "XXXL", "cn": "XXXL", "chest_cm": 106, "waist_cm": 86, "hips_cm": 111, "ranges": {"chest_cm": [103.5, 108.5], "waist_cm": [83.5, 88.5], "hips_cm": [108.5, 113.5], "height_cm": [165, 178]}}
+    ],
+    "skirts": [
+      {"us": "0", "uk": "4", "eu": "32", "jp": "3", "cn": "XS", "chest_cm": 0, "waist_cm": 62, "hips_cm": 88, "ranges": {"waist_cm": [60.5, 63.5], "hips_cm": [87, 89]}},
+      {"us": "2", "uk": "6", "eu": "34", "jp": "5", "cn": "S", "chest_cm": 0, "waist_cm": 65, "hips_cm": 90, "ranges": {"waist_cm": [63.5, 66], "hips_cm": [89, 91.5]}},
+      {"us": "4", "uk": "8", "eu": "36", "jp": "7", "cn": "M", "chest_cm": 0, "waist_cm": 67, "hips_cm": 93, "ranges": {"waist_cm": [66, 68.5], "hips_cm": [91.5, 94]}},
+      {"us": "6", "uk": "10", "eu": "38", "jp": "9", "cn": "L", "chest_cm": 0, "waist_cm": 70, "hips_cm": 95, "ranges": {"waist_cm": [68.5, 71], "hips_cm": [94, 96.5]}},
+      {"us": "8", "uk": "12", "eu": "40", "jp": "11", "cn": "XL", "chest_cm": 0, "waist_cm": 72, "hips_cm": 98, "ranges": {"waist_cm": [71, 73.5], "hips_cm": [96.5, 99]}},
+      {"us": "10", "uk": "14", "eu": "42", "jp": "13", "cn": "XXL", "chest_cm": 0, "waist_cm": 75, "hips_cm": 100, "ranges": {"waist_cm": [73.5, 77], "hips_cm": [99, 102]}},
+      {"us": "12", "uk": "16", "eu": "44", "jp": "15", "cn": "XXXL", "chest_cm": 0, "waist_cm": 79, "hips_cm": 104, "ranges": {"waist_cm": [77, 81], "hips_cm": [102, 106]}},
+      {"us": "14", "uk": "18", "eu": "46", "jp": "17", "cn": "XXXXL", "chest_cm": 0, "waist_cm": 83, "hips_cm": 108, "ranges": {"waist_cm": [81, 84.5], "hips_cm": [106, 110]}},
+      {"us": "16", "uk": "20", "eu": "48", "jp": "19", "cn": "XXXXXL", "chest_cm": 0, "waist_cm": 86, "hips_cm": 112, "ranges": {"waist_cm": [84.5, 87.5], "hips_cm": [110, 114]}}
+    ],
+    "jackets": [
+      {"us": "0", "uk": "4", "eu": "32", "jp": "3", "cn": "XS", "chest_cm": 81, "waist_cm": 62, "hips_cm": 88, "ranges": {"chest_cm": [79.5, 82.5], "waist_cm": [60.5, 63.5], "hips_cm": [87, 89]}},
+      {"us": "2", "uk": "6", "eu": "34", "jp": "5", "cn": "S", "chest_cm": 84, "waist_cm": 65, "hips_cm": 90, "ranges": {"chest_cm": [82.5, 85], "waist_cm": [63.5, 66], "hips_cm": [89, 91.5]}},
+      {"us": "4", "uk": "8", "eu": "36", "jp": "7", "cn": "M", "chest_cm": 86, "waist_cm": 67, "hips_cm": 93, "ranges": {"chest_cm": [85, 87.5], "waist_cm": [66, 68.5], "hips_cm": [91.5, 94]}},
+      {"us": "6", "uk": "10", "eu": "38", "jp": "9", "cn": "L", "chest_cm": 89, "waist_cm": 70, "hips_cm": 95, "ranges": {"chest_cm": [87.5, 90], "waist_cm": [68.5, 71], "hips_cm": [94, 96.5]}},
+      {"us": "8", "uk": "12", "eu": "40", "jp": "11", "cn": "XL", "chest_cm": 91, "waist_cm": 72, "hips_cm": 98, "ranges": {"chest_cm": [90, 92.5], "waist_cm": [71, 73.5], "hips_cm": [96.5, 99]}},
+      {"us": "10", "uk": "14", "eu": "42", "jp": "13", "cn": "XXL", "chest_cm": 94, "waist_cm": 75, "hips_cm": 100, "ranges": {"chest_cm": [92.5, 96], "waist_cm": [73.5, 77], "hips_cm": [99, 102]}},
+      {"us": "12", "uk": "16", "eu": "44", "jp": "15", "cn": "XXXL", "chest_cm": 98, "waist_cm": 79, "hips_cm": 104, "ranges": {"chest_cm": [96, 100], "waist_cm": [77, 81], "hips_cm": [102, 106]}},
+      {"us": "14", "uk": "18", "eu": "46", "jp": "17", "cn": "XXXXL", "chest_cm": 102, "waist_cm": 83, "hips_cm": 108, "ranges": {"chest_cm": [100, 103.5], "waist_cm": [81, 84.5], "hips_cm": [106, 110]}},
+      {"us": "16", "uk": "20", "eu": "48", "jp": "19", "cn": "XXXXXL", "chest_cm": 105, "waist_cm": 86, "hips_cm": 112, "ranges": {"chest_cm": [103.5, 106.5], "waist_cm": [84.5, 87.5], "hips_cm": [110, 114]}}
+    ],
+    "bras": [
+      {"us": "30A", "uk": "30A", "eu": "65A", "jp": "A65", "cn": "65A", "fr": "80A", "au": "8A", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 65, "bust_cm": 78, "ranges": {"underbust_cm": [62.5, 67.5], "bust_cm": [77, 79]}},
+      {"us": "30B", "uk": "30B", "eu": "65B", "jp": "B65", "cn": "65B", "fr": "80B", "au": "8B", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 65, "bust_cm": 80, "ranges": {"underbust_cm": [62.5, 67.5], "bust_cm": [79, 81]}},
+      {"us": "30C", "uk": "30C", "eu": "65C", "jp": "C65", "cn": "65C", "fr": "80C", "au": "8C", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 65, "bust_cm": 82, "ranges": {"underbust_cm": [62.5, 67.5], "bust_cm": [81, 83]}},
+      {"us": "30D", "uk": "30D", "eu": "65D", "jp": "D65", "cn": "65D", "fr": "80D", "au": "8D", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 65, "bust_cm": 84, "ranges": {"underbust_cm": [62.5, 67.5], "bust_cm": [83, 85]}},
+      {"us": "30DD", "uk": "30DD", "eu": "65E", "jp": "E65", "cn": "65E", "fr": "80E", "au": "8DD", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 65, "bust_cm": 86, "ranges": {"underbust_cm": [62.5, 67.5], "bust_cm": [85, 87]}},
+      {"us": "30DDD", "uk": "30E", "eu": "65F", "jp": "F65", "cn": "65F", "fr": "80F", "au": "8E", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 65, "bust_cm": 88, "ranges": {"underbust_cm": [62.5, 67.5], "bust_cm": [87, 89]}},
+      {"us": "30G", "uk": "30F", "eu": "65G", "jp": "G65", "cn": "65G", "fr": "80G", "au": "8F", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 65, "bust_cm": 90, "ranges": {"underbust_cm": [62.5, 67.5], "bust_cm": [89, 91]}},
+      {"us": "32A", "uk": "32A", "eu": "70A", "jp": "A70", "cn": "70A", "fr": "85A", "au": "10A", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 70, "bust_cm": 83, "ranges": {"underbust_cm": [67.5, 72.5], "bust_cm": [82, 84]}},
+      {"us": "32B", "uk": "32B", "eu": "70B", "jp": "B70", "cn": "70B", "fr": "85B", "au": "10B", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 70, "bust_cm": 85, "ranges": {"underbust_cm": [67.5, 72.5], "bust_cm": [84, 86]}},
+      {"us": "32C", "uk": "32C", "eu": "70C", "jp": "C70", "cn": "70C", "fr": "85C", "au": "10C", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 70, "bust_cm": 87, "ranges": {"underbust_cm": [67.5, 72.5], "bust_cm": [86, 88]}},
+      {"us": "32D", "uk": "32D", "eu": "70D", "jp": "D70", "cn": "70D", "fr": "85D", "au": "10D", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 70, "bust_cm": 89, "ranges": {"underbust_cm": [67.5, 72.5], "bust_cm": [88, 90]}},
+      {"us": "32DD", "uk": "32DD", "eu": "70E", "jp": "E70", "cn": "70E", "fr": "85E", "au": "10DD", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 70, "bust_cm": 91, "ranges": {"underbust_cm": [67.5, 72.5], "bust_cm": [90, 92]}},
+      {"us": "32DDD", "uk": "32E", "eu": "70F", "jp": "F70", "cn": "70F", "fr": "85F", "au": "10E", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 70, "bust_cm": 93, "ranges": {"underbust_cm": [67.5, 72.5], "bust_cm": [92, 94]}},
+      {"us": "32G", "uk": "32F", "eu": "70G", "jp": "G70", "cn": "70G", "fr": "85G", "au": "10F", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 70, "bust_cm": 95, "ranges": {"underbust_cm": [67.5, 72.5], "bust_cm": [94, 96]}},
+      {"us": "34A", "uk": "34A", "eu": "75A", "jp": "A75", "cn": "75A", "fr": "90A", "au": "12A", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 75, "bust_cm": 88, "ranges": {"underbust_cm": [72.5, 77.5], "bust_cm": [87, 89]}},
+      {"us": "34B", "uk": "34B", "eu": "75B", "jp": "B75", "cn": "75B", "fr": "90B", "au": "12B", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 75, "bust_cm": 90, "ranges": {"underbust_cm": [72.5, 77.5], "bust_cm": [89, 91]}},
+      {"us": "34C", "uk": "34C", "eu": "75C", "jp": "C75", "cn": "75C", "fr": "90C", "au": "12C", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 75, "bust_cm": 92, "ranges": {"underbust_cm": [72.5, 77.5], "bust_cm": [91, 93]}},
+      {"us": "34D", "uk": "34D", "eu": "75D", "jp": "D75", "cn": "75D", "fr": "90D", "au": "12D", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 75, "bust_cm": 94, "ranges": {"underbust_cm": [72.5, 77.5], "bust_cm": [93, 95]}},
+      {"us": "34DD", "uk": "34DD", "eu": "75E", "jp": "E75", "cn": "75E", "fr": "90E", "au": "12DD", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 75, "bust_cm": 96, "ranges": {"underbust_cm": [72.5, 77.5], "bust_cm": [95, 97]}},
+      {"us": "34DDD", "uk": "34E", "eu": "75F", "jp": "F75", "cn": "75F", "fr": "90F", "au": "12E", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 75, "bust_cm": 98, "ranges": {"underbust_cm": [72.5, 77.5], "bust_cm": [97, 99]}},
+      {"us": "34G", "uk": "34F", "eu": "75G", "jp": "G75", "cn": "75G", "fr": "90G", "au": "12F", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 75, "bust_cm": 100, "ranges": {"underbust_cm": [72.5, 77.5], "bust_cm": [99, 101]}},
+      {"us": "36A", "uk": "36A", "eu": "80A", "jp": "A80", "cn": "80A", "fr": "95A", "au": "14A", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 80, "bust_cm": 93, "ranges": {"underbust_cm": [77.5, 82.5], "bust_cm": [92, 94]}},
+      {"us": "36B", "uk": "36B", "eu": "80B", "jp": "B80", "cn": "80B", "fr": "95B", "au": "14B", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 80, "bust_cm": 95, "ranges": {"underbust_cm": [77.5, 82.5], "bust_cm": [94, 96]}},
+      {"us": "36C", "uk": "36C", "eu": "80C", "jp": "C80", "cn": "80C", "fr": "95C", "au": "14C", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 80, "bust_cm": 97, "ranges": {"underbust_cm": [77.5, 82.5], "bust_cm": [96, 98]}},
+      {"us": "36D", "uk": "36D", "eu": "80D", "jp": "D80", "cn": "80D", "fr": "95D", "au": "14D", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 80, "bust_cm": 99, "ranges": {"underbust_cm": [77.5, 82.5], "bust_cm": [98, 100]}},
+      {"us": "36DD", "uk": "36DD", "eu": "80E", "jp": "E80", "cn": "80E", "fr": "95E", "au": "14DD", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 80, "bust_cm": 101, "ranges": {"underbust_cm": [77.5, 82.5], "bust_cm": [100, 102]}},
+      {"us": "36DDD", "uk": "36E", "eu": "80F", "jp": "F80", "cn": "80F", "fr": "95F", "au": "14E", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 80, "bust_cm": 103, "ranges": {"underbust_cm": [77.5, 82.5], "bust_cm": [102, 104]}},
+      {"us": "36G", "uk": "36F", "eu": "80G", "jp": "G80", "cn": "80G", "fr": "95G", "au": "14F", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 80, "bust_cm": 105, "ranges": {"underbust_cm": [77.5, 82.5], "bust_cm": [104, 106]}},
+      {"us": "38A", "uk": "38A", "eu": "85A", "jp": "A85", "cn": "85A", "fr": "100A", "au": "16A", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 85, "bust_cm": 98, "ranges": {"underbust_cm": [82.5, 87.5], "bust_cm": [97, 99]}},
+      {"us": "38B", "uk": "38B", "eu": "85B", "jp": "B85", "cn": "85B", "fr": "100B", "au": "16B", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 85, "bust_cm": 100, "ranges": {"underbust_cm": [82.5, 87.5], "bust_cm": [99, 101]}},
+      {"us": "38C", "uk": "38C", "eu": "85C", "jp": "C85", "cn": "85C", "fr": "100C", "au": "16C", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 85, "bust_cm": 102, "ranges": {"underbust_cm": [82.5, 87.5], "bust_cm": [101, 103]}},
+      {"us": "38D", "uk": "38D", "eu": "85D", "jp": "D85", "cn": "85D", "fr": "100D", "au": "16D", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 85, "bust_cm": 104, "ranges": {"underbust_cm": [82.5, 87.5], "bust_cm": [103, 105]}},
+      {"us": "38DD", "uk": "38DD", "eu": "85E", "jp": "E85", "cn": "85E", "fr": "100E", "au": "16DD", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 85, "bust_cm": 106, "ranges": {"underbust_cm": [82.5, 87.5], "bust_cm": [105, 107]}},
+      {"us": "38DDD", "uk": "38E", "eu": "85F", "jp": "F85", "cn": "85F", "fr": "100F", "au": "16E", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 85, "bust_cm": 108, "ranges": {"underbust_cm": [82.5, 87.5], "bust_cm": [107, 109]}},
+      {"us": "38G", "uk": "38F", "eu": "85G", "jp": "G85", "cn": "85G", "fr": "100G", "au": "16F", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 85, "bust_cm": 110, "ranges": {"underbust_cm": [82.5, 87.5], "bust_cm": [109, 111]}},
+      {"us": "40A", "uk": "40A", "eu": "90A", "jp": "A90", "cn": "90A", "fr": "105A", "au": "18A", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 90, "bust_cm": 103, "ranges": {"underbust_cm": [87.5, 92.5], "bust_cm": [102, 104]}},
+      {"us": "40B", "uk": "40B", "eu": "90B", "jp": "B90", "cn": "90B", "fr": "105B", "au": "18B", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 90, "bust_cm": 105, "ranges": {"underbust_cm": [87.5, 92.5], "bust_cm": [104, 106]}},
+      {"us": "40C", "uk": "40C", "eu": "90C", "jp": "C90", "cn": "90C", "fr": "105C", "au": "18C", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 90, "bust_cm": 107, "ranges": {"underbust_cm": [87.5, 92.5], "bust_cm": [106, 108]}},
+      {"us": "40D", "uk": "40D", "eu": "90D", "jp": "D90", "cn": "90D", "fr": "105D", "au": "18D", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 90, "bust_cm": 109, "ranges": {"underbust_cm": [87.5, 92.5], "bust_cm": [108, 110]}},
+      {"us": "40DD", "uk": "40DD", "eu": "90E", "jp": "E90", "cn": "90E", "fr": "105E", "au": "18DD", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 90, "bust_cm": 111, "ranges": {"underbust_cm": [87.5, 92.5], "bust_cm": [110, 112]}},
+      {"us": "40DDD", "uk": "40E", "eu": "90F", "jp": "F90", "cn": "90F", "fr": "105F", "au": "18E", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 90, "bust_cm": 113, "ranges": {"underbust_cm": [87.5, 92.5], "bust_cm": [112, 114]}},
+      {"us": "40G", "uk": "40F", "eu": "90G", "jp": "G90", "cn": "90G", "fr": "105G", "au": "18F", "chest_cm": 0, "waist_cm": 0, "hips_cm": 0, "underbust_cm": 90, "bust_cm": 115, "ranges": {"underbust_cm": [87.5, 92.5], "bust_cm": [114, 116]}}
+    ],
+    "swimwear": [
+      {"us": "XS", "uk": "6", "eu": "34", "jp": "S", "cn": "S", "chest_cm": 81, "waist_cm": 61, "hips_cm": 86, "ranges": {"chest_cm": [78.5, 83.5], "waist_cm": [58.5, 63.5], "hips_cm": [83.5, 88.5]}},
+      {"us": "S", "uk": "8", "eu": "36", "jp": "M", "cn": "M", "chest_cm": 86, "waist_cm": 66, "hips_cm": 91, "ranges": {"chest_cm": [83.5, 88.5], "waist_cm": [63.5, 68.5], "hips_cm": [88.5, 93.5]}},
+      {"us": "M", "uk": "10", "eu": "38", "jp": "L", "cn": "L", "chest_cm": 91, "waist_cm": 71, "hips_cm": 96, "ranges": {"chest_cm": [88.5, 93.5], "waist_cm": [68.5, 73.5], "hips_cm": [93.5, 98.5]}},
+      {"us": "L", "uk": "12", "eu": "40", "jp": "XL", "cn": "XL", "chest_cm": 96, "waist_cm": 76, "hips_cm": 101, "ranges": {"chest_cm": [93.5, 98.5], "waist_cm": [73.5, 78.5], "hips_cm": [98.5, 103.5]}},
+      {"us": "XL", "uk": "14", "eu": "42", "jp": "XXL", "cn": "XXL", "chest_cm": 101, "waist_cm": 81, "hips_cm": 106, "ranges": {"chest_cm": [98.5, 103.5], "waist_cm": [78.5, 83.5], "hips_cm": [103.5, 108.5]}},
+      {"us": "XXL", "uk": "16", "eu": "44", "jp": "XXXL", "cn": "XXXL", "chest_cm": 106, "waist_cm": 86, "hips_cm": 111, "ranges": {"chest_cm": [103.5, 108.5], "waist_cm": [83.5, 88.5], "hips_cm": [108.5, 113.5]}}
     ]
   },
   "kids": {
     "tops": [
-      {"us": "4", "uk": "4", "eu": "110", "jp": "110", "cn": "110", "chest_cm": 56, "waist_cm": 51, "hips_cm": 61},
-      {"us": "5", "uk": "5", "eu": "120", "jp": "120", "cn": "120", "chest_cm": 61, "waist_cm": 56, "hips_cm": 66},
-      {"us": "6", "uk": "6", "eu": "130", "jp": "130", "cn": "130", "chest_cm": 66, "waist_cm": 61, "hips_cm": 71},
-      {"us": "7", "uk": "7", "eu": "140", "jp": "140", "cn": "140", "chest_cm": 71, "waist_cm": 66, "hips_cm": 76},
-      {"us": "8", "uk": "8", "eu": "150", "jp": "150", "cn": "150", "chest_cm": 76, "waist_cm": 71, "hips_cm": 81},
-      {"us": "10", "uk": "10", "eu": "160", "jp": "160", "cn": "160", "chest_cm": 81, "waist_cm": 76, "hips_cm": 86},
-      {"us": "12", "uk": "12", "eu": "170", "jp": "170", "cn": "170", "chest_cm": 86, "waist_cm": 81, "hips_cm": 91},
-      {"us": "14", "uk": "14", "eu": "180", "jp": "180", "cn": "180", "chest_cm": 91, "waist_cm": 86, "hips_cm": 96}
+      {"us": "4", "uk": "4", "eu": "110", "jp": "110", "cn": "110", "chest_cm": 56, "waist_cm": 51, "hips_cm": 61, "ranges": {"chest_cm": [53.5, 58.5], "waist_cm": [48.5, 53.5], "hips_cm": [58.5, 63.5], "height_cm": [105, 115]}},
+      {"us": "5", "uk": "5", "eu": "120", "jp": "120", "cn": "120", "chest_cm": 61, "waist_cm": 56, "hips_cm": 66, "ranges": {"chest_cm": [58.5, 63.5], "waist_cm": [53.5, 58.5], "hips_cm": [63.5, 68.5], "height_cm": [115, 125]}},
+      {"us": "6", "uk": "6", "eu": "130", "jp": "130", "cn": "130", "chest_cm": 66, "waist_cm": 61, "hips_cm": 71, "ranges": {"chest_cm": [63.5, 68.5], "waist_cm": [58.5, 63.5], "hips_cm": [68.5, 73.5], "height_cm": [125, 135]}},
+      {"us": "7", "uk": "7", "eu": "140", "jp": "140", "cn": "140", "chest_cm": 71, "waist_cm": 66, "hips_cm": 76, "ranges": {"chest_cm": [68.5, 73.5], "waist_cm": [63.5, 68.5], "hips_cm": [73.5, 78.5], "height_cm": [135, 145]}},
+      {"us": "8", "uk": "8", "eu": "150", "jp": "150", "cn": "150", "chest_cm": 76, "waist_cm": 71, "hips_cm": 81, "ranges": {"chest_cm": [73.5, 78.5], "waist_cm": [68.5, 73.5], "hips_cm": [78.5, 83.5], "height_cm": [145, 155]}},
+      {"us": "10", "uk": "10", "eu": "160", "jp": "160", "cn": "160", "chest_cm": 81, "waist_cm": 76, "hips_cm": 86, "ranges": {"chest_cm": [78.5, 83.5], "waist_cm": [73.5, 78.5], "hips_cm": [83.5, 88.5], "height_cm": [155, 165]}},
+      {"us": "12", "uk": "12", "eu": "170", "jp": "170", "cn": "170", "chest_cm": 86, "waist_cm": 81, "hips_cm": 91, "ranges": {"chest_cm": [83.5, 88.5], "waist_cm": [78.5, 83.5], "hips_cm": [88.5, 93.5], "height_cm": [165, 175]}},
+      {"us": "14", "uk": "14", "eu": "180", "jp": "180", "cn": "180", "chest_cm": 91, "waist_cm": 86, "hips_cm": 96, "ranges": {"chest_cm": [88.5, 93.5], "waist_cm": [83.5, 88.5], "hips_cm": [93.5, 98.5], "height_cm": [175, 185]}}
     ],
     "pants": [
-      {"us": "4", "uk": "4", "eu": "110", "jp": "110", "cn": "110", "chest_cm": 0, "waist_cm": 51, "hips_cm": 61},
-      {"us": "5", "uk": "5", "eu": "120", "jp": "120", "cn": "120", "chest_cm": 0, "waist_cm": 56, "hips_cm": 66},
-      {"us": "6", "uk": "6", "eu": "130", "jp": "130", "cn": "130", "chest_cm": 0, "waist_cm": 61, "hips_cm": 71},
-      {"us": "7", "uk": "7", "eu": "140", "jp": "140", "cn": "140", "chest_cm": 0, "waist_cm": 66, "hips_cm": 76},
-      {"us": "8", "uk": "8", "eu": "150", "jp": "150", "cn": "150", "chest_cm": 0, "waist_cm": 71, "hips_cm": 81},
-      {"us": "10", "uk": "10", "eu": "160", "jp": "160", "cn": "160", "chest_cm": 0, "waist_cm": 76, "hips_cm": 86},
-      {"us": "12", "uk": "12", "eu": "170", "jp": "170", "cn": "170", "chest_cm": 0, "waist_cm": 81, "hips_cm": 91},
-      {"us": "14", "uk": "14", "eu": "180", "jp": "180", "cn": "180", "chest_cm": 0, "waist_cm": 86, "hips_cm": 96}
+      {"us": "4", "uk": "4", "eu": "110", "jp": "110", "cn": "110", "chest_cm": 0, "waist_cm": 51, "hips_cm": 61, "ranges": {"waist_cm": [48.5, 53.5], "hips_cm": [58.5, 63.5], "inseam_cm": [42, 46], "height_cm": [105, 115]}},
+      {"us": "5", "uk": "5", "eu": "120", "jp": "120", "cn": "120", "chest_cm": 0, "waist_cm": 56, "hips_cm": 66, "ranges": {"waist_cm": [53.5, 58.5], "hips_cm": [63.5, 68.5], "inseam_cm": [46, 50], "height_cm": [115, 125]}},
+      {"us": "6", "uk": "6", "eu": "130", "jp": "130", "cn": "130", "chest_cm": 0, "waist_cm": 61, "hips_cm": 71, "ranges": {"waist_cm": [58.5, 63.5], "hips_cm": [68.5, 73.5], "inseam_cm": [50, 54.5], "height_cm": [125, 135]}},
+      {"us": "7", "uk": "7", "eu": "140", "jp": "140", "cn": "140", "chest_cm": 0, "waist_cm": 66, "hips_cm": 76, "ranges": {"waist_cm": [63.5, 68.5], "hips_cm": [73.5, 78.5], "inseam_cm": [54.5, 59.5], "height_cm": [135, 145]}},
+      {"us": "8", "uk": "8", "eu": "150", "jp": "150", "cn": "150", "chest_cm": 0, "waist_cm": 71, "hips_cm": 81, "ranges": {"waist_cm": [68.5, 73.5], "hips_cm": [78.5, 83.5], "inseam_cm": [59.5, 64], "height_cm": [145, 155]}},
+      {"us": "10", "uk": "10", "eu": "160", "jp": "160", "cn": "160", "chest_cm": 0, "waist_cm": 76, "hips_cm": 86, "ranges": {"waist_cm": [73.5, 78.5], "hips_cm": [83.5, 88.5], "inseam_cm": [64, 68], "height_cm": [155, 165]}},
+      {"us": "12", "uk": "12", "eu": "170", "jp": "170", "cn": "170", "chest_cm": 0, "waist_cm": 81, "hips_cm": 91, "ranges": {"waist_cm": [78.5, 83.5], "hips_cm": [88.5, 93.5], "inseam_cm": [68, 72.5], "height_cm": [165, 175]}},
+      {"us": "14", "uk": "14", "eu": "180", "jp": "180", "cn": "180", "chest_cm": 0, "waist_cm": 86, "hips_cm": 96, "ranges": {"waist_cm": [83.5, 88.5], "hips_cm": [93.5, 98.5], "inseam_cm": [72.5, 77.5], "height_cm": [175, 185]}}
     ]
   }
 };
 
-const embeddedBrandsData = {
-  tops: {
-    men: [
-      { name: 'Nike', fit: 'runs_large' },
-      { name: 'Uniqlo', fit: 'true_to_size' }
-    ],
-    women: [
-      { name: 'Zara', fit: 'runs_small' },
-      { name: 'H&M', fit: 'true_to_size' },
-      { name: 'Nike', fit: 'runs_large' },
-      { name: 'Uniqlo', fit: 'true_to_size' }
-    ],
-    kids: []
-  },
-  pants: {
-    men: [
-      { name: "Levi's", fit: 'true_to_size' },
-      { name: 'Wrangler', fit: 'runs_small' }
-    ],
-    women: [
-      { name: 'H&M', fit: 'true_to_size' },
-      { name: 'Uniqlo', fit: 'true_to_size' }
-    ],
-    kids: []
-  },
-  dresses: {
-    women: [
-      { name: 'Zara', fit: 'runs_small' },
-      { name: 'H&M', fit: 'true_to_size' }
-    ],
-    men: [],
-    kids: []
+// Canonical brand fit registry (data/brand_registry.json)
+const embeddedBrandRegistry = {
+  "brands": {
+    "Nike": {
+      "aliases": [],
+      "guide": {"slug": "nike-size-guide", "focus": "shoes", "fit_note": "Nike shoes often run narrow and slightly short; many buyers go half a size up. Width options exist for some running models."},
+      "fit": {
+        "shoes": {
+          "genders": {"men": "runs_small", "women": "runs_small", "kids": "true_to_size"},
+          "width": {"last": "narrow", "wide_options": true},
+          "confidence": 0.9,
+          "source": "Nike size chart vs. the standard last and customer fit reviews; kids' lines follow the chart."
+        },
+        "tops": {
+          "genders": {"men": "runs_large", "women": "runs_large"},
+          "confidence": 0.6,
+          "source": "Athletic tops are cut roomy for layering; based on Nike apparel chart measurements."
+        }
+      }
+    },
+    "Adidas": {
+      "aliases": [],
+      "guide": {"slug": "adidas-size-guide", "focus": "shoes", "fit_note": "Adidas tends to run true to size with a medium width; some running and soccer styles run long. Check product-specific fit notes."},
+      "fit": {
+        "shoes": {
+          "genders": {"men": "true_to_size", "women": "true_to_size", "kids": "true_to_size"},
+          "width": {"last": "standard", "wide_options": false},
+          "confidence": 0.7,
+          "source": "Standard Adidas last matches the chart; model exceptions (Ultraboost, Samba, Stan Smith) live in brand_shoe_offsets.json. Replaces the older runs_small note."
+        }
+      }
+    },
+    "Zara": {
+      "aliases": [],
+      "guide": {"slug": "zara-size-guide", "focus": "clothing"},
+      "fit": {
+        "tops": {
+          "genders": {"men": "runs_small", "women": "runs_small"},
+          "confidence": 0.85,
+          "source": "European slim cuts; Zara chart measurements sit below US equivalents."
+        },
+        "pants": {
+          "genders": {"women": "runs_small"},
+          "confidence": 0.8,
+          "source": "European slim cuts; Zara chart measurements sit below US equivalents."
+        },
+        "dresses": {
+          "genders": {"women": "runs_small"},
+          "confidence": 0.85,
+          "source": "European slim cuts; Zara chart measurements sit below US equivalents."
+        }
+      }
+    },
+    "H&M": {
+      "aliases": ["hm", "h and m"],
+      "guide": {"slug": "hm-size-guide", "focus": "clothing"},
+      "fit": {
+        "tops": {
+          "genders": {"men": "true_to_size", "women": "true_to_size"},
+          "confidence": 0.75,
+          "source": "H&M EU chart lines up with the standard conversion rows."
+        },
+        "pants": {
+          "genders": {"women": "true_to_size"},
+          "confidence": 0.7,
+          "source": "H&M EU chart lines up with the standard conversion rows."
+        },
+        "dresses": {
+          "genders": {"women": "true_to_size"},
+          "confidence": 0.7,
+          "source": "H&M EU chart lines up with the standard conversion rows."
+        }
+      }
+    },
+    "New Balance": {
+      "aliases": [],
+      "guide": {"slug": "new-balance-size-guide", "focus": "shoes", "fit_note": "New Balance is known for wide width availability (2E, 4E). Standard width runs true to size for many."},
+      "fit": {
+        "shoes": {
+          "genders": {"men": "true_to_size", "women": "true_to_size"},
+          "width": {"last": "standard", "wide_options": true},
+          "confidence": 0.85,
+          "source": "Length matches the chart; women's running lasts feel narrow, so choose a width (D, 2E) rather than a longer size."
+        }
+      }
+    },
+    "Puma": {
+      "aliases": [],
+      "guide": {"slug": "puma-size-guide", "focus": "shoes", "fit_note": "Puma shoes typically run true to size with a medium width; some lifestyle models run slightly large."},
+      "fit": {
+        "shoes": {
+          "genders": {"men": "true_to_size", "women": "true_to_size"},
+          "width": {"last": "standard", "wide_options": false},
+          "confidence": 0.8,
+          "source": "Puma size chart vs. the standard last."
+        }
+      }
+    },
+    "Reebok": {
+      "aliases": [],
+      "guide": {"slug": "reebok-size-guide", "focus": "shoes", "fit_note": "Reebok athletic shoes often run true to size; classic styles may run slightly large. Width options available for some lines."},
+      "fit": {
+        "shoes": {
+          "genders": {"men": "true_to_size", "women": "true_to_size"},
+          "width": {"last": "standard", "wide_options": true},
+          "confidence": 0.7,
+          "source": "Reebok size chart vs. the standard last."
+        }
+      }
+    },
+    "Vans": {
+      "aliases": [],
+      "guide": {"slug": "vans-size-guide", "focus": "shoes", "fit_note": "Vans sneakers often run slightly long; many buyers go half a size down. Canvas uppers feel snug at first and break in."},
+      "fit": {
+        "shoes": {
+          "genders": {"men": "runs_large", "women": "runs_large", "kids": "runs_large"},
+          "confidence": 0.75,
+          "source": "Vans lasts measure longer than the chart; matches the -0.5 cm default in brand_shoe_offsets.json."
+        }
+      }
+    },
+    "Converse": {
+      "aliases": [],
+      "guide": {"slug": "converse-size-guide", "focus": "shoes", "fit_note": "Converse Chuck Taylors often run large; many buyers size down half. Newer lines may fit differently—check reviews."},
+      "fit": {
+        "shoes": {
+          "genders": {"men": "runs_large", "women": "runs_large"},
+          "confidence": 0.8,
+          "source": "Chuck Taylor last measures longer than the chart."
+        }
+      }
+    },
+    "ASICS": {
+      "aliases": [],
+      "guide": {"slug": "asics-size-guide", "focus": "shoes", "fit_note": "ASICS running lasts run slightly short; many runners go half a size up. Multiple widths are available; consider wide (2E) if you have wider feet."},
+      "fit": {
+        "shoes": {
+          "genders": {"men": "runs_small", "women": "runs_small", "kids": "true_to_size"},
+          "width": {"last": "standard", "wide_options": true},
+          "confidence": 0.7,
+          "source": "Running lasts measure shorter than the chart; matches the +0.5 cm default in brand_shoe_offsets.json."
+        }
+      }
+    },
+    "Uniqlo": {
+      "aliases": [],
+      "fit": {
+        "tops": {
+          "genders": {"men": "runs_small", "women": "runs_small"},
+          "confidence": 0.7,
+          "source": "Japanese pattern blocks are cut shorter and narrower than US equivalents. Replaces the older true_to_size note in brands.json."
+        },
+        "pants": {
+          "genders": {"women": "true_to_size"},
+          "confidence": 0.6,
+          "source": "Waist measurements line up with the standard conversion rows."
+        }
+      }
+    },
+    "Levi's": {
+      "aliases": ["levis"],
+      "fit": {
+        "pants": {
+          "genders": {"men": "runs_large", "women": "true_to_size"},
+          "confidence": 0.6,
+          "source": "Men's waist labels measure larger than the stated size; women's follow the chart. Replaces the older true_to_size note for men."
+        }
+      }
+    },
+    "Wrangler": {
+      "aliases": [],
+      "fit": {
+        "pants": {
+          "genders": {"men": "runs_small"},
+          "confidence": 0.6,
+          "source": "Rigid denim cuts measure at or below the stated waist."
+        }
+      }
+    },
+    "Shein": {
+      "aliases": [],
+      "fit": {
+        "pants": {
+          "genders": {"women": "runs_small"},
+          "confidence": 0.8,
+          "source": "Asian-market pattern blocks; chart measurements sit below US equivalents."
+        },
+        "dresses": {
+          "genders": {"women": "runs_small"},
+          "confidence": 0.8,
+          "source": "Asian-market pattern blocks; chart measurements sit below US equivalents."
+        }
+      }
+    },
+    "ASOS": {
+      "aliases": [],
+      "fit": {
+        "tops": {
+          "genders": {"men": "true_to_size"},
+          "confidence": 0.75,
+          "source": "ASOS UK chart lines up with the standard conversion rows."
+        },
+        "dresses": {
+          "genders": {"women": "true_to_size"},
+          "confidence": 0.75,
+          "source": "ASOS UK chart lines up with the standard conversion rows."
+        }
+      }
+    }
   }
 };
 
+// Regions keyed by region_code (data/regions.json)
 const embeddedRegionsData = {
   "US": {"region_code": "US", "region_name": "United States", "sizing_notes": "US sizing uses numeric sizes for shoes and letter sizes (XS-XXXL) or numeric waist sizes for clothing. Men's and women's sizing are separate."},
   "UK": {"region_code": "UK", "region_name": "United Kingdom", "sizing_notes": "UK shoe sizes are typically 1 size smaller than US. Clothing uses UK-specific numeric sizes that differ from US."},
   "EU": {"region_code": "EU", "region_name": "European Union", "sizing_notes": "EU uses metric-based sizing. Shoe sizes are typically 1-1.5 sizes larger than US. Clothing uses numeric sizes (32-52 for women, 42-56+ for men)."},
   "JP": {"region_code": "JP", "region_name": "Japan", "sizing_notes": "Japanese sizing runs smaller than US/EU. Shoe sizes use centimeter-based measurements. Clothing uses S/M/L/XL system but smaller than Western equivalents."},
   "CN": {"region_code": "CN", "region_name": "China", "sizing_notes": "Chinese sizing is similar to Japanese but may vary by brand. Generally runs smaller than US/EU sizes. Uses metric measurements."},
+  "KR": {"region_code": "KR", "region_name": "South Korea", "sizing_notes": "Korean shoe sizes are foot length in millimetres (265 = 26.5 cm) and use the same scale for men, women and kids. Shoe sizing only; Korean clothing sizes are not covered yet."},
+  "MX": {"region_code": "MX", "region_name": "Mexico", "sizing_notes": "Mexican shoe sizes follow foot length in centimetres (talla 26 fits a 26 cm foot), so they track the CM column. Shoe sizing only."},
+  "BR": {"region_code": "BR", "region_name": "Brazil", "sizing_notes": "Brazilian shoe sizes run about two numbers below EU (EU 42 is BR 40). Some brands round half sizes to the nearest whole size. Shoe sizing only."},
+  "AU": {"region_code": "AU", "region_name": "Australia", "sizing_notes": "Australian men's and kids' shoes use UK sizing; women's shoes usually follow US women's sizing. Bras use UK cups with a band number 22 below the US band (US 34C is AU 12C)."},
+  "FR": {"region_code": "FR", "region_name": "France", "sizing_notes": "French clothing follows EU numbers for most garments. Bras use EU cups with a band 15 above the EU band (EU 75B is FR 90B). Clothing sizing only."},
   "CM": {"region_code": "CM", "region_name": "Centimeters", "sizing_notes": "Direct foot length measurement in centimeters. Most accurate method for shoe sizing. Measure from heel to longest toe."}
 };
 
+// Brand shoe overrides (data/brand_shoe_offsets.json): cm offset applied before the closest-row lookup
+const embeddedBrandShoeOffsets = {
+  "brands": {
+    "Nike": {
+      "default": {
+        "men": {"cm_offset": 0.5, "reason": "Nike lasts run short and narrow; most wearers go half a size up."},
+        "women": {"cm_offset": 0.5, "reason": "Nike lasts run short and narrow; most wearers go half a size up."},
+        "kids": {"cm_offset": 0, "reason": "Nike kids' shoes follow the standard chart."}
+      },
+      "models": {
+        "Air Force 1": {
+          "all": {"cm_offset": 0, "reason": "Air Force 1 runs roomier than other Nike shoes; the standard size fits most feet."}
+        },
+        "Air Jordan 1": {
+          "all": {"cm_offset": 0, "reason": "Air Jordan 1 fits true to the standard chart."}
+        },
+        "Pegasus": {
+          "men": {"cm_offset": 0.5, "reason": "Pegasus running fit is snug in the toe box; half a size up leaves room for swelling."},
+          "women": {"cm_offset": 0.5, "reason": "Pegasus running fit is snug in the toe box; half a size up leaves room for swelling."}
+        }
+      }
+    },
+    "Adidas": {
+      "default": {
+        "all": {"cm_offset": 0, "reason": "Most Adidas shoes follow the standard chart."}
+      },
+      "models": {
+        "Ultraboost": {
+          "all": {"cm_offset": 0.5, "reason": "Ultraboost's knit upper and narrow toe box fit snug; half a size up is common."}
+        },
+        "Samba": {
+          "all": {"cm_offset": -0.5, "reason": "Samba runs long; many wearers go half a size down."}
+        },
+        "Stan Smith": {
+          "all": {"cm_offset": -0.5, "reason": "Stan Smith runs roomy; half a size down suits most feet."}
+        }
+      }
+    },
+    "New Balance": {
+      "default": {
+        "all": {"cm_offset": 0, "reason": "New Balance lasts follow the standard chart."}
+      },
+      "models": {
+        "550": {
+          "all": {"cm_offset": -0.5, "reason": "The 550 runs long; half a size down is common."}
+        },
+        "990": {
+          "all": {"cm_offset": 0, "reason": "The 990 fits true to the standard chart and is offered in widths."}
+        }
+      }
+    },
+    "ASICS": {
+      "default": {
+        "men": {"cm_offset": 0.5, "reason": "ASICS running lasts run slightly short; half a size up leaves a thumb's width at the toe."},
+        "women": {"cm_offset": 0.5, "reason": "ASICS running lasts run slightly short; half a size up leaves a thumb's width at the toe."},
+        "kids": {"cm_offset": 0, "reason": "ASICS kids' shoes follow the standard chart."}
+      },
+      "models": {
+        "Gel-Lyte III": {
+          "all": {"cm_offset": 0, "reason": "Gel-Lyte III is a lifestyle last and fits true to the standard chart."}
+        }
+      }
+    },
+    "Vans": {
+      "default": {
+        "all": {"cm_offset": -0.5, "reason": "Vans run slightly long; many wearers go half a size down."}
+      },
+      "models": {
+        "Old Skool": {
+          "all": {"cm_offset": -0.5, "reason": "Old Skool runs slightly long; half a size down suits most feet."}
+        },
+        "UltraRange": {
+          "all": {"cm_offset": 0, "reason": "UltraRange uses a cushioned running last that fits true to the standard chart."}
+        }
+      }
+    }
+  }
+};
+// EMBEDDED-DATA:END
+
 let shoeData = {};
 let clothingData = {};
 let regionsData = {};
-let brandsData = {};
+let brandRegistry = {};
+let brandShoeOffsets = {};
 let dataLoaded = false;
 // Dataset-driven: shoes[gender][region].sizes = [ { value, cm } ]. No synthetic increments.
 let sizeDatabase = { shoes: {}, clothing: {} };
 
-/** Full dropdown labels / aliases → codes (must match shoe DB keys when uppercased). */
-const SHOE_REGION_LABEL_MAP = {
-  'United States (US)': 'US',
-  'United States / Canada (US)': 'US',
-  'United Kingdom (UK)': 'UK',
-  'European Union (EU)': 'EU',
-  'Europe (EU)': 'EU',
-  'Japan (JP)': 'JP',
-  'China (CN)': 'CN',
-  China: 'CN',
-  'Centimeters (CM)': 'CM',
-};
+// ============================================
+// Localisation (messages from scripts/i18n.js)
+// ============================================
+
+/** Page locale: /es/… style path prefix first, then the browser's languages, then English. */
+const UI_LOCALE = I18n.detectLocale(
+  typeof location !== 'undefined' ? location.pathname : '',
+  typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []
+);
+
+/** Market mirror the page belongs to (/uk/, /eu/ …; I18n.MARKETS), null elsewhere. */
+const UI_MARKET = I18n.MARKETS[I18n.marketFromPath(typeof location !== 'undefined' ? location.pathname : '')] || null;
 
-const REGION_NO_DATA_MSG = 'No data available for this region yet.';
+/** Foot lengths and body measurements are shown in inches on the US mirror, cm everywhere else. */
+const UI_UNITS = UI_MARKET?.units || 'cm';
+
+/** Converter message in the page locale (see I18n.MESSAGES for keys). */
+function uiText(key, params) {
+  return I18n.t(UI_LOCALE, key, params);
+}
+
+/** Size or measurement with the page locale's decimal separator (42,5 in de/fr/es/pt). */
+function formatUiNumber(value) {
+  return I18n.formatNumber(value, UI_LOCALE);
+}
+
+/** A length given in cm, in the page's units: "26.5 cm" (compact: "26.5cm") or "10.4 in". */
+function formatUiLength(cm, compact = false) {
+  if (UI_UNITS === 'in') return `${formatUiNumber(SizeEngine.cmToIn(cm))} in`;
+  return `${formatUiNumber(cm)}${compact ? '' : ' '}cm`;
+}
+
+/** A [min, max] body range given in cm, in the page's units: "93.5–98.5cm" or "36.8–38.8 in". */
+function formatUiRange([min, max]) {
+  if (UI_UNITS === 'in') return `${formatUiNumber(SizeEngine.cmToIn(min))}–${formatUiNumber(SizeEngine.cmToIn(max))} in`;
+  return `${formatUiNumber(min)}–${formatUiNumber(max)}cm`;
+}
 
 /**
- * Normalize region for shoe logic (dataset keys are lowercase us, uk, eu, jp, cn, cm).
+ * Normalize region for shoe logic. Delegates to SizeEngine (scripts/size-engine.js).
  * @param {string} raw - option value or label text
- * @returns {string} US | UK | EU | JP | CN | CM | … (uppercase code)
+ * @returns {string} US | UK | EU | JP | CN | KR | MX | BR | AU | CM | … (uppercase code)
  */
 function normalizeShoeRegion(raw) {
-  if (raw == null) return '';
-  const s = String(raw).trim();
-  if (!s) return '';
-  if (Object.prototype.hasOwnProperty.call(SHOE_REGION_LABEL_MAP, s)) {
-    return SHOE_REGION_LABEL_MAP[s];
-  }
-  if (/^china$/i.test(s)) return 'CN';
-  const up = s.toUpperCase();
-  if (/^(US|UK|EU|JP|CN|CM|KR|INCH)$/.test(up)) return up;
-  return up;
+  return SizeEngine.normalizeShoeRegion(raw);
 }
 
 function shoeRegionHasDataset(gender, regionNormUpper) {
-  if (!gender || !regionNormUpper) return false;
-  const r = String(regionNormUpper).toLowerCase();
-  return !!(sizeDatabase.shoes?.[gender]?.[r]?.sizes?.length);
+  return SizeEngine.shoeRegionHasDataset(sizeDatabase, gender, regionNormUpper);
 }
 
-/**
- * Build size database from row data only. No arithmetic generation, no step loops.
- * Shoes: each region gets explicit { value, cm } from rows (CM is universal anchor).
- * Clothing: explicit value lists from rows (letter or numeric from dataset).
- */
+/** Rebuild the module-level size database from the currently loaded datasets. */
 function buildSizeDatabase() {
-  const db = { shoes: {}, clothing: {} };
-  const regionKeys = ['us', 'uk', 'eu', 'jp', 'cn', 'cm'];
-  ['men', 'women', 'kids'].forEach(gender => {
-    if (!shoeData[gender]) return;
-    db.shoes[gender] = {};
-    regionKeys.forEach(rk => {
-      const key = rk.toUpperCase();
-      // Only sizes that exist in the dataset; each has explicit cm from the row
-      const sizes = shoeData[gender]
-        .map(row => ({ value: row[rk], cm: row.cm }))
-        .filter(s => s.value != null && s.cm != null);
-      // Dedupe by value (keep first cm)
-      const seen = new Set();
-      const unique = sizes.filter(s => {
-        const v = s.value;
-        if (seen.has(v)) return false;
-        seen.add(v);
-        return true;
-      });
-      unique.sort((a, b) => {
-        const na = Number(a.value), nb = Number(b.value);
-        if (!isNaN(na) && !isNaN(nb)) return na - nb;
-        return String(a.value).localeCompare(String(b.value));
-      });
-      db.shoes[gender][rk] = { regionCode: key, sizes: unique };
-    });
-  });
-  // Scaffold for future brand override layer (Phase C). Not used yet.
-  db.brands = {
-    Nike: { shoes: { men: { US: { overrides: {} }, EU: { overrides: {} } }, women: { US: { overrides: {} }, EU: { overrides: {} } } } },
-    Adidas: { shoes: { men: { US: { overrides: {} }, EU: { overrides: {} } }, women: { US: { overrides: {} }, EU: { overrides: {} } } } }
-  };
-  ['men', 'women', 'kids'].forEach(gender => {
-    if (!clothingData[gender]) return;
-    db.clothing[gender] = {};
-    ['tops', 'pants', 'dresses'].forEach(cat => {
-      if (!clothingData[gender][cat]) return;
-      db.clothing[gender][cat] = {};
-      ['us', 'uk', 'eu', 'jp', 'cn'].forEach(rk => {
-        const key = rk.toUpperCase();
-        const vals = [...new Set(clothingData[gender][cat].map(e => e[rk]).filter(v => v != null))];
-        db.clothing[gender][cat][key] = vals.map(v => ({ value: v, label: String(v) })).sort((a, b) => {
-          const na = Number(a.value), nb = Number(b.value);
-          if (!isNaN(na) && !isNaN(nb)) return na - nb;
-          return String(a.value).localeCompare(String(b.value));
-        });
-      });
-    });
-  });
-  sizeDatabase = db;
+  sizeDatabase = SizeEngine.buildSizeDatabase(shoeData, clothingData, brandShoeOffsets);
 }
 
 /** Combined hub forms: Category + Clothing Type group (index, regional home pages). */
@@ -296,12 +651,9 @@ function isMainComboForm(form) {
   );
 }
 
-/** Map UI clothing type to `clothing_sizes.json` keys (jackets/skirts alias). */
+/** Map UI clothing type to `clothing_sizes.json` keys (one dataset per type). */
 function resolveClothingDataKey(gender, clothingCategoryUi) {
-  if (!clothingCategoryUi) return null;
-  if (clothingCategoryUi === 'jackets') return 'tops';
-  if (clothingCategoryUi === 'skirts') return 'dresses';
-  return clothingCategoryUi;
+  return SizeEngine.resolveClothingDataKey(gender, clothingCategoryUi);
 }
 
 function resolveBrandCategoryKey(gender, clothingCategoryUi) {
@@ -309,27 +661,31 @@ function resolveBrandCategoryKey(gender, clothingCategoryUi) {
   return k || null;
 }
 
+/** Clothing types the combo converter offers per gender; labels come from the I18n catalogue. */
 const CLOTHING_TYPES_BY_GENDER = {
   men: [
-    { value: 'tops', label: 'Tops' },
-    { value: 'pants', label: 'Pants' },
-    { value: 'jackets', label: 'Jackets' },
+    { value: 'tops', labelKey: 'clothingTops' },
+    { value: 'pants', labelKey: 'clothingPants' },
+    { value: 'shirts', labelKey: 'clothingShirts' },
+    { value: 'jackets', labelKey: 'clothingJackets' },
+    { value: 'swimwear', labelKey: 'clothingSwimwear' },
   ],
   women: [
-    { value: 'tops', label: 'Tops' },
-    { value: 'pants', label: 'Pants' },
-    { value: 'dresses', label: 'Dresses' },
-    { value: 'skirts', label: 'Skirts' },
-    { value: 'jackets', label: 'Jackets' },
+    { value: 'tops', labelKey: 'clothingTops' },
+    { value: 'pants', labelKey: 'clothingPants' },
+    { value: 'dresses', labelKey: 'clothingDresses' },
+    { value: 'skirts', labelKey: 'clothingSkirts' },
+    { value: 'jackets', labelKey: 'clothingJacketsWomen' },
+    { value: 'bras', labelKey: 'clothingBras' },
+    { value: 'swimwear', labelKey: 'clothingSwimwear' },
   ],
   kids: [
-    { value: 'tops', label: 'Tops' },
-    { value: 'pants', label: 'Pants' },
+    { value: 'tops', labelKey: 'clothingTops' },
+    { value: 'pants', labelKey: 'clothingPants' },
   ],
 };
 
-const NO_SIZES_COMBO_MSG =
-  'No sizes available for this combination. Try selecting a different category or gender.';
+const NO_SIZES_COMBO_MSG = uiText('noSizesCombo');
 
 function effectiveGenderForSizes(form, category) {
   const raw = form.querySelector('[name="gender"]')?.value || '';
@@ -348,20 +704,23 @@ function rebuildClothingTypeOptions(form) {
   sel.innerHTML = '';
   const ph = document.createElement('option');
   ph.value = '';
-  ph.textContent = 'Select clothing type';
+  ph.textContent = uiText('selectClothingType');
   ph.disabled = true;
   ph.selected = true;
   sel.appendChild(ph);
   if (category !== 'clothing' || !gender) return;
   const list = CLOTHING_TYPES_BY_GENDER[gender] || [];
-  list.forEach(({ value, label }) => {
+  list.forEach(({ value, labelKey }) => {
     const o = document.createElement('option');
     o.value = value;
-    o.textContent = label;
+    o.textContent = uiText(labelKey);
     sel.appendChild(o);
   });
 }
 
+/** Regions with shoe data only (no clothing columns); hidden from the combo form's clothing mode. */
+const SHOE_ONLY_REGIONS = ['KR', 'MX', 'BR', 'AU', 'CM', 'INCH', 'MP'];
+
 function updateMainConverterFieldDisabled(form) {
   if (!isMainComboForm(form)) return;
   const category = form.querySelector('[name="category"]')?.value;
@@ -372,10 +731,14 @@ function updateMainConverterFieldDisabled(form) {
   const fromRegionSelect = form.querySelector('[name="fromRegion"]');
 
   if (fromRegionSelect) {
-    const cmOption = fromRegionSelect.querySelector('option[value="CM"]');
-    if (cmOption) {
-      cmOption.style.display = category === 'clothing' ? 'none' : 'block';
-    }
+    SHOE_ONLY_REGIONS.forEach((code) => {
+      const opt = fromRegionSelect.querySelector(`option[value="${code}"]`);
+      if (opt) {
+        // hidden alone does not stop Safari's keyboard selection; disabled does
+        opt.hidden = category === 'clothing';
+        opt.disabled = category === 'clothing';
+      }
+    });
   }
 
   if (category === 'shoes') {
@@ -449,18 +812,18 @@ function populateSizeOptions(form) {
   sizeSelect.appendChild(placeholder);
 
   if (isMainComboForm(form) && !gender) {
-    placeholder.textContent = 'Select gender first';
+    placeholder.textContent = uiText('selectGenderFirst');
     updateMainConverterFieldDisabled(form);
     return;
   }
 
   if (isMainComboForm(form) && category === 'clothing' && !clothingCategory) {
-    placeholder.textContent = 'Select clothing type first';
+    placeholder.textContent = uiText('selectClothingTypeFirst');
     updateMainConverterFieldDisabled(form);
     return;
   }
 
-  placeholder.textContent = 'Select size';
+  placeholder.textContent = uiText('selectSize');
 
   const sizes = getAvailableSizes(
     category,
@@ -483,67 +846,251 @@ function populateSizeOptions(form) {
   updateMainConverterFieldDisabled(form);
 }
 
-// Load JSON data - use embedded data as primary, fetch as fallback for updates
+/** Site root (where app.js and data/ live), so nested pages such as /tools/ or /uk/ fetch the same files. */
+const SITE_ROOT_URL = typeof document !== 'undefined' && document.currentScript?.src
+  ? new URL('.', document.currentScript.src).href
+  : '/';
+
+/** data/ file behind each dataset key, in the order scripts/build-embedded-data.js hashes them. */
+const DATA_FILES = [
+  ['shoes', 'shoe_sizes.json'],
+  ['clothing', 'clothing_sizes.json'],
+  ['brandRegistry', 'brand_registry.json'],
+  ['regions', 'regions.json'],
+  ['brandShoeOffsets', 'brand_shoe_offsets.json']
+];
+
+/**
+ * Content hash of fetched datasets, computed like hashDatasets() in scripts/build-embedded-data.js
+ * (sha256 over "file\nJSON\n" per file, first 16 hex digits). null where Web Crypto is unavailable.
+ */
+async function hashDatasets(data) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+  const text = DATA_FILES.map(([key, file]) => `${file}\n${JSON.stringify(data[key])}\n`).join('');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('').slice(0, EMBEDDED_DATA_HASH.length);
+}
+
+/** Swap in a set of datasets shaped as the files in data/ (regions keyed by region_code). */
+function applyDatasets(data) {
+  shoeData = data.shoes;
+  clothingData = data.clothing;
+  regionsData = data.regions;
+  brandRegistry = data.brandRegistry;
+  brandShoeOffsets = data.brandShoeOffsets;
+}
+
+/**
+ * Load JSON data - embedded copy first (generated from data/ by scripts/build-embedded-data.js),
+ * then the deployed files only when data/data_manifest.json reports a newer version, their content
+ * hash matches the manifest's and they pass SizeEngine.checkConverterData. All of them are
+ * revalidated with the server, and a stale or broken fetch never replaces working data.
+ */
 async function loadData() {
   try {
     // Use embedded data immediately (works locally and when deployed)
-    shoeData = embeddedShoeData;
-    clothingData = embeddedClothingData;
-    regionsData = embeddedRegionsData;
-    brandsData = embeddedBrandsData;
+    applyDatasets({
+      shoes: embeddedShoeData,
+      clothing: embeddedClothingData,
+      regions: embeddedRegionsData,
+      brandRegistry: embeddedBrandRegistry,
+      brandShoeOffsets: embeddedBrandShoeOffsets
+    });
     dataLoaded = true;
-    console.log('Data loaded from embedded source');
+    console.log(`Data loaded from embedded source (v${EMBEDDED_DATA_VERSION}, ${EMBEDDED_DATA_HASH})`);
 
-    // Try to fetch updated data in background (optional, for future updates)
     try {
-      const [shoeResponse, clothingResponse, regionsResponse, brandsResponse] = await Promise.all([
-        fetch('data/shoe_sizes.json'),
-        fetch('data/clothing_sizes.json'),
-        fetch('data/regions.json'),
-        fetch('data/brands.json')
-      ]);
-
-      if (shoeResponse.ok && clothingResponse.ok && regionsResponse.ok) {
-        const fetchedShoe = await shoeResponse.json();
-        const fetchedClothing = await clothingResponse.json();
-        const fetchedRegions = await regionsResponse.json();
-        
-        // Update with fetched data if available
-        shoeData = fetchedShoe;
-        clothingData = fetchedClothing;
-        regionsData = fetchedRegions.regions.reduce((acc, region) => {
+      const dataUrl = (file) => new URL(`data/${file}`, SITE_ROOT_URL).href;
+      const manifestResponse = await fetch(dataUrl('data_manifest.json'), { cache: 'no-cache' });
+      if (!manifestResponse.ok) return;
+      const manifest = await manifestResponse.json();
+      if (!(Number(manifest.version) > EMBEDDED_DATA_VERSION)) return;
+
+      const responses = await Promise.all(DATA_FILES.map(([, file]) => fetch(dataUrl(file), { cache: 'no-cache' })));
+      if (responses.some(r => !r.ok)) return;
+      const bodies = await Promise.all(responses.map(r => r.json()));
+      const fetched = {};
+      DATA_FILES.forEach(([key], i) => { fetched[key] = bodies[i]; });
+      // A file cached from an older (or newer) deploy would mix versions: only swap a matching set
+      const hash = await hashDatasets(fetched);
+      if (hash !== manifest.hash) {
+        console.warn(`Fetched data does not match manifest v${manifest.version} (hash ${hash || 'unavailable'}, expected ${manifest.hash}); keeping embedded v${EMBEDDED_DATA_VERSION}`);
+        return;
+      }
+      const problems = SizeEngine.checkConverterData(fetched);
+      if (problems.length) {
+        console.warn(`Fetched data v${manifest.version} failed validation; keeping embedded v${EMBEDDED_DATA_VERSION}:`, problems);
+        return;
+      }
+      applyDatasets({
+        ...fetched,
+        regions: fetched.regions.regions.reduce((acc, region) => {
           acc[region.region_code] = region;
           return acc;
-        }, {});
-        if (brandsResponse.ok) {
-          brandsData = await brandsResponse.json();
-        }
-        console.log('Data updated from fetched source');
-      }
+        }, {})
+      });
+      console.log(`Data updated from fetched source (v${manifest.version}, ${manifest.hash})`);
     } catch (fetchError) {
       // Silently fail - embedded data is already loaded
       console.log('Using embedded data (fetch unavailable)');
     }
   } catch (error) {
     console.error('Error loading data:', error);
-    alert('Error loading size data. Please refresh the page.');
+    alert(uiText('dataLoadError'));
   }
 }
 
-// Phase 14A: Set default "From Region" based on page path
+/**
+ * Market mirrors (/uk/, /eu/, /ca/ …) start From on the local scale and highlight the usual
+ * target region (I18n.MARKETS). A From that the page preselects itself (size-pair pages) is kept;
+ * the highlight is a hidden To field that a saved profile or ?to= may still replace.
+ */
 function applyRegionalDefault() {
-  const path = window.location.pathname;
-  let defaultRegion = null;
-  if (path.startsWith('/us/')) defaultRegion = 'US';
-  else if (path.startsWith('/uk/')) defaultRegion = 'UK';
-  else if (path.startsWith('/eu/')) defaultRegion = 'EU';
-  else if (path.startsWith('/ca/')) defaultRegion = 'US'; // Canada mirrors US
-  if (!defaultRegion) return;
-  document.querySelectorAll('[name="fromRegion"]').forEach(select => {
-    const opt = select.querySelector(`option[value="${defaultRegion}"]`);
-    if (opt) {
-      opt.selected = true;
+  if (!UI_MARKET) return;
+  document.querySelectorAll('select[name="fromRegion"]').forEach((select) => {
+    const options = [...select.options];
+    if (options.some((o) => o.value && o.defaultSelected)) return;
+    const code = UI_MARKET.from.find((c) => options.some((o) => o.value === c && !o.disabled));
+    if (code) select.value = code;
+  });
+  document.querySelectorAll('.converter-form').forEach((form) => {
+    if (!UI_MARKET.to || !form.querySelector('[name="category"]') || form.querySelector('[name="toRegion"]')) return;
+    const toEl = document.createElement('input');
+    toEl.type = 'hidden';
+    toEl.name = 'toRegion';
+    toEl.value = UI_MARKET.to;
+    toEl.dataset.regionalDefault = 'true';
+    form.appendChild(toEl);
+  });
+}
+
+/** How far ahead the profile switcher projects a kids' profile ("next season"). */
+const PROFILE_BUY_AHEAD_MONTHS = 6;
+
+function readSavedProfiles() {
+  try {
+    return SizeEngine.readProfiles(window.localStorage);
+  } catch (e) {
+    return { activeId: null, profiles: [] }; // storage blocked
+  }
+}
+
+/**
+ * Fill one converter from a saved profile. Only touches what the page leaves open: gender where no
+ * option is preselected, the highlighted region where the page has no To region of its own, and
+ * the size on foot-length (CM) forms. Without `replace`, fields that already hold a value are kept.
+ * @returns {boolean} true when the gender changed (its listeners need a change event)
+ */
+function applyProfileToForm(form, profile, replace = false) {
+  let genderChanged = false;
+  const genderSelect = form.querySelector('select[name="gender"]');
+  if (profile.gender && genderSelect && ![...genderSelect.options].some((o) => o.value && o.defaultSelected)) {
+    const opt = [...genderSelect.options].find((o) => o.value === profile.gender);
+    if (opt && genderSelect.value !== opt.value) {
+      genderSelect.value = opt.value;
+      genderChanged = true;
     }
+  }
+
+  let toEl = form.querySelector('[name="toRegion"]');
+  if (!toEl && profile.region && form.querySelector('[name="category"]')) {
+    toEl = document.createElement('input');
+    toEl.type = 'hidden';
+    toEl.name = 'toRegion';
+    toEl.dataset.profileRegion = 'true';
+    form.appendChild(toEl);
+  }
+  if (toEl?.dataset.profileRegion === 'true') toEl.value = profile.region || '';
+  else if (toEl?.dataset.regionalDefault === 'true' && profile.region) toEl.value = profile.region;
+
+  const sizeInput = form.querySelector('input[name="size"]');
+  const fromRegion = form.querySelector('[name="fromRegion"]')?.value;
+  if (profile.footLengthCm && sizeInput && (replace || !sizeInput.value) && normalizeShoeRegion(fromRegion || '') === 'CM') {
+    sizeInput.value = profile.footLengthCm;
+  }
+  return genderChanged;
+}
+
+/**
+ * Prefill converters from the active saved size profile (SizeEngine.readProfile; opt-in, local only).
+ * Runs before URL state, so a shared link still wins.
+ */
+function applyProfileDefaults() {
+  const { activeId, profiles } = readSavedProfiles();
+  const profile = profiles.find((p) => p.id === activeId);
+  if (!profile) return;
+  document.querySelectorAll('.converter-form').forEach((form) => applyProfileToForm(form, profile));
+}
+
+/** Kids' profile: size now and PROFILE_BUY_AHEAD_MONTHS ahead, for buying next season's shoes. */
+function describeProfileProjection(profile) {
+  const today = new Date().toISOString().slice(0, 10);
+  const ahead = new Date();
+  ahead.setMonth(ahead.getMonth() + PROFILE_BUY_AHEAD_MONTHS);
+  const now = SizeEngine.projectProfileShoe(shoeData, profile, today, today);
+  const later = SizeEngine.projectProfileShoe(shoeData, profile, ahead, today);
+  if (!now || !later) return '';
+  const nowText = uiText(profile.measuredOn ? 'profileNowMeasured' : 'profileNow', {
+    name: profile.name,
+    size: formatUiNumber(now.kid.us),
+    date: profile.measuredOn
+  });
+  const months = PROFILE_BUY_AHEAD_MONTHS;
+  if (later.kid.row === now.kid.row) return uiText('profileStill', { now: nowText, size: formatUiNumber(later.kid.us), months });
+  return uiText('profileAhead', { now: nowText, months, size: formatUiNumber(later.kid.us), cm: formatCm(later.projectedCm) });
+}
+
+/**
+ * "Sizing for" switcher above each converter when the household has saved more than one profile.
+ * Choosing a person makes their profile active and refills the converter from it.
+ */
+function initializeProfileSwitcher() {
+  const { activeId, profiles } = readSavedProfiles();
+  if (profiles.length < 2) return;
+
+  document.querySelectorAll('.converter-form').forEach((form, i) => {
+    if (!form.querySelector('[name="category"]')) return;
+    const wrap = document.createElement('div');
+    wrap.className = 'profile-switcher';
+    const label = document.createElement('label');
+    label.htmlFor = `profile-switcher-${i}`;
+    label.textContent = uiText('sizingFor');
+    const select = document.createElement('select');
+    select.id = `profile-switcher-${i}`;
+    profiles.forEach((p) => {
+      const o = document.createElement('option');
+      o.value = p.id;
+      o.textContent = p.name;
+      select.appendChild(o);
+    });
+    select.value = activeId;
+    const note = document.createElement('p');
+    note.className = 'profile-switcher-note';
+    note.setAttribute('aria-live', 'polite');
+
+    const show = (profile) => {
+      note.textContent = describeProfileProjection(profile);
+      note.hidden = !note.textContent;
+    };
+    select.addEventListener('change', () => {
+      let profile = null;
+      try {
+        profile = SizeEngine.setActiveProfile(window.localStorage, select.value);
+      } catch (e) {
+        // storage blocked: switch for this page only
+      }
+      profile = profile || profiles.find((p) => p.id === select.value);
+      if (!profile) return;
+      if (applyProfileToForm(form, profile, true)) {
+        form.querySelector('[name="gender"]').dispatchEvent(new Event('change'));
+      }
+      runAutoConversion(form);
+      show(profile);
+    });
+
+    wrap.append(label, select, note);
+    form.before(wrap);
+    show(profiles.find((p) => p.id === activeId));
   });
 }
 
@@ -554,6 +1101,7 @@ function runConverterInit() {
   loadData().then(() => {
     buildSizeDatabase();
     applyRegionalDefault();
+    applyProfileDefaults();
 
     initializeConverters();
     initializeCollapsibles();
@@ -566,6 +1114,13 @@ function runConverterInit() {
       form.querySelector('[name="clothingCategory"]')?.addEventListener('change', repopBrands);
     });
 
+    document.querySelectorAll('.converter-form').forEach((form) => {
+      if (!form.querySelector('#shoeBrand')) return;
+      populateShoeBrandOptions(form);
+      form.querySelector('#shoeBrand').addEventListener('change', () => populateShoeModelOptions(form), true);
+      form.querySelector('[name="gender"]')?.addEventListener('change', () => populateShoeBrandOptions(form), true);
+    });
+
     document.querySelectorAll('.converter-form').forEach((form) => {
       if (!form.querySelector('[name="category"]')) return;
       if (isMainComboForm(form)) {
@@ -598,9 +1153,12 @@ function runConverterInit() {
       form.querySelector('[name="fromRegion"]')?.addEventListener('change', refreshSizeDropdown, true);
       form.querySelector('[name="clothingCategory"]')?.addEventListener('change', refreshSizeDropdown, true);
       runAutoConversion(form);
+      addComparisonControl(form);
     });
 
     initializeCategoryToggle();
+    initializeProfileSwitcher();
+    initializeUrlState();
   });
 }
 
@@ -639,115 +1197,299 @@ function initializeCategoryToggle() {
 }
 
 // ============================================
-// Shoe Size Conversion — CM-Anchor Engine
+// Shareable Converter State (URL query)
 // ============================================
 
 /**
- * Convert one size: fromRegion selected value → CM baseline → closest size in toRegion.
- * EU half-size precision, UK baseline respect, US half-step consistency, JP exact CM match.
- * No direct region-to-region table guess. Future: apply brand overrides to cm before lookup.
+ * Query parameter → form field. ?cat=shoes&g=women&from=EU&to=US&size=38&brand=Nike prefills the
+ * converter and runs it; the URL follows the form as fields change. brand is #shoeBrand on shoe
+ * forms and #brand on clothing forms; model only applies to shoes.
  */
-function convertSize(category, gender, fromRegion, toRegion, selectedValue) {
-  if (category !== 'shoes') return null;
-  fromRegion = String(normalizeShoeRegion(fromRegion || '') || fromRegion || '')
-    .trim()
-    .toLowerCase();
-  toRegion = String(normalizeShoeRegion(toRegion || '') || toRegion || '')
-    .trim()
-    .toLowerCase();
-
-  let cmValue;
-  if (fromRegion === 'cm') {
-    cmValue = parseFloat(selectedValue);
-    if (isNaN(cmValue)) return null;
-    if (toRegion === 'cm') return cmValue;
-  } else {
-    const fromData = sizeDatabase.shoes?.[gender]?.[fromRegion];
-    if (!fromData?.sizes?.length) return null;
-    const selected = fromData.sizes.find(s => s.value == selectedValue);
-    if (!selected) return null;
-    cmValue = selected.cm;
-    if (fromRegion === toRegion) return selected.value;
+const URL_STATE_PARAMS = [
+  ['cat', 'category'],
+  ['g', 'gender'],
+  ['type', 'clothingCategory'],
+  ['from', 'fromRegion'],
+  ['to', 'toRegion'],
+  ['size', 'size'],
+  ['brand', 'brand'],
+  ['model', 'shoeModel']
+];
+
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  const state = {};
+  URL_STATE_PARAMS.forEach(([param]) => {
+    const value = params.get(param)?.trim();
+    if (value) state[param] = value;
+  });
+  return state;
+}
+
+/** The converter the URL drives: the first form whose category can show ?cat. */
+function findUrlStateForm(state) {
+  return [...document.querySelectorAll('.converter-form')].find((form) => {
+    const categoryEl = form.querySelector('[name="category"]');
+    if (!categoryEl) return false;
+    if (!state.cat) return true;
+    if (categoryEl.tagName === 'SELECT') return [...categoryEl.options].some((o) => o.value === state.cat);
+    return categoryEl.value === state.cat;
+  }) || null;
+}
+
+/** Select the option matching value case-insensitively (regions also by code: "eu" → EU). */
+function selectOptionByValue(select, value) {
+  if (!select || select.tagName !== 'SELECT' || !value) return false;
+  const want = String(value).trim().toUpperCase();
+  const region = normalizeShoeRegion(value);
+  const options = [...select.options].filter((o) => o.value);
+  const opt = options.find((o) => o.value.toUpperCase() === want) ||
+    options.find((o) => normalizeShoeRegion(o.value) === region);
+  if (!opt) return false;
+  select.value = opt.value;
+  return true;
+}
+
+function urlStateBrandField(form) {
+  const category = form.querySelector('[name="category"]')?.value;
+  return category === 'clothing' ? form.querySelector('#brand') : form.querySelector('#shoeBrand');
+}
+
+/**
+ * Apply URL state to a form in dependency order (category → gender → type → region → size →
+ * brand → model), rebuilding each dependent dropdown first. Values a dropdown does not offer are
+ * skipped. A form without a To field gets a hidden one so ?to still picks the highlighted region.
+ */
+function applyUrlState(form, state) {
+  const field = (name) => form.querySelector(`[name="${name}"]`);
+
+  if (state.cat && selectOptionByValue(field('category'), state.cat)) {
+    syncMainConverterForm(form, { rebuildTypes: true });
+  }
+  if (state.g && selectOptionByValue(field('gender'), state.g)) {
+    syncMainConverterForm(form, { rebuildTypes: true });
+  }
+  if (state.type && selectOptionByValue(field('clothingCategory'), state.type)) {
+    syncMainConverterForm(form);
+  }
+  if (state.from) selectOptionByValue(field('fromRegion'), state.from);
+  if (state.to) {
+    let toEl = field('toRegion');
+    if (!toEl) {
+      toEl = document.createElement('input');
+      toEl.type = 'hidden';
+      toEl.name = 'toRegion';
+      form.appendChild(toEl);
+    }
+    if (toEl.tagName === 'SELECT') selectOptionByValue(toEl, state.to);
+    else toEl.value = normalizeShoeRegion(state.to) || state.to;
   }
 
-  if (toRegion === 'cm') return cmValue;
+  populateSizeOptions(form);
+  if (state.size) {
+    const sizeSelect = form.querySelector('#sizeSelect');
+    if (sizeSelect) selectOptionByValue(sizeSelect, state.size);
+    else if (field('size')) field('size').value = state.size;
+  }
 
-  const toData = sizeDatabase.shoes?.[gender]?.[toRegion];
-  if (!toData?.sizes?.length) return null;
-  const toSizes = toData.sizes;
-  const closest = toSizes.reduce((prev, curr) =>
-    Math.abs(curr.cm - cmValue) < Math.abs(prev.cm - cmValue) ? curr : prev
-  );
-  return closest.value;
+  populateBrandOptions(form);
+  populateShoeBrandOptions(form);
+  const brandEl = urlStateBrandField(form);
+  if (state.brand && brandEl) {
+    const known = SizeEngine.findRegistryBrand(brandRegistry, state.brand);
+    selectOptionByValue(brandEl, known ? known.name : state.brand);
+    if (brandEl.id === 'shoeBrand') populateShoeModelOptions(form);
+  }
+  if (state.model) selectOptionByValue(form.querySelector('#shoeModel'), state.model);
+}
+
+/** [param, value] pairs describing what the form currently shows (empty values omitted by the caller). */
+function getUrlState(form) {
+  const value = (name) => form.querySelector(`[name="${name}"]`)?.value?.trim() || '';
+  const category = value('category');
+  const isClothing = category === 'clothing';
+  const sizeEl = form.querySelector('#sizeSelect') || form.querySelector('[name="size"]');
+  return [
+    ['cat', category],
+    ['g', value('gender')],
+    ['type', isClothing ? value('clothingCategory') : ''],
+    ['from', value('fromRegion')],
+    ['to', value('toRegion')],
+    ['size', sizeEl?.value?.trim() || ''],
+    ['brand', urlStateBrandField(form)?.value || ''],
+    ['model', isClothing ? '' : form.querySelector('#shoeModel')?.value || '']
+  ];
+}
+
+/** Current page URL carrying the form's state; unrelated query parameters are kept. */
+function buildShareUrl(form) {
+  const url = new URL(window.location.href);
+  URL_STATE_PARAMS.forEach(([param]) => url.searchParams.delete(param));
+  getUrlState(form).forEach(([param, value]) => {
+    if (value) url.searchParams.set(param, value);
+  });
+  return url.toString();
+}
+
+/** Mirror the URL-synced form into the address bar without adding history entries. */
+function syncUrlState(form) {
+  if (form.dataset.urlState !== 'true') return;
+  const url = buildShareUrl(form);
+  if (url !== window.location.href) window.history.replaceState(window.history.state, '', url);
+}
+
+async function copyShareLink(form, statusEl) {
+  const url = buildShareUrl(form);
+  try {
+    await navigator.clipboard.writeText(url);
+    statusEl.textContent = uiText('linkCopied');
+  } catch (e) {
+    window.prompt(uiText('copyLinkPrompt'), url);
+    statusEl.textContent = '';
+    return;
+  }
+  clearTimeout(statusEl._clearTimer);
+  statusEl._clearTimer = setTimeout(() => { statusEl.textContent = ''; }, 2500);
+}
+
+/** "Copy link" under the results of the URL-synced converter. */
+function addShareLinkControl(form) {
+  const card = form.closest('.converter-card');
+  if (!card || card.querySelector('.share-link')) return;
+  const wrap = document.createElement('div');
+  wrap.className = 'share-link';
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'converter-action-btn';
+  button.textContent = uiText('copyLink');
+  const status = document.createElement('span');
+  status.className = 'converter-action-status';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  button.addEventListener('click', () => copyShareLink(form, status));
+  wrap.append(button, status);
+  const results = card.querySelector('.results');
+  if (results) results.after(wrap);
+  else form.after(wrap);
+}
+
+/**
+ * Pick the converter that owns the URL and apply any query state. Called once after the converters
+ * are wired so the category toggle's initial reset cannot clear the prefilled fields. A page opened
+ * without parameters keeps its clean URL until the visitor changes a field.
+ */
+function initializeUrlState() {
+  const state = readUrlState();
+  const form = findUrlStateForm(state);
+  if (!form) return;
+  form.dataset.urlState = 'true';
+  addShareLinkControl(form);
+  if (!Object.keys(state).length) return;
+  applyUrlState(form, state);
+  runAutoConversion(form);
+}
+
+// ============================================
+// Shoe Size Conversion — CM-Anchor Engine
+// ============================================
+
+/**
+ * Convert one size: fromRegion selected value → CM baseline → closest size in toRegion.
+ * Engine lives in SizeEngine so static pages and the live converter share one implementation.
+ * Returns the structured match (status, value, neighbours, cmDelta, confidence) or null.
+ */
+function convertSize(category, gender, fromRegion, toRegion, selectedValue, options) {
+  return SizeEngine.convertSize(sizeDatabase, category, gender, fromRegion, toRegion, selectedValue, options);
 }
 
 function convertShoeSize(size, fromRegion, toRegion, gender) {
-  return convertSize('shoes', gender, fromRegion, toRegion, size);
+  return convertSize('shoes', gender, fromRegion, toRegion, size)?.value ?? null;
 }
 
-function convertShoeFromCM(cm, gender) {
-  if (!shoeData[gender] || !cm) return null;
-  const genderData = shoeData[gender];
-  let closest = null;
-  let minDiff = Infinity;
-  for (const entry of genderData) {
-    if (entry.cm != null) {
-      const diff = Math.abs(entry.cm - parseFloat(cm));
-      if (diff < minDiff) {
-        minDiff = diff;
-        closest = entry;
-      }
-    }
+/** Message key naming the size chart of each gender in out-of-range notes. */
+const SHOE_CHART_KEYS = { men: 'chartMen', women: 'chartWomen', kids: 'chartKids' };
+
+function formatCm(cm) {
+  return `${formatUiNumber(Number(Number(cm).toFixed(2)))} cm`;
+}
+
+function formatShoeMatchSize(region, value) {
+  if (region === 'CM') return formatCm(value);
+  if (region === 'INCH') return `${formatUiNumber(value)} in`;
+  return `${region} ${formatUiNumber(value)}`;
+}
+
+/**
+ * Human-readable line for a convertSize result: where the input sits between sizes,
+ * how far the nearest size is and how confident the match is. Empty for exact matches.
+ */
+function describeShoeMatch(match, gender, fromRegion) {
+  if (!match) return '';
+  const input = fromRegion === 'INCH'
+    ? `${formatUiNumber(SizeEngine.cmToIn(match.cm))} in (${formatCm(match.cm)})`
+    : formatCm(match.cm);
+  if (match.status === 'out_of_range') {
+    const chart = uiText(SHOE_CHART_KEYS[gender] || 'chartMen');
+    const edge = match.direction === 'below'
+      ? uiText('shoeBelowChart', { input, chart, edge: formatCm(match.range.minCm) })
+      : uiText('shoeAboveChart', { input, chart, edge: formatCm(match.range.maxCm) });
+    return `${edge} ${uiText('shoeNoExtrapolate')}`;
   }
-  return closest;
+  if (match.status !== 'nearest') return '';
+  // CM/INCH output echoes the input length, so name the chart row it was matched to instead
+  let nearestValue = match.value;
+  if (match.region === 'CM') nearestValue = match.matchedCm;
+  else if (match.region === 'INCH') nearestValue = SizeEngine.cmToIn(match.matchedCm);
+  const nearest = formatShoeMatchSize(match.region, nearestValue);
+  const diff = uiText(match.cmDelta > 0 ? 'cmLonger' : 'cmShorter', { cm: formatCm(Math.abs(match.cmDelta)) });
+  const where = match.lower && match.upper
+    ? `${uiText('shoeBetween', {
+      input,
+      lower: formatShoeMatchSize(match.region, match.lower.value),
+      upper: formatShoeMatchSize(match.region, match.upper.value)
+    })} `
+    : '';
+  const confidence = uiText(`confidence${match.confidence.charAt(0).toUpperCase()}${match.confidence.slice(1)}`);
+  return `${where}${uiText('shoeNearest', { nearest, diff, confidence })}`;
+}
+
+function convertShoeFromCM(cm, gender) {
+  if (!cm) return null;
+  const match = SizeEngine.findShoeByCm(shoeData, gender, cm);
+  return match ? match.row : null;
 }
 
 /**
  * All shoe conversions via CM anchor: selected value → cm → closest per region.
- * Region-specific database; no numeric stepping; half-size precise.
+ * options { brand, model } applies the brand shoe override first.
  */
-function getAllShoeConversions(size, fromRegion, gender) {
-  const regionCodes = ['us', 'uk', 'eu', 'jp', 'cn', 'cm'];
-  const result = {};
-  const fromNorm = String(normalizeShoeRegion(fromRegion || '') || fromRegion || '')
-    .trim()
-    .toLowerCase();
-  const hasUs = convertSize('shoes', gender, fromRegion, 'us', size) != null;
-  if (!hasUs && fromNorm !== 'cm') return {};
-
-  regionCodes.forEach(toRegion => {
-    const val = convertSize('shoes', gender, fromRegion, toRegion, size);
-    if (val != null) result[toRegion] = val;
-  });
-  return result;
+function getAllShoeConversions(size, fromRegion, gender, options) {
+  return SizeEngine.getAllShoeConversions(sizeDatabase, size, fromRegion, gender, options);
 }
 
 // ============================================
 // Clothing Size Conversion
 // ============================================
 
+/** Registry fit labels (runs_small | true_to_size | runs_large) in the page locale. */
+const FIT_MESSAGE_KEYS = { runs_small: 'fitRunsSmall', runs_large: 'fitRunsLarge', true_to_size: 'fitTrueToSize' };
+
 function humanizeFit(fit) {
   if (!fit) return '';
-  return String(fit).replace(/_/g, ' ');
+  return FIT_MESSAGE_KEYS[fit] ? uiText(FIT_MESSAGE_KEYS[fit]) : String(fit).replace(/_/g, ' ');
 }
 
 /**
- * Numeric-only nudge from task spec (shoe-like sizes). Clothing uses adjustClothingSizeForBrand.
+ * Shoe size adjusted for brand fit on region's own table (±0.5 cm of foot length, snapped to
+ * the nearest row). Clothing uses adjustClothingSizeForBrand.
  */
-function adjustForBrand(size, brandFit) {
-  if (!brandFit) return size;
-  const n = parseInt(String(size), 10);
-  if (!Number.isNaN(n) && /^\d+$/.test(String(size).trim())) {
-    if (brandFit === 'runs_small') return String(n + 1);
-    if (brandFit === 'runs_large') return String(Math.max(0, n - 1));
-  }
-  return size;
+function adjustForBrand(size, brandFit, gender, region) {
+  return SizeEngine.adjustForBrand(sizeDatabase, size, brandFit, gender, region);
 }
 
+/** Brands listed in the brand registry for a category + gender: [{ name, fit }]. */
 function getBrandsList(clothingCategory, gender) {
-  if (!brandsData || !brandsData[clothingCategory] || !brandsData[clothingCategory][gender]) return [];
-  const arr = brandsData[clothingCategory][gender];
-  return Array.isArray(arr) ? arr : [];
+  return SizeEngine.listRegistryBrands(brandRegistry, clothingCategory, gender);
 }
 
 function populateBrandOptions(form) {
@@ -761,7 +1503,7 @@ function populateBrandOptions(form) {
   sel.innerHTML = '';
   const ph = document.createElement('option');
   ph.value = '';
-  ph.textContent = 'Standard sizing (no brand)';
+  ph.textContent = uiText('standardSizing');
   sel.appendChild(ph);
   list.forEach((b) => {
     const o = document.createElement('option');
@@ -776,125 +1518,122 @@ function populateBrandOptions(form) {
 }
 
 /**
- * Move one row on the clothing chart in fromRegion when brand runs small/large.
- * Does not change underlying JSON or non-clothing paths.
+ * Shoe brand dropdown (#shoeBrand): registry shoe brands for the gender plus any brand in the
+ * override table; models follow the brand.
  */
-function adjustClothingSizeForBrand(size, brandFit, gender, categoryUi, fromRegion) {
-  const raw = String(size == null ? '' : size).trim();
-  if (!brandFit || brandFit === 'true_to_size' || !raw) return raw;
-  const category = resolveClothingDataKey(gender, categoryUi);
-  if (!category || !clothingData[gender] || !clothingData[gender][category]) return raw;
-  const categoryData = clothingData[gender][category];
-  const rk = String(fromRegion).toLowerCase();
-  let idx = -1;
-  for (let i = 0; i < categoryData.length; i++) {
-    const v = categoryData[i][rk];
-    if (v != null && String(v).trim().toLowerCase() === raw.toLowerCase()) {
-      idx = i;
-      break;
-    }
-  }
-  if (idx < 0) {
-    const num = parseFloat(raw);
-    if (!Number.isNaN(num)) {
-      for (let i = 0; i < categoryData.length; i++) {
-        const v = categoryData[i][rk];
-        if (v == null) continue;
-        const entryNum = parseFloat(v);
-        if (!Number.isNaN(entryNum) && entryNum === num) {
-          idx = i;
-          break;
-        }
-      }
-    }
-  }
-  if (idx < 0) return raw;
-  let delta = 0;
-  if (brandFit === 'runs_small') delta = 1;
-  else if (brandFit === 'runs_large') delta = -1;
-  else return raw;
-  const newIdx = Math.max(0, Math.min(categoryData.length - 1, idx + delta));
-  const out = categoryData[newIdx][rk];
-  return out != null ? String(out).trim() : raw;
+function populateShoeBrandOptions(form) {
+  const sel = form.querySelector('#shoeBrand');
+  if (!sel) return;
+  const gender = form.querySelector('[name="gender"]')?.value || 'men';
+  const prev = sel.value;
+  const list = getBrandsList('shoes', gender);
+  SizeEngine.getShoeBrandNames(sizeDatabase).forEach((name) => {
+    if (!list.some((b) => b.name === name)) list.push({ name, fit: '' });
+  });
+  sel.innerHTML = '';
+  const ph = document.createElement('option');
+  ph.value = '';
+  ph.textContent = uiText('standardSizing');
+  sel.appendChild(ph);
+  list.forEach((b) => {
+    const o = document.createElement('option');
+    o.value = b.name;
+    o.textContent = b.name;
+    if (b.fit) o.setAttribute('data-fit', b.fit);
+    sel.appendChild(o);
+  });
+  if (prev && [...sel.options].some((o) => o.value === prev)) sel.value = prev;
+  else sel.selectedIndex = 0;
+  populateShoeModelOptions(form);
 }
 
-function convertClothingSize(size, fromRegion, toRegion, gender, categoryUi) {
-  const category = resolveClothingDataKey(gender, categoryUi);
-  if (!category || !clothingData[gender] || !clothingData[gender][category] || !size) return null;
-
-  const categoryData = clothingData[gender][category];
-  
-  // Find the entry with matching size in source region
-  let sourceEntry = null;
-  for (const entry of categoryData) {
-    const sourceValue = entry[fromRegion.toLowerCase()];
-    if (sourceValue && String(sourceValue).toLowerCase() === String(size).toLowerCase()) {
-      sourceEntry = entry;
-      break;
-    }
-  }
-
-  if (!sourceEntry) return null;
+function populateShoeModelOptions(form) {
+  const sel = form.querySelector('#shoeModel');
+  if (!sel) return;
+  const brand = form.querySelector('#shoeBrand')?.value || '';
+  const gender = form.querySelector('[name="gender"]')?.value || 'men';
+  const prev = sel.value;
+  const models = SizeEngine.getShoeBrandModels(sizeDatabase, brand, gender);
+  sel.innerHTML = '';
+  const ph = document.createElement('option');
+  ph.value = '';
+  ph.textContent = brand ? uiText('anyBrandModel', { brand }) : uiText('chooseBrandFirst');
+  sel.appendChild(ph);
+  models.forEach((m) => {
+    const o = document.createElement('option');
+    o.value = m;
+    o.textContent = m;
+    sel.appendChild(o);
+  });
+  sel.disabled = !brand;
+  if (prev && models.includes(prev)) sel.value = prev;
+  else sel.selectedIndex = 0;
+}
 
-  // Return size in target region
-  const targetKey = toRegion.toLowerCase();
-  return sourceEntry[targetKey] !== undefined ? sourceEntry[targetKey] : null;
+/**
+ * Result-panel line for convertSize's brandOverride: which rule applied, the cm shift and why.
+ */
+function describeBrandOverride(override) {
+  if (!override) return '';
+  const brand = override.brand || uiText('brandFitFallback');
+  const name = override.model ? `${brand} ${override.model}` : brand;
+  if (!override.cmOffset) return `${uiText('brandNoAdjustment', { name })} ${override.reason}`;
+  const shift = `${override.cmOffset > 0 ? '+' : '−'}${formatCm(Math.abs(override.cmOffset))}`;
+  const adjusted = formatCm(override.footCm + override.cmOffset);
+  return `${uiText('brandAdjusted', { name, shift, adjusted, foot: formatCm(override.footCm) })} ${override.reason}`;
 }
 
-function getAllClothingConversions(size, fromRegion, gender, categoryUi) {
-  const category = resolveClothingDataKey(gender, categoryUi);
-  if (!category || !clothingData[gender] || !clothingData[gender][category]) {
-    console.warn('No data for:', { gender, category });
-    return {};
+/**
+ * Age band for a kids' foot length, with the C/Y scale spelled out and, for youth sizes,
+ * the men's/women's US size of the same length. Empty when the length is off the kids chart.
+ */
+function describeKidsShoeSize(footCm) {
+  const kids = SizeEngine.describeKidsShoe(shoeData, footCm);
+  if (!kids) return '';
+  const scaleKey = { C: 'kidsScaleC', Y: 'kidsScaleY' }[kids.scale];
+  const parts = [uiText(scaleKey ? 'kidsSizeScale' : 'kidsSize', {
+    size: formatUiNumber(kids.us),
+    scale: scaleKey && uiText(scaleKey),
+    age: describeAgeBand(kids.age)
+  })];
+  const adult = kids.adult
+    ? [['men', 'adultMenUs'], ['women', 'adultWomenUs']].filter(([g]) => kids.adult[g] != null)
+      .map(([g, key]) => uiText(key, { size: formatUiNumber(kids.adult[g]) }))
+    : [];
+  if (adult.length) {
+    const sizes = adult.length > 1 ? uiText('listOr', { first: adult[0], second: adult[1] }) : adult[0];
+    parts.push(uiText('kidsAdultSize', { sizes }));
   }
+  return parts.join(' ');
+}
 
-  const categoryData = clothingData[gender][category];
-  let sourceEntry = null;
-  const regionKey = fromRegion.toLowerCase();
-  const sizeStr = String(size).trim().toLowerCase();
-
-  // Find source entry - try exact match first
-  for (const entry of categoryData) {
-    const sourceValue = entry[regionKey];
-    if (sourceValue !== undefined && sourceValue !== null) {
-      const entryStr = String(sourceValue).trim().toLowerCase();
-      if (entryStr === sizeStr) {
-        sourceEntry = entry;
-        break;
-      }
-    }
-  }
+/** shoe_sizes.json kids age band ("Under 1 year", "About 4–5 years") in the page locale. */
+function describeAgeBand(age) {
+  const text = String(age || '');
+  if (/^under 1 year$/i.test(text)) return uiText('ageUnderOne');
+  if (/^about 1 year$/i.test(text)) return uiText('ageAboutOne');
+  const about = text.match(/^about (.+) years$/i);
+  return about ? uiText('ageAbout', { years: about[1] }) : text.toLowerCase();
+}
 
-  // If no exact match, try numeric comparison for numeric sizes
-  if (!sourceEntry && !isNaN(parseFloat(size))) {
-    const sizeNum = parseFloat(size);
-    for (const entry of categoryData) {
-      const sourceValue = entry[regionKey];
-      if (sourceValue !== undefined && sourceValue !== null) {
-        const entryNum = parseFloat(sourceValue);
-        if (!isNaN(entryNum) && entryNum === sizeNum) {
-          sourceEntry = entry;
-          break;
-        }
-      }
-    }
-  }
+/**
+ * Move one row on the clothing chart in fromRegion when brand runs small/large.
+ * Does not change underlying JSON or non-clothing paths.
+ */
+function adjustClothingSizeForBrand(size, brandFit, gender, categoryUi, fromRegion) {
+  return SizeEngine.adjustClothingSizeForBrand(clothingData, size, brandFit, gender, categoryUi, fromRegion);
+}
 
-  if (!sourceEntry) {
-    console.warn('No matching entry found for:', { size, fromRegion, gender, category });
-    return {};
-  }
+function convertClothingSize(size, fromRegion, toRegion, gender, categoryUi) {
+  return SizeEngine.convertClothingSize(clothingData, size, fromRegion, toRegion, gender, categoryUi);
+}
 
-  return {
-    us: sourceEntry.us,
-    uk: sourceEntry.uk,
-    eu: sourceEntry.eu,
-    jp: sourceEntry.jp,
-    cn: sourceEntry.cn,
-    chest_cm: sourceEntry.chest_cm,
-    waist_cm: sourceEntry.waist_cm,
-    hips_cm: sourceEntry.hips_cm
-  };
+function getAllClothingConversions(size, fromRegion, gender, categoryUi) {
+  const results = SizeEngine.getAllClothingConversions(clothingData, size, fromRegion, gender, categoryUi);
+  if (Object.keys(results).length === 0) {
+    console.warn('No matching entry found for:', { size, fromRegion, gender, categoryUi });
+  }
+  return results;
 }
 
 // ============================================
@@ -902,14 +1641,17 @@ function getAllClothingConversions(size, fromRegion, gender, categoryUi) {
 // ============================================
 
 /**
- * Strict numeric shoe size validation. Allows whole numbers and decimals only.
- * No letters, words, symbols, trim, or auto-clean.
+ * Strict numeric shoe size validation. Allows whole numbers and decimals only; kids' sizes may
+ * also carry the C (child) or Y (youth) suffix, e.g. 10C or 3.5Y.
+ * No other letters, words, symbols, trim, or auto-clean.
  * @param {string} value - Raw input value (do not trim)
+ * @param {string} [gender] - 'kids' allows the C/Y suffix
  * @returns {boolean}
  */
-function validateShoeSize(value) {
+function validateShoeSize(value, gender) {
   if (value === null || value === undefined) return false;
-  if (!/^\d+(\.\d+)?$/.test(value)) return false;
+  const pattern = gender === 'kids' ? /^\d+(\.\d+)?[CcYy]?$/ : /^\d+(\.\d+)?$/;
+  if (!pattern.test(value)) return false;
   return true;
 }
 
@@ -918,7 +1660,7 @@ function validateShoeSize(value) {
  * Used for shoes only. No fallback conversion for invalid ranges.
  * @param {string} category - 'shoes'
  * @param {string} gender - 'men' | 'women' | 'kids'
- * @param {string} region - 'US' | 'UK' | 'EU' | 'JP' | 'CM'
+ * @param {string} region - 'US' | 'UK' | 'EU' | 'JP' | 'CN' | 'KR' | 'MX' | 'BR' | 'AU' | 'CM' | 'INCH' | 'MP'
  * @param {number} size - Parsed numeric size
  * @returns {boolean}
  */
@@ -932,7 +1674,13 @@ function validateSize(category, gender, region, size) {
         EU: [35, 52],
         JP: [21, 32],
         CN: [39, 47],
-        CM: [21, 32]
+        KR: [210, 320],
+        MX: [21, 32],
+        BR: [33, 50],
+        AU: [2, 17],
+        CM: [21, 32],
+        INCH: [8.2, 12.6],
+        MP: [21, 32]
       },
       women: {
         US: [4, 16],
@@ -940,13 +1688,28 @@ function validateSize(category, gender, region, size) {
         EU: [34, 46],
         JP: [21, 30],
         CN: [35, 43],
-        CM: [21, 30]
+        KR: [210, 300],
+        MX: [21, 30],
+        BR: [32, 44],
+        AU: [4, 16],
+        CM: [21, 30],
+        INCH: [8.2, 11.9],
+        MP: [21, 30]
       },
       kids: {
-        US: [1, 13],
-        EU: [16, 35],
-        CN: [27, 38],
-        CM: [9, 22]
+        // US/UK/AU run 1C–13.5C then restart at 1Y; the number alone is checked here
+        US: [1, 13.5],
+        UK: [0, 12.5],
+        EU: [16, 40],
+        JP: [9.5, 27],
+        CN: [16, 40],
+        KR: [90, 265],
+        MX: [9, 26.5],
+        BR: [14, 38],
+        AU: [0, 12.5],
+        CM: [9, 26.5],
+        INCH: [3.5, 10.5],
+        MP: [9, 26.5]
       }
     }
   };
@@ -962,11 +1725,12 @@ function validateSize(category, gender, region, size) {
 // UI Functions
 // ============================================
 
-const SHOE_SIZE_ERROR_MSG = 'Please enter a valid numeric shoe size (e.g., 9, 9.5, 42).';
-const SHOE_SIZE_RANGE_ERROR_MSG = 'Please enter a valid size for the selected region.';
+const SHOE_SIZE_ERROR_MSG = uiText('shoeSizeError');
+const SHOE_SIZE_RANGE_ERROR_MSG = uiText('shoeSizeRangeError');
 
 /**
- * Validate clothing size: XS, S, M, L, XL, XXL, XXXL or numeric only (e.g. 32, 40).
+ * Validate clothing size: letter sizes (XS–XXXXXL, SS, LL, 3L), numeric (32, 40, collar 15.5),
+ * band + cup bra sizes (34B, 75DD, JP B75) or Chinese height/chest labels (175/96A).
  * Disallows words like "medium", "small", "size 10", mixed text.
  * @param {string} value - Raw input (will be trimmed and uppercased for letter check)
  * @returns {boolean}
@@ -974,35 +1738,37 @@ const SHOE_SIZE_RANGE_ERROR_MSG = 'Please enter a valid size for the selected re
 function validateClothingSize(value) {
   if (value === null || value === undefined) return false;
   const normalized = value.trim().toUpperCase();
-  const letterPattern = /^(XS|S|M|L|XL|XXL|XXXL)$/;
-  const numberPattern = /^\d+$/;
-  if (letterPattern.test(normalized) || numberPattern.test(normalized)) return true;
-  return false;
+  const letterPattern = /^(X{0,5}S|M|X{0,5}L|SS|LL|[3-6]L)$/;
+  const numberPattern = /^\d+(\.5)?$/;
+  const braPattern = /^(\d{1,3}[A-K]{1,3}|[A-K]{1,3}\d{2,3})$/;
+  const heightChestPattern = /^\d{3}\/\d{2,3}[A-Z]{0,2}$/;
+  return [letterPattern, numberPattern, braPattern, heightChestPattern].some((p) => p.test(normalized));
 }
 
-const CLOTHING_SIZE_ERROR_MSG = 'Use standard sizes only (XS–XXXL or numeric values like 32, 40).';
+const CLOTHING_SIZE_ERROR_MSG = uiText('clothingSizeError');
 
-const CONVERTER_EMPTY_MSG = 'Select your size to see conversions';
+const CONVERTER_EMPTY_MSG = uiText('converterEmpty');
+const SIZE_NOT_FOUND_MSG = uiText('sizeNotFound');
 
 function showConverterEmptyState(form, message = CONVERTER_EMPTY_MSG) {
   const formSection = form.closest('.converter-card');
   const resultsContainer = formSection?.querySelector('.results');
   if (!resultsContainer) return;
   resultsContainer.classList.remove('loading');
-  const prevBrand = resultsContainer.querySelector('.brand-adjustment-note');
-  if (prevBrand) prevBrand.remove();
+  resultsContainer.querySelectorAll('.brand-adjustment-note, .shoe-match-note, .kids-size-note').forEach((el) => el.remove());
   const resultsGrid = resultsContainer.querySelector('.results-grid');
   if (resultsGrid) {
     resultsGrid.innerHTML = '';
     const p = document.createElement('p');
     p.className = 'converter-results-empty';
-    p.setAttribute('role', 'status');
     p.textContent = message;
     resultsGrid.appendChild(p);
   }
   resultsContainer.classList.add('active');
   const fitNotice = formSection?.querySelector('.fit-notice');
   if (fitNotice) fitNotice.style.display = 'none';
+  // The prompt shown before anything is entered is not news; explanations (out of range, no data) are
+  announceConverter(resultsContainer, message === CONVERTER_EMPTY_MSG ? '' : message);
 }
 
 /**
@@ -1020,6 +1786,7 @@ function runAutoConversion(form) {
   } finally {
     if (box) box.classList.remove('loading');
   }
+  syncUrlState(form);
 }
 
 function initializeConverters() {
@@ -1027,10 +1794,13 @@ function initializeConverters() {
   forms.forEach(form => {
     if (!form.querySelector('[name="category"]')) return;
 
+    wireConverterAccessibility(form);
     form.addEventListener('submit', e => {
       e.preventDefault();
       runAutoConversion(form);
+      focusConversionOutcome(form);
     });
+    form.addEventListener('keydown', e => handleConverterKeydown(form, e));
 
     const sizeSelect = form.querySelector('#sizeSelect');
     const sizeInput = form.querySelector('[name="size"]');
@@ -1038,19 +1808,13 @@ function initializeConverters() {
 
     const shoeErrorEl = form.querySelector('#shoe-size-error');
     if (sizeEl && shoeErrorEl) {
-      const clearError = () => {
-        shoeErrorEl.style.display = 'none';
-        shoeErrorEl.textContent = '';
-      };
+      const clearError = () => clearFieldError(shoeErrorEl);
       sizeEl.addEventListener('input', clearError);
       sizeEl.addEventListener('change', clearError);
     }
     const clothingErrorEl = form.querySelector('#clothing-size-error');
     if (sizeEl && clothingErrorEl) {
-      const clearClothingError = () => {
-        clothingErrorEl.style.display = 'none';
-        clothingErrorEl.textContent = '';
-      };
+      const clearClothingError = () => clearFieldError(clothingErrorEl);
       sizeEl.addEventListener('input', clearClothingError);
       sizeEl.addEventListener('change', clearClothingError);
     }
@@ -1070,7 +1834,7 @@ function initializeConverters() {
 function handleConversion(form) {
   if (!dataLoaded) {
     console.warn('Data not loaded yet, please wait...');
-    alert('Please wait for the size data to load, then try again.');
+    alert(uiText('dataLoading'));
     return;
   }
 
@@ -1085,7 +1849,8 @@ function handleConversion(form) {
   const sizeSelect = form.querySelector('#sizeSelect');
   const sizeInput = form.querySelector('[name="size"]');
   const sizeEl = sizeSelect || sizeInput;
-  const sizeRaw = sizeEl?.value;
+  // "42,5" typed with a decimal comma converts like 42.5
+  const sizeRaw = I18n.parseDecimal(sizeEl?.value);
   const gender = form.querySelector('[name="gender"]')?.value;
   const clothingCategory = form.querySelector('[name="clothingCategory"]')?.value || '';
 
@@ -1119,49 +1884,35 @@ function handleConversion(form) {
       const shoeErrorEl =
         form.closest('.converter-card')?.querySelector('#shoe-size-error') ||
         form.querySelector('#shoe-size-error');
-      if (shoeErrorEl) {
-        shoeErrorEl.style.display = 'none';
-        shoeErrorEl.textContent = '';
-      }
+      clearFieldError(shoeErrorEl);
       showConverterEmptyState(form);
       return;
     }
-    if (!validateShoeSize(sizeRaw)) {
+    if (!validateShoeSize(sizeRaw, gender)) {
       const formSection = form.closest('.converter-card');
       const shoeErrorEl = formSection?.querySelector('#shoe-size-error') || form.querySelector('#shoe-size-error');
-      if (shoeErrorEl) {
-        shoeErrorEl.textContent = SHOE_SIZE_ERROR_MSG;
-        shoeErrorEl.style.display = 'block';
-      }
+      showFieldError(shoeErrorEl, SHOE_SIZE_ERROR_MSG);
       showConverterEmptyState(form);
       return;
     }
     const sizeNum = parseFloat(sizeRaw);
-    if (sizeNum < 0 || sizeNum > 60) {
+    // KR sizes are millimetres (e.g. 265); every other shoe scale stays under 60
+    const maxShoeSize = fromRegionNorm === 'KR' ? 400 : 60;
+    if (sizeNum < 0 || sizeNum > maxShoeSize) {
       const formSection = form.closest('.converter-card');
       const shoeErrorEl = formSection?.querySelector('#shoe-size-error') || form.querySelector('#shoe-size-error');
-      if (shoeErrorEl) {
-        shoeErrorEl.textContent = SHOE_SIZE_RANGE_ERROR_MSG;
-        shoeErrorEl.style.display = 'block';
-      }
+      showFieldError(shoeErrorEl, SHOE_SIZE_RANGE_ERROR_MSG);
       showConverterEmptyState(form);
       return;
     }
     if (!validateSize('shoes', gender, fromRegionNorm, sizeNum)) {
       const formSection = form.closest('.converter-card');
       const shoeErrorEl = formSection?.querySelector('#shoe-size-error') || form.querySelector('#shoe-size-error');
-      if (shoeErrorEl) {
-        shoeErrorEl.textContent = SHOE_SIZE_RANGE_ERROR_MSG;
-        shoeErrorEl.style.display = 'block';
-      }
+      showFieldError(shoeErrorEl, SHOE_SIZE_RANGE_ERROR_MSG);
       showConverterEmptyState(form);
       return;
     }
-    const shoeErrorEl = form.querySelector('#shoe-size-error');
-    if (shoeErrorEl) {
-      shoeErrorEl.style.display = 'none';
-      shoeErrorEl.textContent = '';
-    }
+    clearFieldError(form.querySelector('#shoe-size-error'));
   }
 
   if (isLetterClothing) {
@@ -1170,28 +1921,18 @@ function handleConversion(form) {
       const clothingErrorEl =
         form.closest('.converter-card')?.querySelector('#clothing-size-error') ||
         form.querySelector('#clothing-size-error');
-      if (clothingErrorEl) {
-        clothingErrorEl.style.display = 'none';
-        clothingErrorEl.textContent = '';
-      }
+      clearFieldError(clothingErrorEl);
       showConverterEmptyState(form);
       return;
     }
     if (!validateClothingSize(sizeRaw)) {
       const formSection = form.closest('.converter-card');
       const clothingErrorEl = formSection?.querySelector('#clothing-size-error') || form.querySelector('#clothing-size-error');
-      if (clothingErrorEl) {
-        clothingErrorEl.textContent = CLOTHING_SIZE_ERROR_MSG;
-        clothingErrorEl.style.display = 'block';
-      }
+      showFieldError(clothingErrorEl, CLOTHING_SIZE_ERROR_MSG);
       showConverterEmptyState(form);
       return;
     }
-    const clothingErrorEl = form.querySelector('#clothing-size-error');
-    if (clothingErrorEl) {
-      clothingErrorEl.style.display = 'none';
-      clothingErrorEl.textContent = '';
-    }
+    clearFieldError(form.querySelector('#clothing-size-error'));
   }
 
   if (!size) {
@@ -1210,9 +1951,30 @@ function handleConversion(form) {
   let results = {};
   let bestMatchRegion = toRegionNorm || fromRegionNorm || fromRegionRaw;
   let brandNote = '';
+  let matchNote = '';
+  let kidsNote = '';
 
   if (isShoePath) {
-    results = getAllShoeConversions(size, fromRegionNorm, gender);
+    // Describe the match against the target region (US when converting from a raw foot length)
+    const isLengthInput = fromRegionNorm === 'CM' || fromRegionNorm === 'INCH' || fromRegionNorm === 'MP';
+    const matchRegion = toRegionNorm || (isLengthInput ? 'US' : fromRegionNorm);
+    const shoeBrandSel = form.querySelector('#shoeBrand');
+    const shoeOptions = {
+      brand: shoeBrandSel?.value || '',
+      model: form.querySelector('#shoeModel')?.value || '',
+      brandFit: shoeBrandSel?.selectedOptions[0]?.getAttribute('data-fit') || ''
+    };
+    const shoeMatch = convertSize('shoes', gender, fromRegionNorm, matchRegion, size, shoeOptions);
+    if (shoeMatch?.status === 'out_of_range') {
+      const rangeMsg = describeShoeMatch(shoeMatch, gender, fromRegionNorm);
+      const overrideMsg = describeBrandOverride(shoeMatch.brandOverride);
+      showConverterEmptyState(form, overrideMsg ? `${overrideMsg} ${rangeMsg}` : rangeMsg);
+      return;
+    }
+    brandNote = describeBrandOverride(shoeMatch?.brandOverride);
+    matchNote = describeShoeMatch(shoeMatch, gender, fromRegionNorm);
+    if (gender === 'kids' && shoeMatch) kidsNote = describeKidsShoeSize(shoeMatch.brandOverride?.footCm ?? shoeMatch.cm);
+    results = getAllShoeConversions(size, fromRegionNorm, gender, shoeOptions);
   } else if (category === 'clothing') {
     let sizeToConvert = size;
     const brandSel = form.querySelector('#brand');
@@ -1230,7 +1992,7 @@ function handleConversion(form) {
         );
         if (adj !== String(size).trim()) {
           sizeToConvert = adj;
-          brandNote = `Adjusted for brand: ${bname} (${humanizeFit(fit)})`;
+          brandNote = uiText('clothingBrandAdjusted', { brand: bname, fit: humanizeFit(fit) });
         }
       }
     }
@@ -1250,7 +2012,9 @@ function handleConversion(form) {
   
   if (resultsContainer) {
     displayResults(results, bestMatchRegion, isShoePath, resultsContainer, {
-      brandNote
+      brandNote,
+      matchNote,
+      kidsNote
     });
   } else {
     console.error('Results container not found');
@@ -1281,8 +2045,7 @@ function displayResults(results, bestMatchRegion, isShoe = true, resultsContaine
     return;
   }
 
-  const prevBrandNote = resultsContainer.querySelector('.brand-adjustment-note');
-  if (prevBrandNote) prevBrandNote.remove();
+  resultsContainer.querySelectorAll('.brand-adjustment-note, .shoe-match-note, .kids-size-note').forEach((el) => el.remove());
 
   resultsGrid.innerHTML = '';
 
@@ -1290,34 +2053,60 @@ function displayResults(results, bestMatchRegion, isShoe = true, resultsContaine
     resultsContainer.classList.remove('active');
     // Show error message
     const errorMsg = document.createElement('div');
-    errorMsg.style.padding = '1rem';
-    errorMsg.style.color = 'var(--error-color)';
-    errorMsg.textContent = 'Size not found. Please check your input and try again.';
+    errorMsg.className = 'converter-results-error';
+    errorMsg.textContent = SIZE_NOT_FOUND_MSG;
     resultsGrid.appendChild(errorMsg);
     resultsContainer.classList.add('active');
+    announceConverter(resultsContainer, SIZE_NOT_FOUND_MSG);
     return;
   }
 
   if (opts && opts.brandNote) {
     const note = document.createElement('p');
     note.className = 'brand-adjustment-note';
-    note.setAttribute('role', 'status');
     note.textContent = opts.brandNote;
     resultsContainer.insertBefore(note, resultsGrid);
   }
 
-  const regions = [
-    { code: 'US', name: 'United States' },
-    { code: 'UK', name: 'United Kingdom' },
-    { code: 'EU', name: 'European Union' },
-    { code: 'JP', name: 'Japan' },
-    { code: 'CN', name: 'China' }
-  ];
+  if (opts && opts.matchNote) {
+    const note = document.createElement('p');
+    note.className = 'shoe-match-note';
+    note.textContent = opts.matchNote;
+    resultsContainer.insertBefore(note, resultsGrid);
+  }
+
+  if (opts && opts.kidsNote) {
+    const note = document.createElement('p');
+    note.className = 'kids-size-note';
+    note.textContent = opts.kidsNote;
+    resultsContainer.insertBefore(note, resultsGrid);
+  }
+
+  const codes = ['US', 'UK', 'EU', 'JP', 'CN'];
+
+  if (!isShoe) {
+    // Only bras carry French and Australian columns; other categories skip these cards
+    codes.push('FR', 'AU');
+  }
+
+  if (isShoe) {
+    codes.push('KR', 'MX', 'BR', 'AU');
+  }
 
   if (isShoe && results.cm) {
-    regions.push({ code: 'CM', name: 'Centimeters' });
+    codes.push('CM');
+  }
+
+  if (isShoe && results.inch) {
+    codes.push('INCH');
+  }
+
+  if (isShoe && results.mp) {
+    codes.push('MP');
   }
 
+  const regions = codes.map((code) => ({ code, name: uiText(`region${code}`) }));
+
   regions.forEach(region => {
     const value = results[region.code.toLowerCase()];
     if (value === undefined || value === null) return;
@@ -1335,30 +2124,47 @@ function displayResults(results, bestMatchRegion, isShoe = true, resultsContaine
 
     const valueDiv = document.createElement('div');
     valueDiv.className = 'result-value';
-    valueDiv.textContent = value;
+    valueDiv.textContent = formatUiNumber(value);
 
     card.appendChild(label);
     card.appendChild(valueDiv);
 
-    if (isShoe && region.code !== 'CM' && results.cm) {
+    if (isShoe && region.code !== 'CM' && !(UI_UNITS === 'in' && region.code === 'INCH') && results.cm) {
       const cmDiv = document.createElement('div');
       cmDiv.className = 'result-cm';
-      cmDiv.textContent = `${results.cm} cm`;
+      cmDiv.textContent = formatUiLength(results.cm);
       card.appendChild(cmDiv);
     }
 
+    if (region.code === 'MP') {
+      // Ski and snowboard boots share one shell per full size (26 and 26.5)
+      const shell = SizeEngine.mondopointShell(value);
+      const shellDiv = document.createElement('div');
+      shellDiv.className = 'result-cm';
+      shellDiv.textContent = uiText('mondopointShell', { shell: shell.sizes.map(formatUiNumber).join('/') });
+      card.appendChild(shellDiv);
+    }
+
     if (!isShoe && region.code === 'US') {
-      if (results.chest_cm) {
-        const cmDiv = document.createElement('div');
-        cmDiv.className = 'result-cm';
-        cmDiv.textContent = `Chest: ${results.chest_cm}cm`;
-        card.appendChild(cmDiv);
-      }
-      if (results.waist_cm) {
+      // Body range this size is cut for (falls back to the single reference measurement)
+      [
+        ['chest_cm', 'measureChest'], ['waist_cm', 'measureWaist'], ['hips_cm', 'measureHips'], ['inseam_cm', 'measureInseam'],
+        ['neck_cm', 'measureNeck'], ['sleeve_cm', 'measureSleeve'], ['underbust_cm', 'measureUnderbust'], ['bust_cm', 'measureBust']
+      ].forEach(([key, messageKey]) => {
+        const range = results.ranges?.[key];
+        if (!range && !results[key]) return;
+        const name = uiText(messageKey);
         const cmDiv = document.createElement('div');
         cmDiv.className = 'result-cm';
-        cmDiv.textContent = `Waist: ${results.waist_cm}cm`;
+        cmDiv.textContent = `${name}: ${range ? formatUiRange(range) : formatUiLength(results[key], true)}`;
         card.appendChild(cmDiv);
+      });
+      const trousers = results.drop_in ? SizeEngine.suitTrouserWaist(results) : null;
+      if (trousers) {
+        const dropDiv = document.createElement('div');
+        dropDiv.className = 'result-cm';
+        dropDiv.textContent = uiText('trouserWaist', { waist: formatUiNumber(trousers.waistIn), drop: formatUiNumber(trousers.dropIn) });
+        card.appendChild(dropDiv);
       }
     }
 
@@ -1366,8 +2172,372 @@ function displayResults(results, bestMatchRegion, isShoe = true, resultsContaine
   });
 
   resultsContainer.classList.add('active');
+  announceConverter(resultsContainer, describeResultsForAnnouncement(results, regions, opts));
+}
+
+// ============================================
+// Accessibility (field descriptions, live announcements, focus)
+// ============================================
+
+/** Results re-render on every keystroke; only the value the visitor settles on is read out. */
+const ANNOUNCE_DELAY_MS = 500;
+const announceTimers = new WeakMap();
+
+/** Visually hidden polite live region of one converter card, created on first use. */
+function converterAnnouncer(card) {
+  let el = card.querySelector('.converter-announcer');
+  if (!el) {
+    el = document.createElement('p');
+    el.className = 'converter-announcer sr-only';
+    el.setAttribute('aria-live', 'polite');
+    el.setAttribute('aria-atomic', 'true');
+    card.appendChild(el);
+  }
+  return el;
+}
+
+/**
+ * Read a short summary of the converter outcome to screen readers. The results grid itself is not a
+ * live region: it is rebuilt card by card and would be read out in fragments.
+ * @param {Element} within - any element inside the converter card
+ */
+function announceConverter(within, message) {
+  const card = within?.closest('.converter-card');
+  if (!card) return;
+  const el = converterAnnouncer(card);
+  clearTimeout(announceTimers.get(el));
+  announceTimers.set(el, setTimeout(() => {
+    el.textContent = message || '';
+  }, ANNOUNCE_DELAY_MS));
+}
+
+function describeResultsForAnnouncement(results, regions, opts = {}) {
+  const parts = regions
+    .filter((region) => results[region.code.toLowerCase()] != null)
+    .map((region) => `${region.name} ${formatUiNumber(results[region.code.toLowerCase()])}`);
+  const notes = [opts.brandNote, opts.matchNote, opts.kidsNote].filter(Boolean).join(' ');
+  return `${uiText('convertedSizes', { list: parts.join(', ') })}${notes ? ` ${notes}` : ''}`;
 }
 
+/** Prepend ids to an aria-describedby list without duplicating them. */
+function addDescribedBy(control, ...ids) {
+  const current = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+  const merged = [...ids.filter((id) => id && !current.includes(id)), ...current];
+  if (merged.length) control.setAttribute('aria-describedby', merged.join(' '));
+}
+
+/** The control a hint or error message in a .form-group belongs to. */
+function formGroupControl(el) {
+  return el.closest('.form-group')?.querySelector('input:not([type="hidden"]), select, textarea') || null;
+}
+
+function showFieldError(errorEl, message) {
+  if (!errorEl) return;
+  errorEl.textContent = message;
+  errorEl.style.display = 'block';
+  formGroupControl(errorEl)?.setAttribute('aria-invalid', 'true');
+}
+
+function clearFieldError(errorEl) {
+  if (!errorEl) return;
+  errorEl.style.display = 'none';
+  errorEl.textContent = '';
+  formGroupControl(errorEl)?.removeAttribute('aria-invalid');
+}
+
+/**
+ * Tie each control to its hint and error message, and make the results box a labelled region that
+ * focus can move to after an explicit conversion (Enter).
+ */
+function wireConverterAccessibility(form) {
+  const prefix = form.id || 'converter';
+  form.querySelectorAll('.size-input-helper, .converter-error').forEach((el, i) => {
+    const control = formGroupControl(el);
+    if (!control) return;
+    if (!el.id) el.id = `${control.id || prefix}-${el.classList.contains('converter-error') ? 'error' : 'hint'}-${i}`;
+    addDescribedBy(control, el.id);
+  });
+
+  const results = form.closest('.converter-card')?.querySelector('.results');
+  if (!results) return;
+  const heading = results.querySelector('h2, h3');
+  if (heading) {
+    if (!heading.id) heading.id = `${prefix}-results-title`;
+    results.setAttribute('aria-labelledby', heading.id);
+  }
+  results.setAttribute('role', 'region');
+  results.setAttribute('tabindex', '-1');
+}
+
+/** After Enter: the invalid field when conversion failed validation, otherwise the results. */
+function focusConversionOutcome(form) {
+  const invalid = form.querySelector('[aria-invalid="true"]');
+  if (invalid) {
+    invalid.focus();
+    return;
+  }
+  const results = form.closest('.converter-card')?.querySelector('.results.active');
+  if (results?.querySelector('.result-card')) results.focus();
+}
+
+/**
+ * Enter converts from any field (select-only forms have no implicit submit) and moves focus to the
+ * outcome; Escape in a typed size clears it.
+ */
+function handleConverterKeydown(form, e) {
+  const target = e.target;
+  if (e.key === 'Enter' && target.tagName === 'SELECT') {
+    e.preventDefault();
+    runAutoConversion(form);
+    focusConversionOutcome(form);
+  } else if (e.key === 'Escape' && target.name === 'size' && target.tagName === 'INPUT' && target.value) {
+    e.preventDefault();
+    target.value = '';
+    runAutoConversion(form);
+  }
+}
+
+// ============================================
+// Comparison Mode (up to four sizes / brands side by side)
+// ============================================
+
+const COMPARISON_MAX = 4;
+const COMPARISON_COLUMNS = ['US', 'UK', 'EU', 'JP', 'CN', 'CM'];
+/** Body measurement (and its message key) shown in the CM column for clothing, first one the size has. */
+const COMPARISON_CLOTHING_CM_KEYS = [
+  ['chest_cm', 'measureChest'], ['waist_cm', 'measureWaist'], ['hips_cm', 'measureHips'], ['underbust_cm', 'measureUnderbust'], ['neck_cm', 'measureNeck']
+];
+const comparisonEntries = new WeakMap();
+
+/** The (size, brand, region) a converter form currently describes, or null while it is incomplete. */
+function readConverterInput(form) {
+  const value = (name) => form.querySelector(`[name="${name}"]`)?.value?.trim() || '';
+  const category = value('category') || 'shoes';
+  const sizeEl = form.querySelector('#sizeSelect') || form.querySelector('[name="size"]');
+  const brandSel = category === 'clothing' ? form.querySelector('#brand') : form.querySelector('#shoeBrand');
+  const entry = {
+    category,
+    gender: value('gender'),
+    clothingCategory: category === 'clothing' ? value('clothingCategory') : '',
+    fromRegion: normalizeShoeRegion(value('fromRegion')) || value('fromRegion'),
+    size: I18n.parseDecimal(sizeEl?.value?.trim() || ''),
+    brand: brandSel?.value || '',
+    brandFit: brandSel?.selectedOptions[0]?.getAttribute('data-fit') || '',
+    model: category === 'clothing' ? '' : form.querySelector('#shoeModel')?.value || ''
+  };
+  if (!entry.gender || !entry.fromRegion || !entry.size) return null;
+  if (category === 'clothing' && !entry.clothingCategory) return null;
+  return entry;
+}
+
+function comparisonCellValue(results, code, isShoe) {
+  if (!isShoe && code === 'CM') {
+    const hit = COMPARISON_CLOTHING_CM_KEYS.find(([key]) => results.ranges?.[key] || results[key]);
+    if (!hit) return null;
+    const range = results.ranges?.[hit[0]];
+    const name = uiText(hit[1]);
+    return range ? `${name} ${formatUiNumber(range[0])}–${formatUiNumber(range[1])}` : `${name} ${formatUiNumber(results[hit[0]])}`;
+  }
+  const v = results[code.toLowerCase()];
+  return v == null ? null : formatUiNumber(v);
+}
+
+/**
+ * One comparison row: the entry converted with its brand (shoe override layer or
+ * adjustClothingSizeForBrand) and without, so cells the brand moved can be flagged.
+ * @returns {{ label, values, standard, brandNote }|null} null when the size does not convert
+ */
+function computeComparisonRow(entry) {
+  const isShoe = entry.category !== 'clothing';
+  let results;
+  let standard;
+  let brandNote = '';
+  if (isShoe) {
+    const options = { brand: entry.brand, model: entry.model, brandFit: entry.brandFit };
+    results = getAllShoeConversions(entry.size, entry.fromRegion, entry.gender, options);
+    standard = entry.brand ? getAllShoeConversions(entry.size, entry.fromRegion, entry.gender) : results;
+    if (entry.brand) {
+      const match = convertSize('shoes', entry.gender, entry.fromRegion, entry.fromRegion, entry.size, options);
+      brandNote = describeBrandOverride(match?.brandOverride);
+    }
+  } else {
+    standard = getAllClothingConversions(entry.size, entry.fromRegion, entry.gender, entry.clothingCategory);
+    results = standard;
+    if (entry.brand && entry.brandFit && entry.brandFit !== 'true_to_size') {
+      const adjusted = adjustClothingSizeForBrand(entry.size, entry.brandFit, entry.gender, entry.clothingCategory, entry.fromRegion);
+      if (adjusted !== String(entry.size).trim()) {
+        results = getAllClothingConversions(adjusted, entry.fromRegion, entry.gender, entry.clothingCategory);
+        brandNote = `${entry.brand} ${humanizeFit(entry.brandFit)}: ${entry.fromRegion} ${entry.size} → ${adjusted}`;
+      }
+    }
+  }
+  if (!results || !Object.keys(results).length) return null;
+
+  const values = {};
+  const standardValues = {};
+  COMPARISON_COLUMNS.forEach((code) => {
+    values[code] = comparisonCellValue(results, code, isShoe);
+    standardValues[code] = comparisonCellValue(standard, code, isShoe);
+  });
+  const sizeLabel = isShoe ? SizeEngine.shoeSizeLabel(shoeData, entry.gender, entry.fromRegion, entry.size) : entry.size;
+  const label = [`${entry.fromRegion} ${sizeLabel}`, [entry.brand, entry.model].filter(Boolean).join(' ')].filter(Boolean).join(' · ');
+  return { label, values, standard: standardValues, brandNote };
+}
+
+/**
+ * Render the comparison matrix: one row per entry, one column per region. A cell is flagged
+ * (.comparison-diverged) when the row's brand adjustment moved it off the standard conversion;
+ * a column is flagged (.comparison-column-split) when the rows disagree there.
+ */
+function displayComparison(entries, container) {
+  const table = container.querySelector('.comparison-table');
+  const body = table.querySelector('tbody');
+  body.innerHTML = '';
+  const rows = entries.map((entry) => ({ entry, row: computeComparisonRow(entry) })).filter((r) => r.row);
+  container.hidden = rows.length === 0;
+  if (!rows.length) return;
+
+  const split = new Set(COMPARISON_COLUMNS.filter((code) => new Set(rows.map((r) => r.row.values[code])).size > 1));
+  table.querySelectorAll('thead th[data-col]').forEach((th) => {
+    th.classList.toggle('comparison-column-split', rows.length > 1 && split.has(th.dataset.col));
+  });
+
+  rows.forEach(({ entry, row }) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = row.label;
+    if (row.brandNote) {
+      const note = document.createElement('div');
+      note.className = 'comparison-brand-note';
+      note.textContent = row.brandNote;
+      th.appendChild(note);
+    }
+    tr.appendChild(th);
+
+    COMPARISON_COLUMNS.forEach((code) => {
+      const td = document.createElement('td');
+      td.textContent = row.values[code] ?? '—';
+      if (row.values[code] !== row.standard[code]) {
+        td.classList.add('comparison-diverged');
+        td.title = uiText('comparisonStandard', { value: row.standard[code] ?? '—' });
+      }
+      if (rows.length > 1 && split.has(code)) td.classList.add('comparison-column-split');
+      tr.appendChild(td);
+    });
+
+    const removeCell = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'comparison-remove';
+    remove.setAttribute('aria-label', uiText('comparisonRemove', { label: row.label }));
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      entries.splice(entries.indexOf(entry), 1);
+      container.dispatchEvent(new Event('comparisonchange'));
+    });
+    removeCell.appendChild(remove);
+    tr.appendChild(removeCell);
+    body.appendChild(tr);
+  });
+}
+
+/** "Add to comparison" under a converter's results, with the matrix it fills. */
+function addComparisonControl(form) {
+  const card = form.closest('.converter-card');
+  const results = card?.querySelector('.results');
+  if (!results || card.querySelector('.comparison')) return;
+  const entries = [];
+  comparisonEntries.set(form, entries);
+
+  const controls = document.createElement('div');
+  controls.className = 'comparison-controls';
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'converter-action-btn';
+  const status = document.createElement('span');
+  status.className = 'converter-action-status';
+  status.setAttribute('role', 'status');
+  controls.append(addBtn, status);
+
+  const panel = document.createElement('div');
+  panel.className = 'comparison';
+  panel.hidden = true;
+  panel.innerHTML = `
+    <div class="comparison-header">
+      <h3></h3>
+      <button type="button" class="comparison-clear converter-action-btn"></button>
+    </div>
+    <div class="comparison-scroll">
+      <table class="comparison-table">
+        <thead><tr><th scope="col" class="comparison-size-col"></th>${COMPARISON_COLUMNS.map((c) => `<th scope="col" data-col="${c}">${c}</th>`).join('')}<th scope="col" class="comparison-remove-col"></th></tr></thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <p class="comparison-legend"></p>`;
+  // Copy goes in as text: catalogue messages are never parsed as markup
+  panel.querySelector('.comparison-header h3').textContent = uiText('comparisonHeading');
+  panel.querySelector('.comparison-clear').textContent = uiText('comparisonClear');
+  panel.querySelector('.comparison-size-col').textContent = uiText('comparisonSizeColumn');
+  panel.querySelector('.comparison-remove-col').setAttribute('aria-label', uiText('comparisonRemoveColumn'));
+  panel.querySelector('.comparison-legend').textContent = uiText('comparisonLegend');
+
+  const refresh = () => {
+    addBtn.textContent = entries.length >= COMPARISON_MAX
+      ? uiText('comparisonFull', { max: COMPARISON_MAX })
+      : uiText('comparisonAdd', { count: entries.length, max: COMPARISON_MAX });
+    addBtn.disabled = entries.length >= COMPARISON_MAX;
+    displayComparison(entries, panel);
+  };
+
+  addBtn.addEventListener('click', () => {
+    const entry = readConverterInput(form);
+    if (!entry || !computeComparisonRow(entry)) {
+      status.textContent = uiText('comparisonNeedsSize');
+      return;
+    }
+    // Shoes and clothing (or different garment types / genders) do not share a chart
+    const first = entries[0];
+    if (first && (first.category !== entry.category || first.gender !== entry.gender || first.clothingCategory !== entry.clothingCategory)) {
+      entries.length = 0;
+      status.textContent = uiText('comparisonRestarted');
+    } else {
+      status.textContent = '';
+    }
+    if (entries.some((e) => JSON.stringify(e) === JSON.stringify(entry))) {
+      status.textContent = uiText('comparisonDuplicate');
+      return;
+    }
+    entries.push(entry);
+    refresh();
+  });
+  panel.querySelector('.comparison-clear').addEventListener('click', () => {
+    entries.length = 0;
+    status.textContent = '';
+    refresh();
+  });
+  panel.addEventListener('comparisonchange', refresh);
+
+  results.after(controls, panel);
+  refresh();
+}
+
+// ============================================
+// Offline Support (service worker, see sw.js)
+// ============================================
+
+// Pages without app.js register it through scripts/sw-register.js instead.
+function registerServiceWorker() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((e) => {
+      console.warn('Offline support unavailable:', e);
+    });
+  });
+}
+
+registerServiceWorker();
+
 // ============================================
 // Collapsible Sections
 // ============================================
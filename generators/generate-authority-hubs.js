@@ -538,6 +538,8 @@ ${mainContent}
 ${sectionsHtml}${faqBlock}${AUTHORITY_HUBS_BLOCK}
     </div>
   </main>${SHARED_FOOTER}
+  <script src="scripts/size-engine.js"></script>
+  <script src="scripts/i18n.js"></script>
   <script src="app.js"></script>
 </body>
 </html>`;
@@ -19,19 +19,22 @@ const path = require('path');
 const ROOT = path.resolve(path.join(__dirname, '..'));
 const BRANDS_DIR = path.join(ROOT, 'brands');
 const BASE_URL = 'https://globalsizechart.com';
+const BRAND_REGISTRY_PATH = path.join(ROOT, 'data', 'brand_registry.json');
 
-const BRANDS = [
-  { slug: 'nike-size-guide', name: 'Nike', focus: 'shoes' },
-  { slug: 'adidas-size-guide', name: 'Adidas', focus: 'shoes' },
-  { slug: 'zara-size-guide', name: 'Zara', focus: 'clothing' },
-  { slug: 'hm-size-guide', name: 'H&M', focus: 'clothing' },
-  { slug: 'new-balance-size-guide', name: 'New Balance', focus: 'shoes' },
-  { slug: 'puma-size-guide', name: 'Puma', focus: 'shoes' },
-  { slug: 'reebok-size-guide', name: 'Reebok', focus: 'shoes' },
-  { slug: 'vans-size-guide', name: 'Vans', focus: 'shoes' },
-  { slug: 'converse-size-guide', name: 'Converse', focus: 'shoes' },
-  { slug: 'asics-size-guide', name: 'ASICS', focus: 'shoes' }
-];
+/** Brands with a guide page, in registry order: { slug, name, focus, fitNote }. */
+function loadGuideBrands() {
+  const registry = JSON.parse(fs.readFileSync(BRAND_REGISTRY_PATH, 'utf8'));
+  return Object.entries(registry.brands)
+    .filter(([, entry]) => entry.guide)
+    .map(([name, entry]) => ({
+      slug: entry.guide.slug,
+      name,
+      focus: entry.guide.focus,
+      fitNote: entry.guide.fit_note || null
+    }));
+}
+
+const BRANDS = loadGuideBrands();
 
 function escapeHtml(s) {
   return String(s)
@@ -52,20 +55,13 @@ function getBrandCopy(brand) {
   const defaults = {
     sizingDifferences: `${name} uses its own fit models and lasts; sizes often differ from generic conversion charts. ${isShoe ? 'Shoes' : 'Clothing'} may run small or large depending on the line.`,
     euVsUs: `EU and US sizing don't align 1:1. ${name} products sold in Europe may be labeled in EU sizes; when buying from the US site you'll see US sizes. Use our converters below to translate between regions.`,
-    fitType: `${name} offers regular and sometimes narrow or wide options for ${isShoe ? 'footwear' : 'apparel'}. Check the product page for width (e.g. narrow/wide) and compare to your usual fit.`,
+    fitType: brand.fitNote || `${name} offers regular and sometimes narrow or wide options for ${isShoe ? 'footwear' : 'apparel'}. Check the product page for width (e.g. narrow/wide) and compare to your usual fit.`,
     fitTips: `Measure yourself and compare to ${name}'s official size chart for the specific item. When between sizes, many buyers size up for comfort. Read recent customer reviews for fit notes.`
   };
+  // Fit-type copy comes from the brand registry (guide.fit_note); only other sections are overridden here
   const overrides = {
-    'Nike': { fitType: 'Nike shoes often run narrow and slightly short; many buyers go half a size up. Width options exist for some running models.' },
-    'Adidas': { fitType: 'Adidas tends to run true to size with a medium width; some running and soccer styles run long. Check product-specific fit notes.' },
     'Zara': { sizingDifferences: 'Zara uses European sizing; items often run small compared to US. Dresses and tops may be cut slim.' },
-    'H&M': { sizingDifferences: 'H&M uses EU sizing; conversion to US/UK can vary by category. Fast-fashion cuts often run small—consider sizing up.' },
-    'New Balance': { fitType: 'New Balance is known for wide width availability (2E, 4E). Standard width runs true to size for many.' },
-    'Puma': { fitType: 'Puma shoes typically run true to size with a medium width; some lifestyle models run slightly large.' },
-    'Reebok': { fitType: 'Reebok athletic shoes often run true to size; classic styles may run slightly large. Width options available for some lines.' },
-    'Vans': { fitType: 'Vans sneakers often run true to size but can feel snug at first; they tend to break in. Consider half size up for a relaxed fit.' },
-    'Converse': { fitType: 'Converse Chuck Taylors often run large; many buyers size down half. Newer lines may fit differently—check reviews.' },
-    'ASICS': { fitType: 'ASICS running shoes come in multiple widths. Standard (D) runs true to size; consider wide (2E) if you have wider feet.' }
+    'H&M': { sizingDifferences: 'H&M uses EU sizing; conversion to US/UK can vary by category. Most cuts follow the standard chart—check the garment measurements when between sizes.' }
   };
   const o = overrides[name] || {};
   return {
@@ -245,6 +241,8 @@ ${getConverterAndSizePairLinks()}
       </div>
     </div>
   </footer>
+  <script src="../scripts/size-engine.js"></script>
+  <script src="../scripts/i18n.js"></script>
   <script src="../app.js"></script>
 </body>
 </html>`;
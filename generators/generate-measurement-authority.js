@@ -176,6 +176,8 @@ function buildPage(config) {
 ${mainContent}
     </div>
   </main>${FOOTER}
+  <script src="scripts/size-engine.js"></script>
+  <script src="scripts/i18n.js"></script>
   <script src="app.js"></script>
 </body>
 </html>`;
@@ -2,6 +2,7 @@
 /**
  * Phase 12 — Affiliate product matching engine (structure only).
  * Matches affiliate_products.json to page routes; no tracking, no live links.
+ * Branded products take fit_type from data/brand_registry.json; only 'generic' rows carry their own.
  *
  * Usage: require('./affiliate-engine') then matchProductsToPage(route)
  * Returns: { related_products: Array<product> }
@@ -9,10 +10,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const SizeEngine = require('./size-engine.js');
 
 const ROOT = path.resolve(__dirname, '..');
 const DATA_DIR = path.join(ROOT, 'data');
 const AFFILIATE_PATH = path.join(DATA_DIR, 'affiliate_products.json');
+const BRAND_REGISTRY_PATH = path.join(DATA_DIR, 'brand_registry.json');
 
 const DEFAULT_MAX_PRODUCTS = 8;
 
@@ -25,10 +28,27 @@ function loadAffiliateProducts() {
     return _productsCache;
   }
   const raw = fs.readFileSync(AFFILIATE_PATH, 'utf8');
-  _productsCache = JSON.parse(raw);
+  const registry = loadBrandRegistry();
+  _productsCache = JSON.parse(raw).map(p => withRegistryFit(p, registry));
   return _productsCache;
 }
 
+function loadBrandRegistry() {
+  if (!fs.existsSync(BRAND_REGISTRY_PATH)) return null;
+  return JSON.parse(fs.readFileSync(BRAND_REGISTRY_PATH, 'utf8'));
+}
+
+/** Registry category for a product: shoes, or the garment product_type for clothing. */
+function productFitCategory(product) {
+  return normalizeCategory(product.category) === 'shoes' ? 'shoes' : normalizeCategory(product.product_type);
+}
+
+/** Product with fit_type from the brand registry (unchanged when the registry has no entry). */
+function withRegistryFit(product, registry) {
+  const fit = SizeEngine.getBrandFit(registry, product.brand, productFitCategory(product), product.gender);
+  return fit ? { ...product, fit_type: fit.fit } : product;
+}
+
 function normalizeBrand(brand) {
   if (!brand || typeof brand !== 'string') return '';
   return brand.toLowerCase().trim().replace(/\s+/g, ' ');
@@ -172,5 +192,6 @@ function matchProductsToPage(route, opts = {}) {
 
 module.exports = {
   loadAffiliateProducts,
+  productFitCategory,
   matchProductsToPage
 };
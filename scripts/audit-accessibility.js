@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Accessibility audit over the built HTML — BUILD GUARD against regressions
+ *
+ * Static checks that do not need a browser:
+ *   - html-lang:       <html> carries a lang attribute
+ *   - document-title:  <title> is present and not empty
+ *   - img-alt:         every <img> has an alt attribute (alt="" for decoration)
+ *   - control-label:   every visible input / select / textarea has a <label for>, a wrapping <label>,
+ *                      aria-label, aria-labelledby or title
+ *   - button-name:     every <button> has text, aria-label or aria-labelledby
+ *   - link-name:       every <a href> has text, aria-label or an <img alt>
+ *   - duplicate-id:    an id is used once per page
+ *   - aria-reference:  aria-labelledby / aria-describedby / for point at ids that exist
+ *   - error-live:      converter .converter-error messages sit in a live region (aria-live or role="alert")
+ *
+ * The site passes all of these, so any problem is a regression and FAILs the build.
+ *
+ *   node scripts/audit-accessibility.js            — audit, list problems, FAIL on any
+ *
+ * Can be required and run() called after pages are generated. Runtime behaviour (live result
+ * announcements, focus after conversion) is wired by app.js and is not covered here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+const ROOT = path.resolve(__dirname, '..');
+const IGNORE_DIRS = new Set(['node_modules', '.git', 'scripts', 'sitemaps', 'components', 'build']);
+
+const LABELLED_CONTROLS = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+
+function walkHtmlFiles(dir = '.', prefix = '') {
+  const out = [];
+  const full = path.join(ROOT, dir);
+  if (!fs.existsSync(full)) return out;
+  for (const ent of fs.readdirSync(full, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${ent.name}` : ent.name;
+    if (ent.isDirectory()) {
+      if (IGNORE_DIRS.has(ent.name)) continue;
+      out.push(...walkHtmlFiles(path.join(dir, ent.name), rel));
+    } else if (ent.isFile() && ent.name.endsWith('.html')) {
+      out.push(rel.replace(/\\/g, '/'));
+    }
+  }
+  return out.sort();
+}
+
+function hasText($, el) {
+  return $(el).text().trim() !== '';
+}
+
+function hasAriaName($, el) {
+  const $el = $(el);
+  return !!(($el.attr('aria-label') || '').trim() || $el.attr('aria-labelledby'));
+}
+
+/** Problems on one page as [rule, detail] pairs. */
+function auditPage(html) {
+  const $ = cheerio.load(html);
+  const problems = [];
+  const add = (rule, detail) => problems.push([rule, detail]);
+
+  if (!($('html').attr('lang') || '').trim()) add('html-lang', '<html> has no lang');
+  if (!$('title').first().text().trim()) add('document-title', 'missing or empty <title>');
+
+  $('img').each((_, el) => {
+    if ($(el).attr('alt') === undefined) add('img-alt', `<img src="${$(el).attr('src') || ''}"> has no alt`);
+  });
+
+  const ids = new Map();
+  $('[id]').each((_, el) => {
+    const id = $(el).attr('id');
+    ids.set(id, (ids.get(id) || 0) + 1);
+  });
+  for (const [id, n] of ids) if (n > 1) add('duplicate-id', `id="${id}" used ${n} times`);
+
+  const labelFor = new Set();
+  $('label[for]').each((_, el) => labelFor.add($(el).attr('for')));
+  $(LABELLED_CONTROLS).each((_, el) => {
+    const $el = $(el);
+    const id = $el.attr('id');
+    if ((id && labelFor.has(id)) || $el.closest('label').length || hasAriaName($, el) || $el.attr('title')) return;
+    add('control-label', `<${el.tagName} name="${$el.attr('name') || ''}"${id ? ` id="${id}"` : ''}> has no label`);
+  });
+
+  $('button').each((_, el) => {
+    if (!hasText($, el) && !hasAriaName($, el) && !$(el).attr('title')) add('button-name', '<button> has no accessible name');
+  });
+
+  $('a[href]').each((_, el) => {
+    const $el = $(el);
+    if (hasText($, el) || hasAriaName($, el) || $el.attr('title')) return;
+    if ($el.find('img[alt]').filter((__, img) => ($(img).attr('alt') || '').trim()).length) return;
+    add('link-name', `<a href="${$el.attr('href')}"> has no accessible name`);
+  });
+
+  $('[aria-labelledby], [aria-describedby], label[for]').each((_, el) => {
+    const $el = $(el);
+    for (const attr of ['aria-labelledby', 'aria-describedby', 'for']) {
+      for (const ref of ($el.attr(attr) || '').split(/\s+/).filter(Boolean)) {
+        if (!ids.has(ref)) add('aria-reference', `${attr}="${ref}" points at no element`);
+      }
+    }
+  });
+
+  $('.converter-form .converter-error').each((_, el) => {
+    const $el = $(el);
+    if (!$el.attr('aria-live') && $el.attr('role') !== 'alert') add('error-live', `.converter-error${$el.attr('id') ? '#' + $el.attr('id') : ''} is not a live region`);
+  });
+
+  return problems;
+}
+
+function run() {
+  const files = walkHtmlFiles();
+  const errors = [];
+  for (const rel of files) {
+    auditPage(fs.readFileSync(path.join(ROOT, rel), 'utf8')).forEach(([rule, detail]) => errors.push(`${rel}: [${rule}] ${detail}`));
+  }
+
+  if (errors.length) {
+    console.error('BUILD BLOCKED — Accessibility audit failed');
+    errors.forEach(e => console.error('  - ' + e));
+    return false;
+  }
+  console.log('Accessibility audit: OK (' + files.length + ' pages).');
+  return true;
+}
+
+if (require.main === module) {
+  if (!run()) process.exit(1);
+  process.exit(0);
+}
+
+module.exports = { run, auditPage };
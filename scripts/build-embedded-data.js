@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Embedded converter data — generated from data/, BUILD GUARD in --check mode
+ *
+ * app.js carries a copy of the converter datasets so the tools work before (or without) a fetch.
+ * That copy lives between the EMBEDDED-DATA markers and is generated from data/*.json; never edit it by hand.
+ *
+ *   node scripts/build-embedded-data.js          — regenerate the block in app.js and data/data_manifest.json
+ *   node scripts/build-embedded-data.js --check  — verify only (no writes); FAILs when they diverge
+ *
+ * data/data_manifest.json records the dataset version and a content hash of the files below.
+ * The version goes up by one whenever the hash changes, so loadData() in app.js can tell whether
+ * the fetched files are newer than the embedded copy. --check FAILs when:
+ *   - a data file fails SizeEngine.checkConverterData
+ *   - the data changed since the manifest was written (run this script to bump the version)
+ *   - the app.js block is not what this script would generate
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SizeEngine = require('./size-engine.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const APP_PATH = path.join(ROOT, 'app.js');
+const MANIFEST_PATH = path.join(DATA_DIR, 'data_manifest.json');
+const MARKER_START = '// EMBEDDED-DATA:START';
+const MARKER_END = '// EMBEDDED-DATA:END';
+const HASH_LENGTH = 16;
+
+/** Embedded constants in app.js, in block order: dataset key, source file, const name, comment line. */
+const DATASETS = [
+  { key: 'shoes', file: 'shoe_sizes.json', constName: 'embeddedShoeData' },
+  { key: 'clothing', file: 'clothing_sizes.json', constName: 'embeddedClothingData' },
+  { key: 'brandRegistry', file: 'brand_registry.json', constName: 'embeddedBrandRegistry', comment: 'Canonical brand fit registry (data/brand_registry.json)' },
+  { key: 'regions', file: 'regions.json', constName: 'embeddedRegionsData', comment: 'Regions keyed by region_code (data/regions.json)' },
+  { key: 'brandShoeOffsets', file: 'brand_shoe_offsets.json', constName: 'embeddedBrandShoeOffsets', comment: 'Brand shoe overrides (data/brand_shoe_offsets.json): cm offset applied before the closest-row lookup' }
+];
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+function loadDatasets() {
+  const data = {};
+  for (const d of DATASETS) data[d.key] = readJson(path.join(DATA_DIR, d.file));
+  return data;
+}
+
+/** Content hash over the parsed files, so whitespace-only edits do not bump the version. */
+function hashDatasets(data) {
+  const h = crypto.createHash('sha256');
+  for (const d of DATASETS) h.update(d.file + '\n' + JSON.stringify(data[d.key]) + '\n');
+  return h.digest('hex').slice(0, HASH_LENGTH);
+}
+
+/** Top-level "_comment" style keys document the file; the embedded copy drops them. */
+function withoutMetaKeys(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) if (!k.startsWith('_')) out[k] = v;
+  return out;
+}
+
+function isPlainObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** One-line JSON with the spacing used in the data files: {"us": 6, "cm": 24}. */
+function inline(v) {
+  if (Array.isArray(v)) return '[' + v.map(inline).join(', ') + ']';
+  if (isPlainObject(v)) return '{' + Object.entries(v).map(([k, x]) => JSON.stringify(k) + ': ' + inline(x)).join(', ') + '}';
+  return JSON.stringify(v);
+}
+
+/** Objects whose values are all primitives or primitive arrays print on one line. */
+function isLeaf(v) {
+  return Object.values(v).every(x => !isPlainObject(x) && !(Array.isArray(x) && x.some(y => y !== null && typeof y === 'object')));
+}
+
+/** Nested objects one key per line; arrays of rows one row per line. */
+function format(v, indent) {
+  const pad = ' '.repeat(indent + 2);
+  if (Array.isArray(v)) {
+    if (!v.length || !v.every(isPlainObject)) return inline(v);
+    return '[\n' + v.map(row => pad + inline(row)).join(',\n') + '\n' + ' '.repeat(indent) + ']';
+  }
+  if (isPlainObject(v)) {
+    const entries = Object.entries(v);
+    if (!entries.length || isLeaf(v)) return inline(v);
+    return '{\n' + entries.map(([k, x]) => pad + JSON.stringify(k) + ': ' + format(x, indent + 2)).join(',\n') + '\n' + ' '.repeat(indent) + '}';
+  }
+  return JSON.stringify(v);
+}
+
+/** Value embedded for a dataset: the file minus meta keys; regions keyed by code as app.js reads them. */
+function embeddedValue(key, json) {
+  if (key === 'regions') {
+    return json.regions.reduce((acc, region) => {
+      acc[region.region_code] = region;
+      return acc;
+    }, {});
+  }
+  return withoutMetaKeys(json);
+}
+
+function buildBlock(data, manifest) {
+  const lines = [
+    MARKER_START + ' — generated by scripts/build-embedded-data.js from data/*.json; do not edit by hand',
+    '// Embedded data - works both locally and when deployed',
+    'const EMBEDDED_DATA_VERSION = ' + manifest.version + ';',
+    "const EMBEDDED_DATA_HASH = '" + manifest.hash + "';"
+  ];
+  for (const d of DATASETS) {
+    lines.push('');
+    if (d.comment) lines.push('// ' + d.comment);
+    lines.push('const ' + d.constName + ' = ' + format(embeddedValue(d.key, data[d.key]), 0) + ';');
+  }
+  lines.push(MARKER_END);
+  return lines.join('\n');
+}
+
+function findBlock(source) {
+  const start = source.indexOf(MARKER_START);
+  const endMarker = source.indexOf(MARKER_END, start);
+  if (start < 0 || endMarker < 0) return null;
+  return { start, end: endMarker + MARKER_END.length };
+}
+
+/**
+ * @param {{ check?: boolean }} [options] - check: verify only, never write
+ * @returns {boolean} false when the build must stop
+ */
+function run(options = {}) {
+  const check = !!options.check;
+  const errors = [];
+  const data = loadDatasets();
+  SizeEngine.checkConverterData(data).forEach(e => errors.push('data: ' + e));
+
+  const hash = hashDatasets(data);
+  const previous = fs.existsSync(MANIFEST_PATH) ? readJson(MANIFEST_PATH) : null;
+  let manifest = previous;
+  if (!previous || previous.hash !== hash) {
+    if (check) {
+      errors.push('data/ changed since data/data_manifest.json was written (hash ' + hash + ') — run node scripts/build-embedded-data.js');
+    } else {
+      manifest = {
+        _comment: 'Written by scripts/build-embedded-data.js. version goes up by one whenever hash (content of files) changes; app.js only swaps in fetched data with a newer version.',
+        version: (previous ? Number(previous.version) || 0 : 0) + 1,
+        hash,
+        files: DATASETS.map(d => d.file)
+      };
+    }
+  }
+
+  const source = fs.readFileSync(APP_PATH, 'utf8');
+  const block = findBlock(source);
+  if (!block) errors.push('app.js: EMBEDDED-DATA markers not found');
+
+  if (errors.length) {
+    console.error('BUILD BLOCKED — Embedded converter data is out of date or invalid');
+    errors.forEach(e => console.error('  - ' + e));
+    return false;
+  }
+
+  const expected = buildBlock(data, manifest);
+  const current = source.slice(block.start, block.end);
+  if (check) {
+    if (current !== expected) {
+      console.error('BUILD BLOCKED — app.js embedded data diverges from data/ (v' + manifest.version + ')');
+      console.error('  - run node scripts/build-embedded-data.js and commit app.js');
+      return false;
+    }
+    console.log('Embedded data check: OK (v' + manifest.version + ', ' + manifest.hash + ').');
+    return true;
+  }
+
+  if (manifest !== previous) fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+  if (current !== expected) fs.writeFileSync(APP_PATH, source.slice(0, block.start) + expected + source.slice(block.end), 'utf8');
+  console.log('Embedded data: v' + manifest.version + ' (' + manifest.hash + ')' + (current !== expected ? ', app.js updated.' : ', app.js already current.'));
+  return true;
+}
+
+if (require.main === module) {
+  if (!run({ check: process.argv.includes('--check') })) process.exit(1);
+  process.exit(0);
+}
+
+module.exports = { run, DATASETS, loadDatasets, hashDatasets, buildBlock, findBlock };
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Service worker precache list — generated into sw.js, BUILD GUARD in --check mode
+ *
+ * sw.js precaches the pages below plus every local script, stylesheet and image they load and
+ * the converter datasets (data/data_manifest.json and the files it lists), so the converters,
+ * Fit Assistant and printable charts work offline. PRECACHE_VERSION is a content hash of all of
+ * them: any change installs a fresh cache on the next visit (see the sw.js header for why that
+ * matters with the immutable .js/.css rules in _headers).
+ *
+ *   node scripts/build-service-worker.js          — regenerate the PRECACHE block in sw.js
+ *   node scripts/build-service-worker.js --check  — verify only (no writes); FAILs when:
+ *     - a listed page or an asset it references is missing
+ *     - the offline fallback page references a local URL that is not root-absolute
+ *     - the sw.js block is not what this script would generate
+ *
+ * sw.js answers any uncached page with OFFLINE_FALLBACK while offline, at the URL that was asked
+ * for (/uk/…, /tools/…), so that page must load its assets and link out by root-absolute URLs.
+ *
+ * build:cf runs it last, after the steps that rewrite HTML, so the hash matches what ships.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const SW_PATH = path.join(ROOT, 'sw.js');
+const DATA_MANIFEST = 'data/data_manifest.json';
+const MARKER_START = '// PRECACHE:START';
+const MARKER_END = '// PRECACHE:END';
+const HASH_LENGTH = 16;
+
+/** Pages that must open offline (root-relative). index.html is also cached as "/". */
+const CORE_PAGES = [
+  'index.html',
+  'shoe-size-converter.html',
+  'clothing-size-converter.html',
+  'cm-to-us-shoe-size.html',
+  'us-to-eu-size.html',
+  'uk-to-us-size.html',
+  'kids-growth-size-calculator.html',
+  'foot-measurement-calculator.html',
+  'tools/fit-assistant.html',
+  'tools/measurement-assistant.html',
+  'tools/size-profile.html',
+  'printable-size-charts.html',
+  'printable/shoe-size-reference-chart.html',
+  'printable/kids-size-guide.html',
+  'printable/clothing-measurement-chart.html',
+  'printable/foot-measuring-sheet.html',
+  'printable/cm-ruler.html'
+];
+const EXTRA_FILES = ['manifest.webmanifest', 'images/icon.svg'];
+/** Served by sw.js for an uncached page while offline, whatever its path. Must be in CORE_PAGES. */
+const OFFLINE_FALLBACK = 'shoe-size-converter.html';
+
+/** src="…" on script/img and href="…" on stylesheet/manifest links. */
+const ASSET_RE = /<(?:script|img)\b[^>]*?\bsrc=["']([^"']+)["']|<link\b[^>]*?\brel=["'](?:stylesheet|manifest)["'][^>]*?\bhref=["']([^"']+)["']/gi;
+
+/** Every src="…" / href="…" on a page that points at a local file by a relative URL. */
+const REF_RE = /\b(?:src|href)=["']([^"']+)["']/gi;
+
+/** Root-relative path for a local reference from a page, or null for external / data: URLs. */
+function resolveLocal(page, ref) {
+  if (/^(?:[a-z]+:)?\/\//i.test(ref) || /^(?:data|blob|mailto):/i.test(ref)) return null;
+  const clean = ref.split(/[?#]/)[0];
+  if (!clean) return null;
+  const resolved = clean.startsWith('/') ? clean.slice(1) : path.posix.join(path.posix.dirname(page), clean);
+  return path.posix.normalize(resolved);
+}
+
+/** Local references on a page that would resolve differently once the page is served at another path. */
+function relativeRefs(html) {
+  return [...html.matchAll(REF_RE)].map(m => m[1])
+    .filter(ref => !ref.startsWith('/') && !ref.startsWith('#') && !/^[a-z][a-z0-9+.-]*:/i.test(ref));
+}
+
+function collectFiles(errors) {
+  const files = new Set();
+  for (const page of CORE_PAGES) {
+    const abs = path.join(ROOT, page);
+    if (!fs.existsSync(abs)) {
+      errors.push(`${page}: listed in CORE_PAGES but missing`);
+      continue;
+    }
+    files.add(page);
+    const html = fs.readFileSync(abs, 'utf8');
+    if (page === OFFLINE_FALLBACK) {
+      relativeRefs(html).forEach(ref => errors.push(`${page}: offline fallback references "${ref}"; use a root-absolute URL (/${resolveLocal(page, ref)})`));
+    }
+    for (const m of html.matchAll(ASSET_RE)) {
+      const rel = resolveLocal(page, m[1] || m[2]);
+      if (!rel) continue;
+      if (fs.existsSync(path.join(ROOT, rel))) files.add(rel);
+      else errors.push(`${page}: references ${rel}, which does not exist`);
+    }
+  }
+  if (!CORE_PAGES.includes(OFFLINE_FALLBACK)) errors.push(`${OFFLINE_FALLBACK}: the offline fallback is not in CORE_PAGES`);
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, DATA_MANIFEST), 'utf8'));
+  [DATA_MANIFEST, ...manifest.files.map(f => 'data/' + f), ...EXTRA_FILES].forEach((rel) => {
+    if (fs.existsSync(path.join(ROOT, rel))) files.add(rel);
+    else errors.push(`${rel}: missing`);
+  });
+  return [...files].sort();
+}
+
+function hashFiles(files) {
+  const h = crypto.createHash('sha256');
+  for (const rel of files) h.update(rel + '\n').update(fs.readFileSync(path.join(ROOT, rel))).update('\n');
+  return h.digest('hex').slice(0, HASH_LENGTH);
+}
+
+function buildBlock(files) {
+  const urls = ['/', ...files.map(f => '/' + f)];
+  return [
+    MARKER_START + ' — generated by scripts/build-service-worker.js; do not edit by hand',
+    "const PRECACHE_VERSION = '" + hashFiles(files) + "';",
+    'const PRECACHE_URLS = [',
+    urls.map(u => "  '" + u + "'").join(',\n'),
+    '];',
+    '/** Shown for an uncached page while offline. */',
+    "const OFFLINE_FALLBACK = '/" + OFFLINE_FALLBACK + "';",
+    MARKER_END
+  ].join('\n');
+}
+
+/**
+ * @param {{ check?: boolean }} [options] - check: verify only, never write
+ * @returns {boolean} false when the build must stop
+ */
+function run(options = {}) {
+  const check = !!options.check;
+  const errors = [];
+  const files = collectFiles(errors);
+  const source = fs.readFileSync(SW_PATH, 'utf8');
+  const start = source.indexOf(MARKER_START);
+  const end = source.indexOf(MARKER_END, start);
+  if (start < 0 || end < 0) errors.push('sw.js: PRECACHE markers not found');
+
+  if (errors.length) {
+    console.error('BUILD BLOCKED — Service worker precache list is invalid');
+    errors.forEach(e => console.error('  - ' + e));
+    return false;
+  }
+
+  const expected = buildBlock(files);
+  const current = source.slice(start, end + MARKER_END.length);
+  if (check) {
+    if (current !== expected) {
+      console.error('BUILD BLOCKED — sw.js precache list is out of date');
+      console.error('  - run node scripts/build-service-worker.js and commit sw.js');
+      return false;
+    }
+    console.log('Service worker check: OK (' + (files.length + 1) + ' URLs).');
+    return true;
+  }
+  if (current !== expected) fs.writeFileSync(SW_PATH, source.slice(0, start) + expected + source.slice(end + MARKER_END.length), 'utf8');
+  console.log('Service worker: ' + (files.length + 1) + ' URLs precached' + (current !== expected ? ', sw.js updated.' : ', sw.js already current.'));
+  return true;
+}
+
+if (require.main === module) {
+  if (!run({ check: process.argv.includes('--check') })) process.exit(1);
+  process.exit(0);
+}
+
+module.exports = { run, CORE_PAGES, OFFLINE_FALLBACK, relativeRefs, collectFiles, buildBlock };
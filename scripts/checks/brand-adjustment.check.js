@@ -0,0 +1,27 @@
+/**
+ * Half-size brand adjustment: registry fit labels move a shoe size by half a size of foot length on
+ * its own region's chart, and a clothing size by one row.
+ */
+
+const assert = require('assert');
+const SizeEngine = require('../size-engine.js');
+const { check } = require('../lib/check-harness.js');
+const { clothingSizes, db } = require('./fixtures.js');
+
+check('brand: registry fit labels move a size half a size on its own chart', () => {
+  assert.strictEqual(SizeEngine.adjustForBrand(db, 9.5, 'runs_small', 'men', 'US'), 10);
+  assert.strictEqual(SizeEngine.adjustForBrand(db, 42, 'runs_large', 'men', 'EU'), 41.5);
+  assert.strictEqual(SizeEngine.adjustForBrand(db, 9.5, 'true_to_size', 'men', 'US'), 9.5);
+});
+
+check('brand: clothing moves one row and stops at the ends of the chart', () => {
+  assert.strictEqual(SizeEngine.adjustClothingSizeForBrand(clothingSizes, 'M', 'runs_small', 'men', 'tops', 'US'), 'L');
+  assert.strictEqual(SizeEngine.adjustClothingSizeForBrand(clothingSizes, 'M', 'runs_large', 'men', 'tops', 'US'), 'S');
+  assert.strictEqual(SizeEngine.adjustClothingSizeForBrand(clothingSizes, 'XS', 'runs_large', 'men', 'tops', 'US'), 'XS');
+});
+
+check('brand: a fit that would step off the chart leaves the size as it is', () => {
+  assert.strictEqual(SizeEngine.adjustForBrand(db, 14, 'runs_small', 'men', 'US'), 14);
+  assert.strictEqual(SizeEngine.adjustForBrand(db, 99, 'runs_small', 'men', 'US'), 99);
+  assert.strictEqual(SizeEngine.adjustForBrand(db, 9.5, 'nonsense', 'men', 'US'), 9.5);
+});
@@ -0,0 +1,40 @@
+/**
+ * Brand shoe offsets (data/brand_shoe_offsets.json): the override table shifts the cm anchor before
+ * the row lookup, in the converter and in the Fit Assistant alike.
+ */
+
+const assert = require('assert');
+const FitAssistant = require('../fit-assistant.js');
+const { check } = require('../lib/check-harness.js');
+const { shoeSizes, clothingSizes, brandRegistry, brandShoeOffsets, shoe } = require('./fixtures.js');
+
+const fitData = { shoeSizes, clothingSizes, brandRegistry, brandShoeOffsets };
+
+check('brand: the override table shifts the cm anchor and is reported', () => {
+  const r = shoe('men', 'US', 'US', 9, { brand: 'Nike' });
+  assert.strictEqual(r.value, 9.5);
+  assert.strictEqual(r.brandOverride.cmOffset, 0.5);
+  assert.strictEqual(r.brandOverride.footCm, 27);
+  const model = shoe('men', 'US', 'US', 9, { brand: 'nike', model: 'Air Force 1' });
+  assert.strictEqual(model.value, 9);
+  assert.strictEqual(model.brandOverride.model, 'Air Force 1');
+});
+
+check('brand: the Fit Assistant applies the same offset as the converter and traces it', () => {
+  [['Nike', 'men', 27], ['Vans', 'men', 27], ['Nike', 'kids', 20], ['Adidas', 'women', 24]].forEach(([brand, gender, footCm]) => {
+    const r = FitAssistant.run({ footLengthCm: footCm, gender, region: 'US', brand }, fitData, { explain: true });
+    assert.strictEqual(r.recommendedSizes.shoes.us, shoe(gender, 'CM', 'US', footCm, { brand }).value, brand + ' ' + gender);
+  });
+  const nike = FitAssistant.run({ footLengthCm: 27, gender: 'men', region: 'US', brand: 'Nike' }, fitData, { explain: true });
+  assert.strictEqual(nike.shoeMatch.brandOverride.cmOffset, 0.5);
+  const step = nike.explain.filter(s => s.step === 'brand_offset')[0];
+  assert.deepStrictEqual([step.detail.cmOffset, step.detail.source, step.detail.applied, step.detail.matchCm], [0.5, 'brand_shoe_offsets', true, 27.5]);
+  assert.ok(/\+0\.5 cm/.test(step.summary));
+  assert.ok(!nike.fitWarnings.some(w => /Consider trying half a size up/.test(w)));
+});
+
+check('brand: without the offsets file the Fit Assistant falls back to the registry fit rule', () => {
+  const r = FitAssistant.run({ footLengthCm: 27, gender: 'men', region: 'US', brand: 'Nike' }, { shoeSizes, clothingSizes, brandRegistry }, { explain: true });
+  assert.strictEqual(r.recommendedSizes.shoes.us, 9.5);
+  assert.strictEqual(r.explain.filter(s => s.step === 'brand_offset')[0].detail.source, 'brand_registry');
+});
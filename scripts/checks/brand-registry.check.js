@@ -0,0 +1,34 @@
+/**
+ * Brand registry (data/brand_registry.json), the one source of brand fit: lookups by loose brand
+ * name, the per-category brand lists and the Fit Assistant's brand picker.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const SizeEngine = require('../size-engine.js');
+const FitAssistant = require('../fit-assistant.js');
+const { check } = require('../lib/check-harness.js');
+const { ROOT, brandRegistry } = require('./fixtures.js');
+
+check('brand registry: fit is looked up per category and gender by loose brand name', () => {
+  assert.strictEqual(SizeEngine.getBrandFit(brandRegistry, 'nike', 'shoes', 'men').fit, 'runs_small');
+  assert.strictEqual(SizeEngine.getBrandFit(brandRegistry, 'levis', 'pants', 'men').brand, "Levi's");
+  assert.strictEqual(SizeEngine.getBrandFit(brandRegistry, 'hm', 'tops', 'women').brand, 'H&M');
+  assert.strictEqual(SizeEngine.getBrandFit(brandRegistry, 'Nike', 'pants', 'men'), null);
+});
+
+check('brand registry: brand lists follow the registry for category and gender', () => {
+  assert.deepStrictEqual(SizeEngine.listRegistryBrands(brandRegistry, 'pants', 'men'), [
+    { name: "Levi's", fit: 'runs_large' },
+    { name: 'Wrangler', fit: 'runs_small' }
+  ]);
+});
+
+check('brand registry: the Fit Assistant brand picker is filled from the registry, not the markup', () => {
+  assert.deepStrictEqual(FitAssistant.listBrands(brandRegistry), Object.keys(brandRegistry.brands));
+  assert.deepStrictEqual(FitAssistant.listBrands(null), []);
+  const html = fs.readFileSync(path.join(ROOT, 'tools', 'fit-assistant.html'), 'utf8');
+  const select = html.match(/<select id="brand"[\s\S]*?<\/select>/)[0];
+  assert.deepStrictEqual(select.match(/<option\b/g), ['<option'], 'only the empty option is written in the page');
+});
@@ -0,0 +1,34 @@
+/**
+ * Clothing categories beyond tops, pants and dresses: skirts, jackets and suits, dress shirts by
+ * neck, bras by underbust and bust with FR/AU labels, and swimwear.
+ */
+
+const assert = require('assert');
+const SizeEngine = require('../size-engine.js');
+const { check } = require('../lib/check-harness.js');
+const { clothingSizes } = require('./fixtures.js');
+
+function best(gender, category, measurements) {
+  return SizeEngine.matchClothingMeasurements(clothingSizes, gender, category, measurements).row.us;
+}
+
+check('clothing categories: every new category is a dataset key of its own', () => {
+  ['skirts', 'jackets', 'shirts', 'bras', 'swimwear'].forEach(c => assert.strictEqual(SizeEngine.resolveClothingDataKey('women', c), c));
+  assert.strictEqual(SizeEngine.resolveClothingDataKey('women', 'hats'), null);
+});
+
+check('clothing categories: shirts match on neck and sleeve, bras on underbust and bust', () => {
+  assert.strictEqual(best('men', 'shirts', { neck_cm: 38, sleeve_cm: 84 }), '15');
+  assert.strictEqual(best('women', 'bras', { underbust_cm: 65, bust_cm: 82 }), '30C');
+  assert.strictEqual(best('women', 'skirts', { waist_cm: 67, hips_cm: 93 }), '4');
+  assert.strictEqual(best('men', 'swimwear', { waist_cm: 94 }), 'L');
+});
+
+check('clothing categories: bras carry FR and AU labels and jackets a suit trouser waist', () => {
+  assert.strictEqual(SizeEngine.convertClothingSize(clothingSizes, '30C', 'US', 'FR', 'women', 'bras'), '80C');
+  assert.strictEqual(SizeEngine.convertClothingSize(clothingSizes, '30C', 'US', 'AU', 'women', 'bras'), '8C');
+  assert.strictEqual(SizeEngine.convertClothingSize(clothingSizes, '38', 'US', 'CN', 'men', 'jackets'), '175/96A');
+  const row = SizeEngine.findClothingRow(clothingSizes, 'men', 'jackets', 'US', '38');
+  assert.deepStrictEqual(SizeEngine.suitTrouserWaist(row), { dropIn: 6, waistIn: 32, waistCm: 81 });
+  assert.strictEqual(SizeEngine.suitTrouserWaist(row, 8).waistIn, 30);
+});
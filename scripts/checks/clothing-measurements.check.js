@@ -0,0 +1,36 @@
+/**
+ * Measurement-range clothing model (SizeEngine.matchClothingMeasurements): every measurement is
+ * scored against each size's range, with between-sizes, spanning and off-chart results.
+ */
+
+const assert = require('assert');
+const SizeEngine = require('../size-engine.js');
+const { check } = require('../lib/check-harness.js');
+const { clothingSizes } = require('./fixtures.js');
+
+check('clothing: measurements inside one size score 0 on that size', () => {
+  const m = SizeEngine.matchClothingMeasurements(clothingSizes, 'men', 'tops', { chest_cm: 100, waist_cm: 86 });
+  assert.strictEqual(m.row.us, 'L');
+  assert.strictEqual(m.score, 0);
+  assert.strictEqual(m.betweenSizes, null);
+  assert.strictEqual(m.spansSizes, null);
+  assert.deepStrictEqual(m.outOfRange, []);
+});
+
+check('clothing: a measurement on a shared edge is between sizes', () => {
+  const m = SizeEngine.matchClothingMeasurements(clothingSizes, 'men', 'tops', { chest_cm: 98.5 });
+  assert.deepStrictEqual([m.betweenSizes.lower.us, m.betweenSizes.upper.us], ['M', 'L']);
+});
+
+check('clothing: measurements that fit different sizes span them and score the miss', () => {
+  const m = SizeEngine.matchClothingMeasurements(clothingSizes, 'men', 'tops', { chest_cm: 101, waist_cm: 93 });
+  assert.strictEqual(m.row.us, 'XL');
+  assert.strictEqual(m.score, 1.25);
+  assert.deepStrictEqual([m.spansSizes.lower.us, m.spansSizes.upper.us], ['L', 'XL']);
+});
+
+check('clothing: a measurement beyond the chart is reported, not dropped', () => {
+  const m = SizeEngine.matchClothingMeasurements(clothingSizes, 'men', 'tops', { chest_cm: 200 });
+  assert.strictEqual(m.row.us, 'XXXL');
+  assert.deepStrictEqual(m.outOfRange, [{ key: 'chest_cm', direction: 'above' }]);
+});
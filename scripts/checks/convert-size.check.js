@@ -0,0 +1,80 @@
+/**
+ * CM-anchor conversion (SizeEngine.convertSize): exact / nearest / out_of_range, the cm delta
+ * to the matched row and the confidence band it falls in.
+ */
+
+const assert = require('assert');
+const SizeEngine = require('../size-engine.js');
+const { check } = require('../lib/check-harness.js');
+const { db, shoe } = require('./fixtures.js');
+
+check('convertSize: a size on the chart is exact', () => {
+  const r = shoe('men', 'US', 'EU', 9);
+  assert.strictEqual(r.status, 'exact');
+  assert.strictEqual(r.value, 42);
+  assert.strictEqual(r.cmDelta, 0);
+  assert.strictEqual(r.confidence, 'exact');
+  assert.deepStrictEqual([r.lower.value, r.upper.value], [41.5, 42.5]);
+});
+
+check('convertSize: a foot length between rows snaps to the nearest with its delta', () => {
+  const down = shoe('men', 'CM', 'US', 27.1);
+  assert.strictEqual(down.status, 'nearest');
+  assert.strictEqual(down.value, 9);
+  assert.strictEqual(down.cmDelta, -0.1);
+  assert.strictEqual(down.confidence, 'high');
+  const up = shoe('men', 'CM', 'US', 27.3);
+  assert.strictEqual(up.value, 9.5);
+  assert.strictEqual(up.cmDelta, 0.2);
+});
+
+check('convertSize: off the chart is out_of_range beyond the tolerance, never clamped', () => {
+  const edge = shoe('men', 'CM', 'US', 23.8);
+  assert.strictEqual(edge.status, 'nearest');
+  assert.strictEqual(edge.value, 6);
+  const below = shoe('men', 'CM', 'US', 23.7);
+  assert.strictEqual(below.status, 'out_of_range');
+  assert.strictEqual(below.direction, 'below');
+  assert.strictEqual(below.value, null);
+  assert.strictEqual(below.confidence, 'none');
+  const above = shoe('men', 'CM', 'US', 40);
+  assert.strictEqual(above.direction, 'above');
+  assert.deepStrictEqual(above.range, { minCm: 24, maxCm: 32 });
+});
+
+check('convertSize: confidence drops to medium and low as the nearest row gets further away', () => {
+  const sparse = SizeEngine.buildSizeDatabase({ men: [{ us: 8, cm: 26 }, { us: 10, cm: 28 }] }, null);
+  const at = cm => SizeEngine.convertSize(sparse, 'shoes', 'men', 'CM', 'US', cm);
+  assert.strictEqual(at(26).confidence, 'exact');
+  assert.strictEqual(at(26.2).confidence, 'high');
+  assert.strictEqual(at(26.4).confidence, 'medium');
+  const far = at(26.8);
+  assert.strictEqual(far.confidence, 'low');
+  assert.strictEqual(far.value, 8);
+  assert.strictEqual(far.cmDelta, -0.8);
+});
+
+check('convertSize: unknown regions and unreadable input return null', () => {
+  assert.strictEqual(shoe('men', 'US', 'XX', 9), null);
+  assert.strictEqual(shoe('men', 'CM', 'US', 'abc'), null);
+  assert.strictEqual(SizeEngine.convertSize(db, 'tops', 'men', 'US', 'EU', 'M'), null);
+});
+
+check('regions: KR (mm), MX, BR and AU convert through the same cm rows', () => {
+  assert.strictEqual(shoe('men', 'KR', 'US', 270).value, 9);
+  assert.strictEqual(shoe('men', 'Korea (KR)', 'EU', 270).value, 42);
+  assert.strictEqual(shoe('men', 'MX', 'KR', 27).value, 270);
+  assert.strictEqual(shoe('women', 'BR', 'EU', 36).value, 38);
+  assert.strictEqual(shoe('men', 'AU', 'US', 8).value, 9);
+});
+
+check('inch: foot length in inches converts both ways with shared rounding', () => {
+  const r = shoe('men', 'INCH', 'US', 10.63);
+  assert.strictEqual(r.cm, 27);
+  assert.strictEqual(r.value, 9);
+  assert.strictEqual(shoe('men', 'US', 'INCH', 9).value, 10.63);
+  assert.strictEqual(shoe('men', 'INCH', 'INCH', 10.6).value, 10.6);
+  assert.strictEqual(SizeEngine.cmToIn(27), '10.63');
+  assert.strictEqual(SizeEngine.inToCm(10.63), '27.0');
+  assert.strictEqual(SizeEngine.inToCm('x'), '');
+});
@@ -0,0 +1,73 @@
+/**
+ * Embedded converter data (scripts/build-embedded-data.js): the app.js block and manifest are what
+ * the build generates from data/, and loadData() in app.js only swaps in a fetched set that is newer
+ * and hashes to the manifest, fetched from the site root with revalidation.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const EmbeddedData = require('../build-embedded-data.js');
+const { check } = require('../lib/check-harness.js');
+const { ROOT, readJson, loadApp } = require('./fixtures.js');
+
+const manifest = readJson('data_manifest.json');
+
+/** fetch stub serving data/ (with the manifest bumped to a newer version); edit(file, body) may alter a file. */
+function dataFetch(calls, edit) {
+  return async (url, init) => {
+    calls.push({ url, cache: init && init.cache });
+    const file = new URL(url).pathname.replace(/^\/data\//, '');
+    let body = file === 'data_manifest.json' ? Object.assign({}, manifest, { version: manifest.version + 1 }) : readJson(file);
+    if (edit) body = edit(file, body);
+    return { ok: true, json: async () => body };
+  };
+}
+
+check('embedded data: the manifest hash and the app.js block match data/', () => {
+  const data = EmbeddedData.loadDatasets();
+  assert.strictEqual(EmbeddedData.hashDatasets(data), manifest.hash);
+  assert.deepStrictEqual(manifest.files, EmbeddedData.DATASETS.map(d => d.file));
+  const source = fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8');
+  const block = EmbeddedData.findBlock(source);
+  assert.strictEqual(source.slice(block.start, block.end), EmbeddedData.buildBlock(data, manifest));
+});
+
+check('embedded data: the hash follows content, not formatting', () => {
+  const data = EmbeddedData.loadDatasets();
+  const reparsed = JSON.parse(JSON.stringify(data, null, 4));
+  assert.strictEqual(EmbeddedData.hashDatasets(reparsed), manifest.hash);
+  reparsed.shoes.men[0].us += 0.5;
+  assert.notStrictEqual(EmbeddedData.hashDatasets(reparsed), manifest.hash);
+});
+
+check('embedded data: app.js hashes fetched files the same way the build does', async () => {
+  const app = loadApp(['hashDatasets', 'DATA_FILES']);
+  const data = {};
+  app.DATA_FILES.forEach(([key, file]) => { data[key] = readJson(file); });
+  assert.strictEqual(await app.hashDatasets(data), manifest.hash);
+});
+
+check('embedded data: data files are fetched from the site root and revalidated, even from a nested page', async () => {
+  const calls = [];
+  const app = loadApp(['loadData'], { url: 'https://globalsizechart.com/uk/programmatic-pages/us-9-to-uk-shoe-size.html', fetch: dataFetch(calls) });
+  await app.loadData();
+  assert.ok(calls.length > 1);
+  calls.forEach(c => {
+    assert.ok(c.url.startsWith('https://globalsizechart.com/data/'), c.url);
+    assert.strictEqual(c.cache, 'no-cache');
+  });
+});
+
+check('embedded data: loadData keeps the embedded copy when a fetched file does not match the manifest', async () => {
+  const logs = [];
+  const quiet = { log: m => logs.push(m), warn: m => logs.push('WARN ' + m), error() {} };
+  const stale = loadApp(['loadData'], { fetch: dataFetch([], (file, body) => (file === 'regions.json' ? Object.assign({}, body, { stale: true }) : body)), console: quiet });
+  await stale.loadData();
+  assert.ok(logs.some(l => /^WARN Fetched data does not match manifest/.test(l)), logs.join(' | '));
+  assert.ok(!logs.some(l => /Data updated from fetched source/.test(l)));
+  logs.length = 0;
+  const fresh = loadApp(['loadData'], { fetch: dataFetch([]), console: quiet });
+  await fresh.loadData();
+  assert.ok(logs.some(l => /Data updated from fetched source/.test(l)), logs.join(' | '));
+});
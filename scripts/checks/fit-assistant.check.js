@@ -0,0 +1,64 @@
+/**
+ * FitAssistant (scripts/fit-assistant.js): the explain trace behind a recommendation, shoe-type
+ * rules and how they meet the brand's own offset.
+ */
+
+const assert = require('assert');
+const FitAssistant = require('../fit-assistant.js');
+const { check } = require('../lib/check-harness.js');
+const { shoeSizes, clothingSizes, brandRegistry, brandShoeOffsets } = require('./fixtures.js');
+
+const fitData = { shoeSizes, clothingSizes, brandRegistry, brandShoeOffsets };
+
+function fit(inputs) {
+  return FitAssistant.run(Object.assign({ footLengthCm: 27, gender: 'men', region: 'US' }, inputs), fitData, { explain: true });
+}
+
+check('fit assistant: the explain trace names each rule behind the result, only when asked for', () => {
+  const r = fit({ garmentCategory: 'tops', chestCm: 100, waistCm: 85, brand: 'Nike', fitPreference: 'loose' });
+  assert.deepStrictEqual(r.explain.map(s => s.step), ['brand_offset', 'shoe_row', 'clothing_row', 'brand_fit', 'brand_fit', 'fit_preference']);
+  r.explain.forEach(s => assert.ok(s.summary && typeof s.detail === 'object', s.step));
+  const row = r.explain.find(s => s.step === 'shoe_row').detail;
+  assert.deepStrictEqual([row.footCm, row.rowCm, row.sizes.us], [27.5, 27.5, r.recommendedSizes.shoes.us]);
+  const clothing = r.explain.find(s => s.step === 'clothing_row').detail;
+  assert.deepStrictEqual(clothing.dimensions.chest_cm.range, [98.5, 103.5]);
+  assert.deepStrictEqual(r.explain.filter(s => s.step === 'brand_fit').map(s => s.detail.category), ['shoes', 'tops']);
+  assert.ok(!('explain' in FitAssistant.run({ footLengthCm: 27, gender: 'men', region: 'US' }, fitData)));
+});
+
+check('fit assistant: shoe types shift the matched length and offer the foot-length size', () => {
+  const running = fit({ shoeType: 'running' });
+  assert.strictEqual(running.shoeType.targetCm, 27.5);
+  assert.strictEqual(running.recommendedSizes.shoes.us, 9.5);
+  assert.ok(running.alternativeSizes.some(a => a.sizes.cm === 27));
+  const climbing = fit({ shoeType: 'climbing' });
+  assert.strictEqual(climbing.shoeType.targetCm, 26);
+  assert.strictEqual(climbing.recommendedSizes.shoes.us, 8);
+  assert.ok(climbing.fitWarnings.some(w => /about 1 cm shorter than your foot, roughly one full size \(two half sizes\) down/.test(w)));
+  assert.strictEqual(fit({ shoeType: 'dress' }).recommendedSizes.shoes.us, 9);
+  assert.strictEqual(fit({ shoeType: 'nonsense' }).shoeType, null);
+});
+
+check('fit assistant: a shoe type that sizes against the brand wins and the trace says so', () => {
+  const r = fit({ shoeType: 'climbing', brand: 'Nike' });
+  assert.strictEqual(r.recommendedSizes.shoes.us, 8);
+  assert.ok(!r.fitWarnings.some(w => /half a size up/.test(w)));
+  assert.ok(r.fitWarnings.some(w => /runs small in shoes, but climbing shoes are sized down/.test(w)));
+  const step = r.explain.filter(s => s.step === 'shoe_type_vs_brand')[0];
+  assert.strictEqual(step.detail.winner, 'shoe_type');
+  assert.strictEqual(step.detail.brandFit, 'runs_small');
+});
+
+check('fit assistant: a shoe type with no offset leaves the brand advice standing', () => {
+  const r = fit({ shoeType: 'dress', brand: 'Nike' });
+  assert.strictEqual(r.recommendedSizes.shoes.us, 9.5);
+  assert.ok(r.fitWarnings.some(w => /half a size up/.test(w)));
+  assert.strictEqual(r.explain.filter(s => s.step === 'shoe_type_vs_brand')[0].detail.winner, 'brand');
+  assert.ok(!fit({ brand: 'Nike' }).explain.some(s => s.step === 'shoe_type_vs_brand'));
+});
+
+check('fit assistant: off-chart feet get no size and say why', () => {
+  const r = fit({ footLengthCm: 40 });
+  assert.strictEqual(r.recommendedSizes.shoes, null);
+  assert.ok(/above our men's size chart/.test(r.fitWarnings[0]));
+});
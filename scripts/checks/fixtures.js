@@ -0,0 +1,73 @@
+/**
+ * Shared inputs for the behaviour checks: the real data/*.json, a size database built from it,
+ * an in-memory stand-in for window.localStorage and app.js loaded in a sandbox.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const SizeEngine = require('../size-engine.js');
+
+const ROOT = path.resolve(__dirname, '../..');
+const DATA_DIR = path.join(ROOT, 'data');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+}
+
+const shoeSizes = readJson('shoe_sizes.json');
+const clothingSizes = readJson('clothing_sizes.json');
+const brandRegistry = readJson('brand_registry.json');
+const brandShoeOffsets = readJson('brand_shoe_offsets.json');
+const db = SizeEngine.buildSizeDatabase(shoeSizes, clothingSizes, brandShoeOffsets);
+
+/** SizeEngine.convertSize for shoes on the real database. */
+function shoe(gender, from, to, value, options) {
+  return SizeEngine.convertSize(db, 'shoes', gender, from, to, value, options);
+}
+
+/** In-memory stand-in for window.localStorage. */
+function memoryStorage(initial) {
+  const items = Object.assign({}, initial);
+  return {
+    getItem: key => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: key => { delete items[key]; }
+  };
+}
+
+/**
+ * app.js run in a vm sandbox after size-engine.js and i18n.js, as a page at options.url would run it,
+ * with no DOM beyond a stub document (the converter init waits for DOMContentLoaded, which never fires).
+ * @param {string[]} names - app.js top-level functions and constants to hand back
+ * @param {{ url?: string, languages?: string[], fetch?: function, console?: object }} [options]
+ * @returns {object} { name: value } for names
+ */
+function loadApp(names, options = {}) {
+  const url = new URL(options.url || 'https://globalsizechart.com/shoe-size-converter.html');
+  const sandbox = {
+    console: options.console || { log() {}, warn() {}, error() {} },
+    location: { pathname: url.pathname, search: url.search, href: url.href },
+    navigator: { languages: options.languages || ['en'] },
+    document: {
+      currentScript: { src: new URL('/app.js', url).href },
+      readyState: 'loading',
+      addEventListener() {},
+      createElement: () => ({}),
+      querySelector: () => null,
+      querySelectorAll: () => []
+    },
+    fetch: options.fetch || (() => Promise.reject(new Error('offline'))),
+    crypto: globalThis.crypto,
+    URL, URLSearchParams, TextEncoder, setTimeout, clearTimeout,
+    alert() {}
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  for (const file of ['scripts/size-engine.js', 'scripts/i18n.js', 'app.js']) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+  }
+  return vm.runInContext('({ ' + names.join(', ') + ' })', sandbox);
+}
+
+module.exports = { ROOT, DATA_DIR, readJson, shoeSizes, clothingSizes, brandRegistry, brandShoeOffsets, db, shoe, memoryStorage, loadApp };
@@ -0,0 +1,61 @@
+/**
+ * Foot measurement wizard (scripts/foot-measure.js): paper calibration, reading cleanup per foot
+ * and the hand-off links to the converter and Fit Assistant.
+ */
+
+const assert = require('assert');
+const FootMeasure = require('../foot-measure.js');
+const { check } = require('../lib/check-harness.js');
+
+check('foot measure: the calibration sheet sets the print scale', () => {
+  assert.strictEqual(FootMeasure.calibrate('a4', 21).status, 'ok');
+  const shrunk = FootMeasure.calibrate('a4', '21,9');
+  assert.strictEqual(shrunk.status, 'scaled');
+  assert.strictEqual(shrunk.scale, 0.9589);
+  assert.strictEqual(FootMeasure.calibrate('letter', 15).status, 'invalid');
+  assert.strictEqual(FootMeasure.calibrate('a5', 21), null);
+});
+
+check('foot measure: readings are scaled, a stray one is left out and the larger foot wins', () => {
+  const r = FootMeasure.run({
+    paper: 'a4',
+    calibrationCm: 21,
+    gender: 'women',
+    left: [{ heel: 1, toe: 25.2 }, { heel: 1, toe: 25.4 }, { heel: 1, toe: 26.5 }],
+    right: [{ heel: 0, toe: 24.1 }, { heel: 0, toe: 24.3 }]
+  });
+  assert.strictEqual(r.feet.left.lengthCm, 24.3);
+  assert.ok(r.feet.left.readings[2].flagged);
+  assert.strictEqual(r.feet.right.lengthCm, 24.2);
+  assert.strictEqual(r.largerFoot, 'left');
+  assert.strictEqual(r.footLengthCm, 24.3);
+  assert.strictEqual(r.links.fitAssistant, 'tools/fit-assistant.html?foot=24.3&g=women');
+});
+
+check('foot measure: a scaled print corrects the readings and a bad calibration stops the run', () => {
+  const scaled = FootMeasure.run({ paper: 'a4', calibrationCm: 21.9, right: [{ heel: 0, toe: 28.5 }] });
+  assert.strictEqual(scaled.footLengthCm, 27.3);
+  assert.ok(scaled.warnings.some(w => /printed at about 104\.3%/.test(w)));
+  const invalid = FootMeasure.run({ paper: 'a4', calibrationCm: 30, right: [{ heel: 0, toe: 28 }] });
+  assert.strictEqual(invalid.footLengthCm, null);
+  assert.deepStrictEqual(invalid.feet, {});
+});
+
+check('foot measure: readings that all disagree, or miss a mark, are reported rather than trusted', () => {
+  const spread = FootMeasure.measureFoot([{ heel: 1, toe: 25.2 }, { heel: 1, toe: 27 }], 1);
+  assert.strictEqual(spread.inconsistent, true);
+  assert.strictEqual(spread.spreadCm, 1.8);
+  const partial = FootMeasure.measureFoot([{ heel: 1, toe: '' }, { heel: 1, toe: 25.1 }], 1);
+  assert.deepStrictEqual([partial.incomplete, partial.lengthCm], [1, 24.1]);
+  const r = FootMeasure.run({ paper: 'a4', calibrationCm: 21, left: [{ heel: 1, toe: 25.2 }, { heel: 1, toe: 27 }, { heel: 3, toe: 2 }] });
+  assert.ok(r.warnings.some(w => /left-foot readings differ by 1\.8 cm/.test(w)), r.warnings.join(' | '));
+  assert.ok(r.warnings.some(w => /^1 left-foot reading was skipped/.test(w)), r.warnings.join(' | '));
+});
+
+check('foot measure: hand-off links carry the length to the converter and Fit Assistant from any page', () => {
+  assert.deepStrictEqual(FootMeasure.handoffUrls(24.3, 'women', '../'), {
+    converter: '../shoe-size-converter.html?cat=shoes&g=women&from=CM&size=24.3',
+    fitAssistant: '../tools/fit-assistant.html?foot=24.3&g=women'
+  });
+  assert.strictEqual(FootMeasure.handoffUrls(27, '', '').converter, 'shoe-size-converter.html?cat=shoes&g=men&from=CM&size=27');
+});
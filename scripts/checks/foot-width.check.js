@@ -0,0 +1,54 @@
+/**
+ * Foot width (SizeEngine.classifyFootWidth) and how FitAssistant turns it into width advice:
+ * a width letter on the shoe size, brand-aware warnings and width-for-length alternatives.
+ */
+
+const assert = require('assert');
+const SizeEngine = require('../size-engine.js');
+const FitAssistant = require('../fit-assistant.js');
+const { check } = require('../lib/check-harness.js');
+const { shoeSizes, clothingSizes, brandRegistry, brandShoeOffsets } = require('./fixtures.js');
+
+const fitData = { shoeSizes, clothingSizes, brandRegistry, brandShoeOffsets };
+
+function fit(inputs) {
+  return FitAssistant.run(Object.assign({ footLengthCm: 27, gender: 'men', region: 'US' }, inputs), fitData, { explain: true });
+}
+
+check('width: flat width and girth fall into the gender\'s bands, girth winning', () => {
+  const standard = SizeEngine.classifyFootWidth('men', 26, { widthCm: 9.9 });
+  assert.strictEqual(standard.fit, 'standard');
+  assert.strictEqual(standard.letter, 'D');
+  assert.strictEqual(standard.basis, 'width');
+  const women = SizeEngine.classifyFootWidth('women', 24, { girthCm: 25 });
+  assert.strictEqual(women.fit, 'extra_wide');
+  assert.strictEqual(women.letter, '2E');
+  assert.strictEqual(women.standardLetter, 'B');
+  assert.strictEqual(SizeEngine.classifyFootWidth('men', 26, { widthCm: 9, girthCm: 27 }).basis, 'girth');
+  assert.strictEqual(SizeEngine.classifyFootWidth('men', 26, { widthCm: 9 }).fit, 'narrow');
+  assert.strictEqual(SizeEngine.classifyFootWidth('men', 26, {}), null);
+});
+
+check('width: a wide foot gets its width letter and the same length in that width', () => {
+  const r = fit({ footGirthCm: 27.5 });
+  assert.strictEqual(r.recommendedSizes.shoes.width.letter, '2E');
+  assert.strictEqual(r.recommendedSizes.shoes.width.basis, 'girth');
+  assert.deepStrictEqual(r.alternativeSizes.filter(a => a.width).map(a => [a.width, a.sizes.us]), [['2E', 9], ['D', 9.5]]);
+  assert.ok(r.explain.some(s => s.step === 'shoe_width'));
+});
+
+check('width: a brand without wide widths trades length for width, a narrow last asks for the width', () => {
+  const adidas = fit({ footGirthCm: 27.5, brand: 'Adidas' });
+  assert.ok(adidas.fitWarnings.some(w => /^Adidas does not sell wide widths/.test(w)), adidas.fitWarnings.join(' | '));
+  assert.deepStrictEqual(adidas.alternativeSizes.filter(a => a.width).map(a => [a.label, a.sizes.us]), [['Half size up (extra width)', 9.5]]);
+  const nike = fit({ footGirthCm: 27.5, brand: 'Nike' });
+  assert.ok(nike.fitWarnings.some(w => /Nike shoes are cut narrow .* Choose a 2E width/.test(w)), nike.fitWarnings.join(' | '));
+  assert.strictEqual(nike.explain.find(s => s.step === 'brand_width').detail.last, 'narrow');
+});
+
+check('width: a narrow foot is pointed at narrow widths, not a shorter size', () => {
+  const r = fit({ footWidthCm: 9.5 });
+  assert.ok(r.fitWarnings.some(w => /narrow \(B\).*a shorter size will not fix heel slip/.test(w)), r.fitWarnings.join(' | '));
+  assert.ok(!r.alternativeSizes.some(a => a.label === 'Half size up (extra width)'));
+  assert.strictEqual(fit({}).recommendedSizes.shoes.width, undefined);
+});
@@ -0,0 +1,83 @@
+/**
+ * Localisation (scripts/i18n.js): number formatting, locale detection, the message catalogue,
+ * hreflang alternates, and the translated converter pages scripts/generate-localized-pages.js writes.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../i18n.js');
+const PageVariants = require('../lib/page-variants.js');
+const LocalizedPages = require('../generate-localized-pages.js');
+const { check } = require('../lib/check-harness.js');
+const { ROOT, loadApp } = require('./fixtures.js');
+
+const BASE = 'https://globalsizechart.com';
+
+check('i18n: formatNumber writes decimals the locale\'s way and leaves labels alone', () => {
+  assert.strictEqual(I18n.formatNumber(42.5, 'de'), '42,5');
+  assert.strictEqual(I18n.formatNumber('1.5Y', 'fr'), '1,5Y');
+  assert.strictEqual(I18n.formatNumber(42.5, 'ja'), '42.5');
+  assert.strictEqual(I18n.formatNumber(26.5, 'en-GB'), '26.5');
+  assert.strictEqual(I18n.formatNumber('175/96A', 'pt'), '175/96A');
+  assert.strictEqual(I18n.formatNumber(null, 'es'), '');
+  assert.strictEqual(I18n.parseDecimal('42,5'), '42.5');
+});
+
+check('i18n: detectLocale prefers the path, then a market\'s English, then the browser', () => {
+  assert.strictEqual(I18n.detectLocale('/de/shoe-size-converter.html', ['fr']), 'de');
+  assert.strictEqual(I18n.detectLocale('/uk/shoe-size-converter.html', ['es']), 'en-GB');
+  assert.strictEqual(I18n.detectLocale('/us/', ['de']), 'en');
+  assert.strictEqual(I18n.detectLocale('/tools/fit-assistant.html', ['zh-CN', 'pt-BR', 'en']), 'pt');
+  assert.strictEqual(I18n.detectLocale('/tools/fit-assistant.html', ['zh-CN']), 'en');
+  assert.strictEqual(I18n.detectLocale('/index.html'), 'en');
+  assert.strictEqual(I18n.marketFromPath('/eu/us-to-eu-size.html'), 'eu');
+  assert.strictEqual(I18n.marketFromPath('/es/shoe-size-converter.html'), null);
+});
+
+check('i18n: every locale has every message, and t() falls back to the base language then English', () => {
+  const keys = Object.keys(I18n.MESSAGES.en);
+  I18n.LOCALES.forEach(locale => assert.deepStrictEqual(keys.filter(k => !(k in I18n.MESSAGES[locale])), [], locale));
+  assert.strictEqual(I18n.t('en-GB', 'clothingPants'), 'Trousers');
+  assert.strictEqual(I18n.t('en-GB', 'genderMen'), 'Men');
+  assert.strictEqual(I18n.t('de', 'anyBrandModel', { brand: 'Nike' }), I18n.MESSAGES.de.anyBrandModel.replace('{brand}', 'Nike'));
+  assert.strictEqual(I18n.t('fr', 'noSuchKey'), 'noSuchKey');
+});
+
+check('i18n: hreflang alternates list locales, every market code and x-default', () => {
+  const alternates = I18n.hreflangAlternates(BASE + '/', 'shoe-size-converter.html', ['en', 'de', 'xx'], ['uk', 'eu', 'zz']);
+  const codes = alternates.map(a => a.hreflang);
+  assert.deepStrictEqual(codes, ['en', 'de', 'en-GB', ...I18n.MARKETS.eu.hreflang, 'x-default']);
+  const href = code => alternates.find(a => a.hreflang === code).href;
+  assert.strictEqual(href('de'), BASE + '/de/shoe-size-converter.html');
+  assert.strictEqual(href('en-GB'), BASE + '/uk/shoe-size-converter.html');
+  assert.strictEqual(href('en-NL'), BASE + '/eu/shoe-size-converter.html');
+  assert.strictEqual(href('x-default'), BASE + '/shoe-size-converter.html');
+  assert.strictEqual(I18n.hreflangAlternates(BASE, 'index.html', ['en'], ['uk'])[1].href, BASE + '/uk/');
+  assert.deepStrictEqual(PageVariants.alternatesFor('x.html', { locales: ['en'], markets: [] }), []);
+});
+
+check('i18n: the combo converter\'s clothing types are labelled from the catalogue', () => {
+  const app = loadApp(['CLOTHING_TYPES_BY_GENDER', 'uiText'], { url: BASE + '/de/shoe-size-converter.html' });
+  const types = Object.values(app.CLOTHING_TYPES_BY_GENDER).flat();
+  types.forEach(({ value, labelKey }) => assert.ok(labelKey in I18n.MESSAGES.en, value + ': ' + labelKey));
+  assert.ok(types.every(type => !('label' in type)));
+  const women = app.CLOTHING_TYPES_BY_GENDER.women.map(type => app.uiText(type.labelKey));
+  assert.deepStrictEqual(women, app.CLOTHING_TYPES_BY_GENDER.women.map(type => I18n.t('de', type.labelKey)));
+  assert.ok(women.includes('Jacken'), women.join(', '));
+});
+
+check('i18n: translated converter pages are what the generator writes, in their own language', () => {
+  for (const [page, byLocale] of Object.entries(LocalizedPages.PAGES)) {
+    const english = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const alternates = PageVariants.alternatesFor(page, PageVariants.variantsOnDisk(page));
+    for (const [locale, copy] of Object.entries(byLocale)) {
+      const expected = PageVariants.applyHreflangBlock(LocalizedPages.localizePage(english, page, locale, copy), alternates);
+      const onDisk = fs.readFileSync(path.join(ROOT, locale, page), 'utf8');
+      assert.ok(onDisk === expected, `${locale}/${page} is stale: run npm run build:locales`);
+      assert.ok(onDisk.includes(`<html lang="${locale}"`), `${locale}/${page} lang`);
+      assert.ok(onDisk.includes(`>${I18n.t(locale, 'labelGender')}<`), `${locale}/${page} form labels`);
+      assert.ok(onDisk.includes(`<link rel="canonical" href="${BASE}/${locale}/${page}"`), `${locale}/${page} canonical`);
+    }
+  }
+});
@@ -0,0 +1,34 @@
+/**
+ * Kids' shoe sizing: C/Y notation on the US, UK and AU columns, how a bare number is read, and
+ * the age band and adult equivalents of a kids' length.
+ */
+
+const assert = require('assert');
+const SizeEngine = require('../size-engine.js');
+const { check } = require('../lib/check-harness.js');
+const { shoeSizes, shoe } = require('./fixtures.js');
+
+check('kids: US/UK/AU columns carry C and Y labels, EU does not', () => {
+  assert.ok(SizeEngine.isKidsScaleColumn(shoeSizes.kids, 'us'));
+  assert.ok(!SizeEngine.isKidsScaleColumn(shoeSizes.kids, 'eu'));
+  assert.ok(!SizeEngine.isKidsScaleColumn(shoeSizes.men, 'us'));
+  assert.deepStrictEqual(SizeEngine.parseKidsShoeSize('10.5 c'), { value: 10.5, scale: 'C' });
+  assert.strictEqual(SizeEngine.parseKidsShoeSize('big'), null);
+});
+
+check('kids: a bare number in the Y range reads as Y, 1C stays on the toddler scale', () => {
+  assert.strictEqual(SizeEngine.shoeSizeLabel(shoeSizes, 'kids', 'US', '1'), '1Y');
+  assert.strictEqual(SizeEngine.shoeSizeLabel(shoeSizes, 'kids', 'US', '10'), '10C');
+  assert.strictEqual(shoe('kids', 'US', 'EU', '1').value, 33.5);
+  assert.strictEqual(shoe('kids', 'US', 'EU', '1C').value, 16);
+  assert.strictEqual(shoe('kids', 'US', 'EU', '10').value, 27);
+});
+
+check('kids: youth sizes carry an age band and the adult size of the same length', () => {
+  const kid = SizeEngine.describeKidsShoe(shoeSizes, 23);
+  assert.strictEqual(kid.us, '3.5Y');
+  assert.strictEqual(kid.scale, 'Y');
+  assert.strictEqual(kid.age, 'About 9–11 years');
+  assert.deepStrictEqual(kid.adult, { women: 6 });
+  assert.strictEqual(SizeEngine.describeKidsShoe(shoeSizes, 12).adult, null);
+});
@@ -0,0 +1,45 @@
+/**
+ * Mondopoint (SizeEngine.mondopoint / mondopointShell, the MP region in convertSize) and the ski
+ * boot shell FitAssistant adds for ski boots.
+ */
+
+const assert = require('assert');
+const SizeEngine = require('../size-engine.js');
+const FitAssistant = require('../fit-assistant.js');
+const { check } = require('../lib/check-harness.js');
+const { shoeSizes, clothingSizes, brandRegistry, brandShoeOffsets, shoe } = require('./fixtures.js');
+
+const fitData = { shoeSizes, clothingSizes, brandRegistry, brandShoeOffsets };
+
+function fit(inputs) {
+  return FitAssistant.run(Object.assign({ footLengthCm: 27, gender: 'men', region: 'US' }, inputs), fitData, { explain: true });
+}
+
+check('mondopoint: foot length rounds to the half and pairs into boot shells', () => {
+  assert.strictEqual(SizeEngine.mondopoint(26.6), 26.5);
+  assert.strictEqual(SizeEngine.mondopoint(26.8), 27);
+  assert.deepStrictEqual(SizeEngine.mondopointShell(26.6), { shell: 26, sizes: [26, 26.5], label: '26/26.5' });
+  assert.strictEqual(SizeEngine.mondopointShell(27.4).label, '27/27.5');
+  assert.strictEqual(SizeEngine.mondopointShell(''), null);
+  const r = shoe('men', 'CM', 'MP', 26.6);
+  assert.strictEqual(r.value, 26.5);
+  assert.strictEqual(r.shell.label, '26/26.5');
+  assert.strictEqual(shoe('men', 'MP', 'US', 27).value, 9);
+});
+
+check('fit assistant: ski boots add the Mondopoint shell', () => {
+  const ski = fit({ shoeType: 'ski', footLengthCm: 26.6 });
+  assert.strictEqual(ski.recommendedSizes.shoes.shell.label, '26/26.5');
+  assert.ok(ski.fitWarnings.some(w => /Mondopoint/.test(w)));
+});
+
+check('mondopoint: MP converts like any region, with the shell on MP results and no size off the chart', () => {
+  assert.strictEqual(shoe('women', 'MP', 'EU', 24).value, 38);
+  const between = shoe('men', 'MP', 'US', 26.4);
+  assert.strictEqual(between.status, 'nearest');
+  assert.strictEqual(between.value, 8.5);
+  assert.strictEqual(shoe('men', 'US', 'MP', 9.5).shell.label, '27/27.5');
+  const off = shoe('men', 'MP', 'US', 40);
+  assert.strictEqual(off.status, 'out_of_range');
+  assert.strictEqual(off.value, null);
+});
@@ -0,0 +1,68 @@
+/**
+ * Local size profiles (SizeEngine): what is kept from a profile form, how profiles are stored in
+ * localStorage, and the household switcher and kids' buy-ahead projection built on them.
+ */
+
+const assert = require('assert');
+const SizeEngine = require('../size-engine.js');
+const { check } = require('../lib/check-harness.js');
+const { shoeSizes, memoryStorage } = require('./fixtures.js');
+
+check('profiles: only valid fields are kept, rounded to 0.1 cm', () => {
+  const p = SizeEngine.normalizeProfile({ footLengthCm: '26.44', chestCm: 500, gender: 'Women', region: 'Europe (EU)', fitPreference: 'snug', measuredOn: '2026-02-30x' });
+  assert.deepStrictEqual(p, { footLengthCm: 26.4, gender: 'women', region: 'EU' });
+  assert.strictEqual(SizeEngine.normalizeProfile({ name: 'Nobody' }), null);
+});
+
+check('profiles: a saved profile reads back and clearing removes it', () => {
+  const storage = memoryStorage();
+  assert.strictEqual(SizeEngine.readProfile(storage), null);
+  const saved = SizeEngine.writeProfile(storage, { footLengthCm: 26.5, waistCm: 82, gender: 'men', region: 'UK', fitPreference: 'tight' });
+  assert.strictEqual(saved.name, 'Me');
+  const read = SizeEngine.readProfile(storage);
+  assert.deepStrictEqual([read.footLengthCm, read.waistCm, read.region, read.fitPreference], [26.5, 82, 'UK', 'tight']);
+  SizeEngine.clearProfile(storage);
+  assert.strictEqual(SizeEngine.readProfile(storage), null);
+  assert.strictEqual(SizeEngine.writeProfile(null, { footLengthCm: 26 }), null);
+});
+
+check('profiles: saving, switching and deleting keep one active profile', () => {
+  const storage = memoryStorage();
+  const me = SizeEngine.writeProfile(storage, { name: 'Me', footLengthCm: 27, gender: 'men' });
+  const mia = SizeEngine.writeProfile(storage, { name: 'Mia, age 6', footLengthCm: 18, gender: 'kids' });
+  assert.strictEqual(mia.id, 'mia-age-6');
+  assert.strictEqual(SizeEngine.readProfile(storage).id, 'mia-age-6');
+  SizeEngine.setActiveProfile(storage, me.id);
+  assert.strictEqual(SizeEngine.readProfile(storage).footLengthCm, 27);
+  SizeEngine.deleteProfile(storage, me.id);
+  assert.deepStrictEqual(SizeEngine.readProfiles(storage).profiles.map(p => p.id), ['mia-age-6']);
+  assert.strictEqual(SizeEngine.readProfile(storage).id, 'mia-age-6');
+});
+
+check('profiles: a version 1 value reads as one person and a corrupt store as none', () => {
+  const v1 = memoryStorage({ 'globalsizechart.sizeProfile': JSON.stringify({ footLengthCm: 25, gender: 'women' }) });
+  const state = SizeEngine.readProfiles(v1);
+  assert.strictEqual(state.profiles.length, 1);
+  assert.strictEqual(state.profiles[0].name, 'Me');
+  assert.strictEqual(state.activeId, state.profiles[0].id);
+  assert.deepStrictEqual(SizeEngine.readProfiles(memoryStorage({ 'globalsizechart.sizeProfile': '{' })), { activeId: null, profiles: [] });
+});
+
+check('profiles: a kids\' profile projects its foot forward from measuredOn', () => {
+  const kid = { gender: 'kids', footLengthCm: 18, measuredOn: '2026-01-01' };
+  const ahead = SizeEngine.projectProfileShoe(shoeSizes, kid, '2027-01-01');
+  assert.strictEqual(ahead.months, 12);
+  assert.strictEqual(ahead.projectedCm, 19.3);
+  assert.ok(ahead.kid.row.cm >= 19);
+  assert.strictEqual(SizeEngine.projectProfileShoe(shoeSizes, { gender: 'men', footLengthCm: 27 }, '2027-01-01', '2026-01-01'), null);
+});
+
+check('profiles: two people with the same name get separate ids', () => {
+  const storage = memoryStorage();
+  const first = SizeEngine.writeProfile(storage, { name: 'Sam', footLengthCm: 24 });
+  const second = SizeEngine.writeProfile(storage, { name: 'Sam', footLengthCm: 28 });
+  assert.notStrictEqual(first.id, second.id);
+  assert.strictEqual(SizeEngine.readProfiles(storage).profiles.length, 2);
+  assert.strictEqual(SizeEngine.writeProfile(storage, { id: first.id, footLengthCm: 24.5 }).name, 'Sam');
+  assert.strictEqual(SizeEngine.readProfiles(storage).profiles.length, 2);
+});
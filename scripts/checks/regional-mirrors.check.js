@@ -0,0 +1,73 @@
+/**
+ * Regional mirrors (scripts/generate-programmatic-pages.js --regional-only): local spelling never
+ * reaches the shared footer, and every generated /<market>/ page is current, carries the market's
+ * lang and the master footer that npm run footer:check expects.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../i18n.js');
+const PageVariants = require('../lib/page-variants.js');
+const Generator = require('../generate-programmatic-pages.js');
+const { check } = require('../lib/check-harness.js');
+const { ROOT, readJson } = require('./fixtures.js');
+
+const FOOTER_RE = /<!-- FOOTER:START -->[\s\S]*?<!-- FOOTER:END -->/g;
+const masterFooter = fs.readFileSync(path.join(ROOT, 'scripts/lib/master-footer.html'), 'utf8').trimEnd();
+
+/** [market, relPath, html] for every generated mirror on disk. */
+function generatedMirrors() {
+  const out = [];
+  for (const relPath of Generator.regionalMirrorSources(readJson('programmatic_routes.json'))) {
+    for (const market of Object.keys(I18n.MARKETS)) {
+      const file = path.join(ROOT, market, relPath);
+      if (!fs.existsSync(file)) continue;
+      const html = fs.readFileSync(file, 'utf8');
+      if (html.includes(Generator.REGIONAL_MIRROR_MARK)) out.push([market, relPath, html]);
+    }
+  }
+  return out;
+}
+
+check('regional mirrors: local spelling changes visible text but not the shared footer', () => {
+  const html = '<main><p>Pants in centimeters</p><a href="/pants-size.html">Pants</a></main>\n' + masterFooter.replace('Converters', 'Pants and centimeters');
+  const gb = Generator.applyRegionalSpelling(html, 'en-GB');
+  assert.ok(gb.startsWith('<main><p>Trousers in centimetres</p><a href="/pants-size.html">Trousers</a></main>'), gb.slice(0, 120));
+  assert.strictEqual(gb.match(FOOTER_RE)[0], html.match(FOOTER_RE)[0]);
+  assert.strictEqual(Generator.applyRegionalSpelling(html, 'en'), html);
+});
+
+check('regional mirrors: every generated page is current, in the market\'s language, with the master footer', () => {
+  const mirrors = generatedMirrors();
+  const sources = new Set(Generator.regionalMirrorSources(readJson('programmatic_routes.json')));
+  assert.ok(mirrors.length > 400, String(mirrors.length));
+  for (const [market, relPath, html] of mirrors) {
+    const where = `${market}/${relPath}`;
+    const footers = html.match(FOOTER_RE) || [];
+    assert.strictEqual(footers.length, 1, where + ': footer markers');
+    assert.ok(footers[0] === masterFooter, where + ': footer differs from scripts/lib/master-footer.html');
+    assert.ok(html.includes(`<html lang="${I18n.MARKETS[market].lang}"`), where + ': lang');
+    const english = fs.readFileSync(path.join(ROOT, relPath), 'utf8');
+    const expected = PageVariants.applyHreflangBlock(Generator.buildRegionalMirror(english, relPath, market, sources),
+      PageVariants.alternatesFor(relPath, PageVariants.variantsOnDisk(relPath)));
+    assert.ok(html === expected, where + ' is stale: run npm run build:regional');
+  }
+});
+
+check('regional mirrors: hand-written market pages declare the market\'s lang too', () => {
+  assert.strictEqual(PageVariants.applyVariantLang('<html class="x" lang="en">', 'uk'), '<html class="x" lang="en-GB">');
+  assert.strictEqual(PageVariants.variantLang('de'), 'de');
+  assert.strictEqual(PageVariants.variantLang(''), 'en');
+  let handWritten = 0;
+  for (const market of Object.keys(I18n.MARKETS)) {
+    const dir = path.join(ROOT, market);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.html'))) {
+      const html = fs.readFileSync(path.join(dir, name), 'utf8');
+      if (!html.includes(Generator.REGIONAL_MIRROR_MARK)) handWritten++;
+      assert.ok(html.includes(`<html lang="${I18n.MARKETS[market].lang}"`), `${market}/${name}: lang`);
+    }
+  }
+  assert.ok(handWritten >= 8, String(handWritten));
+});
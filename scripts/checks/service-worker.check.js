@@ -0,0 +1,54 @@
+/**
+ * Service worker precache (scripts/build-service-worker.js → sw.js): the generated list is current
+ * and complete, and the offline fallback still loads its assets when sw.js serves it at a nested path.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const ServiceWorkerBuild = require('../build-service-worker.js');
+const { check } = require('../lib/check-harness.js');
+const { ROOT, readJson } = require('./fixtures.js');
+
+/** PRECACHE_VERSION, PRECACHE_URLS and OFFLINE_FALLBACK as sw.js declares them. */
+function swPrecache() {
+  const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+  const block = source.slice(source.indexOf('// PRECACHE:START'), source.indexOf('// PRECACHE:END'));
+  return vm.runInNewContext(block + '\n({ PRECACHE_VERSION, PRECACHE_URLS, OFFLINE_FALLBACK })');
+}
+
+check('service worker: the sw.js precache block is what the build generates', () => {
+  const errors = [];
+  const files = ServiceWorkerBuild.collectFiles(errors);
+  assert.deepStrictEqual(errors, []);
+  const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+  assert.ok(source.includes(ServiceWorkerBuild.buildBlock(files)), 'run node scripts/build-service-worker.js');
+});
+
+check('service worker: core pages, their scripts and every dataset in the manifest are precached', () => {
+  const { PRECACHE_URLS } = swPrecache();
+  const urls = new Set(PRECACHE_URLS);
+  ['/', '/app.js', '/styles.css', '/scripts/size-engine.js', '/scripts/i18n.js', '/scripts/fit-assistant.js']
+    .concat(ServiceWorkerBuild.CORE_PAGES.map(p => '/' + p))
+    .concat(readJson('data_manifest.json').files.map(f => '/data/' + f))
+    .forEach(url => assert.ok(urls.has(url), url + ' is not precached'));
+});
+
+check('service worker: the offline fallback loads precached assets when served at a nested path', () => {
+  const { PRECACHE_URLS, OFFLINE_FALLBACK } = swPrecache();
+  assert.strictEqual(OFFLINE_FALLBACK, '/' + ServiceWorkerBuild.OFFLINE_FALLBACK);
+  const html = fs.readFileSync(path.join(ROOT, ServiceWorkerBuild.OFFLINE_FALLBACK), 'utf8');
+  assert.deepStrictEqual(ServiceWorkerBuild.relativeRefs(html), []);
+  const assets = [...html.matchAll(/<script\b[^>]*\bsrc="([^"]+)"|<link\b[^>]*\brel="stylesheet"[^>]*\bhref="([^"]+)"/g)].map(m => m[1] || m[2]);
+  assert.ok(assets.length >= 4, assets.join(', '));
+  for (const nested of ['https://globalsizechart.com/uk/programmatic-pages/us-9-to-uk-shoe-size.html', 'https://globalsizechart.com/tools/missing.html']) {
+    assets.forEach(ref => assert.ok(PRECACHE_URLS.includes(new URL(ref, nested).pathname), `${ref} from ${nested}`));
+  }
+});
+
+check('service worker: relative references are what the fallback guard reports', () => {
+  const html = '<link rel="stylesheet" href="styles.css"><script src="/app.js"></script><a href="#top">Top</a>' +
+    '<a href="../uk-to-us-size.html">UK</a><a href="https://globalsizechart.com/">Home</a><a href="mailto:a@b.c">Mail</a>';
+  assert.deepStrictEqual(ServiceWorkerBuild.relativeRefs(html), ['styles.css', '../uk-to-us-size.html']);
+});
@@ -0,0 +1,36 @@
+/**
+ * Shared size engine (scripts/size-engine.js): loads without a DOM and converts through one
+ * CM anchor for every shoe region and through the row for clothing.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const SizeEngine = require('../size-engine.js');
+const { check } = require('../lib/check-harness.js');
+const { db, clothingSizes } = require('./fixtures.js');
+
+check('size engine: loads in a bare browser global with no document and sets window.SizeEngine', () => {
+  const sandbox = { window: {} };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'size-engine.js'), 'utf8'), sandbox);
+  assert.strictEqual(typeof sandbox.window.SizeEngine.convertSize, 'function');
+});
+
+check('size engine: one shoe size converts to every region through its cm', () => {
+  assert.deepStrictEqual(SizeEngine.getAllShoeConversions(db, 9, 'US', 'men'), {
+    us: 9, uk: 8, eu: 42, jp: 28, cn: 42, kr: 270, mx: 27, br: 40, au: 8, cm: 27, inch: 10.63, mp: 27
+  });
+  assert.deepStrictEqual(SizeEngine.getAllShoeConversions(db, 40, 'CM', 'men'), {});
+});
+
+check('size engine: region labels and codes normalise to one key', () => {
+  assert.strictEqual(SizeEngine.normalizeShoeRegion('Japan (JP)'), 'JP');
+  assert.strictEqual(SizeEngine.regionKey('Korea (KR)'), 'kr');
+});
+
+check('size engine: clothing converts along its row and misses return null', () => {
+  assert.strictEqual(SizeEngine.convertClothingSize(clothingSizes, 'M', 'US', 'JP', 'men', 'tops'), 'L');
+  assert.strictEqual(SizeEngine.getAllClothingConversions(clothingSizes, 'M', 'US', 'men', 'tops').uk, 'M');
+  assert.strictEqual(SizeEngine.convertClothingSize(clothingSizes, 'ZZ', 'US', 'EU', 'men', 'tops'), null);
+});
@@ -0,0 +1,74 @@
+/**
+ * Shareable converter state (app.js): ?cat=…&g=…&from=… is read back into the same fields the
+ * "Copy link" URL is built from, so a shared link reopens the converter as it was left.
+ */
+
+const assert = require('assert');
+const { check } = require('../lib/check-harness.js');
+const { loadApp } = require('./fixtures.js');
+
+const PAGE = 'https://globalsizechart.com/shoe-size-converter.html';
+
+/** Converter form stub: selects keyed by name (and id where app.js looks fields up by id). */
+function stubForm(fields) {
+  const byName = {};
+  const byId = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const el = { tagName: 'SELECT', value: spec.value || '', options: spec.options.map(value => ({ value })) };
+    byName[name] = el;
+    if (spec.id) byId[spec.id] = el;
+  }
+  return {
+    dataset: {},
+    querySelector(selector) {
+      const name = /^\[name="(.+)"\]$/.exec(selector);
+      if (name) return byName[name[1]] || null;
+      return byId[selector.replace(/^#/, '')] || null;
+    }
+  };
+}
+
+function shoeForm() {
+  return stubForm({
+    category: { options: ['shoes', 'clothing'] },
+    gender: { options: ['men', 'women', 'kids'] },
+    fromRegion: { options: ['', 'US', 'UK', 'EU', 'JP'] },
+    toRegion: { options: ['', 'US', 'UK', 'EU', 'JP'] },
+    size: { id: 'sizeSelect', options: ['', '38', '39', '9', '9.5'] },
+    shoeBrand: { id: 'shoeBrand', options: ['', 'Nike', 'Vans'] },
+    shoeModel: { id: 'shoeModel', options: ['', 'Pegasus'] }
+  });
+}
+
+check('url state: query parameters are read trimmed, and unknown or empty ones are dropped', () => {
+  const app = loadApp(['readUrlState'], { url: PAGE + '?cat=shoes&g=%20women%20&from=eu&to=&size=38&utm_source=x' });
+  assert.deepStrictEqual(Object.assign({}, app.readUrlState()), { cat: 'shoes', g: 'women', from: 'eu', size: '38' });
+});
+
+check('url state: a shared link reopens the converter with the same fields', () => {
+  const link = PAGE + '?cat=shoes&g=women&from=eu&to=us&size=38&brand=nike&model=Pegasus';
+  const app = loadApp(['readUrlState', 'selectOptionByValue', 'buildShareUrl'], { url: link });
+  const state = app.readUrlState();
+  const form = shoeForm();
+  const field = name => form.querySelector(`[name="${name}"]`);
+  [['cat', 'category'], ['g', 'gender'], ['from', 'fromRegion'], ['to', 'toRegion'], ['size', 'size'], ['brand', 'shoeBrand'], ['model', 'shoeModel']]
+    .forEach(([param, name]) => assert.ok(app.selectOptionByValue(field(name), state[param]), param + '=' + state[param]));
+  assert.strictEqual(field('fromRegion').value, 'EU');
+  assert.strictEqual(field('shoeBrand').value, 'Nike');
+
+  const shared = new URL(app.buildShareUrl(form));
+  assert.deepStrictEqual([...shared.searchParams], [
+    ['cat', 'shoes'], ['g', 'women'], ['from', 'EU'], ['to', 'US'], ['size', '38'], ['brand', 'Nike'], ['model', 'Pegasus']
+  ]);
+  const reopened = loadApp(['readUrlState'], { url: shared.href }).readUrlState();
+  assert.deepStrictEqual(Object.assign({}, reopened), Object.fromEntries(shared.searchParams));
+});
+
+check('url state: the share link keeps unrelated parameters and omits empty fields', () => {
+  const app = loadApp(['buildShareUrl'], { url: PAGE + '?utm_source=x&size=40' });
+  const form = shoeForm();
+  form.querySelector('[name="category"]').value = 'shoes';
+  form.querySelector('[name="gender"]').value = 'men';
+  const shared = new URL(app.buildShareUrl(form));
+  assert.deepStrictEqual([...shared.searchParams], [['utm_source', 'x'], ['cat', 'shoes'], ['g', 'men']]);
+});
@@ -0,0 +1,78 @@
+/**
+ * Dataset validation (scripts/validate-data.js): the shipped data/ passes, and each kind of broken
+ * file — schema violation, out-of-order chart, route the charts cannot back — is reported.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const ValidateData = require('../validate-data.js');
+const { validate } = require('../lib/json-schema-lite.js');
+const { check } = require('../lib/check-harness.js');
+const { readJson, shoeSizes, clothingSizes, brandRegistry } = require('./fixtures.js');
+
+const copy = value => JSON.parse(JSON.stringify(value));
+const schema = name => readJson(path.join('schemas', name + '.schema.json'));
+
+check('validate-data: the shipped data passes', () => {
+  const errors = [];
+  ValidateData.checkShoeSizes(shoeSizes, errors);
+  ValidateData.checkClothingSizes(clothingSizes, errors);
+  assert.deepStrictEqual(errors, []);
+});
+
+check('validate-data: schema violations name the file and field', () => {
+  const shoes = copy(shoeSizes);
+  shoes.men[0].cm = 'twenty-four';
+  delete shoes.women[0].us;
+  const errors = validate(shoes, schema('shoe_sizes'), 'shoe_sizes.json');
+  assert.ok(errors.some(e => /^shoe_sizes\.json\.men\[0\]\.cm: expected number/.test(e)), errors.join(' | '));
+  assert.ok(errors.some(e => /^shoe_sizes\.json\.women\[0\]: missing "us"/.test(e)), errors.join(' | '));
+
+  const registry = copy(brandRegistry);
+  registry.brands[Object.keys(registry.brands)[0]].unexpected = true;
+  assert.ok(validate(registry, schema('brand_registry'), 'brand_registry.json').length > 0);
+});
+
+check('validate-data: an out-of-order shoe chart or a repeated size fails', () => {
+  const shoes = copy(shoeSizes);
+  shoes.men[3].eu = shoes.men[2].eu;
+  shoes.men[5].us = shoes.men[4].us - 0.5;
+  const errors = [];
+  ValidateData.checkShoeSizes(shoes, errors);
+  assert.ok(errors.some(e => /^shoe_sizes\.json men\[3\]\.eu: duplicate size/.test(e)), errors.join(' | '));
+  assert.ok(errors.some(e => /^shoe_sizes\.json men\[5\]\.us: .* is below the previous row's/.test(e)), errors.join(' | '));
+});
+
+check('validate-data: a clothing range with min above max or a falling measurement fails', () => {
+  const clothing = copy(clothingSizes);
+  const rows = clothing.men.tops;
+  rows[1].ranges.waist_cm = [rows[1].ranges.waist_cm[1], rows[1].ranges.waist_cm[0]];
+  rows[2].chest_cm = rows[0].chest_cm - 1;
+  const errors = [];
+  ValidateData.checkClothingSizes(clothing, errors);
+  assert.ok(errors.some(e => /^clothing_sizes\.json men\.tops\[1\]\.ranges\.waist_cm: min .* is above max/.test(e)), errors.join(' | '));
+  assert.ok(errors.some(e => /^clothing_sizes\.json men\.tops\[2\]\.chest_cm: .* is below the previous size's/.test(e)), errors.join(' | '));
+});
+
+check('validate-data: routes the charts cannot back fail', () => {
+  const data = {
+    'shoe_sizes.json': shoeSizes,
+    'clothing_sizes.json': clothingSizes,
+    'brand_registry.json': brandRegistry,
+    'programmatic_routes.json': [
+      { type: 'size_pair', slug: 'us-99-to-eu-shoe-size', gender: 'men', from_region: 'US', to_region: 'EU', size: '99' },
+      { type: 'size_pair', slug: 'us-99-to-eu-shoe-size', gender: 'men', from_region: 'US', to_region: 'EU', size: '9' }
+    ],
+    'measurement_routes.json': [
+      { type: 'measurement_converter', measurement_type: 'foot_cm', value_cm: 40, gender: 'men', slug: '40-cm-to-us-shoe-size' }
+    ],
+    'brand_routes.json': [{ type: 'brand_converter', brand: 'No Such Brand', slug: 'no-such-brand-shoe-size' }]
+  };
+  const errors = [];
+  ValidateData.checkRoutes(data, errors);
+  assert.ok(errors.some(e => /men US 99 is not in shoe_sizes\.json/.test(e)), errors.join(' | '));
+  assert.ok(errors.some(e => /slug already used by programmatic_routes\.json\[0\]/.test(e)), errors.join(' | '));
+  assert.ok(errors.some(e => /40 cm is off the men shoe chart/.test(e)), errors.join(' | '));
+  assert.ok(errors.some(e => /brand No Such Brand is not in brand_registry\.json/.test(e)), errors.join(' | '));
+  assert.strictEqual(errors.length, 4, errors.join(' | '));
+});
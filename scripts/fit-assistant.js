@@ -1,138 +1,394 @@
 /**
  * Fit Assistant — local logic only. No external APIs, no LLM.
- * Deterministic rules: foot length, garment measurements, region, brand, fit preference
- * → recommended sizes, fit warnings, alternative sizes, related converters, measurement advice.
+ * Deterministic rules: foot length, width or girth, shoe type, garment measurements, region, brand, fit preference
+ * → recommended sizes and width, fit warnings, alternative sizes, related converters, measurement advice.
  *
- * Browser: window.FitAssistant.run(inputs, data)
+ * Browser: window.FitAssistant.run(inputs, data) — load scripts/size-engine.js first
  * Node: require and call FitAssistant.run(inputs, data)
+ * Row lookups go through SizeEngine so recommendations match the converters.
  */
 
 (function (global) {
   'use strict';
 
-  var REGIONS = ['US', 'UK', 'EU', 'JP', 'CN'];
+  var SizeEngine = typeof module !== 'undefined' && module.exports
+    ? require('./size-engine.js')
+    : global.SizeEngine;
+
+  var REGIONS = ['US', 'UK', 'EU', 'JP', 'CN', 'MP'];
   var FIT_PREFERENCE = ['tight', 'regular', 'loose'];
+  var GENDER_POSSESSIVE = { men: "men's", women: "women's", kids: "kids'" };
+  var FIT_LABELS = { runs_small: 'runs small', true_to_size: 'true to size', runs_large: 'runs large' };
 
-  /** Brand fit notes: deterministic, no API. Lowercase key. */
-  var BRAND_FIT = {
-    nike: 'runs_small',
-    adidas: 'runs_small',
-    puma: 'true_to_size',
-    'new balance': 'true_to_size',
-    zara: 'runs_small',
-    hm: 'true_to_size',
-    shein: 'runs_small',
-    uniqlo: 'runs_small',
-    asos: 'true_to_size',
-    levis: 'runs_large',
-    "levi's": 'runs_large'
+  /**
+   * Fitting conventions per shoe type (inputs.shoeType). cmOffset is added to the foot length
+   * before the chart row is matched (positive = a longer shoe); alternative names the plain
+   * foot-length row when the offset moves away from it. Warnings and advice are added as written;
+   * mondopoint adds the foot's Mondopoint size and boot shell to the warnings.
+   */
+  var SHOE_TYPE_RULES = {
+    running: {
+      label: 'running shoes',
+      cmOffset: 0.5,
+      alternative: 'Foot-length size (closer fit for short runs)',
+      warnings: ['Running shoes want about a thumb\'s width (around 1 cm) between your longest toe and the tip, and feet swell on long runs, so the size shown is half a size up from your foot length.'],
+      advice: ['For running shoes, measure after a run or late in the day, wearing your running socks.']
+    },
+    hiking: {
+      label: 'hiking boots',
+      cmOffset: 0.5,
+      alternative: 'Foot-length size (thin socks, light trails)',
+      warnings: ['Hiking boots are sized with room for thick socks and so your toes do not hit the front on descents; the size shown is half a size up from your foot length.'],
+      advice: ['Try hiking boots with the socks you will hike in. Unlaced, you should fit a finger behind your heel with your toes touching the front.']
+    },
+    football: {
+      label: 'football boots',
+      cmOffset: 0,
+      warnings: ['Football boots should fit snugly with little toe room for ball feel. Leather uppers stretch a little; synthetic and knit uppers barely do, so do not size up for room.'],
+      advice: ['For football boots, measure wearing football socks.']
+    },
+    climbing: {
+      label: 'climbing shoes',
+      cmOffset: -1,
+      alternative: 'Foot-length size (beginners and all-day routes)',
+      warnings: ['Climbing shoes are worn with the toes curled, so the size shown is about 1 cm shorter than your foot, roughly one full size (two half sizes) down. Unlined leather stretches up to half a size; synthetic uppers hardly at all.'],
+      advice: ['For climbing shoes, measure barefoot; they are worn without socks.']
+    },
+    ski: {
+      label: 'ski boots',
+      cmOffset: 0,
+      mondopoint: true,
+      warnings: ['Ski boots are sized in Mondopoint, which is your foot length itself, so no toe room is added. A boot fitter\'s shell check (one to two fingers behind the heel in the empty shell) confirms the size.'],
+      advice: ['For ski boots, measure standing with your heel against a wall and round to the nearest half centimetre; that is your Mondopoint.']
+    },
+    dress: {
+      label: 'dress shoes',
+      cmOffset: 0,
+      warnings: ['Leather dress shoes stretch in width but not in length. Choose the length that fits now; if the width pinches, look for a wider fitting rather than a longer size.'],
+      advice: ['For dress shoes, measure wearing thin dress socks.']
+    }
   };
 
-  function normalizeBrand(s) {
-    if (!s || typeof s !== 'string') return '';
-    return s.toLowerCase().trim();
+  /**
+   * Append one step to the explain trace ({ step, summary, detail }); a no-op when trace is null,
+   * so helpers can record unconditionally.
+   */
+  function explainStep(trace, step, summary, detail) {
+    if (trace) trace.push({ step: step, summary: summary, detail: detail || {} });
+  }
+
+  /** "US 8.5" for a shoeRowSizes() result in the target region; CN rows are not in it, so US stands in. */
+  function regionSizeLabel(sizes, region) {
+    var key = String(region || 'US').toLowerCase();
+    return sizes[key] != null ? String(region).toUpperCase() + ' ' + sizes[key] : 'US ' + sizes.us;
   }
 
   /**
    * Find closest shoe size row by foot length (cm).
    */
   function findShoeByCm(shoeData, footCm, gender) {
-    var arr = shoeData && shoeData[gender];
-    if (!arr || !arr.length || footCm == null || footCm === '' || isNaN(Number(footCm))) return null;
-    var val = Number(footCm);
-    var best = null;
-    var bestDiff = Infinity;
-    for (var i = 0; i < arr.length; i++) {
-      var cm = arr[i].cm;
-      var d = Math.abs(cm - val);
-      if (d < bestDiff) {
-        bestDiff = d;
-        best = arr[i];
-      }
-    }
-    return best;
+    var match = SizeEngine.findShoeByCm(shoeData, gender, footCm);
+    return match ? match.row : null;
+  }
+
+  /**
+   * Region sizes for a shoe row; kids' US/UK carry their C/Y suffix (SizeEngine.shoeRowLabel)
+   * and mp is the row's Mondopoint size.
+   */
+  function shoeRowSizes(row) {
+    return {
+      us: SizeEngine.shoeRowLabel(row, 'us'),
+      uk: SizeEngine.shoeRowLabel(row, 'uk'),
+      eu: row.eu,
+      jp: row.jp,
+      mp: SizeEngine.mondopoint(row.cm),
+      cm: row.cm
+    };
+  }
+
+  /**
+   * Ski-boot shell note: the half sizes of one shell fit the same boot, so the choice between
+   * them is made in the liner.
+   */
+  function mondopointShellWarning(footCm) {
+    var mp = SizeEngine.mondopoint(footCm);
+    var shell = SizeEngine.mondopointShell(mp);
+    return 'Your Mondopoint size is about ' + mp + '. Boot shells come in full sizes, so Mondopoint ' + shell.sizes[0] + ' and ' +
+      shell.sizes[1] + ' share the ' + shell.shell + ' shell and differ only in liner and footbed.';
   }
 
   /**
    * Get adjacent shoe size row (index + 1 or - 1).
    */
   function getAdjacentShoeRow(shoeData, gender, currentRow, direction) {
-    var arr = shoeData && shoeData[gender];
-    if (!arr || !currentRow) return null;
-    var idx = -1;
-    for (var i = 0; i < arr.length; i++) {
-      if (arr[i].cm === currentRow.cm && arr[i].us === currentRow.us) {
-        idx = i;
-        break;
-      }
+    return SizeEngine.getAdjacentShoeRow(shoeData, gender, currentRow, direction);
+  }
+
+  /**
+   * Match every provided body measurement against the clothing size ranges. category: tops | pants | dresses.
+   * Returns SizeEngine.matchClothingMeasurements' result (row, betweenSizes, spansSizes, ...) or null.
+   */
+  function findClothingByMeasurements(clothingData, gender, category, measurements) {
+    return SizeEngine.matchClothingMeasurements(clothingData, gender, category, measurements);
+  }
+
+  var MEASUREMENT_LABELS = { chest_cm: 'chest', waist_cm: 'waist', hips_cm: 'hips', inseam_cm: 'inseam', height_cm: 'height' };
+
+  function joinLabels(keys) {
+    var labels = keys.map(function (k) { return MEASUREMENT_LABELS[k] || k; });
+    return labels.length > 1 ? labels.slice(0, -1).join(', ') + ' and ' + labels[labels.length - 1] : labels[0];
+  }
+
+  /**
+   * Plain-language notes for a multi-measurement clothing match: off-chart, spanning two sizes, or between sizes.
+   */
+  function getClothingMatchWarnings(match, region) {
+    var out = [];
+    if (!match) return out;
+    var key = String(region || 'US').toLowerCase();
+    match.outOfRange.forEach(function (o) {
+      out.push('Your ' + joinLabels([o.key]) + ' (' + match.dimensions[o.key].value + ' cm) is ' + o.direction +
+        ' every size on our chart. The closest size is shown; check the brand\'s chart.');
+    });
+    if (match.spansSizes) {
+      var fits = Object.keys(match.spansSizes.dimensions).map(function (k) {
+        return joinLabels([k]) + ' ' + match.spansSizes.dimensions[k][key];
+      });
+      out.push('Your measurements span sizes ' + match.spansSizes.lower[key] + ' to ' + match.spansSizes.upper[key] +
+        ' (' + fits.join(', ') + '). Size ' + match.row[key] + ' is the best overall fit; ' +
+        'choose by the measurement that matters most for this garment, or look for stretch.');
+    }
+    if (match.betweenSizes) {
+      out.push('Your ' + joinLabels(match.betweenSizes.dimensions) + ' ' + (match.betweenSizes.dimensions.length > 1 ? 'are' : 'is') +
+        ' between sizes ' + match.betweenSizes.lower[key] + ' and ' + match.betweenSizes.upper[key] +
+        '. Size up for a relaxed fit, down for a closer fit.');
     }
-    if (idx < 0) return null;
-    var next = idx + (direction === 'up' ? 1 : -1);
-    if (next < 0 || next >= arr.length) return null;
-    return arr[next];
+    return out;
   }
 
   /**
-   * Find clothing size by measurement. category: tops | pants | dresses.
-   * Tops/dresses: match chest then hips; pants: match waist.
+   * Explain which brand registry rule (if any) applied to one category. For clothing brand fit
+   * only adds warnings; for shoes the size follows the brand's cm offset (see explainBrandOffset).
    */
-  function findClothingByMeasurements(clothingData, gender, category, chestCm, waistCm, hipsCm) {
-    var cat = clothingData && clothingData[gender] && clothingData[gender][category];
-    if (!cat || !cat.length) return null;
-    var key = category === 'pants' ? 'waist_cm' : 'chest_cm';
-    var val = category === 'pants'
-      ? (waistCm != null && waistCm !== '' && !isNaN(Number(waistCm)) ? Number(waistCm) : null)
-      : (chestCm != null && chestCm !== '' && !isNaN(Number(chestCm)) ? Number(chestCm) : null);
-    if (val == null) return null;
-    var best = null;
-    var bestDiff = Infinity;
-    for (var i = 0; i < cat.length; i++) {
-      var v = cat[i][key];
-      if (v == null || v === 0) continue;
-      var d = Math.abs(v - val);
-      if (d < bestDiff) {
-        bestDiff = d;
-        best = cat[i];
-      }
+  function explainBrandFit(trace, brand, category, gender, fit) {
+    var detail = { rule: fit ? 'brand_registry' : null, brand: fit ? fit.brand : brand || null, category: category, gender: gender };
+    if (!brand) {
+      explainStep(trace, 'brand_fit', 'No brand chosen, so no brand rule applies to ' + category + '.', detail);
+    } else if (!fit) {
+      explainStep(trace, 'brand_fit', 'The brand registry has no ' + category + ' fit for ' + brand + ' (' + gender + '), so no brand rule applied.', detail);
+    } else {
+      detail.fit = fit.fit;
+      detail.confidence = fit.confidence;
+      detail.source = fit.source;
+      explainStep(trace, 'brand_fit', 'Brand registry: ' + fit.brand + ' ' + category + ' for ' + gender + ' ' + FIT_LABELS[fit.fit] +
+        ' (confidence ' + fit.confidence + ')' + (fit.fit === 'true_to_size' ? ', so no fit warning was added.'
+          : category === 'shoes' ? ', so a fit note was added; the shoe size follows the brand offset step.'
+            : ', so a fit warning was added; the size itself is not shifted.') +
+        (fit.source ? ' Source: ' + fit.source : ''), detail);
+    }
+  }
+
+  /**
+   * The brand's shoe cm offset, resolved as the converter does (SizeEngine.resolveShoeBrandAdjustment):
+   * the data/brand_shoe_offsets.json rule for the brand and gender first, else the generic rule for
+   * the registry's shoe fit. source says which one applied.
+   * @returns {{ brand: string|null, cmOffset: number, reason: string, source: string }|null}
+   */
+  function getShoeBrandAdjustment(sizeDb, gender, brand, shoeFit) {
+    if (!brand) return null;
+    var adjustment = SizeEngine.resolveShoeBrandAdjustment(sizeDb, gender, { brand: brand, brandFit: shoeFit ? shoeFit.fit : '' });
+    if (!adjustment) return null;
+    return {
+      brand: adjustment.brand,
+      cmOffset: adjustment.cmOffset,
+      reason: adjustment.reason,
+      source: SizeEngine.findBrandShoeOverride(sizeDb, gender, brand) ? 'brand_shoe_offsets' : 'brand_registry'
+    };
+  }
+
+  /**
+   * Which offset sizes the shoe when a brand has one: the brand's, unless the shoe type has its own
+   * offset. A type that already sizes the same way covers the brand, and one that sizes the other way
+   * (climbing vs runs small, running vs runs large) overrides it; offsets are never stacked.
+   * @returns {'brand'|'shoe_type'|null} null when the brand has no offset
+   */
+  function shoeOffsetWinner(adjustment, typeRule) {
+    if (!adjustment || !adjustment.cmOffset) return null;
+    return typeRule && typeRule.cmOffset ? 'shoe_type' : 'brand';
+  }
+
+  /**
+   * Brand shoe fit note for the size shown. When the brand offset applied it says so; when the shoe
+   * type won it is rewritten so it never contradicts the size shown.
+   */
+  function getShoeBrandFitWarning(adjustment, typeRule) {
+    var winner = shoeOffsetWinner(adjustment, typeRule);
+    if (!winner) return null;
+    var small = adjustment.cmOffset > 0;
+    var runs = 'This brand often runs ' + (small ? 'small' : 'large') + ' in shoes';
+    if (winner === 'brand') {
+      return runs + ', so the size shown is matched ' + Math.abs(adjustment.cmOffset) + ' cm ' + (small ? 'longer' : 'shorter') +
+        ' than your foot, as in the converter. ' + adjustment.reason;
+    }
+    var offset = typeRule.cmOffset;
+    if (small === offset > 0) {
+      return runs + ', but the ' + typeRule.label + ' size shown is already ' + (offset > 0 ? 'longer' : 'shorter') +
+        ' than your foot, so try it before going ' + (small ? 'up' : 'down') + ' any further.';
     }
-    return best;
+    return runs + ', but ' + typeRule.label + ' are sized ' + (offset > 0 ? 'up' : 'down') + ' on purpose: keep to the size shown rather than going ' +
+      (small ? 'up' : 'down') + '. If it feels too ' + (small ? 'tight' : 'long') + ', try the foot-length size instead.';
+  }
+
+  /**
+   * Explain the brand's shoe offset: where it came from and whether it moved the matched length.
+   * Recorded before the shoe row, since it changes the length the row is matched against.
+   */
+  function explainBrandOffset(trace, adjustment, typeRule, footCm, matchCm) {
+    if (!adjustment) return;
+    var winner = shoeOffsetWinner(adjustment, typeRule);
+    var from = adjustment.source === 'brand_shoe_offsets' ? 'data/brand_shoe_offsets.json' : 'the brand registry fit';
+    var offset = (adjustment.cmOffset > 0 ? '+' : '') + adjustment.cmOffset + ' cm';
+    var detail = { brand: adjustment.brand, cmOffset: adjustment.cmOffset, source: adjustment.source, reason: adjustment.reason, applied: winner === 'brand', footCm: footCm, matchCm: matchCm };
+    explainStep(trace, 'brand_offset', !winner
+      ? 'Brand shoe offset from ' + from + ': none. ' + adjustment.reason
+      : winner === 'brand'
+        ? 'Brand shoe offset ' + offset + ' from ' + from + ', the same rule the converter applies, so the shoe row is matched against ' + matchCm + ' cm. ' + adjustment.reason
+        : 'Brand shoe offset ' + offset + ' from ' + from + ' was not applied: the ' + typeRule.label + ' offset sizes the shoe instead (see below).', detail);
   }
 
   /**
    * Build fit warnings from brand and fit preference (deterministic).
+   * Brand fit comes from the brand registry (data/brand_registry.json) per category and gender;
+   * the shoe note follows shoeAdjustment (getShoeBrandAdjustment) reconciled with typeRule (a
+   * SHOE_TYPE_RULES entry or null).
+   * With a trace array, records the registry rule looked up for each category and, for a shoe type,
+   * whether the brand offset or the shoe type's offset won (explain mode).
    */
-  function getFitWarnings(brand, fitPreference, hasShoe, hasClothing) {
+  function getFitWarnings(brandRegistry, brand, gender, garmentCategory, fitPreference, hasShoe, hasClothing, shoeAdjustment, typeRule, trace) {
     var out = [];
-    var b = normalizeBrand(brand);
-    if (b && BRAND_FIT[b]) {
-      var fit = BRAND_FIT[b];
-      if (fit === 'runs_small' && hasShoe) out.push('This brand often runs small in shoes. Consider trying half a size up if you prefer more room.');
-      if (fit === 'runs_small' && hasClothing) out.push('This brand often runs small in clothing. Consider sizing up if between sizes.');
-      if (fit === 'runs_large' && hasShoe) out.push('This brand often runs large in shoes. You may prefer half a size down for a snug fit.');
-      if (fit === 'runs_large' && hasClothing) out.push('This brand often runs large in clothing. Consider sizing down if between sizes.');
-    }
+    var shoeFit = hasShoe ? SizeEngine.getBrandFit(brandRegistry, brand, 'shoes', gender) : null;
+    var clothingFit = hasClothing ? SizeEngine.getBrandFit(brandRegistry, brand, garmentCategory, gender) : null;
+    var shoeAdvice = hasShoe ? getShoeBrandFitWarning(shoeAdjustment, typeRule) : null;
+    if (shoeAdvice) out.push(shoeAdvice);
+    if (clothingFit && clothingFit.fit === 'runs_small') out.push('This brand often runs small in clothing. Consider sizing up if between sizes.');
+    if (clothingFit && clothingFit.fit === 'runs_large') out.push('This brand often runs large in clothing. Consider sizing down if between sizes.');
     if (fitPreference === 'tight' && hasShoe) out.push('You prefer a tighter fit. The recommendation may be exact or slightly snug; try the same or half size down.');
     if (fitPreference === 'loose' && hasShoe) out.push('You prefer a looser fit. Consider half a size up from the base recommendation for extra room.');
+    if (trace) {
+      if (hasShoe) explainBrandFit(trace, brand, 'shoes', gender, shoeFit);
+      var winner = hasShoe && typeRule ? shoeOffsetWinner(shoeAdjustment, typeRule) : null;
+      if (winner) {
+        var brandOffset = (shoeAdjustment.cmOffset > 0 ? '+' : '') + shoeAdjustment.cmOffset + ' cm';
+        explainStep(trace, 'shoe_type_vs_brand', winner === 'brand'
+          ? typeRule.label.charAt(0).toUpperCase() + typeRule.label.slice(1) + ' add no size offset, so the brand\'s ' + brandOffset + ' offset sizes the shoe.'
+          : 'The ' + typeRule.label + ' offset (' + (typeRule.cmOffset > 0 ? '+' : '') + typeRule.cmOffset + ' cm) wins over the brand\'s ' +
+            brandOffset + ' offset; the brand note was rewritten so it does not contradict the size shown.',
+          { winner: winner, shoeType: typeRule.label, cmOffset: typeRule.cmOffset, brandCmOffset: shoeAdjustment.cmOffset, brandFit: shoeFit ? shoeFit.fit : null });
+      }
+      if (hasClothing) explainBrandFit(trace, brand, garmentCategory, gender, clothingFit);
+    }
     return out;
   }
 
   /**
    * Build alternative sizes (half size up/down, or adjacent) based on fit preference.
+   * With a trace array, records what the preference offered (explain mode).
    */
-  function getAlternativeSizes(shoeData, gender, baseRow, fitPreference, region) {
+  function getAlternativeSizes(shoeData, gender, baseRow, fitPreference, region, trace) {
     var out = [];
     if (!baseRow || !shoeData) return out;
     var up = getAdjacentShoeRow(shoeData, gender, baseRow, 'up');
     var down = getAdjacentShoeRow(shoeData, gender, baseRow, 'down');
     if (fitPreference === 'loose' && up) {
-      out.push({ label: 'Half size up (more room)', sizes: { us: up.us, uk: up.uk, eu: up.eu, jp: up.jp, cm: up.cm }, region: region });
+      out.push({ label: 'Half size up (more room)', sizes: shoeRowSizes(up), region: region });
     }
     if (fitPreference === 'tight' && down) {
-      out.push({ label: 'Half size down (snugger fit)', sizes: { us: down.us, uk: down.uk, eu: down.eu, jp: down.jp, cm: down.cm }, region: region });
+      out.push({ label: 'Half size down (snugger fit)', sizes: shoeRowSizes(down), region: region });
     }
     if (fitPreference === 'regular') {
-      if (up) out.push({ label: 'Or half size up', sizes: { us: up.us, uk: up.uk, eu: up.eu, jp: up.jp, cm: up.cm }, region: region });
-      if (down) out.push({ label: 'Or half size down', sizes: { us: down.us, uk: down.uk, eu: down.eu, jp: down.jp, cm: down.cm }, region: region });
+      if (up) out.push({ label: 'Or half size up', sizes: shoeRowSizes(up), region: region });
+      if (down) out.push({ label: 'Or half size down', sizes: shoeRowSizes(down), region: region });
+    }
+    if (trace) {
+      var offered = [];
+      if (up && fitPreference !== 'tight') offered.push('half a size up (' + regionSizeLabel(shoeRowSizes(up), region) + ')');
+      if (down && fitPreference !== 'loose') offered.push('half a size down (' + regionSizeLabel(shoeRowSizes(down), region) + ')');
+      var wanted = { loose: 'a longer size', tight: 'a shorter size', regular: 'a size either side' }[fitPreference];
+      explainStep(trace, 'fit_preference', 'Fit preference ' + fitPreference + ': looked for ' + wanted + ' and offered ' +
+        (offered.length ? offered.join(' and ') : 'nothing, because the chart ends here') + '. The recommended size stays on the matched row.',
+        { fitPreference: fitPreference, alternatives: out.map(function (a) { return a.sizes.cm; }) });
+    }
+    return out;
+  }
+
+  /**
+   * Width warnings: a wide foot against a brand whose last is cut narrow or that sells no wide
+   * widths, and a pointer to narrow widths for a narrow foot. width is SizeEngine.classifyFootWidth's result.
+   * With a trace array, records the registry width note used (explain mode).
+   */
+  function getWidthWarnings(width, brandWidth, trace) {
+    var out = [];
+    if (!width) return out;
+    if (brandWidth) {
+      explainStep(trace, 'brand_width', 'Brand registry: ' + brandWidth.brand + ' shoes are cut ' + (brandWidth.last === 'standard' ? 'to a standard width' : brandWidth.last) +
+        ' and the brand ' + (brandWidth.wideOptions ? 'sells' : 'does not sell') + ' wide widths.', { rule: 'brand_registry', brand: brandWidth.brand, last: brandWidth.last, wideOptions: brandWidth.wideOptions });
+    }
+    var wide = width.fit === 'wide' || width.fit === 'extra_wide';
+    if (wide && brandWidth && brandWidth.last === 'narrow') {
+      out.push(brandWidth.brand + ' shoes are cut narrow and your foot measures ' + width.fit.replace('_', ' ') + ' (' + width.letter + '). ' +
+        (brandWidth.wideOptions
+          ? 'Choose a ' + width.letter + ' width where the model offers one rather than going up in length.'
+          : 'It does not sell wide widths, so try half a size up or a brand known for wide fittings.'));
+    } else if (wide && brandWidth && !brandWidth.wideOptions) {
+      out.push(brandWidth.brand + ' does not sell wide widths. If its standard ' + width.standardLetter +
+        ' width feels tight across the ball, half a size up adds room at the cost of some length.');
+    }
+    if (width.fit === 'narrow') {
+      out.push('Your foot measures narrow (' + width.letter + '). Look for narrow widths; a shorter size will not fix heel slip.');
+    }
+    return out;
+  }
+
+  /**
+   * Alternatives that trade length for width: the same length in the foot's width when one can be
+   * bought, and half a size up in the standard width when no wide option exists (or the brand is unknown).
+   * With a trace array, records the trade offered (explain mode).
+   */
+  function getWidthAlternatives(shoeData, gender, baseRow, width, brandWidth, region, trace) {
+    var out = [];
+    if (!baseRow || !shoeData || !width || width.fit === 'standard') return out;
+    var canBuyWidth = !brandWidth || brandWidth.wideOptions || width.fit === 'narrow';
+    if (canBuyWidth) {
+      out.push({ label: 'Same length, ' + width.fit.replace('_', ' ') + ' width (' + width.letter + ')', sizes: shoeRowSizes(baseRow), region: region, width: width.letter });
+    }
+    var up = width.fit === 'narrow' ? null : getAdjacentShoeRow(shoeData, gender, baseRow, 'up');
+    if (up) {
+      out.push({
+        label: brandWidth && !brandWidth.wideOptions ? 'Half size up (extra width)' : 'Half size up if no ' + width.letter + ' width is offered',
+        sizes: shoeRowSizes(up),
+        region: region,
+        width: width.standardLetter
+      });
+    }
+    explainStep(trace, 'width_alternatives', 'Your foot is ' + width.fit.replace('_', ' ') + ', so ' +
+      (out.length ? 'offered ' + out.map(function (a) { return regionSizeLabel(a.sizes, region) + ' in ' + a.width; }).join(' and ') : 'no width alternative fits the chart') +
+      (canBuyWidth ? '' : '; no wide width is sold, so the extra room comes from length') + '.',
+      { fit: width.fit, alternatives: out.map(function (a) { return { cm: a.sizes.cm, width: a.width }; }) });
+    return out;
+  }
+
+  /**
+   * The plain foot-length row as an alternative when the shoe type's cmOffset moved the
+   * recommendation away from it (running a size up, climbing a size or two down).
+   */
+  function getShoeTypeAlternatives(shoeData, gender, footCm, baseRow, typeRule, region, trace) {
+    var out = [];
+    if (!baseRow || !shoeData || !typeRule || !typeRule.alternative) return out;
+    var plain = findShoeByCm(shoeData, footCm, gender);
+    if (plain && plain.cm !== baseRow.cm) {
+      out.push({ label: typeRule.alternative, sizes: shoeRowSizes(plain), region: region });
+      explainStep(trace, 'shoe_type', 'Offered ' + regionSizeLabel(out[0].sizes, region) + ', the row for your foot length without the ' +
+        typeRule.label + ' adjustment, as an alternative.', { alternative: plain.cm });
     }
     return out;
   }
@@ -159,6 +415,10 @@
     if (region === 'JP') {
       links.push({ label: 'Japan to US shoe size', url: basePath + '/japan-to-us-shoe-size.html' });
     }
+    if (region === 'MP') {
+      links.push({ label: 'Mondopoint to US shoe size', url: basePath + '/mondopoint-to-us-shoe-size.html' });
+      links.push({ label: 'Mondopoint to EU shoe size', url: basePath + '/mondopoint-to-eu-shoe-size.html' });
+    }
     links.push({ label: (g === 'men' ? "Men's" : g === 'women' ? "Women's" : "Kids'") + ' shoe size converter', url: basePath + '/' + (g === 'men' ? 'mens' : g === 'women' ? 'womens' : 'kids') + '-shoe-size-converter.html' });
     if (category && category !== 'shoes') {
       links.push({ label: 'Clothing size converters', url: '../clothing-size-pages.html' });
@@ -167,12 +427,14 @@
   }
 
   /**
-   * Measurement advice (deterministic tips).
+   * Measurement advice (deterministic tips); typeRule adds the SHOE_TYPE_RULES advice for the shoe type.
    */
-  function getMeasurementAdvice(hasFoot, hasChest, hasWaist, hasHips, garmentCategory) {
+  function getMeasurementAdvice(hasFoot, hasChest, hasWaist, hasHips, garmentCategory, typeRule) {
     var out = [];
     if (hasFoot) {
       out.push('Measure foot length from heel to longest toe, in the evening when feet are slightly larger. Use the larger foot if they differ.');
+      out.push('For width, wrap a tape around the ball of the foot (girth) while standing; a flat width across the ball works too, but girth tracks foot volume better.');
+      if (typeRule) out = out.concat(typeRule.advice);
     }
     if (hasChest || garmentCategory === 'tops' || garmentCategory === 'dresses') {
       out.push('Chest: measure around the fullest part, under arms, tape horizontal. Keep snug but not tight.');
@@ -187,19 +449,86 @@
     return out;
   }
 
+  /**
+   * Explain the shoe row: the data/shoe_sizes.json row matched for the foot length (or the shoe
+   * type's target length when shifted), its cm delta and confidence, or why no row was chosen.
+   */
+  function explainShoeRow(trace, footCm, shoeMatch, shoeRow, gender, region, shifted) {
+    var chart = (GENDER_POSSESSIVE[gender] || gender) + ' shoe chart';
+    var length = shifted ? 'Target length ' : 'Foot length ';
+    if (footCm == null || footCm === '') {
+      explainStep(trace, 'shoe_row', 'No foot length given, so no shoe size was matched.', { dataset: 'shoe_sizes' });
+    } else if (!shoeMatch) {
+      explainStep(trace, 'shoe_row', 'Foot length ' + footCm + ' cm could not be read against the ' + chart + '.', { dataset: 'shoe_sizes', gender: gender, footCm: footCm });
+    } else if (shoeMatch.status === 'out_of_range') {
+      explainStep(trace, 'shoe_row', length + shoeMatch.cm + ' cm is ' + shoeMatch.direction + ' the ' + chart + ' (' +
+        shoeMatch.range.minCm + '–' + shoeMatch.range.maxCm + ' cm), so no row was chosen.',
+        { dataset: 'shoe_sizes', gender: gender, footCm: shoeMatch.cm, status: shoeMatch.status, range: shoeMatch.range });
+    } else {
+      var sizes = shoeRowSizes(shoeRow);
+      var delta = shoeMatch.cmDelta;
+      explainStep(trace, 'shoe_row', length + shoeMatch.cm + ' cm matched the ' + shoeRow.cm + ' cm row of the ' + chart +
+        ' (' + regionSizeLabel(sizes, region) + '). ' +
+        (delta ? 'The row is ' + Math.abs(delta) + ' cm ' + (delta > 0 ? 'longer' : 'shorter') + ' than that' : 'The row matches it exactly') +
+        ' (' + shoeMatch.confidence + ' confidence).',
+        { dataset: 'shoe_sizes', gender: gender, footCm: shoeMatch.cm, rowCm: shoeRow.cm, cmDelta: delta, status: shoeMatch.status, confidence: shoeMatch.confidence, sizes: sizes });
+    }
+  }
+
+  /** Explain the width band: the ratio to foot length and the band limits it fell between. */
+  function explainWidth(trace, width, gender) {
+    var b = width.bounds;
+    explainStep(trace, 'shoe_width', 'Your ' + (width.basis === 'girth' ? 'ball girth' : 'foot width') + ' is ' + width.ratio + ' × foot length. ' +
+      'The ' + (GENDER_POSSESSIVE[gender] || gender) + ' bands are narrow below ' + b[0] + ', standard below ' + b[1] + ', wide below ' + b[2] +
+      ' and extra wide above, so your width is ' + width.fit.replace('_', ' ') + ' (' + width.letter + ').',
+      { basis: width.basis, ratio: width.ratio, bounds: b, fit: width.fit, letter: width.letter });
+  }
+
+  /** Explain the clothing row: each measurement against the chosen size's range. */
+  function explainClothingRow(trace, match, gender, category, region) {
+    if (!match) {
+      explainStep(trace, 'clothing_row', 'No measurement applies to ' + category + ', so no clothing size was matched.', { dataset: 'clothing_sizes', gender: gender, category: category });
+      return;
+    }
+    var key = String(region || 'US').toLowerCase();
+    var label = match.row[key] != null ? String(region).toUpperCase() + ' ' + match.row[key] : 'US ' + match.row.us;
+    var notes = Object.keys(match.dimensions).map(function (k) {
+      var d = match.dimensions[k];
+      return joinLabels([k]) + ' ' + d.value + ' cm ' + (d.range ? (d.fits ? 'fits ' : 'misses ') + d.range[0] + '–' + d.range[1] + ' cm' : 'has no range for this size');
+    });
+    explainStep(trace, 'clothing_row', 'Matched ' + label + ' in ' + (GENDER_POSSESSIVE[gender] || gender) + ' ' + category + ': ' + notes.join('; ') +
+      '. Each measurement scores the cm it falls outside a size\'s range; this size scored ' + match.score + ' cm, the lowest.',
+      { dataset: 'clothing_sizes', gender: gender, category: category, index: match.index, score: match.score, dimensions: match.dimensions });
+  }
+
   /**
    * Main entry: run fit assistant with inputs and data. Returns all outputs.
-   * @param {object} inputs - { footLengthCm, gender, garmentCategory?, chestCm?, waistCm?, hipsCm?, region, brand?, fitPreference }
-   * @param {object} data - { shoeSizes, clothingSizes } (same shape as data/shoe_sizes.json, data/clothing_sizes.json)
-   * @param {object} options - { basePath? } for related converter links
+   * shoeMatch is SizeEngine.convertSize's structured result for the foot length (status, cmDelta, confidence).
+   * clothingMatch is SizeEngine.matchClothingMeasurements' result for all given body measurements (ranges, between/spanning sizes).
+   * recommendedSizes.shoes.width is SizeEngine.classifyFootWidth's result (fit, US/UK letter 2A–4E) when width or girth is given.
+   * shoeType (a SHOE_TYPE_RULES key) shifts the cm the shoe row is matched against and adds type warnings, advice and
+   * a foot-length alternative; result.shoeType is { type, label, cmOffset, footCm, targetCm } or null.
+   * @param {object} inputs - { footLengthCm, footWidthCm?, footGirthCm?, shoeType?, gender, garmentCategory?, chestCm?, waistCm?, hipsCm?, inseamCm?, heightCm?, region, brand?, fitPreference }
+   * A brand's shoe cm offset (data/brand_shoe_offsets.json, else the registry fit's rule) shifts the matched length
+   * exactly as in the converter, unless the shoe type has an offset of its own; shoeMatch.brandOverride then carries it.
+   * @param {object} data - { shoeSizes, clothingSizes, brandRegistry?, brandShoeOffsets? } (same shape as data/shoe_sizes.json,
+   *   data/clothing_sizes.json, data/brand_registry.json, data/brand_shoe_offsets.json); without brandRegistry no brand
+   *   warnings are added
+   * With options.explain the result also carries explain: [{ step, summary, detail }] — the shoe type, the brand's shoe
+   * offset, the shoe and clothing rows matched, the width band, each brand registry rule looked up (and, with a shoe type,
+   * whether the type's offset or the brand's won) and what fitPreference offered, in that order.
+   * @param {object} options - { basePath?, explain? } basePath for related converter links
    */
   function run(inputs, data, options) {
     options = options || {};
+    var trace = options.explain ? [] : null;
     var shoeData = (data && data.shoeSizes) || null;
     if (!shoeData && data && data.men && data.women && data.kids && !data.clothingSizes) {
       shoeData = data;
     }
     var clothingData = (data && data.clothingSizes) || null;
+    var brandRegistry = (data && data.brandRegistry) || null;
+    var brandShoeOffsets = (data && data.brandShoeOffsets) || null;
     if (!clothingData && data && data.men && data.men.tops) {
       clothingData = data;
     }
@@ -210,29 +539,67 @@
     var brand = inputs.brand || '';
     var fitPreference = FIT_PREFERENCE.indexOf(inputs.fitPreference) >= 0 ? inputs.fitPreference : 'regular';
     var garmentCategory = inputs.garmentCategory || null;
+    var typeRule = SHOE_TYPE_RULES.hasOwnProperty(inputs.shoeType) ? SHOE_TYPE_RULES[inputs.shoeType] : null;
     var chestCm = inputs.chestCm;
     var waistCm = inputs.waistCm;
     var hipsCm = inputs.hipsCm;
+    var measurements = {
+      chest_cm: chestCm,
+      waist_cm: waistCm,
+      hips_cm: hipsCm,
+      inseam_cm: inputs.inseamCm,
+      height_cm: inputs.heightCm
+    };
 
     var recommendedSizes = { shoes: null, clothing: null };
     var shoeRow = null;
+    var shoeMatch = null;
+    var width = null;
+    var shoeType = null;
+    var targetCm = footCm;
+    if (typeRule && footCm != null && footCm !== '' && isFinite(Number(footCm))) {
+      targetCm = Math.round((Number(footCm) + typeRule.cmOffset) * 10) / 10;
+      shoeType = { type: inputs.shoeType, label: typeRule.label, cmOffset: typeRule.cmOffset, footCm: Number(footCm), targetCm: targetCm };
+      explainStep(trace, 'shoe_type', 'Shoe type ' + typeRule.label + ': ' + (typeRule.cmOffset
+        ? 'matched against ' + targetCm + ' cm, your foot length ' + (typeRule.cmOffset > 0 ? 'plus ' : 'minus ') + Math.abs(typeRule.cmOffset) + ' cm.'
+        : 'matched against your foot length as it is.'), shoeType);
+    }
+    var sizeDb = shoeData ? SizeEngine.buildSizeDatabase(shoeData, null, brandShoeOffsets) : null;
+    var brandShoeFit = SizeEngine.getBrandFit(brandRegistry, brand, 'shoes', gender);
+    var shoeAdjustment = sizeDb ? getShoeBrandAdjustment(sizeDb, gender, brand, brandShoeFit) : null;
+    var brandShifted = shoeOffsetWinner(shoeAdjustment, typeRule) === 'brand';
     if (footCm != null && footCm !== '' && shoeData) {
-      shoeRow = findShoeByCm(shoeData, footCm, gender);
+      // Same CM-anchor match as the converter, brand offset included: tells us how far off the nearest row is, or that it is off the chart
+      shoeMatch = SizeEngine.convertSize(sizeDb, 'shoes', gender, 'CM', 'CM', targetCm,
+        brandShifted ? { brand: brand, brandFit: brandShoeFit ? brandShoeFit.fit : '' } : null);
+      explainBrandOffset(trace, shoeAdjustment, typeRule, Number(footCm), shoeMatch ? shoeMatch.cm : null);
+      shoeRow = shoeMatch && shoeMatch.status !== 'out_of_range' ? findShoeByCm(shoeData, shoeMatch.cm, gender) : null;
       if (shoeRow) {
-        recommendedSizes.shoes = {
-          us: shoeRow.us,
-          uk: shoeRow.uk,
-          eu: shoeRow.eu,
-          jp: shoeRow.jp,
-          cn: shoeRow.cn,
-          cm: shoeRow.cm
-        };
+        recommendedSizes.shoes = shoeRowSizes(shoeRow);
+        recommendedSizes.shoes.cn = shoeRow.cn;
+        // Kids: age band and, for youth sizes, the adult sizes of the same length
+        var kids = gender === 'kids' ? SizeEngine.describeKidsShoe(shoeData, shoeMatch.cm) : null;
+        if (kids) {
+          recommendedSizes.shoes.age = kids.age;
+          recommendedSizes.shoes.adult = kids.adult;
+        }
+        // Ski boots and Mondopoint shoppers get the boot shell their size is built on
+        if (region === 'MP' || (typeRule && typeRule.mondopoint)) {
+          recommendedSizes.shoes.shell = SizeEngine.mondopointShell(recommendedSizes.shoes.mp);
+        }
+        width = SizeEngine.classifyFootWidth(gender, footCm, { widthCm: inputs.footWidthCm, girthCm: inputs.footGirthCm });
+        if (width) recommendedSizes.shoes.width = width;
       }
     }
 
+    explainShoeRow(trace, footCm, shoeMatch, shoeRow, gender, region, !!(shoeType && shoeType.cmOffset) || brandShifted);
+    if (width) explainWidth(trace, width, gender);
+
     var clothingRow = null;
-    if (clothingData && garmentCategory && (chestCm != null && chestCm !== '' || waistCm != null && waistCm !== '' || hipsCm != null && hipsCm !== '')) {
-      clothingRow = findClothingByMeasurements(clothingData, gender, garmentCategory, chestCm, waistCm, hipsCm);
+    var clothingMatch = null;
+    if (clothingData && garmentCategory) {
+      clothingMatch = findClothingByMeasurements(clothingData, gender, garmentCategory, measurements);
+      clothingRow = clothingMatch ? clothingMatch.row : null;
       if (clothingRow) {
         recommendedSizes.clothing = {
           us: clothingRow.us,
@@ -243,29 +610,62 @@
           category: garmentCategory
         };
       }
+      if (trace) explainClothingRow(trace, clothingMatch, gender, garmentCategory, region);
     }
 
-    var fitWarnings = getFitWarnings(brand, fitPreference, !!shoeRow, !!clothingRow);
-    var alternativeSizes = getAlternativeSizes(shoeData, gender, shoeRow, fitPreference, region);
+    var fitWarnings = getFitWarnings(brandRegistry, brand, gender, garmentCategory, fitPreference, !!shoeRow, !!clothingRow, shoeAdjustment, typeRule, trace);
+    if (shoeRow && typeRule) {
+      fitWarnings = typeRule.warnings.concat(fitWarnings);
+      if (typeRule.mondopoint) fitWarnings.push(mondopointShellWarning(footCm));
+    }
+    if (shoeMatch && shoeMatch.status === 'out_of_range') {
+      fitWarnings.unshift('Foot length ' + footCm + ' cm' + (shoeType && shoeType.cmOffset ? ' (' + shoeMatch.cm + ' cm as sized for ' + shoeType.label + ')' : '') + ' is ' + (shoeMatch.direction === 'below' ? 'below' : 'above') +
+        ' our ' + (GENDER_POSSESSIVE[gender] || gender) + ' size chart (' + shoeMatch.range.minCm + '–' + shoeMatch.range.maxCm + ' cm). No size is recommended outside the chart.');
+    }
+    var brandWidth = width ? SizeEngine.getBrandShoeWidth(brandRegistry, brand) : null;
+    fitWarnings = getClothingMatchWarnings(clothingMatch, region).concat(fitWarnings, getWidthWarnings(width, brandWidth, trace));
+    // Width and shoe-type alternatives first; a fit-preference size they already offer in standard width is not repeated
+    var widthAlternatives = getWidthAlternatives(shoeData, gender, shoeRow, width, brandWidth, region, trace)
+      .concat(getShoeTypeAlternatives(shoeData, gender, footCm, shoeRow, typeRule, region, trace));
+    var standardCm = widthAlternatives
+      .filter(function (a) { return !a.width || a.width === width.standardLetter; })
+      .map(function (a) { return a.sizes.cm; });
+    var preferenceAlternatives = getAlternativeSizes(shoeData, gender, shoeRow, fitPreference, region, trace);
+    var alternativeSizes = widthAlternatives.concat(preferenceAlternatives
+      .filter(function (a) { return standardCm.indexOf(a.sizes.cm) < 0; }));
+    if (alternativeSizes.length < widthAlternatives.length + preferenceAlternatives.length) {
+      explainStep(trace, 'fit_preference', 'A fit-preference size already listed as a width or shoe-type alternative is not repeated.', { duplicates: standardCm });
+    }
     var relatedConverters = getRelatedConverters(region, gender, garmentCategory, options.basePath);
     var measurementAdvice = getMeasurementAdvice(
       footCm != null && footCm !== '',
       chestCm != null && chestCm !== '',
       waistCm != null && waistCm !== '',
       hipsCm != null && hipsCm !== '',
-      garmentCategory
+      garmentCategory,
+      typeRule
     );
 
-    return {
+    var result = {
       recommendedSizes: recommendedSizes,
+      shoeMatch: shoeMatch,
+      clothingMatch: clothingMatch,
+      shoeType: shoeType,
       fitWarnings: fitWarnings,
       alternativeSizes: alternativeSizes,
       relatedConverters: relatedConverters,
       measurementAdvice: measurementAdvice
     };
+    if (trace) result.explain = trace;
+    return result;
+  }
+
+  /** Brand names for the brand picker: every brand in the registry (any category), in registry order. */
+  function listBrands(brandRegistry) {
+    return Object.keys((brandRegistry && brandRegistry.brands) || {});
   }
 
-  var FitAssistant = { run: run };
+  var FitAssistant = { run: run, listBrands: listBrands, SHOE_TYPE_RULES: SHOE_TYPE_RULES };
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = FitAssistant;
   } else {
@@ -0,0 +1,193 @@
+/**
+ * Foot Measure — paper-calibrated foot measurement wizard. Local logic only, no photos.
+ * The visitor prints the ruler sheet, checks the print scale by laying a blank sheet of the same
+ * paper (A4 or US Letter) along the ruler, then reads heel and toe marks for each foot several times.
+ * Readings are scaled by the calibration, averaged per foot with inconsistent ones flagged, and
+ * the larger foot is the length handed to the converter and FitAssistant.
+ *
+ * Browser: window.FootMeasure.run(inputs) — load scripts/size-engine.js first
+ * Node: require and call FootMeasure.run(inputs)
+ */
+
+(function (global) {
+  'use strict';
+
+  var SizeEngine = typeof module !== 'undefined' && module.exports
+    ? require('./size-engine.js')
+    : global.SizeEngine;
+
+  /** Sheet sizes in cm; the short edge (widthCm) is what the calibration reading measures. */
+  var PAPER_SIZES = {
+    a4: { label: 'A4', widthCm: 21.0, heightCm: 29.7 },
+    letter: { label: 'US Letter', widthCm: 21.59, heightCm: 27.94 }
+  };
+  /** Print scales outside this range are a misread edge rather than a printer setting. */
+  var SCALE_LIMITS = [0.85, 1.15];
+  /** A print more than this far from 100% gets a note (the readings are still corrected). */
+  var SCALE_NOTE_AT = 0.01;
+  /** A reading further than this from the foot's median is flagged and left out of the average. */
+  var READING_TOLERANCE_CM = 0.3;
+  /** Feet further apart than this get a note that the larger one was used. */
+  var FOOT_DIFFERENCE_CM = 0.5;
+  var FEET = ['left', 'right'];
+
+  function toNumber(v) {
+    if (v == null || String(v).trim() === '') return null;
+    var n = Number(String(v).replace(',', '.'));
+    return isFinite(n) ? n : null;
+  }
+
+  function round(n, places) {
+    var f = Math.pow(10, places);
+    return Math.round(n * f) / f;
+  }
+
+  function median(values) {
+    var sorted = values.slice().sort(function (a, b) { return a - b; });
+    var mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * Print scale from the calibration reading: where the far corner of a blank sheet's short edge
+   * lands on the printed ruler. A 100% print of A4 reads 21.0.
+   * @returns {{ paper: string, label: string, readingCm: number, scale: number, percent: number,
+   *   status: 'ok'|'scaled'|'invalid' }|null} null for an unknown paper or a blank reading
+   */
+  function calibrate(paper, readingCm) {
+    var size = PAPER_SIZES[paper];
+    var reading = toNumber(readingCm);
+    if (!size || reading == null || reading <= 0) return null;
+    var scale = size.widthCm / reading;
+    var status = 'ok';
+    if (scale < SCALE_LIMITS[0] || scale > SCALE_LIMITS[1]) status = 'invalid';
+    else if (Math.abs(scale - 1) > SCALE_NOTE_AT) status = 'scaled';
+    return { paper: paper, label: size.label, readingCm: reading, scale: round(scale, 4), percent: round(100 / scale, 1), status: status };
+  }
+
+  /**
+   * One foot's readings ({ heel, toe } ruler marks in printed cm) → true lengths, flags and average.
+   * Readings off the median by more than READING_TOLERANCE_CM are flagged and left out of the
+   * average; when every reading is flagged they disagree with each other, so all are averaged and
+   * the foot is marked inconsistent.
+   * @returns {{ readings: object[], lengthCm: number|null, spreadCm: number|null, inconsistent: boolean, incomplete: number }}
+   */
+  function measureFoot(readings, scale) {
+    var out = { readings: [], lengthCm: null, spreadCm: null, inconsistent: false, incomplete: 0 };
+    (readings || []).forEach(function (r, i) {
+      var heel = toNumber(r && r.heel);
+      var toe = toNumber(r && r.toe);
+      if (heel == null && toe == null) return;
+      if (heel == null || toe == null || toe <= heel) {
+        out.incomplete++;
+        return;
+      }
+      out.readings.push({ index: i, heel: heel, toe: toe, lengthCm: round((toe - heel) * (scale || 1), 2), flagged: false });
+    });
+    if (!out.readings.length) return out;
+
+    var lengths = out.readings.map(function (r) { return r.lengthCm; });
+    var mid = median(lengths);
+    out.readings.forEach(function (r) { r.flagged = Math.abs(r.lengthCm - mid) > READING_TOLERANCE_CM; });
+    var kept = out.readings.filter(function (r) { return !r.flagged; });
+    if (!kept.length) {
+      out.inconsistent = true;
+      kept = out.readings;
+    }
+    var sum = kept.reduce(function (total, r) { return total + r.lengthCm; }, 0);
+    out.lengthCm = round(sum / kept.length, 1);
+    out.spreadCm = round(Math.max.apply(null, lengths) - Math.min.apply(null, lengths), 2);
+    return out;
+  }
+
+  /**
+   * Hand-off links for a foot length: the shoe converter (its ?cat&g&from&size URL state) and the
+   * Fit Assistant (?foot&g). basePath is the site root relative to the current page ('' or '..').
+   */
+  function handoffUrls(footCm, gender, basePath) {
+    var base = basePath ? basePath.replace(/\/+$/, '') + '/' : '';
+    var g = encodeURIComponent(gender || 'men');
+    return {
+      converter: base + 'shoe-size-converter.html?cat=shoes&g=' + g + '&from=CM&size=' + footCm,
+      fitAssistant: base + 'tools/fit-assistant.html?foot=' + footCm + '&g=' + g
+    };
+  }
+
+  function footWarnings(name, foot) {
+    var out = [];
+    if (foot.incomplete) {
+      out.push(foot.incomplete + ' ' + name + '-foot reading' + (foot.incomplete > 1 ? 's were' : ' was') + ' skipped: each needs a heel and a toe mark, toe above heel.');
+    }
+    if (foot.inconsistent) {
+      out.push('Your ' + name + '-foot readings differ by ' + foot.spreadCm + ' cm, so none can be trusted over the others. Re-mark that foot and read it again.');
+    } else {
+      foot.readings.forEach(function (r) {
+        if (r.flagged) out.push('Left out ' + name + '-foot reading ' + (r.index + 1) + ' (' + r.lengthCm + ' cm): it is more than ' + READING_TOLERANCE_CM + ' cm from your other readings.');
+      });
+    }
+    if (foot.readings.length === 1) out.push('Only one ' + name + '-foot reading: take two or three so a slipped mark shows up.');
+    return out;
+  }
+
+  /**
+   * Run the wizard on its inputs.
+   * @param {object} inputs - { paper: 'a4'|'letter', calibrationCm, left: [{ heel, toe }], right: [{ heel, toe }], gender, basePath }
+   * @returns {object} { calibration, feet: { left, right }, footLengthCm, largerFoot, warnings, links }
+   *   footLengthCm is null until the calibration is usable and at least one foot has a reading
+   */
+  function run(inputs) {
+    inputs = inputs || {};
+    var warnings = [];
+    var calibration = calibrate(inputs.paper, inputs.calibrationCm);
+    var result = { calibration: calibration, feet: {}, footLengthCm: null, largerFoot: null, warnings: warnings, links: null };
+
+    if (!calibration) {
+      warnings.push('Lay a blank sheet of the same paper along the ruler and enter where its far corner lands, so the print scale can be checked.');
+      return result;
+    }
+    if (calibration.status === 'invalid') {
+      warnings.push('A ' + calibration.label + ' sheet should read about ' + PAPER_SIZES[inputs.paper].widthCm + ' cm on the ruler, not ' + calibration.readingCm +
+        ' cm. Check the paper size you chose and that the sheet starts at 0.');
+      return result;
+    }
+    if (calibration.status === 'scaled') {
+      warnings.push('Your ruler printed at about ' + calibration.percent + '% of actual size; the readings below are corrected for it.');
+    }
+
+    FEET.forEach(function (name) {
+      var foot = measureFoot(inputs[name], calibration.scale);
+      result.feet[name] = foot;
+      warnings.push.apply(warnings, footWarnings(name, foot));
+    });
+
+    var left = result.feet.left.lengthCm;
+    var right = result.feet.right.lengthCm;
+    if (left == null && right == null) return result;
+    if (left == null || right == null) {
+      warnings.push('Only your ' + (left == null ? 'right' : 'left') + ' foot was measured. Feet often differ; measure both and shoes are sized to the larger.');
+    } else if (Math.abs(left - right) > FOOT_DIFFERENCE_CM) {
+      warnings.push('Your feet differ by ' + round(Math.abs(left - right), 1) + ' cm. Sizes are for the larger (' + (left > right ? 'left' : 'right') +
+        ') foot; an insole can take up room on the other side.');
+    }
+    result.largerFoot = right == null || (left != null && left >= right) ? 'left' : 'right';
+    result.footLengthCm = result.feet[result.largerFoot].lengthCm;
+
+    var gender = SizeEngine.GENDERS.indexOf(inputs.gender) >= 0 ? inputs.gender : 'men';
+    result.links = handoffUrls(result.footLengthCm, gender, inputs.basePath);
+    return result;
+  }
+
+  var FootMeasure = {
+    PAPER_SIZES: PAPER_SIZES,
+    READING_TOLERANCE_CM: READING_TOLERANCE_CM,
+    calibrate: calibrate,
+    measureFoot: measureFoot,
+    handoffUrls: handoffUrls,
+    run: run
+  };
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FootMeasure;
+  } else {
+    global.FootMeasure = FootMeasure;
+  }
+})(typeof window !== 'undefined' ? window : global);
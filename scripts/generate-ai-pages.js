@@ -134,6 +134,8 @@ function buildPage(slug, pattern) {
     </div>
   </main>
   <footer><div class="container"><p>&copy; 2026 Albor Digital LLC. GlobalSizeChart.com.</p></div></footer>
+  <script src="../../scripts/size-engine.js"></script>
+  <script src="../../scripts/i18n.js"></script>
   <script src="../../app.js"></script>
 </body>
 </html>`;
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Translated converter pages — writes /{locale}/<page> variants with hreflang alternates
+ *
+ * For each page in PAGES and each non-English locale in scripts/i18n.js this emits
+ * {locale}/{page}: <html lang>, title, meta description, h1 and lead from PAGES, and the
+ * converter form (labels, options, placeholders, results heading) from the I18n message
+ * catalogue. The body copy below the converter stays English until translated copy exists.
+ * Relative links are rebased one level up, the canonical points at the variant, and every
+ * version (English and market mirrors included) gets a <!-- HREFLANG --> block listing all
+ * alternates plus x-default → English (scripts/lib/page-variants.js). app.js picks the locale
+ * from the /{locale}/ path at runtime.
+ *
+ *   node scripts/generate-localized-pages.js                  — all locales
+ *   node scripts/generate-localized-pages.js --locales es,de  — subset
+ *   node scripts/generate-localized-pages.js --dry-run        — report only, no writes
+ *
+ * Idempotent: reruns replace the hreflang block and overwrite the variants.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const I18n = require('./i18n.js');
+const { BASE_URL, refreshHreflang, rebaseRelativeUrls } = require('./lib/page-variants.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/** Page-level copy per locale; converter chrome comes from I18n.MESSAGES. */
+const PAGES = {
+  'shoe-size-converter.html': {
+    es: {
+      title: 'Conversor de tallas de calzado - US, UK, EU, JP, CN, CM | GlobalSizeChart.com',
+      description: 'Conversor de tallas de calzado gratuito. Convierte entre tallas de EE. UU., Reino Unido, UE, Japón y China y medidas en centímetros.',
+      h1: 'Conversor de tallas de calzado',
+      lead: 'Convierte tallas de calzado entre EE. UU., Reino Unido, UE, Japón, China y centímetros. Conversiones precisas para calzado de hombre, mujer y niños.'
+    },
+    de: {
+      title: 'Schuhgrößen-Umrechner - US, UK, EU, JP, CN, CM | GlobalSizeChart.com',
+      description: 'Kostenloser Schuhgrößen-Umrechner. Umrechnung zwischen US-, UK-, EU-, japanischen und chinesischen Schuhgrößen und Zentimetern.',
+      h1: 'Schuhgrößen-Umrechner',
+      lead: 'Rechne Schuhgrößen zwischen US, UK, EU, Japan, China und Zentimetern um. Genaue Umrechnungen für Herren-, Damen- und Kinderschuhe.'
+    },
+    fr: {
+      title: 'Convertisseur de pointures - US, UK, EU, JP, CN, CM | GlobalSizeChart.com',
+      description: 'Convertisseur de pointures gratuit. Convertissez entre pointures US, UK, EU, japonaises et chinoises et mesures en centimètres.',
+      h1: 'Convertisseur de pointures',
+      lead: 'Convertissez les pointures entre les États-Unis, le Royaume-Uni, l’UE, le Japon, la Chine et les centimètres. Des conversions précises pour homme, femme et enfant.'
+    },
+    ja: {
+      title: '靴サイズ換算 - US・UK・EU・JP・CN・CM | GlobalSizeChart.com',
+      description: '無料の靴サイズ換算ツール。US・UK・EU・日本・中国の靴サイズとセンチメートルを相互に換算します。',
+      h1: '靴サイズ換算',
+      lead: 'US・UK・EU・日本・中国・センチメートルの靴サイズを相互に換算します。メンズ・レディース・キッズに対応しています。'
+    },
+    pt: {
+      title: 'Conversor de tamanhos de calçado - US, UK, EU, JP, CN, CM | GlobalSizeChart.com',
+      description: 'Conversor de tamanhos de calçado gratuito. Converta entre numerações dos EUA, Reino Unido, UE, Japão e China e medidas em centímetros.',
+      h1: 'Conversor de tamanhos de calçado',
+      lead: 'Converta numerações de calçado entre EUA, Reino Unido, UE, Japão, China e centímetros. Conversões precisas para calçados masculinos, femininos e infantis.'
+    }
+  },
+  'clothing-size-converter.html': {
+    es: {
+      title: 'Conversor de tallas de ropa - US, UK, EU, JP, CN | GlobalSizeChart.com',
+      description: 'Conversor de tallas de ropa gratuito. Convierte tallas de EE. UU., Reino Unido, UE, Japón y China con medidas en centímetros.',
+      h1: 'Conversor de tallas de ropa',
+      lead: 'Convierte tallas de ropa entre EE. UU., Reino Unido, UE, Japón y China para partes de arriba, pantalones, vestidos, faldas, chaquetas, camisas, sujetadores y trajes de baño.'
+    },
+    de: {
+      title: 'Kleidergrößen-Umrechner - US, UK, EU, JP, CN | GlobalSizeChart.com',
+      description: 'Kostenloser Kleidergrößen-Umrechner. Umrechnung zwischen US-, UK-, EU-, japanischen und chinesischen Größen mit Maßen in Zentimetern.',
+      h1: 'Kleidergrößen-Umrechner',
+      lead: 'Rechne Kleidergrößen zwischen US, UK, EU, Japan und China um – für Oberteile, Hosen, Kleider, Röcke, Jacken, Oberhemden, BHs und Bademode.'
+    },
+    fr: {
+      title: 'Convertisseur de tailles de vêtements - US, UK, EU, JP, CN | GlobalSizeChart.com',
+      description: 'Convertisseur de tailles de vêtements gratuit. Convertissez entre tailles US, UK, EU, japonaises et chinoises avec les mesures en centimètres.',
+      h1: 'Convertisseur de tailles de vêtements',
+      lead: 'Convertissez les tailles entre les États-Unis, le Royaume-Uni, l’UE, le Japon et la Chine pour hauts, pantalons, robes, jupes, vestes, chemises, soutiens-gorge et maillots de bain.'
+    },
+    ja: {
+      title: '服のサイズ換算 - US・UK・EU・JP・CN | GlobalSizeChart.com',
+      description: '無料の服のサイズ換算ツール。US・UK・EU・日本・中国のサイズをセンチメートルの寸法付きで換算します。',
+      h1: '服のサイズ換算',
+      lead: 'トップス、パンツ、ワンピース、スカート、ジャケット、ワイシャツ、ブラジャー、水着のサイズをUS・UK・EU・日本・中国の間で換算します。'
+    },
+    pt: {
+      title: 'Conversor de tamanhos de roupa - US, UK, EU, JP, CN | GlobalSizeChart.com',
+      description: 'Conversor de tamanhos de roupa gratuito. Converta entre tamanhos dos EUA, Reino Unido, UE, Japão e China com medidas em centímetros.',
+      h1: 'Conversor de tamanhos de roupa',
+      lead: 'Converta tamanhos de roupa entre EUA, Reino Unido, UE, Japão e China para blusas, calças, vestidos, saias, jaquetas, camisas, sutiãs e moda praia.'
+    }
+  }
+};
+
+/** Catalogue keys whose English text appears verbatim in the converter form. */
+const FORM_KEYS = [
+  'labelGender', 'labelFromRegion', 'labelSize', 'labelCategory', 'genderMen', 'genderWomen', 'genderKids',
+  'labelShoeBrand', 'labelShoeModel', 'standardSizing', 'chooseBrandFirst', 'sizePlaceholder',
+  'clothingSizePlaceholder', 'sizeHelper', 'shoeBrandHint', 'brandHint', 'resultsHeading', 'autoNote',
+  'clothingTops', 'clothingPants', 'clothingDresses', 'clothingSkirts', 'clothingJackets',
+  'clothingShirts', 'clothingBras', 'clothingSwimwear'
+];
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Region option text "United States (US)" → "<localised name> (US)". */
+function translateRegionOptions(form, locale) {
+  return form.replace(/<option value="([A-Z]+)">[^<]*\(([^)]*)\)<\/option>/g, (m, code, abbr) => {
+    const key = `region${code}`;
+    if (!(key in I18n.MESSAGES.en)) return m;
+    const name = I18n.t(locale, key).replace(/\s*[(（][^)）]*[)）]$/, '');
+    return `<option value="${code}">${escapeHtml(name)} (${abbr})</option>`;
+  });
+}
+
+/** Converter card up to the end of the results heading, translated from the catalogue. */
+function translateConverter(html, locale) {
+  const start = html.indexOf('<div class="converter-card">');
+  if (start < 0) return html;
+  const headingEnd = html.indexOf('</h3>', html.indexOf('class="results', start));
+  const end = headingEnd < 0 ? html.length : headingEnd + 5;
+  let form = html.slice(start, end);
+  for (const key of FORM_KEYS) {
+    const en = escapeHtml(I18n.t('en', key));
+    const local = escapeHtml(I18n.t(locale, key));
+    form = form
+      .replace(new RegExp(`>${escapeRegExp(en)}<`, 'g'), `>${local}<`)
+      .replace(new RegExp(`placeholder="${escapeRegExp(en)}"`, 'g'), `placeholder="${local}"`);
+  }
+  form = translateRegionOptions(form, locale);
+  return html.slice(0, start) + form + html.slice(end);
+}
+
+/** English source → translated variant for one locale. */
+function localizePage(html, page, locale, copy) {
+  const enUrl = `${BASE_URL}/${page}`;
+  const title = (html.match(/<title>([^<]*)<\/title>/) || [])[1];
+  const description = (html.match(/<meta name="description" content="([^"]*)"/) || [])[1];
+  let out = rebaseRelativeUrls(html, page, `${locale}/${page}`)
+    .replace(/<html lang="[^"]*"/, `<html lang="${locale}"`)
+    .split(enUrl).join(`${BASE_URL}/${locale}/${page}`)
+    .replace(/(<section class="hero-tool"><h1>)[^<]*(<\/h1><p class="lead">)[^<]*(<\/p>)/,
+      `$1${escapeHtml(copy.h1)}$2${escapeHtml(copy.lead)}$3`);
+  if (title) {
+    const siteSuffix = / \| GlobalSizeChart\.com$/;
+    out = out.split(`<title>${title}</title>`).join(`<title>${escapeHtml(copy.title)}</title>`)
+      .split(`"name":"${title.replace(siteSuffix, '')}"`).join(JSON.stringify({ name: copy.title.replace(siteSuffix, '') }).slice(1, -1));
+  }
+  if (description) out = out.split(description).join(escapeHtml(copy.description));
+  return translateConverter(out, locale);
+}
+
+function parseLocales(argv) {
+  const i = argv.indexOf('--locales');
+  const requested = i >= 0 && argv[i + 1] ? argv[i + 1].split(',').map(s => s.trim()) : I18n.LOCALES;
+  const unknown = requested.filter(l => !I18n.isLocale(l));
+  if (unknown.length) throw new Error(`Unknown locale(s): ${unknown.join(', ')}`);
+  return requested.filter(l => l !== I18n.DEFAULT_LOCALE);
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const dry = argv.includes('--dry-run');
+  const locales = parseLocales(argv);
+  let written = 0;
+
+  for (const [page, byLocale] of Object.entries(PAGES)) {
+    const english = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    for (const locale of locales) {
+      if (!byLocale[locale]) {
+        console.warn('generate-localized-pages: no %s copy for %s, skipped', locale, page);
+        continue;
+      }
+      if (!dry) {
+        fs.mkdirSync(path.join(ROOT, locale), { recursive: true });
+        fs.writeFileSync(path.join(ROOT, locale, page), localizePage(english, page, locale, byLocale[locale]), 'utf8');
+      }
+      written++;
+    }
+    // hreflang on the English page, every translation and any market mirror of it
+    if (!dry) refreshHreflang(page);
+  }
+  console.log('generate-localized-pages: %d pages for %s%s', written, locales.join(', '), dry ? ' (dry-run)' : '');
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { localizePage, translateConverter, PAGES };
+}
@@ -15,6 +15,7 @@ const OUTPUT_DIR = path.join(ROOT, 'programmatic-pages');
 const BASE_URL = 'https://globalsizechart.com';
 
 const structuralModules = require('./programmatic-structural-modules.js');
+const SizeEngine = require('./size-engine.js');
 const internalLinkBuilder = require('../utils/internalLinkBuilder.js');
 const ORGANIZATION_ID = `${BASE_URL}/#organization`;
 const WEBSITE_ID = `${BASE_URL}/#website`;
@@ -38,6 +39,10 @@ const REGION_LABELS = {
   EU: 'European Union (EU)',
   JP: 'Japan (JP)',
   CN: 'China (CN)',
+  KR: 'Korea (KR)',
+  MX: 'Mexico (MX)',
+  BR: 'Brazil (BR)',
+  AU: 'Australia (AU)',
   CM: 'Centimeters (CM)'
 };
 
@@ -47,6 +52,10 @@ const REGION_NAMES = {
   EU: 'EU',
   JP: 'Japan',
   CN: 'China',
+  KR: 'Korea',
+  MX: 'Mexico',
+  BR: 'Brazil',
+  AU: 'Australia',
   CM: 'CM'
 };
 
@@ -55,26 +64,9 @@ function loadJson(filePath) {
   return JSON.parse(raw);
 }
 
-function findShoeConversion(shoeData, gender, fromRegion, size) {
-  const genderData = shoeData[gender];
-  if (!genderData) return null;
-  const fromKey = fromRegion.toLowerCase();
-  const sizeNum = parseFloat(size);
-  for (const row of genderData) {
-    const val = row[fromKey];
-    if (val === undefined) continue;
-    const rowNum = parseFloat(val);
-    if (!isNaN(sizeNum) && !isNaN(rowNum) && Math.abs(rowNum - sizeNum) < 0.01) return row;
-    if (String(val) === String(size)) return row;
-  }
-  return null;
-}
-
-function getTargetSize(row, toRegion) {
-  if (!row) return null;
-  const key = toRegion.toLowerCase();
-  const v = row[key];
-  return v !== undefined ? (typeof v === 'number' && v % 1 !== 0 ? v : v) : null;
+/** Target size via the same CM-anchor engine as the live converter (app.js). */
+function findShoeTargetSize(sizeDb, gender, fromRegion, toRegion, size) {
+  return SizeEngine.convertSizeValue(sizeDb, 'shoes', gender, fromRegion, toRegion, size);
 }
 
 function buildGenderOptions(selected) {
@@ -204,13 +196,12 @@ const MEASUREMENT_SNIPPET = `
         </ol>
         <p>Foot length in CM is the most reliable reference across all regional sizing systems.</p>`;
 
-function generatePage(route, template, shoeData, allRoutes) {
+function generatePage(route, template, sizeDb, allRoutes) {
   const fromLabel = getFromRegionLabel(route.from_region);
   const toLabel = getFromRegionLabel(route.to_region);
   const genderLabel = getGenderLabel(route.gender);
 
-  const row = findShoeConversion(shoeData, route.gender, route.from_region, route.size);
-  const toSize = row ? getTargetSize(row, route.to_region) : null;
+  const toSize = findShoeTargetSize(sizeDb, route.gender, route.from_region, route.to_region, route.size);
 
   const slug = route.slug;
   const fileName = slug + '.html';
@@ -299,13 +290,14 @@ function main() {
   console.log('Loading data...');
   const routes = loadJson(path.join(DATA_DIR, 'programmatic_routes.json'));
   const shoeData = loadJson(path.join(DATA_DIR, 'shoe_sizes.json'));
+  const sizeDb = SizeEngine.buildSizeDatabase(shoeData, null);
   const template = fs.readFileSync(path.join(TEMPLATES_DIR, 'conversion-template.html'), 'utf8');
 
   ensureDir(OUTPUT_DIR);
 
   const generated = [];
   for (const route of routes) {
-    const { html, fileName } = generatePage(route, template, shoeData, routes);
+    const { html, fileName } = generatePage(route, template, sizeDb, routes);
     const outPath = path.join(OUTPUT_DIR, fileName);
     fs.writeFileSync(outPath, html, 'utf8');
     generated.push(fileName);
@@ -19,6 +19,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const SizeEngine = require('./size-engine.js');
 
 const ROOT = path.resolve(__dirname, '..');
 const DATA_DIR = path.join(ROOT, 'data');
@@ -50,10 +51,13 @@ function existingProgrammaticSlugs(routes) {
  */
 function expandSizePairRoutes(shoeData, existingSlugs) {
   const out = [];
+  const seen = new Set();
   const regionPairs = [
     ['EU', 'US'], ['US', 'EU'], ['UK', 'US'], ['US', 'UK'], ['EU', 'UK'], ['UK', 'EU'],
     ['JP', 'US'], ['US', 'JP'], ['CM', 'US'], ['CN', 'US'], ['JP', 'EU'], ['EU', 'JP'],
-    ['CM', 'EU'], ['UK', 'EU'], ['CN', 'EU']
+    ['CM', 'EU'], ['UK', 'EU'], ['CN', 'EU'],
+    ['KR', 'US'], ['US', 'KR'], ['MX', 'US'], ['US', 'MX'], ['BR', 'US'], ['US', 'BR'], ['AU', 'US'], ['US', 'AU'],
+    ['INCH', 'US'], ['INCH', 'EU']
   ];
   for (const gender of ['men', 'women', 'kids']) {
     const rows = shoeData[gender];
@@ -63,11 +67,20 @@ function expandSizePairRoutes(shoeData, existingSlugs) {
     for (const row of rows) {
       for (const [fromR, toR] of regionPairs) {
         const fromK = fromR === 'JP' ? 'jp' : fromR === 'CN' ? 'cn' : fromR.toLowerCase();
-        const size = row[fromK];
+        // INCH has no dataset column: derive it from cm with the converter's rounding
+        let size = fromK === 'inch' ? SizeEngine.cmToIn(row.cm) : row[fromK];
         if (size == null) continue;
+        // Kids C/Y columns repeat numbers (4C and 4Y); the bare number keeps the slug it always had
+        // and the other scale gets its suffix, e.g. us-4c-to-eu-shoe-size-kids.
+        if (gender === 'kids' && SizeEngine.isKidsScaleColumn(rows, fromK) &&
+            String(SizeEngine.shoeSizeLabel(shoeData, gender, fromR, size)) !== String(SizeEngine.shoeRowLabel(row, fromK))) {
+          size = String(SizeEngine.shoeRowLabel(row, fromK)).toLowerCase();
+        }
         const slugPart = fromK === 'jp' ? 'japan' : fromK;
         const slug = `${slugPart}-${size}-to-${toR.toLowerCase()}-shoe-size${suffixSlug}`;
-        if (existingSlugs.has(slug)) continue;
+        // A pair listed twice (UK → EU) would repeat its slugs; the first wins
+        if (existingSlugs.has(slug) || seen.has(slug)) continue;
+        seen.add(slug);
         out.push({
           type: 'size_pair',
           slug,
@@ -171,52 +184,47 @@ function expandMeasurementRoutes(shoeData, clothingData, existingSlugs) {
   return out;
 }
 
+/**
+ * Clothing categories expanded into size-pair pages, the measurement each is sized by, and its description.
+ */
+const CLOTHING_PAGE_CATEGORIES = [
+  { category: 'tops', measurement: 'chest_cm', describe: (g, from, size, to) => `Convert ${g}'s ${from} ${size} to ${to} for tops.` },
+  { category: 'pants', measurement: 'waist_cm', describe: (g, from, size, to) => `Convert ${g}'s ${from} pants ${size} to ${to}.` },
+  { category: 'skirts', measurement: 'hips_cm', describe: (g, from, size, to) => `Convert ${g}'s ${from} skirt size ${size} to ${to}.` },
+  { category: 'jackets', measurement: 'chest_cm', describe: (g, from, size, to) => `Convert ${g}'s ${from} jacket size ${size} to ${to}.` },
+  { category: 'shirts', measurement: 'neck_cm', describe: (g, from, size, to) => `Convert ${g}'s ${from} dress shirt collar ${size} to ${to}.` },
+  { category: 'bras', measurement: 'underbust_cm', describe: (g, from, size, to) => `Convert ${from} bra size ${size} to ${to}.` },
+  { category: 'swimwear', measurement: 'waist_cm', describe: (g, from, size, to) => `Convert ${g}'s ${from} swimwear size ${size} to ${to}.` }
+];
+
 /**
  * Mass-expand clothing_size_pair routes from clothing_sizes.
+ * Slugs are keyed by the US size; `size` is the label in the route's from region so the page converts it.
  */
 function expandClothingRoutes(clothingData, existingSlugs) {
   const out = [];
   const regionPairs = [['US', 'EU'], ['US', 'UK'], ['EU', 'US'], ['UK', 'US']];
 
   for (const gender of ['men', 'women']) {
-    const tops = clothingData[gender] && clothingData[gender].tops;
-    const pants = clothingData[gender] && clothingData[gender].pants;
-    if (tops) {
-      for (const row of tops) {
-        for (const [fromR, toR] of regionPairs) {
-          const slugSimple = `clothing-${gender}-tops-${String(row.us).replace(/\s/g, '-')}-${fromR}-to-${toR}`;
-          if (existingSlugs.has(slugSimple)) continue;
-          existingSlugs.add(slugSimple);
-          out.push({
-            type: 'clothing_size_pair',
-            slug: slugSimple,
-            category: 'tops',
-            gender,
-            from_region: fromR,
-            to_region: toR,
-            size: row.us,
-            measurement_reference: 'chest_cm',
-            description: `Convert ${gender}'s ${fromR} ${row.us} to ${toR} for tops.`
-          });
-        }
-      }
-    }
-    if (pants) {
-      for (const row of pants) {
+    for (const { category, measurement, describe } of CLOTHING_PAGE_CATEGORIES) {
+      const rows = clothingData[gender] && clothingData[gender][category];
+      if (!rows) continue;
+      for (const row of rows) {
         for (const [fromR, toR] of regionPairs) {
-          const slugSimple = `clothing-${gender}-pants-${String(row.us).replace(/\s/g, '-')}-${fromR}-to-${toR}`;
+          const slugSimple = `clothing-${gender}-${category}-${String(row.us).replace(/[\s.]/g, '-')}-${fromR}-to-${toR}`;
           if (existingSlugs.has(slugSimple)) continue;
           existingSlugs.add(slugSimple);
+          const size = row[fromR.toLowerCase()];
           out.push({
             type: 'clothing_size_pair',
             slug: slugSimple,
-            category: 'pants',
+            category,
             gender,
             from_region: fromR,
             to_region: toR,
-            size: row.us,
-            measurement_reference: 'waist_cm',
-            description: `Convert ${gender}'s ${fromR} pants ${row.us} to ${toR}.`
+            size,
+            measurement_reference: measurement,
+            description: describe(gender, fromR, size, toR)
           });
         }
       }
@@ -316,6 +324,27 @@ function main() {
   console.log('Phase 10 — Mass Route Generator Engine');
   console.log('Target: ' + TARGET_MIN_PAGES + '+ pages (scalable to ' + SCALE_TARGET_PAGES + '+)\n');
 
+  // Schemas and chart consistency first: everything below reads these files
+  const { run: runDataValidation } = require('./validate-data.js');
+  if (!runDataValidation()) {
+    console.error('Dataset validation failed. Fix the files listed above (see data/schemas/) and re-run.');
+    process.exit(1);
+  }
+
+  // Brand fit feeds the brand guides and affiliate blocks; refuse to build on contradictions
+  const { run: runBrandRegistryValidation } = require('./validate-brand-registry.js');
+  if (!runBrandRegistryValidation()) {
+    console.error('Brand registry validation failed. Fix data/brand_registry.json (or the data that contradicts it) and re-run.');
+    process.exit(1);
+  }
+
+  // The live converter's embedded copy must match the data the pages are generated from
+  const { run: runEmbeddedDataCheck } = require('./build-embedded-data.js');
+  if (!runEmbeddedDataCheck({ check: true })) {
+    console.error('Embedded data check failed. Run node scripts/build-embedded-data.js and re-run.');
+    process.exit(1);
+  }
+
   ensureDir(DATA_DIR);
   const shoeData = loadJson(path.join(DATA_DIR, 'shoe_sizes.json'));
   const clothingData = fs.existsSync(path.join(DATA_DIR, 'clothing_sizes.json')) ? loadJson(path.join(DATA_DIR, 'clothing_sizes.json')) : {};
@@ -5,13 +5,20 @@
  * Reads size data JSON (shoe_sizes, programmatic_routes) and builds static HTML
  * with: prefilled converter, contextual explanation, fit guide snippet,
  * measurement guide snippet, dynamic FAQ, JSON-LD schema, related links, canonical.
+ * The converters and size-pair pages are then mirrored per market under /us/, /uk/, /eu/ …
+ * (I18n.MARKETS) with hreflang alternates in the head and the sitemaps.
  *
  * Usage: node scripts/generate-programmatic-pages.js
+ *        node scripts/generate-programmatic-pages.js --regional-only — mirrors only, from the
+ *          English pages on disk (then npm run build:sitemaps for the hreflang sitemaps)
  */
 
 const fs = require('fs');
 const path = require('path');
 const structuralModules = require('./programmatic-structural-modules.js');
+const SizeEngine = require('./size-engine.js');
+const I18n = require('./i18n.js');
+const { splitVariantPath, variantsOnDisk, alternatesFor, refreshHreflang, rebaseRelativeUrls } = require('./lib/page-variants.js');
 const internalLinkBuilder = require('../utils/internalLinkBuilder.js');
 const { QUICK_CONVERTERS_HTML } = require('./lib/quick-converters-snippet');
 
@@ -33,6 +40,17 @@ const WEBSITE_ID = `${BASE_URL}/#website`;
 const CONTACT_EMAIL = 'contact@globalsizechart.com';
 const LOGO_URL = `${BASE_URL}/logo.png`;
 const MAX_URLS_PER_SITEMAP = 500;
+/** Display labels for clothing_sizes.json categories (see SizeEngine.CLOTHING_CATEGORIES). */
+const CLOTHING_CATEGORY_LABELS = {
+  tops: 'Tops',
+  pants: 'Pants',
+  dresses: 'Dresses',
+  skirts: 'Skirts',
+  jackets: 'Jackets',
+  shirts: 'Dress Shirts',
+  bras: 'Bras',
+  swimwear: 'Swimwear'
+};
 
 /** Schema trust: Organization (name, logo, contact email, sameAs optional). */
 function getOrganizationSchema() {
@@ -85,9 +103,13 @@ const REGION_LABELS = {
   EU: 'European Union (EU)',
   JP: 'Japan (JP)',
   CN: 'China (CN)',
-  CM: 'Centimeters (CM)',
   KR: 'Korea (KR)',
-  INCH: 'Inch'
+  MX: 'Mexico (MX)',
+  BR: 'Brazil (BR)',
+  AU: 'Australia (AU)',
+  CM: 'Centimeters (CM)',
+  INCH: 'Inches (IN)',
+  MP: 'Mondopoint (MP)'
 };
 
 const REGION_NAMES = {
@@ -96,9 +118,13 @@ const REGION_NAMES = {
   EU: 'EU',
   JP: 'Japan',
   CN: 'China',
-  CM: 'CM',
   KR: 'Korea',
-  INCH: 'Inch'
+  MX: 'Mexico',
+  BR: 'Brazil',
+  AU: 'Australia',
+  CM: 'CM',
+  INCH: 'Inches (IN)',
+  MP: 'Mondopoint'
 };
 
 function loadJson(filePath) {
@@ -106,26 +132,48 @@ function loadJson(filePath) {
   return JSON.parse(raw);
 }
 
-function findShoeConversion(shoeData, gender, fromRegion, size) {
-  const genderData = shoeData[gender];
-  if (!genderData) return null;
-  const fromKey = fromRegion.toLowerCase();
-  const sizeNum = parseFloat(size);
-  for (const row of genderData) {
-    const val = row[fromKey];
-    if (val === undefined) continue;
-    const rowNum = parseFloat(val);
-    if (!isNaN(sizeNum) && !isNaN(rowNum) && Math.abs(rowNum - sizeNum) < 0.01) return row;
-    if (String(val) === String(size)) return row;
-  }
-  return null;
+const _shoeSizeDbCache = new WeakMap();
+
+/** SizeEngine database for a shoe dataset, built once per dataset object. */
+function getShoeSizeDatabase(shoeData) {
+  if (!_shoeSizeDbCache.has(shoeData)) {
+    _shoeSizeDbCache.set(shoeData, SizeEngine.buildSizeDatabase(shoeData, null));
+  }
+  return _shoeSizeDbCache.get(shoeData);
 }
 
-function getTargetSize(row, toRegion) {
-  if (!row) return null;
-  const key = toRegion.toLowerCase();
-  const v = row[key];
-  return v !== undefined ? (typeof v === 'number' && v % 1 !== 0 ? v : v) : null;
+/** Target size via the same CM-anchor engine as the live converter (app.js). */
+function findShoeTargetSize(shoeData, gender, fromRegion, toRegion, size) {
+  return SizeEngine.convertSizeValue(getShoeSizeDatabase(shoeData), 'shoes', gender, fromRegion, toRegion, size);
+}
+
+/**
+ * Age band sentence for a kids' foot length (same SizeEngine.describeKidsShoe as the converter and
+ * the growth calculator), naming the adult sizes youth sizes overlap with. '' when off the kids chart.
+ */
+function buildKidsAgeNote(shoeData, footCm) {
+  const kids = footCm != null ? SizeEngine.describeKidsShoe(shoeData, footCm) : null;
+  if (!kids || !kids.age) return '';
+  const scale = kids.scale === 'Y' ? 'a youth (big kids) size' : 'a child (C) size';
+  let note = `Kids' US ${kids.us} is ${scale}; typical age: ${kids.age.toLowerCase()}.`;
+  const adult = kids.adult ? ['men', 'women'].filter(g => kids.adult[g] != null).map(g => `${getGenderLabel(g)} US ${kids.adult[g]}`) : [];
+  if (adult.length) note += ` The same foot length is ${adult.join(' or ')} on the adult charts.`;
+  return note;
+}
+
+/**
+ * Ski and snowboard boot note for pages converting to or from Mondopoint (MP). Boots are built on
+ * full-size shells, so a half size shares the shell below it (SizeEngine.mondopointShell).
+ * '' for other regions.
+ */
+function buildMondopointShellNote(route, mondopointSize) {
+  if (route.from_region !== 'MP' && route.to_region !== 'MP') return '';
+  const shell = mondopointSize != null ? SizeEngine.mondopointShell(mondopointSize) : null;
+  if (!shell) {
+    return 'Mondopoint is foot length in centimeters, the scale ski and snowboard boots are sold in. Boot shells come in full sizes, so each half size shares the shell below it (26 and 26.5 are one shell) and only the liner and footbed differ.';
+  }
+  const size = SizeEngine.mondopoint(mondopointSize);
+  return `Mondopoint ${size} is a ${Math.round(size * 10)} mm foot. Ski and snowboard boots share one shell per full size: Mondopoint ${shell.sizes[0]} and ${shell.sizes[1]} are both built on the ${shell.shell} shell and differ only in liner and footbed.`;
 }
 
 function buildGenderOptions(selected) {
@@ -153,7 +201,7 @@ function getGenderLabel(gender) {
 
 /** Region slug segment used in programmatic routes (e.g. eu, japan, cm). */
 function getRegionSlugSegment(region) {
-  const map = { EU: 'eu', US: 'us', UK: 'uk', JP: 'japan', CM: 'cm', CN: 'china' };
+  const map = { EU: 'eu', US: 'us', UK: 'uk', JP: 'japan', CM: 'cm', CN: 'china', MP: 'mondopoint' };
   return map[region] || region.toLowerCase();
 }
 
@@ -543,7 +591,7 @@ function buildInternalLinkGraph(route, allRoutes, semanticRoutes = [], currentFi
   for (const r of clothingRoutes.slice(0, 10)) {
     if (links.length >= MAX_INTERNAL_LINK_GRAPH) break;
     if (r.type === 'clothing_size_pair' && r.slug) {
-      const cat = r.category === 'tops' ? 'Tops' : r.category === 'pants' ? 'Pants' : r.category === 'dresses' ? 'Dresses' : r.category === 'jackets' ? 'Jackets' : r.category;
+      const cat = CLOTHING_CATEGORY_LABELS[r.category] || r.category;
       const g = r.gender === 'men' ? "Men's" : r.gender === 'women' ? "Women's" : "Kids'";
       add('clothing/' + r.slug + '.html', `${g} ${getFromRegionLabel(r.from_region)} ${r.size} to ${getFromRegionLabel(r.to_region)} ${cat}`);
     }
@@ -1190,7 +1238,7 @@ function detectCommercialIntent(route) {
     all.push('brand_specific', 'high_purchase');
   } else if (type === 'clothing_size_pair') {
     all.push('high_purchase', 'shopping_research');
-    if (route.category && ['dresses', 'jackets', 'pants', 'tops'].includes(route.category)) {
+    if (route.category && SizeEngine.CLOTHING_CATEGORIES.includes(route.category)) {
       all.unshift('high_purchase');
     }
   } else if (type === 'measurement_converter') {
@@ -1385,7 +1433,7 @@ function generateSessionDepthModules(route, opts) {
     const others = clothingRoutes.filter(r => r.type === 'clothing_size_pair' && r.slug !== route.slug).slice(0, 8);
     const peopleLinks = others.map(r => {
       const g = r.gender === 'men' ? "Men's" : r.gender === 'women' ? "Women's" : "Kids'";
-      const cat = (r.category === 'tops' ? 'Tops' : r.category === 'pants' ? 'Pants' : r.category === 'dresses' ? 'Dresses' : r.category === 'jackets' ? 'Jackets' : r.category) || '';
+      const cat = CLOTHING_CATEGORY_LABELS[r.category] || r.category || '';
       const label = `${g} ${getFromRegionLabel(r.from_region)} ${r.size} to ${getFromRegionLabel(r.to_region)} ${cat}`;
       return linkNavCard(currentFile, 'clothing/' + r.slug + '.html', label);
     });
@@ -1618,7 +1666,7 @@ function buildBehavioralRecommendations(route, opts) {
     const others = clothingRoutes.filter(r => r.type === 'clothing_size_pair' && r.slug !== route.slug && (r.category === route.category || r.gender === route.gender)).slice(0, 4);
     const items = others.map(r => {
       const g = r.gender === 'men' ? "Men's" : r.gender === 'women' ? "Women's" : "Kids'";
-      const cat = (r.category === 'tops' ? 'Tops' : r.category === 'pants' ? 'Pants' : r.category === 'dresses' ? 'Dresses' : r.category === 'jackets' ? 'Jackets' : r.category) || '';
+      const cat = CLOTHING_CATEGORY_LABELS[r.category] || r.category || '';
       return linkNavCard(currentFile, 'clothing/' + r.slug + '.html', g + ' ' + getFromRegionLabel(r.from_region) + ' ' + r.size + ' to ' + getFromRegionLabel(r.to_region) + ' ' + cat);
     });
     if (items.length) blocks.push('<div class="next-step__block"><h3 class="next-step__title">Men\'s, women\'s &amp; kids\'</h3><div class="card-grid nav-card-grid">' + items.join('') + '</div></div>');
@@ -1735,7 +1783,8 @@ function generatePage(route, template, shoeData, allRoutes, semanticRoutes = [],
     const introText = `Convert ${fromLabel} shoe sizes to ${toLabel} instantly. Enter your ${fromLabel} size above to see ${toLabel} and all other regional equivalents.`;
     const metaDescription = `Convert ${fromLabel} to ${toLabel} shoe size. Free converter for ${fromLabel} to ${toLabel} shoe sizes with fit tips and measurement guide.`;
     const keywords = `${fromLabel} to ${toLabel} shoe size, ${fromLabel} ${toLabel} converter, convert ${fromLabel} to ${toLabel}`;
-    const conversionExplanation = `Use the converter above to convert any ${fromLabel} shoe size to ${toLabel}. Results also show UK, Japan, China, and CM equivalents. Fit can vary by brand; check the brand's size chart when possible.`;
+    const shellNote = buildMondopointShellNote(route, null);
+    const conversionExplanation = `Use the converter above to convert any ${fromLabel} shoe size to ${toLabel}. Results also show UK, Japan, China, and CM equivalents. Fit can vary by brand; check the brand's size chart when possible.${shellNote ? ' ' + shellNote : ''}`;
 
     const regionFaqFirst = { question: `How do I convert ${fromLabel} shoe sizes to ${toLabel}?`, answer: `Use the converter above. Select your gender, choose ${fromLabel} as source, enter your size, and view ${toLabel} equivalents.` };
     const regionContext = { pageTitle, metaDescription, h1Title, canonicalUrl, fromLabel, toLabel, hasConverter: true, hasMeasurement: true, hasFit: true, firstFaqQuestion: regionFaqFirst.question, firstFaqAnswer: regionFaqFirst.answer };
@@ -1837,17 +1886,25 @@ function generatePage(route, template, shoeData, allRoutes, semanticRoutes = [],
     const toLabel = getFromRegionLabel(route.to_region);
     const genderLabel = getGenderLabel(route.gender);
 
-    const row = findShoeConversion(shoeData, route.gender, route.from_region, route.size);
-    const toSize = row ? getTargetSize(row, route.to_region) : null;
+    const toSize = findShoeTargetSize(shoeData, route.gender, route.from_region, route.to_region, route.size);
+    // Kids' US/UK/AU sizes read with their C/Y suffix ('US 10C'); the slug keeps the size it was built from
+    const fromSize = SizeEngine.shoeSizeLabel(shoeData, route.gender, route.from_region, route.size);
+    const sizeRoute = { ...route, size: fromSize };
+    let kidsAgeNote = '';
+    if (route.gender === 'kids') {
+      const anchor = SizeEngine.convertSize(getShoeSizeDatabase(shoeData), 'shoes', 'kids', route.from_region, 'CM', route.size);
+      kidsAgeNote = anchor && anchor.status !== 'out_of_range' ? buildKidsAgeNote(shoeData, anchor.cm) : '';
+    }
+    const shellNote = buildMondopointShellNote(route, route.from_region === 'MP' ? route.size : toSize);
 
-    const h1Title = `${fromLabel} Size ${route.size} to ${toLabel} Shoe Size Converter`;
-    const pageTitle = `${fromLabel} ${route.size} to ${toLabel} Shoe Size Conversion Chart & Converter | GlobalSizeChart.com`;
-    const introText = `Convert ${fromLabel} shoe size ${route.size} to ${toLabel} sizes instantly. Get accurate ${genderLabel} conversions and see equivalent sizes in all regions.`;
-    const metaDescription = `Convert ${fromLabel} ${route.size} to ${toLabel} shoe size instantly. ${toSize != null ? `Approximate equivalent: ${toLabel} ${toSize}. ` : ''}Includes fit tips and measurement guide.`;
-    const keywords = `${fromLabel} ${route.size} to ${toLabel}, ${fromLabel} to ${toLabel} shoe size, convert ${fromLabel} ${route.size}, shoe size conversion`;
+    const h1Title = `${fromLabel} Size ${fromSize} to ${toLabel} Shoe Size Converter`;
+    const pageTitle = `${fromLabel} ${fromSize} to ${toLabel} Shoe Size Conversion Chart & Converter | GlobalSizeChart.com`;
+    const introText = `Convert ${fromLabel} shoe size ${fromSize} to ${toLabel} sizes instantly. Get accurate ${genderLabel} conversions and see equivalent sizes in all regions.${kidsAgeNote ? ' ' + kidsAgeNote : ''}${shellNote ? ' ' + shellNote : ''}`;
+    const metaDescription = `Convert ${fromLabel} ${fromSize} to ${toLabel} shoe size instantly. ${toSize != null ? `Approximate equivalent: ${toLabel} ${toSize}. ` : ''}Includes fit tips and measurement guide.`;
+    const keywords = `${fromLabel} ${fromSize} to ${toLabel}, ${fromLabel} to ${toLabel} shoe size, convert ${fromLabel} ${fromSize}, shoe size conversion`;
 
-    const sizePairFaqQ = `What is ${fromLabel} ${route.size} in ${toLabel} shoes?`;
-    const sizePairFaqA = toSize != null ? `${fromLabel} size ${route.size} typically converts to ${toLabel} size ${toSize}. Use the converter above for your exact gender.` : `Use the converter above to find your ${toLabel} equivalent for ${fromLabel} size ${route.size}.`;
+    const sizePairFaqQ = `What is ${fromLabel} ${fromSize} in ${toLabel} shoes?`;
+    const sizePairFaqA = toSize != null ? `${fromLabel} size ${fromSize} typically converts to ${toLabel} size ${toSize}. Use the converter above for your exact gender.` : `Use the converter above to find your ${toLabel} equivalent for ${fromLabel} size ${fromSize}.`;
     const sizePairContext = { pageTitle, metaDescription, h1Title, canonicalUrl, fromLabel, toLabel, genderLabel, hasConverter: true, hasMeasurement: true, hasFit: true, firstFaqQuestion: sizePairFaqQ, firstFaqAnswer: sizePairFaqA };
     const sizePairEnhanced = enhancedSERPSchemaToScriptTags(generateEnhancedSERPSchema(route, sizePairContext));
 
@@ -1866,11 +1923,11 @@ function generatePage(route, template, shoeData, allRoutes, semanticRoutes = [],
       '{{GENDER_OPTIONS}}': buildGenderOptions(route.gender),
       '{{FROM_REGION_OPTIONS}}': buildFromRegionOptions(route.from_region),
       '{{SIZE_VALUE}}': String(route.size),
-      '{{CONVERSION_EXPLANATION}}': buildConversionExplanation(route, toSize, fromLabel, toLabel, genderLabel),
+      '{{CONVERSION_EXPLANATION}}': buildConversionExplanation(sizeRoute, toSize, fromLabel, toLabel, genderLabel),
       '{{FIT_GUIDE_SNIPPET}}': buildFitGuideSnippet(fromLabel, toLabel),
       '{{MEASUREMENT_GUIDE_SNIPPET}}': MEASUREMENT_GUIDE_SNIPPET,
-      '{{FAQ_CONTENT}}': buildFaqContent(route, toSize, fromLabel, toLabel),
-      '{{FAQ_JSON_LD}}': buildFaqJsonLd(route, toSize, fromLabel, toLabel),
+      '{{FAQ_CONTENT}}': buildFaqContent(sizeRoute, toSize, fromLabel, toLabel),
+      '{{FAQ_JSON_LD}}': buildFaqJsonLd(sizeRoute, toSize, fromLabel, toLabel),
       '{{ENHANCED_SERP_SCHEMAS}}': sizePairEnhanced,
       '{{SIZING_KNOWLEDGE_SECTION}}': sizingKnowledgeHtml,
       '{{RELATED_SIZE_GRID}}': generateRelatedSizeGrid(route, allRoutes),
@@ -1991,33 +2048,15 @@ function runIndexabilityChecks(routes) {
 }
 
 // --- Phase 10: Clothing programmatic engine (type: clothing_size_pair) ---
-const CLOTHING_CATEGORY_LABELS = { tops: 'Tops', pants: 'Pants', dresses: 'Dresses', jackets: 'Jackets' };
 const CLOTHING_GENDER_LABELS = { men: "Men's", women: "Women's", kids: "Kids'" };
-
-function findClothingConversion(clothingData, gender, category, fromRegion, size) {
-  const g = clothingData[gender];
-  if (!g) return null;
-  const cat = category === 'jackets' ? 'tops' : category;
-  const rows = g[cat];
-  if (!rows) return null;
-  const fromKey = fromRegion.toLowerCase();
-  const sizeStr = String(size).trim();
-  for (const row of rows) {
-    const val = row[fromKey];
-    if (val === undefined) continue;
-    if (String(val) === sizeStr) return row;
-    if (fromKey === 'us' && (row.uk === sizeStr || row.eu === sizeStr)) continue;
-    if (parseFloat(val) === parseFloat(sizeStr)) return row;
-  }
-  return null;
-}
-
-function getClothingTargetSize(row, toRegion) {
-  if (!row) return null;
-  const key = toRegion.toLowerCase();
-  const v = row[key];
-  return v !== undefined ? v : null;
-}
+/** Body measurement paragraph for categories sized by something other than chest / waist / hips. */
+const CLOTHING_MEASUREMENT_GUIDES = {
+  shirts: 'Dress shirts are sized by <strong>neck</strong>: measure around the base of the neck where the collar sits and add one finger of room. US and UK labels give the collar in inches (15.5), EU, Japan and China in centimeters (39). <strong>Sleeve</strong> length runs from the centre back of the neck, over the shoulder, to the wrist bone.',
+  jackets: 'Jackets and suits are sized by <strong>chest</strong> at the fullest part, arms relaxed. Men\'s US/UK jacket sizes are the chest in inches; EU adds 10 to that number (US 40 is EU 50). Suit trousers usually come 6 inches smaller at the waist (the <strong>drop</strong>): a 40 jacket pairs with 34 trousers, slim cuts use a 7–8 inch drop.',
+  bras: 'Bras are sized by <strong>band</strong> and <strong>cup</strong>. Measure snugly under the bust for the band (underbust) and around the fullest part of the bust for the cup; each 2 cm (about 1 inch) of difference is one cup. US and UK bands are in inches (34), EU and Japan in centimeters (75), France adds 15 (90) and Australia takes 22 from the US band (12). Cup letters split after D: US DD/DDD, UK DD/E, EU E/F.',
+  swimwear: 'Swimwear follows the body chart for the garment: <strong>bust</strong>, <strong>waist</strong> and <strong>hips</strong> for swimsuits, <strong>waist</strong> and <strong>hips</strong> for trunks. Swim fabric stretches, so size down if you are between sizes and want a secure fit.',
+  skirts: 'Skirts are sized by <strong>waist</strong> and <strong>hips</strong>. Measure your natural waist (or where the waistband will sit) and the fullest part of the hips; for fitted skirts the hip measurement usually decides the size.'
+};
 
 /**
  * Generate Phase 10 clothing programmatic pages from data/clothing_routes.json.
@@ -2039,8 +2078,7 @@ function generateClothingProgrammaticPages(clothingRoutes, clothingData, semanti
     const genderLabel = CLOTHING_GENDER_LABELS[route.gender] || route.gender;
     const fromLabel = getFromRegionLabel(route.from_region);
     const toLabel = getFromRegionLabel(route.to_region);
-    const row = findClothingConversion(clothingData, route.gender, route.category, route.from_region, route.size);
-    const toSize = row ? getClothingTargetSize(row, route.to_region) : null;
+    const toSize = SizeEngine.convertClothingSize(clothingData, route.size, route.from_region, route.to_region, route.gender, route.category);
 
     const title = `${genderLabel} ${fromLabel} ${route.size} to ${toLabel} ${categoryLabel} Size`;
     const description = route.description || `Convert ${genderLabel} ${fromLabel} size ${route.size} to ${toLabel} for ${categoryLabel.toLowerCase()}. Body measurement guide and fit tips.`;
@@ -2106,7 +2144,10 @@ function generateClothingProgrammaticPages(clothingRoutes, clothingData, semanti
     body += `<p class="mb-lg">${escapeHtml(description)}${toSize != null ? ` ${fromLabel} ${route.size} converts to approximately ${toLabel} ${toSize} for ${categoryLabel.toLowerCase()}.` : ''} Use the clothing converter below to get all regional equivalents.</p>`;
     body += '<section class="content-section"><h2>Clothing converter tool</h2><p>Convert any clothing size between regions using our main tool:</p><p><a href="' + H('clothing-size-converter.html') + '" class="btn">Use Clothing Size Converter</a></p></section>';
     body += '<div class="ad-slot ad-inline" data-module="ad-slot" data-slot="inline"></div>';
-    body += '<section class="content-section"><h2>Body measurement explanation</h2><p>Accurate conversion depends on your body measurements. For tops and jackets, measure your <strong>chest</strong> at the fullest part. For pants, use <strong>waist</strong> and <strong>hips</strong>. For dresses, use bust, waist, and hips. Record measurements in centimeters for the best match to EU and international size charts. Different brands use different fit models—when in doubt, refer to the brand\'s size chart.</p></section>';
+    const measurementGuide = CLOTHING_MEASUREMENT_GUIDES[route.category];
+    body += measurementGuide
+      ? '<section class="content-section"><h2>Body measurement explanation</h2><p>' + measurementGuide + ' Different brands use different fit models—when in doubt, refer to the brand\'s size chart.</p></section>'
+      : '<section class="content-section"><h2>Body measurement explanation</h2><p>Accurate conversion depends on your body measurements. For tops and jackets, measure your <strong>chest</strong> at the fullest part. For pants, use <strong>waist</strong> and <strong>hips</strong>. For dresses, use bust, waist, and hips. Record measurements in centimeters for the best match to EU and international size charts. Different brands use different fit models—when in doubt, refer to the brand\'s size chart.</p></section>';
     body += '<section class="content-section"><h2>Fit differences</h2><p>' + sanitizeForApprovalMode('US and UK sizing often use different base measurements; EU and Asian sizes may run smaller. <strong>US</strong> tends to be more relaxed; <strong>EU</strong> and <strong>Asian</strong> cuts are often slimmer. Consider sizing up when buying from European or Japanese brands if you prefer a looser fit.') + '</p></section>';
     body += '<section class="content-section"><h2>Garment cut explanation</h2><p>' + categoryLabel + ' sizing varies by cut: slim, regular, and relaxed. Letter sizes (XS, S, M, L) usually reflect chest or bust for tops and dresses; numeric sizes (e.g. 32, 8) often reflect waist or a combined scale. Jackets may follow suit sizing or outerwear-specific charts. Always check the brand\'s size guide for the specific garment.</p></section>';
     body += buildHighRPMContentModules(route, { semanticRoutes, currentFile });
@@ -2188,6 +2229,8 @@ function generateClothingProgrammaticPages(clothingRoutes, clothingData, semanti
       </div>
     </div>
   </footer>
+  <script src="${H('scripts/size-engine.js')}"></script>
+  <script src="${H('scripts/i18n.js')}"></script>
   <script src="${H('app.js')}"></script>
 </body>
 </html>`;
@@ -2389,6 +2432,8 @@ function generateBrandConverters(brandRoutes, semanticRoutes) {
       </div>
     </div>
   </footer>
+  <script src="${HB('scripts/size-engine.js')}"></script>
+  <script src="${HB('scripts/i18n.js')}"></script>
   <script src="${HB('app.js')}"></script>
 </body>
 </html>`;
@@ -2400,57 +2445,6 @@ function generateBrandConverters(brandRoutes, semanticRoutes) {
   return generated;
 }
 
-/**
- * Find closest shoe size row by foot length (cm). Returns { row, rangeRows } for primary and adjacent sizes.
- */
-function findShoeByCm(shoeData, gender, valueCm) {
-  const arr = shoeData[gender];
-  if (!arr || !arr.length) return null;
-  let best = null;
-  let bestDiff = Infinity;
-  let bestIdx = -1;
-  for (let i = 0; i < arr.length; i++) {
-    const d = Math.abs(arr[i].cm - valueCm);
-    if (d < bestDiff) {
-      bestDiff = d;
-      best = arr[i];
-      bestIdx = i;
-    }
-  }
-  if (!best) return null;
-  const rangeRows = [best];
-  if (bestIdx > 0) rangeRows.unshift(arr[bestIdx - 1]);
-  if (bestIdx < arr.length - 1) rangeRows.push(arr[bestIdx + 1]);
-  return { row: best, rangeRows };
-}
-
-/**
- * Find closest clothing size row by measurement (chest_cm or waist_cm).
- */
-function findClothingByCm(clothingData, gender, category, valueCm, measurementKey) {
-  const cat = category === 'tops' ? 'tops' : 'pants';
-  const arr = clothingData[gender] && clothingData[gender][cat];
-  if (!arr || !arr.length) return null;
-  let best = null;
-  let bestDiff = Infinity;
-  let bestIdx = -1;
-  for (let i = 0; i < arr.length; i++) {
-    const v = arr[i][measurementKey];
-    if (v == null || v === 0) continue;
-    const d = Math.abs(v - valueCm);
-    if (d < bestDiff) {
-      bestDiff = d;
-      best = arr[i];
-      bestIdx = i;
-    }
-  }
-  if (!best) return null;
-  const rangeRows = [best];
-  if (bestIdx > 0 && arr[bestIdx - 1][measurementKey]) rangeRows.unshift(arr[bestIdx - 1]);
-  if (bestIdx < arr.length - 1 && arr[bestIdx + 1][measurementKey]) rangeRows.push(arr[bestIdx + 1]);
-  return { row: best, rangeRows };
-}
-
 /**
  * Generate Phase 10 Objective 3: CM Measurement Master — measurement_converter pages.
  * Measurement-first UX, interactive measurement explanation, precision disclaimers,
@@ -2479,9 +2473,9 @@ function generateCMConverters(measurementRoutes, shoeData, clothingData, semanti
     let fitRecommendations = '';
 
     if (category === 'shoes' && measurement_type === 'foot_cm') {
-      const result = findShoeByCm(shoeData, gender, value_cm);
+      const result = SizeEngine.findShoeByCm(shoeData, gender, value_cm);
       if (!result) continue;
-      primarySize = result.row[toKey];
+      primarySize = SizeEngine.shoeRowLabel(result.row, toKey);
       conversionRangeRows = result.rangeRows;
       const cmLabel = value_cm % 1 === 0 ? `${value_cm} cm` : `${value_cm} cm`;
       measurementLabel = `${cmLabel} foot length`;
@@ -2496,7 +2490,7 @@ function generateCMConverters(measurementRoutes, shoeData, clothingData, semanti
       accuracyGuide = 'Foot length in cm is the most reliable input for shoe size conversion. Charts assume a standard toe allowance. Brand lasts vary; athletic and fashion shoes can differ. Measure in the evening when feet are slightly larger.';
       fitRecommendations = 'If your measurement falls between two sizes, size up for wide feet or athletic shoes. Size up for thick socks or orthotics. European and Asian brands often run smaller — consider trying one half size up.';
     } else if ((category === 'tops' || category === 'shirts') && measurement_type === 'chest_cm') {
-      const result = findClothingByCm(clothingData, gender, 'tops', value_cm, 'chest_cm');
+      const result = SizeEngine.findClothingByMeasurement(clothingData, gender, 'tops', value_cm, 'chest_cm');
       if (!result) continue;
       primarySize = result.row[toKey];
       conversionRangeRows = result.rangeRows;
@@ -2511,7 +2505,7 @@ function generateCMConverters(measurementRoutes, shoeData, clothingData, semanti
       accuracyGuide = 'Chest measurement is the primary reference for tops and shirts. Sleeve length and shoulder width are not reflected; check brand size charts for long torso or broad shoulders.';
       fitRecommendations = 'If between sizes, size up for a relaxed fit or layering. Slim-fit styles may require the smaller size. Check the brand\'s chest range for the specific garment.';
     } else if (category === 'pants' && measurement_type === 'waist_cm') {
-      const result = findClothingByCm(clothingData, gender, 'pants', value_cm, 'waist_cm');
+      const result = SizeEngine.findClothingByMeasurement(clothingData, gender, 'pants', value_cm, 'waist_cm');
       if (!result) continue;
       primarySize = result.row[toKey];
       conversionRangeRows = result.rangeRows;
@@ -2564,7 +2558,7 @@ function generateCMConverters(measurementRoutes, shoeData, clothingData, semanti
     const regionCols = ['us', 'uk', 'eu'];
     if (category === 'shoes') {
       for (const r of conversionRangeRows) {
-        rangeTable += `<tr><td>${r.cm} cm</td><td>${r.us}</td><td>${r.uk}</td><td>${r.eu}</td></tr>`;
+        rangeTable += `<tr><td>${r.cm} cm</td><td>${SizeEngine.shoeRowLabel(r, 'us')}</td><td>${SizeEngine.shoeRowLabel(r, 'uk')}</td><td>${r.eu}</td></tr>`;
       }
     } else {
       const measKey = measurement_type === 'chest_cm' ? 'chest_cm' : 'waist_cm';
@@ -2581,6 +2575,10 @@ function generateCMConverters(measurementRoutes, shoeData, clothingData, semanti
     body += `<section class="content-section measurement-hero"><h1>${escapeHtml(title)}</h1>`;
     body += '<div class="ad-slot ad-top" data-module="ad-slot" data-slot="top"></div>';
     body += `<p class="measurement-lead">Your measurement: <strong>${escapeHtml(measurementLabel)}</strong> → ${genderLabel} ${to_region} size: <strong>${escapeHtml(String(primarySize))}</strong></p>`;
+    if (category === 'shoes' && gender === 'kids') {
+      const kidsAgeNote = buildKidsAgeNote(shoeData, value_cm);
+      if (kidsAgeNote) body += `<p class="kids-size-note">${escapeHtml(kidsAgeNote)}</p>`;
+    }
     body += `<p class="mb-lg">Use this page to confirm your size from a CM measurement. See the conversion range and fit recommendations below.</p></section>`;
 
     body += '<section class="content-section"><h2>How to measure</h2><p>For accurate conversion, measure as follows:</p>' + howToHtml + '</section>';
@@ -2683,6 +2681,8 @@ function generateCMConverters(measurementRoutes, shoeData, clothingData, semanti
       </div>
     </div>
   </footer>
+  <script src="${Hmeas('scripts/size-engine.js')}"></script>
+  <script src="${Hmeas('scripts/i18n.js')}"></script>
   <script src="${Hmeas('app.js')}"></script>
 </body>
 </html>`;
@@ -2846,11 +2846,13 @@ function generatePrintableGuides(shoeData) {
   const clothingSheet = {
     slug: 'clothing-measurement-chart',
     title: 'Clothing Measurement Chart',
-    description: 'Printable guide to measure chest, waist, and hips in cm for clothing size conversion. Includes QR link to clothing size converter.',
+    description: 'Printable guide to measure chest, waist, hips, neck, sleeve, and bra band and cup in cm for clothing size conversion. Includes QR link to clothing size converter.',
     howToSteps: [
       { name: 'Chest', text: 'Measure around the fullest part of your chest, under the arms and across the shoulder blades. Keep the tape horizontal.' },
       { name: 'Waist', text: 'Measure around your natural waist (above the navel, below the ribs). Snug but not compressing.' },
       { name: 'Hips', text: 'Measure around the fullest part of your hips, keeping the tape horizontal.' },
+      { name: 'Neck and sleeve', text: 'For dress shirts, measure around the base of the neck with one finger under the tape, and from the centre back of the neck over the shoulder to the wrist.' },
+      { name: 'Underbust and bust', text: 'For bras, measure snugly under the bust for the band, then around the fullest part of the bust. Each 2 cm of difference is one cup size.' },
       { name: 'Convert', text: 'Use our clothing size converter (scan QR below or visit online) to get your size in US, UK, EU.' }
     ]
   };
@@ -2897,6 +2899,9 @@ function generatePrintableGuides(shoeData) {
         <li><strong>Chest:</strong> Around the fullest part of the chest, under the arms, tape horizontal.</li>
         <li><strong>Waist:</strong> Around your natural waist (above navel, below ribs). Snug but not tight.</li>
         <li><strong>Hips:</strong> Around the fullest part of the hips, tape horizontal.</li>
+        <li><strong>Neck (dress shirts):</strong> Around the base of the neck where the collar sits, one finger under the tape.</li>
+        <li><strong>Sleeve (dress shirts):</strong> From the centre back of the neck, over the shoulder, to the wrist bone.</li>
+        <li><strong>Underbust and bust (bras):</strong> Snugly under the bust for the band, then around the fullest part of the bust for the cup.</li>
       </ul>
       <p>Record your measurements (cm) below, then use our converter online.</p>
       <table class="size-table" style="margin-top:1em;">
@@ -2905,6 +2910,10 @@ function generatePrintableGuides(shoeData) {
           <tr><td>Chest</td><td>__________</td></tr>
           <tr><td>Waist</td><td>__________</td></tr>
           <tr><td>Hips</td><td>__________</td></tr>
+          <tr><td>Neck</td><td>__________</td></tr>
+          <tr><td>Sleeve</td><td>__________</td></tr>
+          <tr><td>Underbust</td><td>__________</td></tr>
+          <tr><td>Bust</td><td>__________</td></tr>
         </tbody>
       </table>
     </section>
@@ -3272,11 +3281,11 @@ function generateMeasurementTools(shoeData, clothingData) {
       </div>
     </div>
   </footer>
+  <script src="../scripts/size-engine.js"></script>
   <script>
 (function() {
   var shoeData = ${shoeDataJson};
   var clothingData = ${clothingDataJson};
-  var INCH_TO_CM = 2.54;
 
   var inputCm = document.getElementById('input-cm');
   var inputIn = document.getElementById('input-in');
@@ -3291,8 +3300,9 @@ function generateMeasurementTools(shoeData, clothingData) {
   var clothingResult = document.getElementById('clothing-result');
   var recommendationText = document.getElementById('recommendation-text');
 
-  function cmToIn(cm) { return cm == null || cm === '' ? '' : (Number(cm) / INCH_TO_CM).toFixed(2); }
-  function inToCm(inVal) { return inVal == null || inVal === '' ? '' : (Number(inVal) * INCH_TO_CM).toFixed(1); }
+  // Same inch/cm rounding as the shoe converter's INCH region
+  var cmToIn = SizeEngine.cmToIn;
+  var inToCm = SizeEngine.inToCm;
 
   function syncUnitConverter() {
     var c = inputCm.value.trim();
@@ -3332,27 +3342,22 @@ function generateMeasurementTools(shoeData, clothingData) {
   footGender.addEventListener('change', updateFootResult);
 
   function findClothingSize(chestVal, waistVal, hipsVal, gender, category) {
-    var cat = clothingData[gender] && clothingData[gender][category];
-    if (!cat || !cat.length) return null;
-    var key = category === 'tops' ? 'chest_cm' : 'waist_cm';
-    var val = category === 'tops' ? (chestVal !== '' && !isNaN(chestVal) ? Number(chestVal) : null) : (waistVal !== '' && !isNaN(waistVal) ? Number(waistVal) : null);
-    if (val == null) return null;
-    var best = null, bestDiff = Infinity;
-    for (var i = 0; i < cat.length; i++) {
-      var v = cat[i][key];
-      if (v == null || v === 0) continue;
-      var d = Math.abs(v - val);
-      if (d < bestDiff) { bestDiff = d; best = cat[i]; }
-    }
-    return best;
+    return SizeEngine.matchClothingMeasurements(clothingData, gender, category, { chest_cm: chestVal, waist_cm: waistVal, hips_cm: hipsVal });
+  }
+
+  function clothingMatchNote(match) {
+    if (match.spansSizes) return ' Your measurements span US ' + match.spansSizes.lower.us + ' to ' + match.spansSizes.upper.us + '; pick by the measurement that matters most for this garment.';
+    if (match.betweenSizes) return ' You are between US ' + match.betweenSizes.lower.us + ' and ' + match.betweenSizes.upper.us + ' (' + match.betweenSizes.dimensions.join(', ').replace(/_cm/g, '') + '); size up for a relaxed fit.';
+    return '';
   }
 
   function updateClothingResult() {
     var c = chest.value.trim(), w = waist.value.trim(), h = hips.value.trim();
     var g = clothGender.value, cat = clothCategory.value;
-    var row = findClothingSize(c, w, h, g, cat);
-    if (!row) { clothingResult.textContent = '—'; return; }
-    clothingResult.textContent = 'US ' + row.us + ', UK ' + row.uk + ', EU ' + row.eu;
+    var match = findClothingSize(c, w, h, g, cat);
+    if (!match) { clothingResult.textContent = '—'; return; }
+    var row = match.row;
+    clothingResult.textContent = 'US ' + row.us + ', UK ' + row.uk + ', EU ' + row.eu + '.' + clothingMatchNote(match);
   }
   chest.addEventListener('input', updateClothingResult);
   waist.addEventListener('input', updateClothingResult);
@@ -3367,7 +3372,8 @@ function generateMeasurementTools(shoeData, clothingData) {
     var shoeRow = findShoeSize(cm, g);
     if (shoeRow) parts.push('Shoe: US ' + shoeRow.us + ' / UK ' + shoeRow.uk + ' / EU ' + shoeRow.eu);
     var c = chest.value.trim(), w = waist.value.trim(), h = hips.value.trim();
-    var clothRow = findClothingSize(c, w, h, clothGender.value, clothCategory.value);
+    var clothMatch = findClothingSize(c, w, h, clothGender.value, clothCategory.value);
+    var clothRow = clothMatch && clothMatch.row;
     if (clothRow) parts.push('Clothing (' + clothCategory.value + '): US ' + clothRow.us + ' / UK ' + clothRow.uk + ' / EU ' + clothRow.eu);
     recommendationText.textContent = parts.length ? parts.join('. ') : 'Enter measurements above to see your recommended sizes here.';
   }
@@ -3533,6 +3539,8 @@ function buildProgrammaticIndexPage(routes) {
       </div>
     </div>
   </footer>
+  <script src="scripts/size-engine.js"></script>
+  <script src="scripts/i18n.js"></script>
   <script src="app.js"></script>
 </body>
 </html>`;
@@ -3696,6 +3704,8 @@ function generateShoeSizingGuidesPage(semanticRoutes) {
       </div>
     </div>
   </footer>
+  <script src="scripts/size-engine.js"></script>
+  <script src="scripts/i18n.js"></script>
   <script src="app.js"></script>
 </body>
 </html>`;
@@ -3862,6 +3872,8 @@ function generateProgrammaticHub(allRoutes) {
       </div>
     </div>
   </footer>
+  <script src="scripts/size-engine.js"></script>
+  <script src="scripts/i18n.js"></script>
   <script src="app.js"></script>
 </body>
 </html>`;
@@ -4019,6 +4031,8 @@ function buildHubPage(opts) {
       </div>
     </div>
   </footer>
+  <script src="scripts/size-engine.js"></script>
+  <script src="scripts/i18n.js"></script>
   <script src="app.js"></script>
 </body>
 </html>`;
@@ -4034,14 +4048,14 @@ function generateClothingSizePagesHub(clothingGenerated = [], clothingRoutes = [
   return buildHubPage({
     slug: 'clothing-size-pages',
     title: 'Clothing Size Pages',
-    description: 'Index of all clothing size conversion pages. Convert US, UK, EU sizes for tops, pants, and dresses.',
-    introParagraph: 'Browse all clothing size conversion pages. Convert between US, UK, and EU for men\'s, women\'s, and kids\' tops, pants, and dresses. Use the links below for direct conversion pages.',
+    description: 'Index of all clothing size conversion pages. Convert US, UK, EU sizes for tops, pants, dresses, skirts, jackets, dress shirts, bras, and swimwear.',
+    introParagraph: 'Browse all clothing size conversion pages. Convert between US, UK, and EU for men\'s, women\'s, and kids\' tops, pants, and dresses, plus skirts, jackets and suits, dress shirts by collar, bras, and swimwear. Use the links below for direct conversion pages.',
     links,
     breadcrumbTail: [{ name: 'Clothing Converter', url: `${BASE_URL}/clothing-size-converter.html` }, { name: 'Clothing Size Pages', url: `${BASE_URL}/clothing-size-pages.html` }],
     faq: [
       { question: 'How do I convert US clothing size to EU?', answer: 'Use our clothing size converter or browse the specific conversion pages linked above. EU sizes often use different letter or number scales than US.' },
       { question: 'Are clothing sizes the same for men and women?', answer: 'No. Men\'s and women\'s clothing use different size scales. Use the gender-specific pages or the main clothing converter.' },
-      { question: 'What measurements do I need for clothing size?', answer: 'Chest, waist, and hips in centimeters are the main measurements. See our printable measurement chart and measurement assistant tool.' }
+      { question: 'What measurements do I need for clothing size?', answer: 'Chest, waist, and hips in centimeters are the main measurements. Dress shirts also need neck and sleeve; bras need underbust and bust. See our printable measurement chart and measurement assistant tool.' }
     ]
   });
 }
@@ -4083,7 +4097,7 @@ function generateBrandSizeGuidesHub(brandGenerated = [], brandRoutes = []) {
 
 function generateCMMeasurementConvertersHub(measurementGenerated = [], regionRoutes = []) {
   const links = [];
-  const regionLabels = { CM: 'CM', INCH: 'Inch', EU: 'EU', US: 'US', UK: 'UK', JP: 'Japan', CN: 'China', KR: 'Korea' };
+  const regionLabels = { CM: 'CM', INCH: 'Inch', MP: 'Mondopoint', EU: 'EU', US: 'US', UK: 'UK', JP: 'Japan', CN: 'China', KR: 'Korea', MX: 'Mexico', BR: 'Brazil', AU: 'Australia' };
   for (const r of regionRoutes || []) {
     if (r.type !== 'region' || !r.slug) continue;
     const from = regionLabels[r.from_region] || r.from_region;
@@ -4544,6 +4558,8 @@ function generateSemanticClusterPages(semanticRoutes, programmaticRoutes, author
       </div>
     </div>
   </footer>
+  <script src="../scripts/size-engine.js"></script>
+  <script src="../scripts/i18n.js"></script>
   <script src="../app.js"></script>
 </body>
 </html>`;
@@ -4642,6 +4658,90 @@ function injectSemanticLinksIntoDocument(html, routeData) {
   });
 }
 
+// --- Regional mirrors: one English copy per market (I18n.MARKETS) under /<market>/ ---
+// app.js reads the market from the path for the default From / highlighted To regions and the
+// units; the copy carries the market's <html lang>, local spelling and a "(UK)"-style title.
+const REGIONAL_MIRROR_PAGES = ['shoe-size-converter.html', 'clothing-size-converter.html'];
+/** Opens every generated mirror's head; a market page without it is hand-written and kept. */
+const REGIONAL_MIRROR_MARK = '<!-- REGIONAL-MIRROR: generated by scripts/generate-programmatic-pages.js -->';
+
+/** English pages mirrored per market: the converters and every size-pair route. */
+function regionalMirrorSources(routes) {
+  return [
+    ...REGIONAL_MIRROR_PAGES,
+    ...routes.filter(r => r.type === 'size_pair').map(r => `programmatic-pages/${r.slug}.html`)
+  ];
+}
+
+/** US → local spelling, applied to visible text only (never URLs, attributes or scripts). */
+const REGIONAL_SPELLING = {
+  'en-GB': [['centimeter', 'centimetre'], ['millimeter', 'millimetre'], ['color', 'colour'], ['favorite', 'favourite'], ['customiz', 'customis'], ['pants', 'trousers', true], ['sneakers', 'trainers', true], ['inseam', 'inside leg', true]],
+  'en-CA': [['centimeter', 'centimetre'], ['millimeter', 'millimetre'], ['color', 'colour'], ['favorite', 'favourite']]
+};
+
+/** The shared footer (scripts/standardize-footer.js keeps it identical to the master on every page). */
+const FOOTER_BLOCK_RE = /(<!-- FOOTER:START -->[\s\S]*?<!-- FOOTER:END -->)/;
+
+/** US → local spelling of html, leaving the shared footer block (and its markers) as it is. */
+function applyRegionalSpelling(html, locale) {
+  const pairs = REGIONAL_SPELLING[locale];
+  if (!pairs) return html;
+  const rules = [];
+  for (const [us, local, wholeWord] of pairs) {
+    for (const [from, to] of [[us, local], [us[0].toUpperCase() + us.slice(1), local[0].toUpperCase() + local.slice(1)]]) {
+      rules.push([new RegExp(`(?<![\\w/-])${from}${wholeWord ? '(?![\\w-])' : '(?=[a-z]*\\b)(?!\\w*[-/.]\\w)'}`, 'g'), to]);
+    }
+  }
+  const respell = body => body.split(/(<script\b[\s\S]*?<\/script>|<style\b[\s\S]*?<\/style>|<[^>]+>)/i).map((part, i) => {
+    if (i % 2 === 1) return part;
+    return rules.reduce((text, [re, to]) => text.replace(re, to), part);
+  }).join('');
+  return html.split(FOOTER_BLOCK_RE).map((part, i) => (i % 2 === 1 ? part : respell(part))).join('');
+}
+
+/** Copy of an English page for one market; links to other mirrored pages stay inside the market. */
+function buildRegionalMirror(html, relPath, market, mirrored) {
+  const info = I18n.MARKETS[market];
+  const mirrorPath = `${market}/${relPath}`;
+  const out = rebaseRelativeUrls(html, relPath, mirrorPath, target => mirrored.has(target))
+    .replace(/<html lang="[^"]*"/, `<html lang="${info.lang}"`)
+    .replace('<head>', `<head>${REGIONAL_MIRROR_MARK}`)
+    .split(`${BASE_URL}/${relPath}`).join(`${BASE_URL}/${mirrorPath}`)
+    .replace(/<title>([^<]*?)( \| [^<]*)?<\/title>/, (m, name, site) => `<title>${name} (${escapeHtml(info.label)})${site || ''}</title>`);
+  return applyRegionalSpelling(out, info.locale);
+}
+
+/**
+ * Write every page in relPaths (root-relative English pages) once per market, then refresh the
+ * hreflang block on the English page and all its variants. A market page that exists without
+ * REGIONAL_MIRROR_MARK (the hand-written uk/shoe-size-converter.html and friends) is left alone.
+ * @returns {string[]} market paths on disk, e.g. uk/programmatic-pages/eu-42-to-us-shoe-size.html
+ */
+function generateRegionalMirrors(relPaths) {
+  const mirrored = new Set(relPaths);
+  const mirrors = [];
+  let kept = 0;
+  for (const relPath of relPaths) {
+    const source = path.join(ROOT, relPath);
+    if (!fs.existsSync(source)) continue;
+    const html = fs.readFileSync(source, 'utf8');
+    for (const market of Object.keys(I18n.MARKETS)) {
+      const mirrorPath = `${market}/${relPath}`;
+      const target = path.join(ROOT, mirrorPath);
+      mirrors.push(mirrorPath);
+      if (fs.existsSync(target) && !fs.readFileSync(target, 'utf8').includes(REGIONAL_MIRROR_MARK)) {
+        kept++;
+        continue;
+      }
+      ensureDir(path.dirname(target));
+      fs.writeFileSync(target, buildRegionalMirror(html, relPath, market, mirrored), 'utf8');
+    }
+    refreshHreflang(relPath);
+  }
+  if (kept) console.log('  kept', kept, 'hand-written market pages');
+  return mirrors;
+}
+
 // Static URLs included in every sitemap rebuild (no programmatic-pages here). Core → 1.0.
 const SITEMAP_STATIC_URLS = [
   { loc: `${BASE_URL}/`, lastmod: '2024-01-01', changefreq: 'weekly', priority: '1.0' },
@@ -4656,19 +4756,31 @@ const SITEMAP_STATIC_URLS = [
   { loc: `${BASE_URL}/legal/terms.html`, lastmod: '2024-01-01', changefreq: 'yearly', priority: '0.3' }
 ];
 
+/** hreflang alternates of a sitemap URL: the page's locale / market variants on disk. */
+function sitemapAlternates(loc) {
+  const rel = loc.slice(BASE_URL.length + 1).replace(/(^|\/)$/, '$1index.html');
+  const base = splitVariantPath(rel).relPath;
+  if (!fs.existsSync(path.join(ROOT, base))) return [];
+  return alternatesFor(base, variantsOnDisk(base));
+}
+
 function urlToSitemapEntry(entry) {
+  const alternates = (entry.alternates || []).map(alt => `
+    <xhtml:link rel="alternate" hreflang="${alt.hreflang}" href="${alt.href}"/>`).join('');
   return `  <url>
     <loc>${entry.loc}</loc>
     <lastmod>${entry.lastmod}</lastmod>
     <changefreq>${entry.changefreq}</changefreq>
-    <priority>${entry.priority}</priority>
+    <priority>${entry.priority}</priority>${alternates}
   </url>`;
 }
 
 function writeUrlsetSitemap(filePath, entries) {
-  const body = entries.map(urlToSitemapEntry).join('\n');
+  const withAlternates = entries.map(entry => ({ ...entry, alternates: sitemapAlternates(entry.loc) }));
+  const body = withAlternates.map(urlToSitemapEntry).join('\n');
+  const xhtmlNs = withAlternates.some(entry => entry.alternates.length) ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : '';
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${xhtmlNs}>
 ${body}
 </urlset>
 `;
@@ -4689,7 +4801,7 @@ ${body}
   fs.writeFileSync(filePath, xml, 'utf8');
 }
 
-function buildTieredSitemaps(routes, semanticFileNames = [], clothingFileNames = [], brandFileNames = [], measurementFileNames = [], printableFileNames = [], toolFileNames = []) {
+function buildTieredSitemaps(routes, semanticFileNames = [], clothingFileNames = [], brandFileNames = [], measurementFileNames = [], printableFileNames = [], toolFileNames = [], regionalPaths = []) {
   const today = new Date().toISOString().slice(0, 10);
   ensureDir(SITEMAPS_DIR);
 
@@ -4774,11 +4886,27 @@ function buildTieredSitemaps(routes, semanticFileNames = [], clothingFileNames =
   // 3. Programmatic index (references sizepairs + regions + categories)
   writeSitemapIndex(path.join(SITEMAPS_DIR, 'sitemap-programmatic.xml'), programmaticIndexRefs);
 
-  // 4. Master sitemap index (core first, then programmatic)
+  // 4. Master sitemap index (core first, then programmatic, then the regional mirrors)
   const masterRefs = [
     `${sitemapBase}/sitemap-core.xml`,
     `${sitemapBase}/sitemap-programmatic.xml`
   ];
+  if (regionalPaths.length > 0) {
+    // Mirrors of pages chunked like the size pairs; converters keep their higher priority
+    const regionalEntries = regionalPaths.map(rel => ({
+      loc: `${BASE_URL}/${rel}`,
+      lastmod: today,
+      changefreq: 'monthly',
+      priority: REGIONAL_MIRROR_PAGES.includes(splitVariantPath(rel).relPath) ? '0.8' : '0.5'
+    }));
+    const numChunks = Math.ceil(regionalEntries.length / MAX_URLS_PER_SITEMAP);
+    for (let i = 0; i < regionalEntries.length; i += MAX_URLS_PER_SITEMAP) {
+      const chunkNum = Math.floor(i / MAX_URLS_PER_SITEMAP) + 1;
+      const filename = numChunks === 1 ? 'sitemap-regional.xml' : `sitemap-regional-${chunkNum}.xml`;
+      writeUrlsetSitemap(path.join(SITEMAPS_DIR, filename), regionalEntries.slice(i, i + MAX_URLS_PER_SITEMAP));
+      masterRefs.push(`${sitemapBase}/${filename}`);
+    }
+  }
   writeSitemapIndex(path.join(ROOT, 'sitemap.xml'), masterRefs);
 }
 
@@ -5277,7 +5405,10 @@ function runPhase10Generator(config) {
   fs.writeFileSync(path.join(ROOT, 'measurement-tools.html'), generateMeasurementToolsHub(toolGenerated), 'utf8');
   console.log('  wrote measurement-tools.html');
 
-  buildTieredSitemaps(routes, semanticGenerated, clothingGenerated, brandGenerated, measurementGenerated, printableGenerated, toolGenerated);
+  const regionalGenerated = generateRegionalMirrors(regionalMirrorSources(routes));
+  console.log('  mirrored', regionalGenerated.length, 'regional pages for', Object.keys(I18n.MARKETS).join(', '));
+
+  buildTieredSitemaps(routes, semanticGenerated, clothingGenerated, brandGenerated, measurementGenerated, printableGenerated, toolGenerated, regionalGenerated);
   console.log('Built tiered sitemaps: sitemaps/sitemap-core.xml, sitemap-programmatic*.xml, sitemap.xml (index).');
   ensureRobotsTxtUpdated();
 
@@ -5375,11 +5506,18 @@ function runPhase10Generator(config) {
     brand: brandGenerated,
     measurement: measurementGenerated,
     printable: printableGenerated,
-    tool: toolGenerated
+    tool: toolGenerated,
+    regional: regionalGenerated
   };
 }
 
 function main() {
+  if (process.argv.includes('--regional-only')) {
+    const routes = loadJson(path.join(DATA_DIR, 'programmatic_routes.json'));
+    const mirrors = generateRegionalMirrors(regionalMirrorSources(routes));
+    console.log('Regional mirrors: %d pages for %s', mirrors.length, Object.keys(I18n.MARKETS).join(', '));
+    return;
+  }
   console.log('Programmatic page generator — reading size data...');
   runPhase10Generator();
 }
@@ -5403,6 +5541,10 @@ if (typeof require !== 'undefined' && require.main === module) {
     TOOLS_DIR,
     SITEMAPS_DIR,
     BASE_URL,
-    MAX_URLS_PER_SITEMAP
+    MAX_URLS_PER_SITEMAP,
+    REGIONAL_MIRROR_MARK,
+    regionalMirrorSources,
+    applyRegionalSpelling,
+    buildRegionalMirror
   };
 }
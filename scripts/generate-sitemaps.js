@@ -4,9 +4,13 @@
  *
  * Scans HTML files, assigns tier via crawl-priority-map.js, emits:
  *   - changefreq + lastmod (high = today for freshness)
+ *   - xhtml:link hreflang alternates for pages with locale / market variants (scripts/lib/page-variants.js)
  *   - sitemap-high.xml, sitemap-medium.xml, sitemap-low.xml (+ splits at 50k URLs)
+ *   - sitemap-regional.xml: the market mirrors under /<market>/ (I18n.MARKETS), whatever their tier
  *   - sitemaps/indexing-feed.xml (URLs touched in last 7 days)
- *   - sitemap/index.html (human + AI navigation)
+ *   - sitemap/index.html (human + AI navigation), written complete: author meta, AI-citation
+ *     JSON-LD, quick answer, FAQ and the master footer (scripts/lib/master-footer.html), since the
+ *     page-wide injectors have already run when this regenerates it
  *
  * Usage: node scripts/generate-sitemaps.js
  * Deploy: npm run build:sitemaps
@@ -16,6 +20,8 @@ const fs = require('fs');
 const path = require('path');
 
 const { relPathToUrlPath } = require('./lib/ai-engine-utils');
+const I18n = require('./i18n');
+const { splitVariantPath, variantsOnDisk, alternatesFor } = require('./lib/page-variants');
 const {
   getPriorityTier,
   getChangeFreq,
@@ -29,6 +35,15 @@ const SITEMAP_HTML_DIR = path.join(ROOT, 'sitemap');
 const BASE_URL = 'https://globalsizechart.com';
 const MAX_URLS_PER_SITEMAP = 50000;
 const INDEXING_FEED_DAYS = 7;
+const AUTHOR_PATH = path.join(ROOT, 'data', 'author.json');
+const MASTER_FOOTER_PATH = path.join(__dirname, 'lib', 'master-footer.html');
+const SITEMAP_HTML_DESCRIPTION = 'Browse top size conversions, tools, and recently updated pages on Global Size Chart.';
+const SITEMAP_HTML_TITLE = 'Site map — Global Size Chart';
+/** Questions in the HTML site map's FAQ block and its FAQPage JSON-LD. */
+const SITEMAP_HTML_FAQ = [
+  ['Is this conversion the same for every brand?', 'No—brands use different lasts and fits.'],
+  ['How accurate are shoe size conversions?', 'Standard tables map foot length; fit still varies by width and design.']
+];
 
 const IGNORE_DIRS = new Set(['node_modules', '.git', 'scripts', 'sitemaps', 'components']);
 
@@ -73,6 +88,20 @@ function* walkHtml(dir, prefix = '') {
   }
 }
 
+const alternatesCache = new Map();
+
+/**
+ * hreflang alternates for a page and its locale / market variants (same set as the
+ * <!-- HREFLANG --> block in their heads); [] for single-variant pages.
+ */
+function hreflangAlternates(relPath) {
+  const base = splitVariantPath(relPath).relPath;
+  if (!alternatesCache.has(base)) {
+    alternatesCache.set(base, fs.existsSync(path.join(ROOT, base)) ? alternatesFor(base, variantsOnDisk(base)) : []);
+  }
+  return alternatesCache.get(base);
+}
+
 class SitemapWriter {
   constructor(tier, opts = {}) {
     this.tier = tier;
@@ -95,7 +124,7 @@ class SitemapWriter {
     this.currentPath = path.join(SITEMAPS_DIR, baseName);
     this.generatedFiles.push(baseName);
     const header =
-      '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+      '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n';
     fs.writeFileSync(this.currentPath, header);
     this.count = 0;
   }
@@ -106,7 +135,7 @@ class SitemapWriter {
     }
     const urlPath = relPathToUrlPath(relPath);
     const tier = getPriorityTier(urlPath);
-    if (tier !== this.tier) {
+    if (tier !== this.tier && this.tier !== 'regional') {
       throw new Error(`SitemapWriter tier mismatch for ${relPath}`);
     }
     const lastmodMs = getLastmodForTier(tier, mtime);
@@ -124,6 +153,9 @@ class SitemapWriter {
       ' <changefreq>' +
       changefreq +
       '</changefreq>\n' +
+      hreflangAlternates(relPath)
+        .map((alt) => ' <xhtml:link rel="alternate" hreflang="' + alt.hreflang + '" href="' + escapeXml(alt.href) + '"/>\n')
+        .join('') +
       '</url>\n';
     fs.appendFileSync(this.currentPath, line);
     this.count++;
@@ -170,6 +202,30 @@ function writeIndexingFeed(entries, nowMs) {
   return recent.length;
 }
 
+/** Article + FAQPage JSON-LD for the HTML site map, in the ai-answer-injector.js shape. */
+function htmlSitemapCitationLd(authorName, dateModified) {
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'Article',
+        headline: SITEMAP_HTML_TITLE,
+        author: { '@type': 'Organization', name: authorName },
+        dateModified,
+        mainEntityOfPage: { '@type': 'WebPage', '@id': `${BASE_URL}/sitemap/` },
+      },
+      {
+        '@type': 'FAQPage',
+        mainEntity: SITEMAP_HTML_FAQ.map(([q, a]) => ({
+          '@type': 'Question',
+          name: q,
+          acceptedAnswer: { '@type': 'Answer', text: a },
+        })),
+      },
+    ],
+  };
+}
+
 function writeHtmlSitemap(entries, nowMs) {
   if (!fs.existsSync(SITEMAP_HTML_DIR)) {
     fs.mkdirSync(SITEMAP_HTML_DIR, { recursive: true });
@@ -187,17 +243,25 @@ function writeHtmlSitemap(entries, nowMs) {
       return `          <li><a href="${escapeXml(href)}">${escapeXml(label)}</a> <span class="sitemap-new-date">(${formatLastmod(e.mtime)})</span></li>`;
     })
     .join('\n');
+  const authorName = JSON.parse(fs.readFileSync(AUTHOR_PATH, 'utf8')).name;
+  const citationLd = JSON.stringify(htmlSitemapCitationLd(authorName, formatLastmod(nowMs)), null, 2);
+  const masterFooter = fs.readFileSync(MASTER_FOOTER_PATH, 'utf8').replace(/\r\n?/g, '\n').replace(/\n+$/, '');
 
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="author" content="${escapeXml(authorName)}" data-author-entity="1">
   <meta name="robots" content="index, follow">
-  <meta name="description" content="Browse top size conversions, tools, and recently updated pages on Global Size Chart.">
-  <title>Site map — Global Size Chart</title>
+  <meta name="description" content="${SITEMAP_HTML_DESCRIPTION}">
+  <title>${SITEMAP_HTML_TITLE}</title>
   <link rel="canonical" href="${BASE_URL}/sitemap/">
   <link rel="stylesheet" href="../styles.css">
+
+  <script type="application/ld+json" data-ai-citation-ld="1">
+${citationLd}
+  </script>
 </head>
 <body>
   <header class="header">
@@ -213,6 +277,11 @@ function writeHtmlSitemap(entries, nowMs) {
   </header>
   <main class="container" style="padding: 2rem 1rem; max-width: 900px;">
     <h1>Site map</h1>
+
+    <section class="ai-answer-block" data-ai-answer-block="1" data-ai-answer="1" aria-label="Quick answer">
+      <p><strong>Quick answer:</strong></p>
+      <p>${SITEMAP_HTML_DESCRIPTION}</p>
+    </section>
     <p class="text-secondary">High-intent hubs and recently updated pages (helps discovery and crawl prioritization).</p>
 
     <section class="content-section" aria-labelledby="top-conv">
@@ -248,14 +317,18 @@ ${newPagesLi || '          <li><em>No recent file updates in this window (run de
     <section class="content-section">
       <h2>Machine-readable sitemaps</h2>
       <ul>
-        <li><a href="/sitemap.xml">Sitemap index</a> (priority tiers: high / medium / low)</li>
+        <li><a href="/sitemap.xml">Sitemap index</a> (priority tiers: high / medium / low, plus regional mirrors)</li>
         <li><a href="/sitemaps/indexing-feed.xml">Indexing feed</a> (recent URLs)</li>
       </ul>
     </section>
+
+    <section class="ai-faq-block" data-ai-faq-block="1" aria-label="Common questions">
+      <h2>Common questions</h2>
+${SITEMAP_HTML_FAQ.map(([q, a]) => `      <h3>${escapeXml(q)}</h3>\n      <p>${escapeXml(a)}</p>`).join('\n')}
+    </section>
   </main>
-  <footer class="footer" style="padding: 2rem; text-align: center;">
-    <p><a href="/">← Back to home</a></p>
-  </footer>
+
+${masterFooter}
 </body>
 </html>
 `;
@@ -284,13 +357,14 @@ function main() {
     high: new SitemapWriter('high', { fileBase: 'sitemap-high' }),
     medium: new SitemapWriter('medium', { fileBase: 'sitemap-medium' }),
     low: new SitemapWriter('low', { fileBase: 'sitemap-low' }),
+    regional: new SitemapWriter('regional', { fileBase: 'sitemap-regional' }),
   };
 
   const nowMs = Date.now();
   let total = 0;
   for (const { relPath, mtime } of sitemapEntries) {
     const urlPath = relPathToUrlPath(relPath);
-    const tier = getPriorityTier(urlPath);
+    const tier = I18n.marketFromPath(urlPath) ? 'regional' : getPriorityTier(urlPath);
     writers[tier].addUrl(relPath, mtime);
     total++;
   }
@@ -298,7 +372,7 @@ function main() {
   const allGenerated = [];
   const today = formatLastmod(nowMs);
 
-  for (const tier of ['high', 'medium', 'low']) {
+  for (const tier of ['high', 'medium', 'low', 'regional']) {
     const files = writers[tier].close();
     for (const f of files) {
       allGenerated.push({ file: f, lastmod: today });
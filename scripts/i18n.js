@@ -0,0 +1,915 @@
+/**
+ * I18n — converter UI message catalogue, locale detection and number formatting.
+ * DOM-free like SizeEngine, so the live converter (app.js) and the page generators read the
+ * same strings.
+ *
+ * Browser: window.I18n (load before app.js)
+ * Node: const I18n = require('./i18n.js')
+ *
+ * A locale's pages live under /<locale>/ (English at the root) and English market mirrors under
+ * /<market>/ (MARKETS). Missing keys fall back to English.
+ */
+
+(function (global) {
+  'use strict';
+
+  var DEFAULT_LOCALE = 'en';
+  var LOCALES = ['en', 'es', 'de', 'fr', 'ja', 'pt'];
+
+  /** name: shown in a language switcher; decimal: separator for 42.5-style sizes. */
+  var LOCALE_INFO = {
+    en: { name: 'English', decimal: '.' },
+    es: { name: 'Español', decimal: ',' },
+    de: { name: 'Deutsch', decimal: ',' },
+    fr: { name: 'Français', decimal: ',' },
+    ja: { name: '日本語', decimal: '.' },
+    pt: { name: 'Português', decimal: ',' }
+  };
+
+  /**
+   * Converter messages (app.js) and converter form copy (page generators). {name} placeholders
+   * are filled by t(); numbers inside messages are already written in the locale's style.
+   */
+  var MESSAGES = {
+    en: {
+      dataLoading: 'Please wait for the size data to load, then try again.',
+      converterEmpty: 'Select your size to see conversions',
+      sizeNotFound: 'Size not found. Please check your input and try again.',
+      regionNoData: 'No data available for this region yet.',
+      noSizesCombo: 'No sizes available for this combination. Try selecting a different category or gender.',
+      shoeSizeError: 'Please enter a valid numeric shoe size (e.g., 9, 9.5, 42; kids 10C or 3Y).',
+      shoeSizeRangeError: 'Please enter a valid size for the selected region.',
+      clothingSizeError: 'Use standard sizes only (XS–XXXL, numeric values like 32 or 15.5, or bra sizes like 34B).',
+      selectSize: 'Select size',
+      selectGenderFirst: 'Select gender first',
+      selectClothingType: 'Select clothing type',
+      selectClothingTypeFirst: 'Select clothing type first',
+      standardSizing: 'Standard sizing (no brand)',
+      chooseBrandFirst: 'Choose a brand first',
+      anyBrandModel: 'Any {brand} model',
+      convertedSizes: 'Converted sizes: {list}.',
+      regionUS: 'United States',
+      regionUK: 'United Kingdom',
+      regionEU: 'European Union',
+      regionJP: 'Japan',
+      regionCN: 'China',
+      regionFR: 'France',
+      regionAU: 'Australia',
+      regionKR: 'South Korea (mm)',
+      regionMX: 'Mexico',
+      regionBR: 'Brazil',
+      regionCM: 'Centimeters',
+      regionINCH: 'Inches',
+      regionMP: 'Mondopoint',
+      measureChest: 'Chest',
+      measureWaist: 'Waist',
+      measureHips: 'Hips',
+      measureInseam: 'Inseam',
+      measureNeck: 'Neck',
+      measureSleeve: 'Sleeve',
+      measureUnderbust: 'Underbust',
+      measureBust: 'Bust',
+      trouserWaist: 'Trousers: {waist} waist ({drop}″ drop)',
+      mondopointShell: 'Boot shell {shell}',
+      labelGender: 'Gender',
+      labelFromRegion: 'From Region',
+      labelSize: 'Size',
+      genderMen: 'Men',
+      genderWomen: 'Women',
+      genderKids: 'Kids',
+      labelShoeBrand: 'Brand (optional)',
+      labelShoeModel: 'Model (optional)',
+      sizePlaceholder: 'Enter size (e.g. 9, 42 or kids 10C)',
+      sizeHelper: 'Enter a valid size for your selected region.',
+      resultsHeading: 'Converted Sizes',
+      autoNote: 'Results update automatically as you select options',
+      labelCategory: 'Category',
+      clothingTops: 'Tops',
+      clothingPants: 'Pants',
+      clothingDresses: 'Dresses',
+      clothingSkirts: 'Skirts',
+      clothingJackets: 'Jackets & suits',
+      clothingJacketsWomen: 'Jackets',
+      clothingShirts: 'Dress shirts (neck)',
+      clothingBras: 'Bras',
+      clothingSwimwear: 'Swimwear',
+      clothingSizePlaceholder: 'Enter standard size (XS–XXXL, 32–48, 15.5 or 34B)',
+      shoeBrandHint: "Optional: shift the foot length by the brand's (or model's) known fit before matching. Standard conversion is unchanged when empty.",
+      brandHint: 'Optional: nudge the chart one row when a brand tends to run small or large. Standard conversion is unchanged when empty.',
+      dataLoadError: 'Error loading size data. Please refresh the page.',
+      copyLink: 'Copy link to this result',
+      linkCopied: 'Link copied',
+      copyLinkPrompt: 'Copy this link:',
+      sizingFor: 'Sizing for',
+      profileNow: '{name}: about US {size} now',
+      profileNowMeasured: '{name}: about US {size} now (measured {date})',
+      profileStill: '{now}, likely still US {size} in {months} months.',
+      profileAhead: '{now}; buying ahead for {months} months, expect about US {size} (≈ {cm}).',
+      chartMen: "men's chart",
+      chartWomen: "women's chart",
+      chartKids: "kids' chart",
+      shoeBelowChart: '{input} is below the smallest size on our {chart} ({edge}).',
+      shoeAboveChart: '{input} is above the largest size on our {chart} ({edge}).',
+      shoeNoExtrapolate: "We don't extrapolate beyond the chart — check the brand's own size guide.",
+      shoeBetween: '{input} sits between {lower} and {upper}.',
+      shoeNearest: 'Nearest: {nearest} ({diff}) · {confidence}.',
+      cmLonger: '{cm} longer',
+      cmShorter: '{cm} shorter',
+      confidenceHigh: 'high confidence',
+      confidenceMedium: 'medium confidence',
+      confidenceLow: 'low confidence',
+      brandFitFallback: 'brand fit',
+      brandNoAdjustment: '{name}: no adjustment.',
+      brandAdjusted: 'Adjusted for {name} ({shift}, matched as {adjusted} instead of {foot}).',
+      clothingBrandAdjusted: 'Adjusted for brand: {brand} ({fit})',
+      fitRunsSmall: 'runs small',
+      fitRunsLarge: 'runs large',
+      fitTrueToSize: 'true to size',
+      kidsSize: "Kids' US {size} · typical age: {age}.",
+      kidsSizeScale: "Kids' US {size} ({scale}) · typical age: {age}.",
+      kidsScaleC: 'C = child: baby, toddler and little kids',
+      kidsScaleY: 'Y = youth / big kids',
+      ageUnderOne: 'under 1 year',
+      ageAboutOne: 'about 1 year',
+      ageAbout: 'about {years} years',
+      kidsAdultSize: 'The same length is {sizes} on the adult charts.',
+      adultMenUs: "men's US {size}",
+      adultWomenUs: "women's US {size}",
+      listOr: '{first} or {second}',
+      comparisonHeading: 'Comparison',
+      comparisonClear: 'Clear',
+      comparisonSizeColumn: 'Size',
+      comparisonRemoveColumn: 'Remove',
+      comparisonLegend: 'Highlighted cells differ from standard sizing because of the brand; highlighted columns are where the rows disagree.',
+      comparisonAdd: 'Add to comparison ({count}/{max})',
+      comparisonFull: 'Comparison full ({max})',
+      comparisonNeedsSize: 'Choose a size that converts first.',
+      comparisonRestarted: 'Started a new comparison for this chart.',
+      comparisonDuplicate: 'Already in the comparison.',
+      comparisonStandard: 'Standard sizing: {value}',
+      comparisonRemove: 'Remove {label} from comparison'
+    },
+    es: {
+      dataLoading: 'Espera a que se carguen los datos de tallas y vuelve a intentarlo.',
+      converterEmpty: 'Selecciona tu talla para ver las equivalencias',
+      sizeNotFound: 'Talla no encontrada. Revisa lo que has introducido e inténtalo de nuevo.',
+      regionNoData: 'Todavía no hay datos para esta región.',
+      noSizesCombo: 'No hay tallas para esta combinación. Prueba con otra categoría o sexo.',
+      shoeSizeError: 'Introduce una talla de calzado numérica válida (p. ej.: 9; 9,5; 42; niños 10C o 3Y).',
+      shoeSizeRangeError: 'Introduce una talla válida para la región seleccionada.',
+      clothingSizeError: 'Usa solo tallas estándar (XS–XXXL, valores numéricos como 32 o 15,5, o tallas de sujetador como 34B).',
+      selectSize: 'Selecciona la talla',
+      selectGenderFirst: 'Selecciona primero el sexo',
+      selectClothingType: 'Selecciona el tipo de prenda',
+      selectClothingTypeFirst: 'Selecciona primero el tipo de prenda',
+      standardSizing: 'Tallaje estándar (sin marca)',
+      chooseBrandFirst: 'Elige primero una marca',
+      anyBrandModel: 'Cualquier modelo de {brand}',
+      convertedSizes: 'Tallas convertidas: {list}.',
+      regionUS: 'Estados Unidos',
+      regionUK: 'Reino Unido',
+      regionEU: 'Unión Europea',
+      regionJP: 'Japón',
+      regionCN: 'China',
+      regionFR: 'Francia',
+      regionAU: 'Australia',
+      regionKR: 'Corea del Sur (mm)',
+      regionMX: 'México',
+      regionBR: 'Brasil',
+      regionCM: 'Centímetros',
+      regionINCH: 'Pulgadas',
+      regionMP: 'Mondopoint',
+      measureChest: 'Pecho',
+      measureWaist: 'Cintura',
+      measureHips: 'Cadera',
+      measureInseam: 'Entrepierna',
+      measureNeck: 'Cuello',
+      measureSleeve: 'Manga',
+      measureUnderbust: 'Contorno bajo el pecho',
+      measureBust: 'Busto',
+      trouserWaist: 'Pantalón: cintura {waist} (drop de {drop}″)',
+      mondopointShell: 'Carcasa de bota {shell}',
+      labelGender: 'Sexo',
+      labelFromRegion: 'Región de origen',
+      labelSize: 'Talla',
+      genderMen: 'Hombre',
+      genderWomen: 'Mujer',
+      genderKids: 'Niños',
+      labelShoeBrand: 'Marca (opcional)',
+      labelShoeModel: 'Modelo (opcional)',
+      sizePlaceholder: 'Introduce la talla (p. ej. 9, 42 o niños 10C)',
+      sizeHelper: 'Introduce una talla válida para la región seleccionada.',
+      resultsHeading: 'Tallas convertidas',
+      autoNote: 'Los resultados se actualizan automáticamente al elegir las opciones',
+      labelCategory: 'Categoría',
+      clothingTops: 'Partes de arriba',
+      clothingPants: 'Pantalones',
+      clothingDresses: 'Vestidos',
+      clothingSkirts: 'Faldas',
+      clothingJackets: 'Chaquetas y trajes',
+      clothingJacketsWomen: 'Chaquetas',
+      clothingShirts: 'Camisas de vestir (cuello)',
+      clothingBras: 'Sujetadores',
+      clothingSwimwear: 'Trajes de baño',
+      clothingSizePlaceholder: 'Introduce una talla estándar (XS–XXXL, 32–48, 15,5 o 34B)',
+      shoeBrandHint: 'Opcional: ajusta la longitud del pie según el ajuste conocido de la marca (o del modelo) antes de buscar la talla. Si lo dejas vacío, la conversión estándar no cambia.',
+      brandHint: 'Opcional: desplaza la tabla una fila cuando una marca suele tallar pequeño o grande. Si lo dejas vacío, la conversión estándar no cambia.',
+      dataLoadError: 'Error al cargar los datos de tallas. Vuelve a cargar la página.',
+      copyLink: 'Copiar enlace a este resultado',
+      linkCopied: 'Enlace copiado',
+      copyLinkPrompt: 'Copia este enlace:',
+      sizingFor: 'Tallas para',
+      profileNow: '{name}: ahora, aproximadamente US {size}',
+      profileNowMeasured: '{name}: ahora, aproximadamente US {size} (medido el {date})',
+      profileStill: '{now}; probablemente siga en US {size} dentro de {months} meses.',
+      profileAhead: '{now}; si compras con {months} meses de antelación, cuenta con US {size} aproximadamente (≈ {cm}).',
+      chartMen: 'tabla de hombre',
+      chartWomen: 'tabla de mujer',
+      chartKids: 'tabla infantil',
+      shoeBelowChart: '{input} está por debajo de la talla más pequeña de nuestra {chart} ({edge}).',
+      shoeAboveChart: '{input} está por encima de la talla más grande de nuestra {chart} ({edge}).',
+      shoeNoExtrapolate: 'No extrapolamos fuera de la tabla: consulta la guía de tallas de la marca.',
+      shoeBetween: '{input} está entre {lower} y {upper}.',
+      shoeNearest: 'Más cercana: {nearest} ({diff}) · {confidence}.',
+      cmLonger: '{cm} más larga',
+      cmShorter: '{cm} más corta',
+      confidenceHigh: 'confianza alta',
+      confidenceMedium: 'confianza media',
+      confidenceLow: 'confianza baja',
+      brandFitFallback: 'ajuste de la marca',
+      brandNoAdjustment: '{name}: sin ajuste.',
+      brandAdjusted: 'Ajustado para {name} ({shift}; se busca como {adjusted} en lugar de {foot}).',
+      clothingBrandAdjusted: 'Ajustado por marca: {brand} ({fit})',
+      fitRunsSmall: 'talla pequeño',
+      fitRunsLarge: 'talla grande',
+      fitTrueToSize: 'talla normal',
+      kidsSize: 'Infantil US {size} · edad habitual: {age}.',
+      kidsSizeScale: 'Infantil US {size} ({scale}) · edad habitual: {age}.',
+      kidsScaleC: 'C = niños: bebés, primeros pasos e infantil',
+      kidsScaleY: 'Y = juvenil / niños mayores',
+      ageUnderOne: 'menos de 1 año',
+      ageAboutOne: 'alrededor de 1 año',
+      ageAbout: 'alrededor de {years} años',
+      kidsAdultSize: 'La misma longitud equivale a {sizes} en las tablas de adulto.',
+      adultMenUs: 'hombre US {size}',
+      adultWomenUs: 'mujer US {size}',
+      listOr: '{first} o {second}',
+      comparisonHeading: 'Comparación',
+      comparisonClear: 'Borrar',
+      comparisonSizeColumn: 'Talla',
+      comparisonRemoveColumn: 'Quitar',
+      comparisonLegend: 'Las celdas resaltadas difieren del tallaje estándar por la marca; las columnas resaltadas son donde las filas no coinciden.',
+      comparisonAdd: 'Añadir a la comparación ({count}/{max})',
+      comparisonFull: 'Comparación completa ({max})',
+      comparisonNeedsSize: 'Elige primero una talla que se pueda convertir.',
+      comparisonRestarted: 'Se ha iniciado una nueva comparación para esta tabla.',
+      comparisonDuplicate: 'Ya está en la comparación.',
+      comparisonStandard: 'Tallaje estándar: {value}',
+      comparisonRemove: 'Quitar {label} de la comparación'
+    },
+    de: {
+      dataLoading: 'Bitte warte, bis die Größendaten geladen sind, und versuche es dann erneut.',
+      converterEmpty: 'Wähle deine Größe, um die Umrechnung zu sehen',
+      sizeNotFound: 'Größe nicht gefunden. Bitte prüfe deine Eingabe und versuche es erneut.',
+      regionNoData: 'Für diese Region liegen noch keine Daten vor.',
+      noSizesCombo: 'Für diese Kombination sind keine Größen verfügbar. Wähle eine andere Kategorie oder ein anderes Geschlecht.',
+      shoeSizeError: 'Bitte gib eine gültige numerische Schuhgröße ein (z. B. 9; 9,5; 42; Kinder 10C oder 3Y).',
+      shoeSizeRangeError: 'Bitte gib eine gültige Größe für die gewählte Region ein.',
+      clothingSizeError: 'Nur Standardgrößen verwenden (XS–XXXL, Zahlen wie 32 oder 15,5 oder BH-Größen wie 34B).',
+      selectSize: 'Größe wählen',
+      selectGenderFirst: 'Zuerst Geschlecht wählen',
+      selectClothingType: 'Kleidungsart wählen',
+      selectClothingTypeFirst: 'Zuerst Kleidungsart wählen',
+      standardSizing: 'Standardgrößen (keine Marke)',
+      chooseBrandFirst: 'Zuerst eine Marke wählen',
+      anyBrandModel: 'Beliebiges {brand}-Modell',
+      convertedSizes: 'Umgerechnete Größen: {list}.',
+      regionUS: 'Vereinigte Staaten',
+      regionUK: 'Vereinigtes Königreich',
+      regionEU: 'Europäische Union',
+      regionJP: 'Japan',
+      regionCN: 'China',
+      regionFR: 'Frankreich',
+      regionAU: 'Australien',
+      regionKR: 'Südkorea (mm)',
+      regionMX: 'Mexiko',
+      regionBR: 'Brasilien',
+      regionCM: 'Zentimeter',
+      regionINCH: 'Zoll',
+      regionMP: 'Mondopoint',
+      measureChest: 'Brust',
+      measureWaist: 'Taille',
+      measureHips: 'Hüfte',
+      measureInseam: 'Innenbeinlänge',
+      measureNeck: 'Kragen',
+      measureSleeve: 'Ärmel',
+      measureUnderbust: 'Unterbrust',
+      measureBust: 'Oberweite',
+      trouserWaist: 'Hose: Bundweite {waist} ({drop}″ Drop)',
+      mondopointShell: 'Schalengröße {shell}',
+      labelGender: 'Geschlecht',
+      labelFromRegion: 'Ausgangsregion',
+      labelSize: 'Größe',
+      genderMen: 'Herren',
+      genderWomen: 'Damen',
+      genderKids: 'Kinder',
+      labelShoeBrand: 'Marke (optional)',
+      labelShoeModel: 'Modell (optional)',
+      sizePlaceholder: 'Größe eingeben (z. B. 9, 42 oder Kinder 10C)',
+      sizeHelper: 'Gib eine gültige Größe für die gewählte Region ein.',
+      resultsHeading: 'Umgerechnete Größen',
+      autoNote: 'Die Ergebnisse werden bei jeder Auswahl automatisch aktualisiert',
+      labelCategory: 'Kategorie',
+      clothingTops: 'Oberteile',
+      clothingPants: 'Hosen',
+      clothingDresses: 'Kleider',
+      clothingSkirts: 'Röcke',
+      clothingJackets: 'Jacken & Anzüge',
+      clothingJacketsWomen: 'Jacken',
+      clothingShirts: 'Oberhemden (Kragenweite)',
+      clothingBras: 'BHs',
+      clothingSwimwear: 'Bademode',
+      clothingSizePlaceholder: 'Standardgröße eingeben (XS–XXXL, 32–48, 15,5 oder 34B)',
+      shoeBrandHint: 'Optional: verschiebt die Fußlänge vor der Zuordnung um die bekannte Passform der Marke (oder des Modells). Ohne Auswahl bleibt die Standardumrechnung unverändert.',
+      brandHint: 'Optional: verschiebt die Tabelle um eine Zeile, wenn eine Marke eher klein oder groß ausfällt. Ohne Auswahl bleibt die Standardumrechnung unverändert.',
+      dataLoadError: 'Fehler beim Laden der Größendaten. Bitte lade die Seite neu.',
+      copyLink: 'Link zu diesem Ergebnis kopieren',
+      linkCopied: 'Link kopiert',
+      copyLinkPrompt: 'Diesen Link kopieren:',
+      sizingFor: 'Größen für',
+      profileNow: '{name}: derzeit etwa US {size}',
+      profileNowMeasured: '{name}: derzeit etwa US {size} (gemessen am {date})',
+      profileStill: '{now}, in {months} Monaten voraussichtlich noch US {size}.',
+      profileAhead: '{now}; beim Kauf für die nächsten {months} Monate etwa US {size} einplanen (≈ {cm}).',
+      chartMen: 'Herrentabelle',
+      chartWomen: 'Damentabelle',
+      chartKids: 'Kindertabelle',
+      shoeBelowChart: '{input} liegt unter der kleinsten Größe unserer {chart} ({edge}).',
+      shoeAboveChart: '{input} liegt über der größten Größe unserer {chart} ({edge}).',
+      shoeNoExtrapolate: 'Wir rechnen nicht über die Tabelle hinaus – bitte die Größentabelle der Marke prüfen.',
+      shoeBetween: '{input} liegt zwischen {lower} und {upper}.',
+      shoeNearest: 'Nächste Größe: {nearest} ({diff}) · {confidence}.',
+      cmLonger: '{cm} länger',
+      cmShorter: '{cm} kürzer',
+      confidenceHigh: 'hohe Sicherheit',
+      confidenceMedium: 'mittlere Sicherheit',
+      confidenceLow: 'geringe Sicherheit',
+      brandFitFallback: 'Markenpassform',
+      brandNoAdjustment: '{name}: keine Anpassung.',
+      brandAdjusted: 'Angepasst für {name} ({shift}; zugeordnet als {adjusted} statt {foot}).',
+      clothingBrandAdjusted: 'Angepasst an Marke: {brand} ({fit})',
+      fitRunsSmall: 'fällt klein aus',
+      fitRunsLarge: 'fällt groß aus',
+      fitTrueToSize: 'fällt normal aus',
+      kidsSize: 'Kinder US {size} · typisches Alter: {age}.',
+      kidsSizeScale: 'Kinder US {size} ({scale}) · typisches Alter: {age}.',
+      kidsScaleC: 'C = Kind: Baby, Kleinkind und kleine Kinder',
+      kidsScaleY: 'Y = Jugendliche / größere Kinder',
+      ageUnderOne: 'unter 1 Jahr',
+      ageAboutOne: 'etwa 1 Jahr',
+      ageAbout: 'etwa {years} Jahre',
+      kidsAdultSize: 'Dieselbe Länge entspricht {sizes} in den Erwachsenentabellen.',
+      adultMenUs: 'Herren US {size}',
+      adultWomenUs: 'Damen US {size}',
+      listOr: '{first} oder {second}',
+      comparisonHeading: 'Vergleich',
+      comparisonClear: 'Leeren',
+      comparisonSizeColumn: 'Größe',
+      comparisonRemoveColumn: 'Entfernen',
+      comparisonLegend: 'Hervorgehobene Zellen weichen wegen der Marke von der Standardgröße ab; hervorgehobene Spalten zeigen, wo die Zeilen nicht übereinstimmen.',
+      comparisonAdd: 'Zum Vergleich hinzufügen ({count}/{max})',
+      comparisonFull: 'Vergleich voll ({max})',
+      comparisonNeedsSize: 'Wähle zuerst eine Größe, die sich umrechnen lässt.',
+      comparisonRestarted: 'Für diese Tabelle wurde ein neuer Vergleich begonnen.',
+      comparisonDuplicate: 'Bereits im Vergleich.',
+      comparisonStandard: 'Standardgröße: {value}',
+      comparisonRemove: '{label} aus dem Vergleich entfernen'
+    },
+    fr: {
+      dataLoading: 'Veuillez patienter pendant le chargement des données de tailles, puis réessayez.',
+      converterEmpty: 'Sélectionnez votre taille pour voir les équivalences',
+      sizeNotFound: 'Taille introuvable. Vérifiez votre saisie et réessayez.',
+      regionNoData: 'Aucune donnée disponible pour cette région pour le moment.',
+      noSizesCombo: 'Aucune taille disponible pour cette combinaison. Essayez une autre catégorie ou un autre genre.',
+      shoeSizeError: 'Saisissez une pointure numérique valide (p. ex. 9 ; 9,5 ; 42 ; enfants 10C ou 3Y).',
+      shoeSizeRangeError: 'Saisissez une taille valide pour la région sélectionnée.',
+      clothingSizeError: 'Utilisez uniquement des tailles standard (XS–XXXL, valeurs numériques comme 32 ou 15,5, ou tailles de soutien-gorge comme 34B).',
+      selectSize: 'Choisir la taille',
+      selectGenderFirst: 'Choisissez d’abord le genre',
+      selectClothingType: 'Choisir le type de vêtement',
+      selectClothingTypeFirst: 'Choisissez d’abord le type de vêtement',
+      standardSizing: 'Tailles standard (sans marque)',
+      chooseBrandFirst: 'Choisissez d’abord une marque',
+      anyBrandModel: 'Tous les modèles {brand}',
+      convertedSizes: 'Tailles converties : {list}.',
+      regionUS: 'États-Unis',
+      regionUK: 'Royaume-Uni',
+      regionEU: 'Union européenne',
+      regionJP: 'Japon',
+      regionCN: 'Chine',
+      regionFR: 'France',
+      regionAU: 'Australie',
+      regionKR: 'Corée du Sud (mm)',
+      regionMX: 'Mexique',
+      regionBR: 'Brésil',
+      regionCM: 'Centimètres',
+      regionINCH: 'Pouces',
+      regionMP: 'Mondopoint',
+      measureChest: 'Poitrine',
+      measureWaist: 'Taille',
+      measureHips: 'Hanches',
+      measureInseam: 'Entrejambe',
+      measureNeck: 'Encolure',
+      measureSleeve: 'Manche',
+      measureUnderbust: 'Dessous de poitrine',
+      measureBust: 'Tour de poitrine',
+      trouserWaist: 'Pantalon : tour de taille {waist} (drop de {drop}″)',
+      mondopointShell: 'Coque {shell}',
+      labelGender: 'Genre',
+      labelFromRegion: 'Région d’origine',
+      labelSize: 'Taille',
+      genderMen: 'Homme',
+      genderWomen: 'Femme',
+      genderKids: 'Enfant',
+      labelShoeBrand: 'Marque (facultatif)',
+      labelShoeModel: 'Modèle (facultatif)',
+      sizePlaceholder: 'Saisissez la taille (p. ex. 9, 42 ou enfant 10C)',
+      sizeHelper: 'Saisissez une taille valide pour la région sélectionnée.',
+      resultsHeading: 'Tailles converties',
+      autoNote: 'Les résultats se mettent à jour automatiquement à chaque sélection',
+      labelCategory: 'Catégorie',
+      clothingTops: 'Hauts',
+      clothingPants: 'Pantalons',
+      clothingDresses: 'Robes',
+      clothingSkirts: 'Jupes',
+      clothingJackets: 'Vestes et costumes',
+      clothingJacketsWomen: 'Vestes',
+      clothingShirts: 'Chemises (encolure)',
+      clothingBras: 'Soutiens-gorge',
+      clothingSwimwear: 'Maillots de bain',
+      clothingSizePlaceholder: 'Saisissez une taille standard (XS–XXXL, 32–48, 15,5 ou 34B)',
+      shoeBrandHint: 'Facultatif : ajuste la longueur du pied selon la coupe connue de la marque (ou du modèle) avant la correspondance. Sans sélection, la conversion standard reste inchangée.',
+      brandHint: 'Facultatif : décale le tableau d’une ligne quand une marque taille petit ou grand. Sans sélection, la conversion standard reste inchangée.',
+      dataLoadError: 'Erreur lors du chargement des données de tailles. Veuillez actualiser la page.',
+      copyLink: 'Copier le lien vers ce résultat',
+      linkCopied: 'Lien copié',
+      copyLinkPrompt: 'Copiez ce lien :',
+      sizingFor: 'Tailles pour',
+      profileNow: '{name} : environ US {size} actuellement',
+      profileNowMeasured: '{name} : environ US {size} actuellement (mesuré le {date})',
+      profileStill: '{now}, sans doute encore US {size} dans {months} mois.',
+      profileAhead: '{now} ; pour acheter {months} mois à l’avance, prévoyez environ US {size} (≈ {cm}).',
+      chartMen: 'tableau homme',
+      chartWomen: 'tableau femme',
+      chartKids: 'tableau enfant',
+      shoeBelowChart: '{input} est en dessous de la plus petite taille de notre {chart} ({edge}).',
+      shoeAboveChart: '{input} est au-dessus de la plus grande taille de notre {chart} ({edge}).',
+      shoeNoExtrapolate: 'Nous n’extrapolons pas au-delà du tableau : consultez le guide des tailles de la marque.',
+      shoeBetween: '{input} se situe entre {lower} et {upper}.',
+      shoeNearest: 'Plus proche : {nearest} ({diff}) · {confidence}.',
+      cmLonger: '{cm} plus long',
+      cmShorter: '{cm} plus court',
+      confidenceHigh: 'confiance élevée',
+      confidenceMedium: 'confiance moyenne',
+      confidenceLow: 'confiance faible',
+      brandFitFallback: 'coupe de la marque',
+      brandNoAdjustment: '{name} : aucun ajustement.',
+      brandAdjusted: 'Ajusté pour {name} ({shift} ; recherché comme {adjusted} au lieu de {foot}).',
+      clothingBrandAdjusted: 'Ajusté pour la marque : {brand} ({fit})',
+      fitRunsSmall: 'taille petit',
+      fitRunsLarge: 'taille grand',
+      fitTrueToSize: 'taille normalement',
+      kidsSize: 'Enfant US {size} · âge habituel : {age}.',
+      kidsSizeScale: 'Enfant US {size} ({scale}) · âge habituel : {age}.',
+      kidsScaleC: 'C = enfant : bébé, premiers pas et petits',
+      kidsScaleY: 'Y = junior / grands enfants',
+      ageUnderOne: 'moins de 1 an',
+      ageAboutOne: 'environ 1 an',
+      ageAbout: 'environ {years} ans',
+      kidsAdultSize: 'La même longueur correspond à {sizes} dans les tableaux adultes.',
+      adultMenUs: 'homme US {size}',
+      adultWomenUs: 'femme US {size}',
+      listOr: '{first} ou {second}',
+      comparisonHeading: 'Comparaison',
+      comparisonClear: 'Effacer',
+      comparisonSizeColumn: 'Taille',
+      comparisonRemoveColumn: 'Retirer',
+      comparisonLegend: 'Les cellules surlignées diffèrent de la taille standard à cause de la marque ; les colonnes surlignées indiquent où les lignes divergent.',
+      comparisonAdd: 'Ajouter à la comparaison ({count}/{max})',
+      comparisonFull: 'Comparaison complète ({max})',
+      comparisonNeedsSize: 'Choisissez d’abord une taille convertible.',
+      comparisonRestarted: 'Nouvelle comparaison commencée pour ce tableau.',
+      comparisonDuplicate: 'Déjà dans la comparaison.',
+      comparisonStandard: 'Taille standard : {value}',
+      comparisonRemove: 'Retirer {label} de la comparaison'
+    },
+    ja: {
+      dataLoading: 'サイズデータを読み込み中です。読み込み後にもう一度お試しください。',
+      converterEmpty: 'サイズを選択すると換算結果が表示されます',
+      sizeNotFound: 'サイズが見つかりません。入力内容を確認して、もう一度お試しください。',
+      regionNoData: 'この地域のデータはまだありません。',
+      noSizesCombo: 'この組み合わせで利用できるサイズはありません。別のカテゴリーまたは性別を選択してください。',
+      shoeSizeError: '有効な数値の靴サイズを入力してください（例：9、9.5、42、キッズ 10C または 3Y）。',
+      shoeSizeRangeError: '選択した地域で有効なサイズを入力してください。',
+      clothingSizeError: '標準サイズのみ使用できます（XS～XXXL、32 や 15.5 などの数値、34B などのブラサイズ）。',
+      selectSize: 'サイズを選択',
+      selectGenderFirst: '先に性別を選択してください',
+      selectClothingType: '衣類の種類を選択',
+      selectClothingTypeFirst: '先に衣類の種類を選択してください',
+      standardSizing: '標準サイズ（ブランド指定なし）',
+      chooseBrandFirst: '先にブランドを選択してください',
+      anyBrandModel: '{brand} の全モデル',
+      convertedSizes: '換算サイズ：{list}。',
+      regionUS: 'アメリカ',
+      regionUK: 'イギリス',
+      regionEU: 'EU',
+      regionJP: '日本',
+      regionCN: '中国',
+      regionFR: 'フランス',
+      regionAU: 'オーストラリア',
+      regionKR: '韓国（mm）',
+      regionMX: 'メキシコ',
+      regionBR: 'ブラジル',
+      regionCM: 'センチメートル',
+      regionINCH: 'インチ',
+      regionMP: 'モンドポイント',
+      measureChest: '胸囲',
+      measureWaist: 'ウエスト',
+      measureHips: 'ヒップ',
+      measureInseam: '股下',
+      measureNeck: '首回り',
+      measureSleeve: '袖丈',
+      measureUnderbust: 'アンダーバスト',
+      measureBust: 'バスト',
+      trouserWaist: 'パンツ：ウエスト {waist}（ドロップ {drop}″）',
+      mondopointShell: 'シェル {shell}',
+      labelGender: '性別',
+      labelFromRegion: '換算元の地域',
+      labelSize: 'サイズ',
+      genderMen: 'メンズ',
+      genderWomen: 'レディース',
+      genderKids: 'キッズ',
+      labelShoeBrand: 'ブランド（任意）',
+      labelShoeModel: 'モデル（任意）',
+      sizePlaceholder: 'サイズを入力（例：9、42、キッズ 10C）',
+      sizeHelper: '選択した地域で有効なサイズを入力してください。',
+      resultsHeading: '換算サイズ',
+      autoNote: '選択するたびに結果が自動で更新されます',
+      labelCategory: 'カテゴリー',
+      clothingTops: 'トップス',
+      clothingPants: 'パンツ',
+      clothingDresses: 'ワンピース',
+      clothingSkirts: 'スカート',
+      clothingJackets: 'ジャケット・スーツ',
+      clothingJacketsWomen: 'ジャケット',
+      clothingShirts: 'ワイシャツ（首回り）',
+      clothingBras: 'ブラジャー',
+      clothingSwimwear: '水着',
+      clothingSizePlaceholder: '標準サイズを入力（XS～XXXL、32～48、15.5、34B）',
+      shoeBrandHint: '任意：照合の前に、ブランド（またはモデル）の既知のフィット感に合わせて足長を補正します。未選択の場合は標準の換算のままです。',
+      brandHint: '任意：ブランドが小さめ・大きめの場合、表を1行ずらします。未選択の場合は標準の換算のままです。',
+      dataLoadError: 'サイズデータを読み込めませんでした。ページを再読み込みしてください。',
+      copyLink: 'この結果へのリンクをコピー',
+      linkCopied: 'リンクをコピーしました',
+      copyLinkPrompt: 'このリンクをコピーしてください：',
+      sizingFor: 'サイズ対象',
+      profileNow: '{name}：現在はおよそUS {size}',
+      profileNowMeasured: '{name}：現在はおよそUS {size}（{date}に計測）',
+      profileStill: '{now}、{months}か月後もおそらくUS {size}のままです。',
+      profileAhead: '{now}。{months}か月先を見越して買うなら、およそUS {size}（≈ {cm}）が目安です。',
+      chartMen: 'メンズ表',
+      chartWomen: 'レディース表',
+      chartKids: 'キッズ表',
+      shoeBelowChart: '{input}は{chart}の最小サイズ（{edge}）を下回っています。',
+      shoeAboveChart: '{input}は{chart}の最大サイズ（{edge}）を上回っています。',
+      shoeNoExtrapolate: '表の範囲外は推定しません。ブランドのサイズガイドをご確認ください。',
+      shoeBetween: '{input}は{lower}と{upper}の間です。',
+      shoeNearest: '最も近いサイズ：{nearest}（{diff}）・{confidence}。',
+      cmLonger: '{cm}長い',
+      cmShorter: '{cm}短い',
+      confidenceHigh: '信頼度：高',
+      confidenceMedium: '信頼度：中',
+      confidenceLow: '信頼度：低',
+      brandFitFallback: 'ブランドのフィット',
+      brandNoAdjustment: '{name}：調整なし。',
+      brandAdjusted: '{name}向けに調整（{shift}、{foot}ではなく{adjusted}として照合）。',
+      clothingBrandAdjusted: 'ブランドに合わせて調整：{brand}（{fit}）',
+      fitRunsSmall: '小さめ',
+      fitRunsLarge: '大きめ',
+      fitTrueToSize: '標準どおり',
+      kidsSize: 'キッズ US {size}・目安の年齢：{age}。',
+      kidsSizeScale: 'キッズ US {size}（{scale}）・目安の年齢：{age}。',
+      kidsScaleC: 'C＝チャイルド：ベビー・トドラー・リトルキッズ',
+      kidsScaleY: 'Y＝ユース／ビッグキッズ',
+      ageUnderOne: '1歳未満',
+      ageAboutOne: '1歳前後',
+      ageAbout: '{years}歳前後',
+      kidsAdultSize: '同じ足長は大人用の表では{sizes}です。',
+      adultMenUs: 'メンズ US {size}',
+      adultWomenUs: 'レディース US {size}',
+      listOr: '{first}または{second}',
+      comparisonHeading: '比較',
+      comparisonClear: 'クリア',
+      comparisonSizeColumn: 'サイズ',
+      comparisonRemoveColumn: '削除',
+      comparisonLegend: '強調表示のセルはブランドの影響で標準サイズと異なり、強調表示の列は行ごとに値が異なる箇所です。',
+      comparisonAdd: '比較に追加（{count}/{max}）',
+      comparisonFull: '比較がいっぱいです（{max}）',
+      comparisonNeedsSize: '先に換算できるサイズを選んでください。',
+      comparisonRestarted: 'この表の新しい比較を開始しました。',
+      comparisonDuplicate: 'すでに比較に入っています。',
+      comparisonStandard: '標準サイズ：{value}',
+      comparisonRemove: '{label}を比較から削除'
+    },
+    pt: {
+      dataLoading: 'Aguarde o carregamento dos dados de tamanhos e tente novamente.',
+      converterEmpty: 'Selecione seu tamanho para ver as conversões',
+      sizeNotFound: 'Tamanho não encontrado. Verifique o que digitou e tente novamente.',
+      regionNoData: 'Ainda não há dados para esta região.',
+      noSizesCombo: 'Nenhum tamanho disponível para esta combinação. Tente outra categoria ou gênero.',
+      shoeSizeError: 'Digite um tamanho de calçado numérico válido (ex.: 9; 9,5; 42; infantil 10C ou 3Y).',
+      shoeSizeRangeError: 'Digite um tamanho válido para a região selecionada.',
+      clothingSizeError: 'Use apenas tamanhos padrão (XS–XXXL, valores numéricos como 32 ou 15,5, ou tamanhos de sutiã como 34B).',
+      selectSize: 'Selecione o tamanho',
+      selectGenderFirst: 'Selecione o gênero primeiro',
+      selectClothingType: 'Selecione o tipo de roupa',
+      selectClothingTypeFirst: 'Selecione o tipo de roupa primeiro',
+      standardSizing: 'Tamanho padrão (sem marca)',
+      chooseBrandFirst: 'Escolha uma marca primeiro',
+      anyBrandModel: 'Qualquer modelo {brand}',
+      convertedSizes: 'Tamanhos convertidos: {list}.',
+      regionUS: 'Estados Unidos',
+      regionUK: 'Reino Unido',
+      regionEU: 'União Europeia',
+      regionJP: 'Japão',
+      regionCN: 'China',
+      regionFR: 'França',
+      regionAU: 'Austrália',
+      regionKR: 'Coreia do Sul (mm)',
+      regionMX: 'México',
+      regionBR: 'Brasil',
+      regionCM: 'Centímetros',
+      regionINCH: 'Polegadas',
+      regionMP: 'Mondopoint',
+      measureChest: 'Peito',
+      measureWaist: 'Cintura',
+      measureHips: 'Quadril',
+      measureInseam: 'Entrepernas',
+      measureNeck: 'Pescoço',
+      measureSleeve: 'Manga',
+      measureUnderbust: 'Abaixo do busto',
+      measureBust: 'Busto',
+      trouserWaist: 'Calça: cintura {waist} (drop de {drop}″)',
+      mondopointShell: 'Casco da bota {shell}',
+      labelGender: 'Gênero',
+      labelFromRegion: 'Região de origem',
+      labelSize: 'Tamanho',
+      genderMen: 'Masculino',
+      genderWomen: 'Feminino',
+      genderKids: 'Infantil',
+      labelShoeBrand: 'Marca (opcional)',
+      labelShoeModel: 'Modelo (opcional)',
+      sizePlaceholder: 'Digite o tamanho (ex.: 9, 42 ou infantil 10C)',
+      sizeHelper: 'Digite um tamanho válido para a região selecionada.',
+      resultsHeading: 'Tamanhos convertidos',
+      autoNote: 'Os resultados são atualizados automaticamente conforme você seleciona as opções',
+      labelCategory: 'Categoria',
+      clothingTops: 'Blusas e camisetas',
+      clothingPants: 'Calças',
+      clothingDresses: 'Vestidos',
+      clothingSkirts: 'Saias',
+      clothingJackets: 'Jaquetas e ternos',
+      clothingJacketsWomen: 'Jaquetas',
+      clothingShirts: 'Camisas sociais (colarinho)',
+      clothingBras: 'Sutiãs',
+      clothingSwimwear: 'Moda praia',
+      clothingSizePlaceholder: 'Digite um tamanho padrão (XS–XXXL, 32–48, 15,5 ou 34B)',
+      shoeBrandHint: 'Opcional: ajusta o comprimento do pé conforme o caimento conhecido da marca (ou do modelo) antes da correspondência. Sem seleção, a conversão padrão não muda.',
+      brandHint: 'Opcional: desloca a tabela uma linha quando a marca costuma vestir pequeno ou grande. Sem seleção, a conversão padrão não muda.',
+      dataLoadError: 'Erro ao carregar os dados de tamanhos. Atualize a página.',
+      copyLink: 'Copiar link para este resultado',
+      linkCopied: 'Link copiado',
+      copyLinkPrompt: 'Copie este link:',
+      sizingFor: 'Tamanhos para',
+      profileNow: '{name}: agora, cerca de US {size}',
+      profileNowMeasured: '{name}: agora, cerca de US {size} (medido em {date})',
+      profileStill: '{now}; provavelmente ainda US {size} daqui a {months} meses.',
+      profileAhead: '{now}; comprando com {months} meses de antecedência, conte com cerca de US {size} (≈ {cm}).',
+      chartMen: 'tabela masculina',
+      chartWomen: 'tabela feminina',
+      chartKids: 'tabela infantil',
+      shoeBelowChart: '{input} está abaixo do menor tamanho da nossa {chart} ({edge}).',
+      shoeAboveChart: '{input} está acima do maior tamanho da nossa {chart} ({edge}).',
+      shoeNoExtrapolate: 'Não extrapolamos além da tabela: consulte o guia de tamanhos da marca.',
+      shoeBetween: '{input} fica entre {lower} e {upper}.',
+      shoeNearest: 'Mais próximo: {nearest} ({diff}) · {confidence}.',
+      cmLonger: '{cm} mais longo',
+      cmShorter: '{cm} mais curto',
+      confidenceHigh: 'confiança alta',
+      confidenceMedium: 'confiança média',
+      confidenceLow: 'confiança baixa',
+      brandFitFallback: 'caimento da marca',
+      brandNoAdjustment: '{name}: sem ajuste.',
+      brandAdjusted: 'Ajustado para {name} ({shift}; comparado como {adjusted} em vez de {foot}).',
+      clothingBrandAdjusted: 'Ajustado para a marca: {brand} ({fit})',
+      fitRunsSmall: 'veste pequeno',
+      fitRunsLarge: 'veste grande',
+      fitTrueToSize: 'veste fiel ao tamanho',
+      kidsSize: 'Infantil US {size} · idade típica: {age}.',
+      kidsSizeScale: 'Infantil US {size} ({scale}) · idade típica: {age}.',
+      kidsScaleC: 'C = criança: bebê, primeiros passos e crianças pequenas',
+      kidsScaleY: 'Y = juvenil / crianças maiores',
+      ageUnderOne: 'menos de 1 ano',
+      ageAboutOne: 'cerca de 1 ano',
+      ageAbout: 'cerca de {years} anos',
+      kidsAdultSize: 'O mesmo comprimento corresponde a {sizes} nas tabelas adultas.',
+      adultMenUs: 'masculino US {size}',
+      adultWomenUs: 'feminino US {size}',
+      listOr: '{first} ou {second}',
+      comparisonHeading: 'Comparação',
+      comparisonClear: 'Limpar',
+      comparisonSizeColumn: 'Tamanho',
+      comparisonRemoveColumn: 'Remover',
+      comparisonLegend: 'As células destacadas diferem do tamanho padrão por causa da marca; as colunas destacadas mostram onde as linhas divergem.',
+      comparisonAdd: 'Adicionar à comparação ({count}/{max})',
+      comparisonFull: 'Comparação cheia ({max})',
+      comparisonNeedsSize: 'Escolha primeiro um tamanho que possa ser convertido.',
+      comparisonRestarted: 'Nova comparação iniciada para esta tabela.',
+      comparisonDuplicate: 'Já está na comparação.',
+      comparisonStandard: 'Tamanho padrão: {value}',
+      comparisonRemove: 'Remover {label} da comparação'
+    },
+    // Regional English used by the market mirrors; only the words that differ from US English
+    'en-GB': {
+      regionCM: 'Centimetres',
+      measureInseam: 'Inside leg',
+      clothingPants: 'Trousers'
+    },
+    'en-CA': {
+      regionCM: 'Centimetres'
+    }
+  };
+
+  /**
+   * English-language market mirrors under /<market>/ (the programmatic generator writes them).
+   * lang: <html lang>; hreflang: alternate codes the mirror answers for; locale: message table
+   * for local spelling; from: default From region (first one the form offers); to: region the
+   * results highlight; units: foot length and body measurements shown in cm or in.
+   */
+  var MARKETS = {
+    us: { label: 'US', lang: 'en-US', hreflang: ['en-US'], locale: 'en', from: ['US'], to: 'EU', units: 'in' },
+    uk: { label: 'UK', lang: 'en-GB', hreflang: ['en-GB'], locale: 'en-GB', from: ['UK'], to: 'US', units: 'cm' },
+    eu: { label: 'EU', lang: 'en-GB', hreflang: ['en-IE', 'en-DE', 'en-FR', 'en-ES', 'en-IT', 'en-NL'], locale: 'en-GB', from: ['EU'], to: 'US', units: 'cm' },
+    ca: { label: 'Canada', lang: 'en-CA', hreflang: ['en-CA'], locale: 'en-CA', from: ['US'], to: 'EU', units: 'cm' }, // Canada sizes like the US
+    au: { label: 'Australia', lang: 'en-AU', hreflang: ['en-AU', 'en-NZ'], locale: 'en-GB', from: ['AU', 'UK'], to: 'US', units: 'cm' },
+    in: { label: 'India', lang: 'en-IN', hreflang: ['en-IN'], locale: 'en-GB', from: ['UK'], to: 'US', units: 'cm' } // Indian retail sizes on the UK scale
+  };
+
+  function isLocale(code) {
+    return LOCALES.indexOf(code) !== -1;
+  }
+
+  function isMarket(code) {
+    return Object.prototype.hasOwnProperty.call(MARKETS, code);
+  }
+
+  /** Market key for a /<market>/… path ('uk', 'eu' …), null elsewhere. */
+  function marketFromPath(pathname) {
+    var segment = String(pathname || '').split('/')[1] || '';
+    return isMarket(segment) ? segment : null;
+  }
+
+  /** 'pt-BR' → 'pt'; null when the language is not one we translate. */
+  function matchLocale(tag) {
+    var primary = String(tag || '').toLowerCase().split(/[-_]/)[0];
+    return isLocale(primary) ? primary : null;
+  }
+
+  /**
+   * Locale for a page: the /<locale>/ path prefix when there is one, a market mirror's regional
+   * English under /<market>/, otherwise the first of the browser's languages we translate,
+   * otherwise English.
+   * @param {string} [pathname] - location.pathname
+   * @param {string[]} [languages] - navigator.languages (most preferred first)
+   */
+  function detectLocale(pathname, languages) {
+    var segment = String(pathname || '').split('/')[1] || '';
+    if (isLocale(segment)) return segment;
+    if (isMarket(segment)) return MARKETS[segment].locale;
+    var list = languages || [];
+    for (var i = 0; i < list.length; i++) {
+      var match = matchLocale(list[i]);
+      if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  /**
+   * Message for key in locale, then in its base language ('en-GB' → 'en'), then in English; the
+   * key itself when none has it.
+   * @param {Object<string, *>} [params] - fills {name} placeholders
+   */
+  function t(locale, key, params) {
+    var tables = [MESSAGES[locale], MESSAGES[baseLanguage(locale)], MESSAGES[DEFAULT_LOCALE]];
+    var message = null;
+    for (var i = 0; i < tables.length && message == null; i++) {
+      if (tables[i] && tables[i][key] != null) message = tables[i][key];
+    }
+    if (message == null) return key;
+    return message.replace(/\{(\w+)\}/g, function (whole, name) {
+      return params && params[name] != null ? String(params[name]) : whole;
+    });
+  }
+
+  function baseLanguage(locale) {
+    return String(locale || '').split('-')[0];
+  }
+
+  function decimalSeparator(locale) {
+    return (LOCALE_INFO[locale] || LOCALE_INFO[baseLanguage(locale)] || LOCALE_INFO[DEFAULT_LOCALE]).decimal;
+  }
+
+  /**
+   * Write the decimals of a size or measurement the locale's way: 42.5 → "42,5" in de/fr/es/pt.
+   * Labels are left alone apart from their decimals ("1.5Y" → "1,5Y", "M" and "175/96A" unchanged).
+   */
+  function formatNumber(value, locale) {
+    if (value == null) return '';
+    var text = String(value);
+    var sep = decimalSeparator(locale);
+    return sep === '.' ? text : text.replace(/(\d)\.(\d)/g, '$1' + sep + '$2');
+  }
+
+  /** Typed size with a decimal comma ("42,5", "1,5Y") in the dot form the converters parse. */
+  function parseDecimal(input) {
+    if (input == null) return input;
+    return String(input).replace(/^(\s*\d+),(\d+)/, '$1.$2');
+  }
+
+  /** Site path of a page in a locale: English at the root, others under /<locale>/. */
+  function localizedPath(relPath, locale) {
+    var clean = String(relPath || '').replace(/^\/+/, '');
+    return !locale || locale === DEFAULT_LOCALE ? clean : locale + '/' + clean;
+  }
+
+  /**
+   * hreflang alternates of a page published in several locales and market mirrors, plus
+   * x-default pointing at the English page. Every variant must carry the same set (head and
+   * sitemap alike).
+   * @param {string} baseUrl - e.g. https://globalsizechart.com
+   * @param {string} relPath - English page path, e.g. shoe-size-converter.html
+   * @param {string[]} locales - locales the page exists in
+   * @param {string[]} [markets] - market mirrors the page exists in ('uk', 'eu' …)
+   * @returns {{hreflang: string, href: string}[]}
+   */
+  function hreflangAlternates(baseUrl, relPath, locales, markets) {
+    var base = String(baseUrl).replace(/\/+$/, '');
+    // Directory pages are published as /uk/, not /uk/index.html
+    var url = function (sitePath) {
+      return base + '/' + sitePath.replace(/(^|\/)index\.html$/, '$1');
+    };
+    var out = [];
+    (locales || []).filter(isLocale).forEach(function (locale) {
+      out.push({ hreflang: locale, href: url(localizedPath(relPath, locale)) });
+    });
+    (markets || []).filter(isMarket).forEach(function (market) {
+      MARKETS[market].hreflang.forEach(function (code) {
+        out.push({ hreflang: code, href: url(market + '/' + localizedPath(relPath, DEFAULT_LOCALE)) });
+      });
+    });
+    out.push({ hreflang: 'x-default', href: url(localizedPath(relPath, DEFAULT_LOCALE)) });
+    return out;
+  }
+
+  /** hreflangAlternates() as <link rel="alternate"> tags, one per line. */
+  function hreflangLinks(baseUrl, relPath, locales, markets) {
+    return hreflangAlternates(baseUrl, relPath, locales, markets).map(function (alt) {
+      return '<link rel="alternate" hreflang="' + alt.hreflang + '" href="' + alt.href + '">';
+    }).join('\n');
+  }
+
+  var I18n = {
+    DEFAULT_LOCALE: DEFAULT_LOCALE,
+    LOCALES: LOCALES,
+    LOCALE_INFO: LOCALE_INFO,
+    MESSAGES: MESSAGES,
+    MARKETS: MARKETS,
+    isLocale: isLocale,
+    isMarket: isMarket,
+    marketFromPath: marketFromPath,
+    matchLocale: matchLocale,
+    detectLocale: detectLocale,
+    t: t,
+    decimalSeparator: decimalSeparator,
+    formatNumber: formatNumber,
+    parseDecimal: parseDecimal,
+    localizedPath: localizedPath,
+    hreflangAlternates: hreflangAlternates,
+    hreflangLinks: hreflangLinks
+  };
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+  } else {
+    global.I18n = I18n;
+  }
+})(typeof window !== 'undefined' ? window : global);
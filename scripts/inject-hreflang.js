@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * hreflang alternates for every page that exists in more than one variant — translated locales
+ * under /<locale>/ and market mirrors under /<market>/ (scripts/i18n.js). Each variant gets the
+ * same <!-- HREFLANG --> block after its canonical link, with x-default → the English page, and
+ * an <html lang> matching its variant (en-GB on /uk/ …). Pages whose variants are gone lose the
+ * block. Idempotent.
+ *
+ * The generators refresh these blocks themselves; run this after adding or removing variant
+ * pages by hand.
+ *
+ * Usage: node scripts/inject-hreflang.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitVariantPath, refreshHreflang } = require('./lib/page-variants.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const IGNORE_DIRS = new Set(['node_modules', '.git', 'scripts', 'sitemaps', 'components', 'build']);
+
+function walkHtmlFiles(dir = '.', prefix = '') {
+  const out = [];
+  const full = path.join(ROOT, dir);
+  if (!fs.existsSync(full)) return out;
+  for (const ent of fs.readdirSync(full, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${ent.name}` : ent.name;
+    if (ent.isDirectory()) {
+      if (IGNORE_DIRS.has(ent.name)) continue;
+      out.push(...walkHtmlFiles(path.join(dir, ent.name), rel));
+    } else if (ent.isFile() && ent.name.endsWith('.html')) {
+      out.push(rel.replace(/\\/g, '/'));
+    }
+  }
+  return out;
+}
+
+function main() {
+  const pages = new Set(walkHtmlFiles().map(rel => splitVariantPath(rel).relPath));
+  let written = 0;
+  let skipped = 0;
+  for (const relPath of pages) {
+    if (!fs.existsSync(path.join(ROOT, relPath))) {
+      skipped++; // variant without an English page: nothing for x-default to point at
+      continue;
+    }
+    written += refreshHreflang(relPath);
+  }
+  console.log('inject-hreflang: %d pages updated%s', written, skipped ? `, ${skipped} variant-only page(s) skipped` : '');
+}
+
+main();
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Load scripts/i18n.js before app.js on every page; app.js reads its messages from window.I18n.
+ * Idempotent: skips pages that already reference i18n.js.
+ *
+ * Usage: node scripts/inject-i18n-script.js [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const IGNORE_DIRS = new Set(['node_modules', '.git', 'scripts', 'sitemaps', 'components']);
+
+/** <script src="{prefix}app.js">; prefix is "", "/", "../" … */
+const APP_SCRIPT_RE = /<script\b([^>]*?)\bsrc=(["'])((?:\/|(?:\.\.\/)*)?)app\.js\2([^>]*)><\/script>/i;
+
+function walkHtmlFiles(dir = '.', prefix = '') {
+  const out = [];
+  const full = path.join(ROOT, dir);
+  if (!fs.existsSync(full)) return out;
+  for (const ent of fs.readdirSync(full, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${ent.name}` : ent.name;
+    if (ent.isDirectory()) {
+      if (IGNORE_DIRS.has(ent.name)) continue;
+      out.push(...walkHtmlFiles(path.join(dir, ent.name), rel));
+    } else if (ent.isFile() && ent.name.endsWith('.html')) {
+      out.push(rel.replace(/\\/g, '/'));
+    }
+  }
+  return out;
+}
+
+function injectI18n(html) {
+  if (html.includes('scripts/i18n.js')) return html;
+  const m = html.match(APP_SCRIPT_RE);
+  if (!m) return html;
+  const [, before, quote, rootPrefix, after] = m;
+  const tag = `<script${before}src=${quote}${rootPrefix}scripts/i18n.js${quote}${after}></script>`;
+  const lineStart = html.lastIndexOf('\n', m.index) + 1;
+  const indent = /^[ \t]*$/.test(html.slice(lineStart, m.index)) ? html.slice(lineStart, m.index) : '';
+  return html.slice(0, m.index) + `${tag}\n${indent}` + html.slice(m.index);
+}
+
+function main() {
+  const dry = process.argv.includes('--dry-run');
+  let n = 0;
+  for (const rel of walkHtmlFiles('.')) {
+    const abs = path.join(ROOT, rel);
+    const html = fs.readFileSync(abs, 'utf8');
+    const next = injectI18n(html);
+    if (next === html) continue;
+    if (!dry) fs.writeFileSync(abs, next, 'utf8');
+    n++;
+  }
+  console.log('inject-i18n-script: %d pages updated%s', n, dry ? ' (dry-run)' : '');
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { injectI18n };
+}
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Add the newer shoe regions to every static "From Region" shoe dropdown:
+ * KR, MX, BR, AU straight after CN, and INCH and MP (Mondopoint) straight after CM.
+ * Only selects that already offer CM are touched (clothing selects have no CM option).
+ * Existing options for these codes are moved into place and relabelled.
+ * Idempotent: a select that already lists them in place is left unchanged.
+ *
+ * Usage: node scripts/inject-shoe-region-options.js [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const IGNORE_DIRS = new Set(['node_modules', '.git', 'scripts', 'sitemaps', 'components', 'templates']);
+
+/** Same labels and order as REGION_LABELS in generate-programmatic-pages.js. */
+const SHOE_REGION_OPTION_GROUPS = [
+  {
+    after: 'CN',
+    options: [
+      { code: 'KR', label: 'Korea (KR)' },
+      { code: 'MX', label: 'Mexico (MX)' },
+      { code: 'BR', label: 'Brazil (BR)' },
+      { code: 'AU', label: 'Australia (AU)' }
+    ]
+  },
+  {
+    after: 'CM',
+    options: [
+      { code: 'INCH', label: 'Inches (IN)' },
+      { code: 'MP', label: 'Mondopoint (MP)' }
+    ]
+  }
+];
+
+const FROM_REGION_SELECT_RE = /<select\b[^>]*\bname="fromRegion"[^>]*>[\s\S]*?<\/select>/g;
+
+function walkHtmlFiles(dir = '.', prefix = '') {
+  const out = [];
+  const full = path.join(ROOT, dir);
+  if (!fs.existsSync(full)) return out;
+  for (const ent of fs.readdirSync(full, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${ent.name}` : ent.name;
+    if (ent.isDirectory()) {
+      if (IGNORE_DIRS.has(ent.name)) continue;
+      out.push(...walkHtmlFiles(path.join(dir, ent.name), rel));
+    } else if (ent.isFile() && ent.name.endsWith('.html')) {
+      out.push(rel.replace(/\\/g, '/'));
+    }
+  }
+  return out;
+}
+
+function optionLineRe(code) {
+  return new RegExp(`\\n[ \\t]*<option value="${code}"[^>]*>[^<]*<\\/option>`);
+}
+
+function anchorRe(code) {
+  return new RegExp(`\\n([ \\t]*)<option value="${code}"[^>]*>[^<]*<\\/option>`);
+}
+
+function syncGroup(select, { after, options }) {
+  const anchor = select.match(anchorRe(after));
+  if (!anchor) return select;
+  const wanted = options
+    .map(({ code, label }) => `\n${anchor[1]}<option value="${code}">${label}</option>`)
+    .join('');
+  const anchorEnd = anchor.index + anchor[0].length;
+  if (select.slice(anchorEnd, anchorEnd + wanted.length) === wanted) return select;
+
+  let body = select;
+  for (const { code } of options) body = body.replace(optionLineRe(code), '');
+  const again = body.match(anchorRe(after));
+  const at = again.index + again[0].length;
+  return body.slice(0, at) + wanted + body.slice(at);
+}
+
+function syncSelect(select) {
+  if (!select.includes('value="CM"')) return select;
+  return SHOE_REGION_OPTION_GROUPS.reduce(syncGroup, select);
+}
+
+function injectShoeRegionOptions(html) {
+  return html.replace(FROM_REGION_SELECT_RE, syncSelect);
+}
+
+function main() {
+  const dry = process.argv.includes('--dry-run');
+  let n = 0;
+  for (const rel of walkHtmlFiles('.')) {
+    const abs = path.join(ROOT, rel);
+    const html = fs.readFileSync(abs, 'utf8');
+    const next = injectShoeRegionOptions(html);
+    if (next === html) continue;
+    if (!dry) fs.writeFileSync(abs, next, 'utf8');
+    n++;
+  }
+  console.log('inject-shoe-region-options: %d pages updated%s', n, dry ? ' (dry-run)' : '');
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { injectShoeRegionOptions };
+}
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Load scripts/size-engine.js before app.js and scripts/fit-assistant.js on every page.
+ * Both depend on window.SizeEngine. Idempotent: skips pages that already reference size-engine.js.
+ *
+ * Usage: node scripts/inject-size-engine-script.js [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const IGNORE_DIRS = new Set(['node_modules', '.git', 'scripts', 'sitemaps', 'components']);
+
+/** <script src="{prefix}app.js"> or <script src="{prefix}scripts/fit-assistant.js">; prefix is "", "/", "../" … */
+const DEPENDENT_SCRIPT_RE = /<script\b([^>]*?)\bsrc=(["'])((?:\/|(?:\.\.\/)*)?)(app\.js|scripts\/fit-assistant\.js)\2([^>]*)><\/script>/i;
+
+function walkHtmlFiles(dir = '.', prefix = '') {
+  const out = [];
+  const full = path.join(ROOT, dir);
+  if (!fs.existsSync(full)) return out;
+  for (const ent of fs.readdirSync(full, { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${ent.name}` : ent.name;
+    if (ent.isDirectory()) {
+      if (IGNORE_DIRS.has(ent.name)) continue;
+      out.push(...walkHtmlFiles(path.join(dir, ent.name), rel));
+    } else if (ent.isFile() && ent.name.endsWith('.html')) {
+      out.push(rel.replace(/\\/g, '/'));
+    }
+  }
+  return out;
+}
+
+function injectSizeEngine(html) {
+  if (html.includes('size-engine.js')) return html;
+  const m = html.match(DEPENDENT_SCRIPT_RE);
+  if (!m) return html;
+  const [, before, quote, rootPrefix, , after] = m;
+  const engineTag = `<script${before}src=${quote}${rootPrefix}scripts/size-engine.js${quote}${after}></script>`;
+  const lineStart = html.lastIndexOf('\n', m.index) + 1;
+  const indent = /^[ \t]*$/.test(html.slice(lineStart, m.index)) ? html.slice(lineStart, m.index) : '';
+  return html.slice(0, m.index) + `${engineTag}\n${indent}` + html.slice(m.index);
+}
+
+function main() {
+  const dry = process.argv.includes('--dry-run');
+  let n = 0;
+  for (const rel of walkHtmlFiles('.')) {
+    const abs = path.join(ROOT, rel);
+    const html = fs.readFileSync(abs, 'utf8');
+    const next = injectSizeEngine(html);
+    if (next === html) continue;
+    if (!dry) fs.writeFileSync(abs, next, 'utf8');
+    n++;
+  }
+  console.log('inject-size-engine-script: %d pages updated%s', n, dry ? ' (dry-run)' : '');
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { injectSizeEngine };
+}
@@ -0,0 +1,27 @@
+/**
+ * Minimal harness for the behaviour checks in scripts/checks/*.check.js (npm test).
+ * A check file registers named checks with check(name, fn); scripts/run-checks.js loads every
+ * check file and runs them in order. A check fails when fn throws (node's assert).
+ */
+
+const checks = [];
+
+/** Register a check; name reads "<area>: <what must hold>". */
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+/** Run every registered check, one after another. @returns {Promise<{ total: number, failures: string[] }>} */
+async function runChecks() {
+  const failures = [];
+  for (const c of checks) {
+    try {
+      await c.fn();
+    } catch (e) {
+      failures.push(c.name + ': ' + String(e && e.message).replace(/\s*\n+\s*/g, ' '));
+    }
+  }
+  return { total: checks.length, failures };
+}
+
+module.exports = { check, runChecks };
@@ -0,0 +1,107 @@
+/**
+ * Minimal JSON Schema (draft-07 subset) validator for the schemas in data/schemas/.
+ * The repo has no runtime dependencies, so this covers only the keywords those schemas use:
+ * $ref (local "#/definitions/..."), type, enum, const, properties, required,
+ * additionalProperties, patternProperties, propertyNames, items, minItems, maxItems,
+ * minimum, maximum, exclusiveMinimum, minLength, pattern, anyOf.
+ * Any other keyword is ignored, so keep schemas within this list.
+ */
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  const t = typeOf(v);
+  return t === type || (type === 'number' && t === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error('Only local $ref is supported: ' + ref);
+  return ref.slice(2).split('/').reduce((node, key) => node && node[key], root);
+}
+
+function validateNode(value, schema, root, at, errors) {
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) {
+      errors.push(`${at}: unknown $ref ${schema.$ref}`);
+      return;
+    }
+    validateNode(value, target, root, at, errors);
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${at}: expected ${types.join(' | ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some(sub => {
+      const subErrors = [];
+      validateNode(value, sub, root, at, subErrors);
+      return !subErrors.length;
+    });
+    if (!ok) errors.push(`${at}: does not match any allowed shape`);
+  }
+  if ('const' in schema && value !== schema.const) errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: ${value} is below ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: ${value} is above ${schema.maximum}`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) errors.push(`${at}: ${value} must be above ${schema.exclusiveMinimum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => validateNode(item, schema.items, root, `${at}[${i}]`, errors));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing "${key}"`);
+    }
+    const props = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([p, s]) => [new RegExp(p), s]);
+    for (const [key, v] of Object.entries(value)) {
+      const where = `${at}.${key}`;
+      if (schema.propertyNames) validateNode(key, schema.propertyNames, root, `${at} key "${key}"`, errors);
+      let matched = false;
+      if (props[key]) {
+        matched = true;
+        validateNode(v, props[key], root, where, errors);
+      }
+      for (const [re, sub] of patterns) {
+        if (re.test(key)) {
+          matched = true;
+          validateNode(v, sub, root, where, errors);
+        }
+      }
+      if (!matched && schema.additionalProperties === false) errors.push(`${at}: unexpected key "${key}"`);
+      else if (!matched && typeOf(schema.additionalProperties) === 'object') validateNode(v, schema.additionalProperties, root, where, errors);
+    }
+  }
+}
+
+/**
+ * @param {*} value - parsed JSON
+ * @param {object} schema - parsed schema document
+ * @param {string} [label] - prefix for error paths (e.g. the file name)
+ * @returns {string[]} one message per violation (empty when valid)
+ */
+function validate(value, schema, label = '$') {
+  const errors = [];
+  validateNode(value, schema, schema, label, errors);
+  return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,122 @@
+/**
+ * Shared helpers for pages published in several variants: translated locales under /<locale>/
+ * and English market mirrors under /<market>/ (scripts/i18n.js LOCALES / MARKETS).
+ *
+ * The hreflang set of a page is whatever variants exist on disk, so the localized-page generator,
+ * the regional mirrors, inject-hreflang.js and the sitemaps all agree on it.
+ */
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../i18n.js');
+
+const ROOT = path.resolve(__dirname, '../..');
+const BASE_URL = 'https://globalsizechart.com';
+const HREFLANG_START = '<!-- HREFLANG:START -->';
+const HREFLANG_END = '<!-- HREFLANG:END -->';
+const HREFLANG_BLOCK_RE = /<!-- HREFLANG:START -->[\s\S]*?<!-- HREFLANG:END -->\n?[ \t]*/;
+const LOOSE_HREFLANG_RE = /^[ \t]*<link rel="alternate" hreflang="[^"]*" href="[^"]*">[ \t]*\n/gm;
+
+/** 'uk/shoe-size-converter.html' → { variant: 'uk', relPath: 'shoe-size-converter.html' }. */
+function splitVariantPath(relPath) {
+  const clean = relPath.replace(/\\/g, '/').replace(/^\/+/, '');
+  const slash = clean.indexOf('/');
+  const first = slash < 0 ? '' : clean.slice(0, slash);
+  if (first && first !== I18n.DEFAULT_LOCALE && (I18n.isLocale(first) || I18n.isMarket(first))) {
+    return { variant: first, relPath: clean.slice(slash + 1) };
+  }
+  return { variant: null, relPath: clean };
+}
+
+/** Locales (English included) and markets an English page exists in, checked on disk. */
+function variantsOnDisk(relPath, root = ROOT) {
+  const exists = (prefix) => fs.existsSync(path.join(root, prefix, relPath));
+  return {
+    locales: I18n.LOCALES.filter(locale => exists(locale === I18n.DEFAULT_LOCALE ? '' : locale)),
+    markets: Object.keys(I18n.MARKETS).filter(market => exists(market))
+  };
+}
+
+/** hreflang alternates for an English page path, or [] when it has no other variant. */
+function alternatesFor(relPath, variants) {
+  if (variants.locales.length + variants.markets.length < 2) return [];
+  return I18n.hreflangAlternates(BASE_URL, relPath, variants.locales, variants.markets);
+}
+
+/**
+ * Write the <!-- HREFLANG --> block after the canonical link. The block owns the page's hreflang
+ * links: an earlier block and loose hand-written alternates are replaced, and with no alternates
+ * they are removed.
+ */
+function applyHreflangBlock(html, alternates) {
+  const stripped = html.replace(HREFLANG_BLOCK_RE, '').replace(LOOSE_HREFLANG_RE, '');
+  if (!alternates.length) return stripped;
+  const links = alternates.map(alt => `<link rel="alternate" hreflang="${alt.hreflang}" href="${alt.href}">`);
+  const block = [HREFLANG_START, ...links, HREFLANG_END].join('\n  ');
+  return stripped.replace(/(<link rel="canonical"[^>]*>)(\n?)([ \t]*)/, (m, link, nl, indent) => `${link}\n  ${block}\n${indent || '  '}`);
+}
+
+/** <html lang> of a variant: the locale, or the market's regional English (I18n.MARKETS). */
+function variantLang(variant) {
+  if (I18n.isMarket(variant)) return I18n.MARKETS[variant].lang;
+  return variant || I18n.DEFAULT_LOCALE;
+}
+
+/** Set <html lang> to the variant's language so the markup agrees with its hreflang code. */
+function applyVariantLang(html, variant) {
+  return html.replace(/<html\b([^>]*?)\blang="[^"]*"/i, (m, attrs) => `<html${attrs}lang="${variantLang(variant)}"`);
+}
+
+/**
+ * Bring the hreflang block and <html lang> of every existing variant of an English page (the page
+ * itself included) in line with the variants on disk; hand-written market pages included.
+ * @returns {number} files rewritten
+ */
+function refreshHreflang(relPath, root = ROOT) {
+  const variants = variantsOnDisk(relPath, root);
+  const alternates = alternatesFor(relPath, variants);
+  const prefixes = [
+    ...variants.locales.map(locale => (locale === I18n.DEFAULT_LOCALE ? '' : locale)),
+    ...variants.markets
+  ];
+  let written = 0;
+  for (const prefix of prefixes) {
+    const file = path.join(root, prefix, relPath);
+    const html = fs.readFileSync(file, 'utf8');
+    const next = applyVariantLang(applyHreflangBlock(html, alternates), prefix);
+    if (next === html) continue;
+    fs.writeFileSync(file, next, 'utf8');
+    written++;
+  }
+  return written;
+}
+
+/**
+ * Rewrite relative href/src of a page copied from fromRel to toRel so they still reach the same
+ * files. Targets for which keep(target) is true resolve inside the copy and stay as written.
+ */
+function rebaseRelativeUrls(html, fromRel, toRel, keep = () => false) {
+  const fromDir = path.posix.dirname(fromRel);
+  const toDir = path.posix.dirname(toRel);
+  return html.replace(/\b(href|src)=(["'])([^"']*)\2/gi, (m, attr, q, url) => {
+    if (!url || /^(?:[a-z][a-z0-9+.-]*:|\/|#|\?)/i.test(url)) return m;
+    const suffix = url.slice(url.search(/[?#]|$/));
+    const target = path.posix.normalize(path.posix.join(fromDir, url.slice(0, url.length - suffix.length)));
+    if (keep(target)) return m;
+    const rebased = path.posix.relative(toDir, target) || path.posix.basename(target);
+    return `${attr}=${q}${rebased}${url.endsWith('/') && !rebased.endsWith('/') ? '/' : ''}${suffix}${q}`;
+  });
+}
+
+module.exports = {
+  BASE_URL,
+  HREFLANG_START,
+  HREFLANG_END,
+  splitVariantPath,
+  variantsOnDisk,
+  alternatesFor,
+  applyHreflangBlock,
+  variantLang,
+  applyVariantLang,
+  refreshHreflang,
+  rebaseRelativeUrls
+};
@@ -84,12 +84,12 @@ function getRelatedSizeGridHtml(_route, _allRoutes, _getFromRegionLabel, _maxLin
 }
 
 // --- Breadcrumb (Step 4): Home > Shoe Converter > Region > Size Pair ---
-const REGION_NAMES = { US: 'US', UK: 'UK', EU: 'EU', JP: 'Japan', CN: 'China', CM: 'CM' };
+const REGION_NAMES = { US: 'US', UK: 'UK', EU: 'EU', JP: 'Japan', CN: 'China', KR: 'Korea', MX: 'Mexico', BR: 'Brazil', AU: 'Australia', CM: 'CM', MP: 'Mondopoint' };
 function getFromRegionLabel(region) {
   return REGION_NAMES[region] || region;
 }
 function getRegionSlugSegment(region) {
-  const map = { EU: 'eu', US: 'us', UK: 'uk', JP: 'japan', CM: 'cm', CN: 'china' };
+  const map = { EU: 'eu', US: 'us', UK: 'uk', JP: 'japan', CM: 'cm', CN: 'china', MP: 'mondopoint' };
   return map[region] || (region && region.toLowerCase()) || region;
 }
 
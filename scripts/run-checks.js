@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Behaviour Checks — npm test
+ *
+ * Loads every scripts/checks/*.check.js (one file per feature area, each pinning what its
+ * request shipped) and runs the checks they register (scripts/lib/check-harness.js).
+ * Checks read the real data/ and pages on disk and never write to the tree.
+ *
+ * Can be run standalone: node scripts/run-checks.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runChecks } = require('./lib/check-harness.js');
+
+const CHECKS_DIR = path.join(__dirname, 'checks');
+
+async function run() {
+  fs.readdirSync(CHECKS_DIR)
+    .filter(f => f.endsWith('.check.js'))
+    .sort()
+    .forEach(f => require(path.join(CHECKS_DIR, f)));
+  const { total, failures } = await runChecks();
+  if (failures.length) {
+    console.error('Behaviour checks FAILED (' + failures.length + ' of ' + total + ')');
+    failures.forEach(f => console.error('  - ' + f));
+    return false;
+  }
+  console.log('Behaviour checks: OK (' + total + ' checks).');
+  return true;
+}
+
+if (require.main === module) {
+  run().then(ok => process.exit(ok ? 0 : 1));
+}
+
+module.exports = { run };
@@ -0,0 +1,1480 @@
+/**
+ * Size Engine — shared, DOM-free conversion library.
+ * One implementation of the CM-anchor shoe engine and the clothing row lookups, used by
+ * app.js (live converters), FitAssistant and the page generators so static pages and the
+ * live converter can never disagree.
+ *
+ * Browser: window.SizeEngine (load before app.js / fit-assistant.js)
+ * Node: const SizeEngine = require('./size-engine.js')
+ *
+ * Every function takes its data explicitly (raw dataset or a db from buildSizeDatabase);
+ * nothing here reads module-level state.
+ */
+
+(function (global) {
+  'use strict';
+
+  var GENDERS = ['men', 'women', 'kids'];
+  /** Dataset keys for shoe regions, in display order. CM is the universal anchor. KR is foot length in mm. */
+  var SHOE_REGION_KEYS = ['us', 'uk', 'eu', 'jp', 'cn', 'kr', 'mx', 'br', 'au', 'cm'];
+  /** Shoe regions derived from the cm column rather than stored in the dataset (MP is Mondopoint). */
+  var DERIVED_SHOE_REGION_KEYS = ['inch', 'mp'];
+  var SHOE_CONVERSION_KEYS = SHOE_REGION_KEYS.concat(DERIVED_SHOE_REGION_KEYS);
+  /** Clothing region columns. FR and AU only exist where a category has its own scale (bras). */
+  var CLOTHING_REGION_KEYS = ['us', 'uk', 'eu', 'jp', 'cn', 'fr', 'au'];
+
+  /**
+   * Inch ⇄ cm rounding shared with the measurement tools: inches to 0.01 in, cm to 0.1 cm.
+   * An inch input is always rounded to cm this way before it is matched against the chart.
+   */
+  var INCH_TO_CM = 2.54;
+  var INCH_DECIMALS = 2;
+  var CM_DECIMALS = 1;
+
+  /**
+   * Mondopoint (ISO 9407, the ski and snowboard boot scale) is foot length in cm to the nearest
+   * half size: 26.5 is a 265 mm foot. Boot shells come in full sizes, so a half size shares the
+   * shell below it (26 and 26.5 are one shell) and only the liner and footbed differ.
+   */
+  var MONDOPOINT_STEP = 0.5;
+  /** Clothing dataset categories; a gender carries only the ones it has rows for. */
+  var CLOTHING_CATEGORIES = ['tops', 'pants', 'dresses', 'skirts', 'jackets', 'shirts', 'bras', 'swimwear'];
+
+  /** Full dropdown labels / aliases → codes (must match shoe DB keys when uppercased). */
+  var SHOE_REGION_LABEL_MAP = {
+    'United States (US)': 'US',
+    'United States / Canada (US)': 'US',
+    'United Kingdom (UK)': 'UK',
+    'European Union (EU)': 'EU',
+    'Europe (EU)': 'EU',
+    'Japan (JP)': 'JP',
+    'China (CN)': 'CN',
+    China: 'CN',
+    'Korea (KR)': 'KR',
+    'South Korea (KR)': 'KR',
+    'Mexico (MX)': 'MX',
+    'Brazil (BR)': 'BR',
+    'Australia (AU)': 'AU',
+    'Centimeters (CM)': 'CM',
+    Inch: 'INCH',
+    'Inches (IN)': 'INCH',
+    Mondopoint: 'MP',
+    'Mondopoint (MP)': 'MP'
+  };
+
+  function isBlank(v) {
+    return v == null || String(v).trim() === '';
+  }
+
+  /**
+   * Normalize region for shoe logic (dataset keys are lowercase us, uk, eu, jp, cn, kr, mx, br, au, cm;
+   * INCH and MP are derived from cm).
+   * @param {string} raw - option value or label text
+   * @returns {string} US | UK | EU | JP | CN | KR | MX | BR | AU | CM | INCH | MP | … (uppercase code)
+   */
+  function normalizeShoeRegion(raw) {
+    if (raw == null) return '';
+    var s = String(raw).trim();
+    if (!s) return '';
+    if (Object.prototype.hasOwnProperty.call(SHOE_REGION_LABEL_MAP, s)) {
+      return SHOE_REGION_LABEL_MAP[s];
+    }
+    if (/^china$/i.test(s)) return 'CN';
+    if (/^mondo(point)?$/i.test(s)) return 'MP';
+    return s.toUpperCase();
+  }
+
+  /** cm → inches as a display string ('' for blank or non-numeric input). */
+  function cmToIn(cm) {
+    if (isBlank(cm) || isNaN(Number(cm))) return '';
+    return (Number(cm) / INCH_TO_CM).toFixed(INCH_DECIMALS);
+  }
+
+  /** inches → cm as a display string ('' for blank or non-numeric input). */
+  function inToCm(inches) {
+    if (isBlank(inches) || isNaN(Number(inches))) return '';
+    return (Number(inches) * INCH_TO_CM).toFixed(CM_DECIMALS);
+  }
+
+  /** Foot length in cm → Mondopoint size (nearest half), or null for blank or non-numeric input. */
+  function mondopoint(cm) {
+    if (isBlank(cm) || isNaN(Number(cm))) return null;
+    return Math.round(Number(cm) / MONDOPOINT_STEP) * MONDOPOINT_STEP;
+  }
+
+  /**
+   * Boot shell a Mondopoint size is built on: the full size and the half size above it.
+   * @returns {{ shell: number, sizes: number[], label: string }|null} e.g. 26.5 → { shell: 26, sizes: [26, 26.5], label: '26/26.5' }
+   */
+  function mondopointShell(value) {
+    var mp = mondopoint(value);
+    if (mp == null) return null;
+    var shell = Math.floor(mp);
+    var half = shell + MONDOPOINT_STEP;
+    return { shell: shell, sizes: [shell, half], label: shell + '/' + half };
+  }
+
+  /** Lowercase dataset key for a region code or label (e.g. 'Japan (JP)' → 'jp'). */
+  function regionKey(raw) {
+    return String(normalizeShoeRegion(raw || '') || raw || '').trim().toLowerCase();
+  }
+
+  /** Numeric sizes sort numerically; letter sizes fall back to string order. */
+  function compareSizeValues(a, b) {
+    var na = Number(a.value), nb = Number(b.value);
+    if (!isNaN(na) && !isNaN(nb)) return na - nb;
+    // Band + cup ("34B", "B75") and height/chest ("175/96A") labels order by their number first
+    var ma = String(a.value).match(/\d+(\.\d+)?/g), mb = String(b.value).match(/\d+(\.\d+)?/g);
+    for (var i = 0; ma && mb && i < Math.min(ma.length, mb.length); i++) {
+      if (Number(ma[i]) !== Number(mb[i])) return Number(ma[i]) - Number(mb[i]);
+    }
+    return String(a.value).localeCompare(String(b.value));
+  }
+
+  /**
+   * Build size database from row data only. No arithmetic generation, no step loops.
+   * Shoes: each region gets explicit { value, cm } from rows (CM is universal anchor).
+   * Clothing: explicit value lists from rows (letter or numeric from dataset).
+   * @param {object} shoeData - same shape as data/shoe_sizes.json
+   * @param {object} clothingData - same shape as data/clothing_sizes.json
+   * @param {object} [brandShoeOffsets] - same shape as data/brand_shoe_offsets.json
+   * @returns {{ shoes: object, clothing: object, brands: object }}
+   */
+  function buildSizeDatabase(shoeData, clothingData, brandShoeOffsets) {
+    var db = { shoes: {}, clothing: {} };
+    GENDERS.forEach(function (gender) {
+      if (!shoeData || !shoeData[gender]) return;
+      db.shoes[gender] = {};
+      SHOE_REGION_KEYS.forEach(function (rk) {
+        var scaled = isKidsScaleColumn(shoeData[gender], rk);
+        // Only sizes that exist in the dataset; each has explicit cm from the row
+        var sizes = shoeData[gender]
+          .map(function (row) { return { value: shoeRowLabel(row, rk), cm: row.cm }; })
+          .filter(function (s) { return s.value != null && s.cm != null; });
+        // Dedupe by value (keep first cm)
+        var seen = {};
+        var unique = sizes.filter(function (s) {
+          var k = String(s.value);
+          if (seen[k]) return false;
+          seen[k] = true;
+          return true;
+        });
+        // C/Y labels restart at 1Y, so those columns keep foot-length order
+        unique.sort(scaled ? function (a, b) { return a.cm - b.cm; } : compareSizeValues);
+        db.shoes[gender][rk] = { regionCode: rk.toUpperCase(), sizes: unique, scaled: scaled };
+      });
+      // INCH mirrors the cm column, converted with the shared rounding
+      db.shoes[gender].inch = {
+        regionCode: 'INCH',
+        sizes: db.shoes[gender].cm.sizes.map(function (s) {
+          return { value: parseFloat(cmToIn(s.cm)), cm: s.cm };
+        })
+      };
+      // MP is the cm column on the Mondopoint half-size grid; rows rounding to the same size keep the first
+      var seenMp = {};
+      db.shoes[gender].mp = {
+        regionCode: 'MP',
+        sizes: db.shoes[gender].cm.sizes
+          .map(function (s) { return { value: mondopoint(s.cm), cm: s.cm }; })
+          .filter(function (s) {
+            if (seenMp[s.value]) return false;
+            seenMp[s.value] = true;
+            return true;
+          })
+      };
+    });
+    // Brand shoe overrides, keyed by lowercase brand name for case-insensitive lookup
+    db.brands = {};
+    var brands = (brandShoeOffsets && brandShoeOffsets.brands) || {};
+    Object.keys(brands).forEach(function (name) {
+      db.brands[name.toLowerCase()] = {
+        name: name,
+        default: brands[name].default || {},
+        models: brands[name].models || {}
+      };
+    });
+    GENDERS.forEach(function (gender) {
+      if (!clothingData || !clothingData[gender]) return;
+      db.clothing[gender] = {};
+      CLOTHING_CATEGORIES.forEach(function (cat) {
+        var rows = clothingData[gender][cat];
+        if (!rows) return;
+        db.clothing[gender][cat] = {};
+        CLOTHING_REGION_KEYS.forEach(function (rk) {
+          var seen = {};
+          var vals = [];
+          rows.forEach(function (e) {
+            var v = e[rk];
+            if (v == null || seen[String(v)]) return;
+            seen[String(v)] = true;
+            vals.push(v);
+          });
+          db.clothing[gender][cat][rk.toUpperCase()] = vals
+            .map(function (v) { return { value: v, label: String(v) }; })
+            .sort(compareSizeValues);
+        });
+      });
+    });
+    return db;
+  }
+
+  /** True when the db has at least one shoe size for gender + region. */
+  function shoeRegionHasDataset(db, gender, region) {
+    if (!db || !gender || !region) return false;
+    var g = db.shoes && db.shoes[gender];
+    var r = g && g[regionKey(region)];
+    return !!(r && r.sizes && r.sizes.length);
+  }
+
+  // ============================================
+  // Shoe Size Conversion — CM-Anchor Engine
+  // ============================================
+
+  /**
+   * How far (cm) a foot length may sit beyond the first/last row and still match it.
+   * Anything further out is reported as out_of_range instead of clamping to the end row.
+   */
+  var SHOE_RANGE_TOLERANCE_CM = 0.25;
+
+  /** |cm delta| upper bounds for each confidence label (delta beyond the last → 'low'). */
+  var CONFIDENCE_THRESHOLDS = [
+    { label: 'exact', maxDeltaCm: 0.05 },
+    { label: 'high', maxDeltaCm: 0.25 },
+    { label: 'medium', maxDeltaCm: 0.5 }
+  ];
+
+  function roundCm(v) {
+    return Math.round(v * 100) / 100;
+  }
+
+  function confidenceForDelta(deltaCm) {
+    var d = Math.abs(deltaCm);
+    for (var i = 0; i < CONFIDENCE_THRESHOLDS.length; i++) {
+      if (d <= CONFIDENCE_THRESHOLDS[i].maxDeltaCm) return CONFIDENCE_THRESHOLDS[i].label;
+    }
+    return 'low';
+  }
+
+  /** Region sizes ordered by cm (kids US/UK wrap from 13.5C to 1Y, so value order is not cm order). */
+  function sizesByCm(regionData) {
+    return regionData.sizes.slice().sort(function (a, b) { return a.cm - b.cm; });
+  }
+
+  /**
+   * Resolve a selected value in fromRegion to a cm anchor.
+   * Exact dataset value → its cm. A numeric value between two consecutive sizes
+   * (e.g. US 8.25) is interpolated linearly between their cm values. On a kids C/Y column
+   * selectedValue is a canonical label and only sizes on the same scale are interpolated.
+   * @returns {{ cm: number, interpolated: boolean }|null}
+   */
+  function resolveShoeCm(fromData, selectedValue) {
+    var i;
+    var parsed = fromData.scaled ? parseKidsShoeSize(selectedValue) : null;
+    var scale = parsed && parsed.scale;
+    for (i = 0; i < fromData.sizes.length; i++) {
+      // Loose equality: dropdown values are strings, dataset values are numbers
+      if (fromData.sizes[i].value == selectedValue) {
+        return { cm: fromData.sizes[i].cm, interpolated: false };
+      }
+    }
+    var x = parseFloat(selectedValue);
+    if (isNaN(x)) return null;
+    var ordered = sizesByCm(fromData);
+    for (i = 0; i < ordered.length - 1; i++) {
+      var a = ordered[i], b = ordered[i + 1];
+      var va = parseFloat(a.value), vb = parseFloat(b.value);
+      if (isNaN(va) || isNaN(vb) || vb <= va) continue;
+      if (scale && (parseKidsShoeSize(a.value).scale !== scale || parseKidsShoeSize(b.value).scale !== scale)) continue;
+      if (x > va && x < vb) {
+        return { cm: roundCm(a.cm + (x - va) / (vb - va) * (b.cm - a.cm)), interpolated: true };
+      }
+    }
+    return null;
+  }
+
+  /** Copy of a { value, cm } size entry so results never alias the db. */
+  function sizeRef(s) {
+    return s ? { value: s.value, cm: s.cm } : null;
+  }
+
+  /**
+   * Place a cm anchor on a region's size list.
+   * @returns {object} match result (see convertSize)
+   */
+  function matchShoeCm(toData, cmValue, toKey) {
+    var ordered = sizesByCm(toData);
+    var first = ordered[0];
+    var last = ordered[ordered.length - 1];
+    var range = { minCm: first.cm, maxCm: last.cm };
+    var base = { region: toKey.toUpperCase(), cm: cmValue, range: range };
+
+    if (cmValue < first.cm - SHOE_RANGE_TOLERANCE_CM || cmValue > last.cm + SHOE_RANGE_TOLERANCE_CM) {
+      base.status = 'out_of_range';
+      base.direction = cmValue < first.cm ? 'below' : 'above';
+      base.value = null;
+      base.matchedCm = null;
+      base.cmDelta = null;
+      base.lower = cmValue > last.cm ? sizeRef(last) : null;
+      base.upper = cmValue < first.cm ? sizeRef(first) : null;
+      base.confidence = 'none';
+      return base;
+    }
+
+    var idx = 0;
+    for (var i = 1; i < ordered.length; i++) {
+      // Strict < keeps the smaller size on a tie (a foot exactly between two rows)
+      if (Math.abs(ordered[i].cm - cmValue) < Math.abs(ordered[idx].cm - cmValue)) idx = i;
+    }
+    var nearest = ordered[idx];
+    var delta = roundCm(nearest.cm - cmValue);
+    var lower, upper;
+    if (Math.abs(delta) <= CONFIDENCE_THRESHOLDS[0].maxDeltaCm) {
+      lower = ordered[idx - 1] || null;
+      upper = ordered[idx + 1] || null;
+    } else if (nearest.cm > cmValue) {
+      lower = ordered[idx - 1] || null;
+      upper = nearest;
+    } else {
+      lower = nearest;
+      upper = ordered[idx + 1] || null;
+    }
+
+    base.status = Math.abs(delta) <= CONFIDENCE_THRESHOLDS[0].maxDeltaCm ? 'exact' : 'nearest';
+    base.value = nearest.value;
+    base.matchedCm = nearest.cm;
+    base.cmDelta = delta;
+    base.lower = sizeRef(lower);
+    base.upper = sizeRef(upper);
+    base.confidence = confidenceForDelta(delta);
+    return base;
+  }
+
+  /**
+   * Convert one size: fromRegion selected value → CM baseline → closest size in toRegion.
+   * EU half-size precision, UK baseline respect, US half-step consistency, JP exact CM match.
+   * No direct region-to-region table guess.
+   *
+   * Result:
+   *   status      'exact' | 'nearest' | 'out_of_range'
+   *   value       nearest size in toRegion (null when out_of_range)
+   *   cm          cm anchor of the input; interpolated true when the input sat between two rows
+   *   matchedCm   cm of the nearest size; cmDelta = matchedCm - cm (positive → size is longer)
+   *   lower/upper neighbouring { value, cm } either side (for exact: the sizes below/above it)
+   *   confidence  'exact' | 'high' | 'medium' | 'low' | 'none'
+   *   range       { minCm, maxCm } of toRegion; direction 'below' | 'above' when out_of_range
+   *   shell       MP only: the boot shell of the size (see mondopointShell)
+   *   brandOverride { brand, model, cmOffset, reason, footCm } when options.brand has an override or
+   *               options.brandFit is set; cm is then footCm + cmOffset, the length the brand's sizes are matched against
+   * @param {object} db - from buildSizeDatabase
+   * @param {object} [options] - { brand?, model?, brandFit? } (see resolveShoeBrandAdjustment)
+   * @returns {object|null} null when the input or region has no data
+   */
+  function convertSize(db, category, gender, fromRegion, toRegion, selectedValue, options) {
+    if (category !== 'shoes') return null;
+    var from = regionKey(fromRegion);
+    var to = regionKey(toRegion);
+    var shoes = (db && db.shoes && db.shoes[gender]) || {};
+
+    var anchor;
+    // Length inputs are the anchor itself (Mondopoint is foot length in cm)
+    if (from === 'cm' || from === 'inch' || from === 'mp') {
+      var cmIn = parseFloat(from === 'inch' ? inToCm(selectedValue) : selectedValue);
+      if (isNaN(cmIn)) return null;
+      anchor = { cm: cmIn, interpolated: false };
+    } else {
+      var fromData = shoes[from];
+      if (!fromData || !fromData.sizes || !fromData.sizes.length) return null;
+      if (fromData.scaled) selectedValue = kidsScaleLabel(fromData.sizes.map(function (s) { return s.value; }), selectedValue);
+      anchor = resolveShoeCm(fromData, selectedValue);
+      if (!anchor) return null;
+    }
+
+    // Brand override shifts the anchor before the closest-row lookup
+    var override = options ? resolveShoeBrandAdjustment(db, gender, options) : null;
+    var footCm = anchor.cm;
+    var shifted = !!(override && override.cmOffset);
+    if (shifted) anchor.cm = roundCm(anchor.cm + override.cmOffset);
+
+    // CM output is measured against the cm column so a foot off the chart is still flagged
+    var toData = shoes[to];
+    if (!toData || !toData.sizes || !toData.sizes.length) return null;
+    var result = matchShoeCm(toData, anchor.cm, to);
+    result.interpolated = anchor.interpolated;
+    if (override) {
+      result.brandOverride = {
+        brand: override.brand,
+        model: override.model,
+        cmOffset: override.cmOffset,
+        reason: override.reason,
+        footCm: footCm
+      };
+    }
+    if (result.status !== 'out_of_range') {
+      if (to === 'cm') {
+        result.value = anchor.cm;
+      } else if (to === 'inch') {
+        // Echo an inch input as typed rather than round-tripping it through cm
+        result.value = from === 'inch' && !shifted ? parseFloat(selectedValue) : parseFloat(cmToIn(anchor.cm));
+      } else if (to === 'mp') {
+        result.value = mondopoint(anchor.cm);
+        result.shell = mondopointShell(result.value);
+      } else if (from === to && !anchor.interpolated && !shifted) {
+        // Same region: echo the dataset value itself, even where two sizes share a cm
+        for (var i = 0; i < toData.sizes.length; i++) {
+          if (toData.sizes[i].value == selectedValue) result.value = toData.sizes[i].value;
+        }
+      }
+    }
+    return result;
+  }
+
+  /** Bare value of convertSize (nearest size, or null when out of range / not found). */
+  function convertSizeValue(db, category, gender, fromRegion, toRegion, selectedValue, options) {
+    var r = convertSize(db, category, gender, fromRegion, toRegion, selectedValue, options);
+    return r ? r.value : null;
+  }
+
+  /**
+   * All shoe conversions via CM anchor: selected value → cm → closest per region.
+   * Out-of-range input returns {} (use convertSize for the explicit out_of_range result).
+   * @param {object} [options] - { brand?, model? } passed through to convertSize
+   * @returns {object} { us, uk, eu, jp, cn, kr, mx, br, au, cm, inch, mp } (only regions with a result)
+   */
+  function getAllShoeConversions(db, size, fromRegion, gender, options) {
+    var result = {};
+    if (convertSizeValue(db, 'shoes', gender, fromRegion, 'cm', size, options) == null) return {};
+    SHOE_CONVERSION_KEYS.forEach(function (to) {
+      var val = convertSizeValue(db, 'shoes', gender, fromRegion, to, size, options);
+      if (val != null) result[to] = val;
+    });
+    return result;
+  }
+
+  /**
+   * Find the dataset row whose fromRegion column equals size (numeric tolerance 0.01).
+   * Kids C/Y columns match on the label, so '1Y', '1y' and a bare '1' find the youth row and '1C' the infant one.
+   * @param {object} shoeData - same shape as data/shoe_sizes.json
+   */
+  function findShoeRow(shoeData, gender, fromRegion, size) {
+    var rows = shoeData && shoeData[gender];
+    if (!rows) return null;
+    var key = regionKey(fromRegion);
+    if (isKidsScaleColumn(rows, key)) {
+      var labels = rows.map(function (row) { return shoeRowLabel(row, key); });
+      var label = String(kidsScaleLabel(labels, size));
+      for (var j = 0; j < rows.length; j++) {
+        if (String(labels[j]) === label) return rows[j];
+      }
+      return null;
+    }
+    var sizeNum = parseFloat(size);
+    for (var i = 0; i < rows.length; i++) {
+      var val = rows[i][key];
+      if (val === undefined) continue;
+      var rowNum = parseFloat(val);
+      if (!isNaN(sizeNum) && !isNaN(rowNum) && Math.abs(rowNum - sizeNum) < 0.01) return rows[i];
+      if (String(val) === String(size)) return rows[i];
+    }
+    return null;
+  }
+
+  /**
+   * Find closest shoe size row by foot length (cm).
+   * @returns {{ row: object, index: number, rangeRows: object[] }|null} rangeRows = row with its neighbours
+   */
+  function findShoeByCm(shoeData, gender, footCm) {
+    var rows = shoeData && shoeData[gender];
+    if (!rows || !rows.length || isBlank(footCm) || isNaN(Number(footCm))) return null;
+    var val = Number(footCm);
+    var bestIdx = -1;
+    var bestDiff = Infinity;
+    for (var i = 0; i < rows.length; i++) {
+      if (rows[i].cm == null) continue;
+      var d = Math.abs(rows[i].cm - val);
+      if (d < bestDiff) {
+        bestDiff = d;
+        bestIdx = i;
+      }
+    }
+    if (bestIdx < 0) return null;
+    var rangeRows = [rows[bestIdx]];
+    if (bestIdx > 0) rangeRows.unshift(rows[bestIdx - 1]);
+    if (bestIdx < rows.length - 1) rangeRows.push(rows[bestIdx + 1]);
+    return { row: rows[bestIdx], index: bestIdx, rangeRows: rangeRows };
+  }
+
+  /** Adjacent shoe size row (direction 'up' | 'down'), or null at the ends of the dataset. */
+  function getAdjacentShoeRow(shoeData, gender, currentRow, direction) {
+    var rows = shoeData && shoeData[gender];
+    if (!rows || !currentRow) return null;
+    var idx = -1;
+    for (var i = 0; i < rows.length; i++) {
+      if (rows[i].cm === currentRow.cm && rows[i].us === currentRow.us) {
+        idx = i;
+        break;
+      }
+    }
+    if (idx < 0) return null;
+    var next = idx + (direction === 'up' ? 1 : -1);
+    if (next < 0 || next >= rows.length) return null;
+    return rows[next];
+  }
+
+  // ============================================
+  // Kids shoe sizes — C (child) and Y (youth) scales
+  // ============================================
+
+  /**
+   * Kids' US, UK and AU numbers restart after 13.5C: the C scale runs from infant 1C to about
+   * age seven, then the Y scale starts again at 1Y. Kids rows carry scale 'C' | 'Y' and an age
+   * band; on these columns sizes are labelled with the suffix ('10C', '1Y'). EU, JP and the
+   * other columns follow foot length and need no suffix.
+   */
+  var KIDS_SCALE_REGION_KEYS = ['us', 'uk', 'au'];
+
+  /** True when rows (one gender's shoe rows) label column key with C/Y suffixes. */
+  function isKidsScaleColumn(rows, key) {
+    if (KIDS_SCALE_REGION_KEYS.indexOf(key) < 0 || !rows) return false;
+    for (var i = 0; i < rows.length; i++) {
+      if (rows[i].scale) return true;
+    }
+    return false;
+  }
+
+  /** '10C', '10.5 c', '1y', '7' → { value: 10, scale: 'C' | 'Y' | null }; null when it is not a size number. */
+  function parseKidsShoeSize(raw) {
+    var m = /^\s*(\d+(?:\.\d+)?)\s*([CcYy])?\s*$/.exec(raw == null ? '' : String(raw));
+    return m ? { value: parseFloat(m[1]), scale: m[2] ? m[2].toUpperCase() : null } : null;
+  }
+
+  /** Display value of a shoe row in a region: '10C' / '1Y' on kids C/Y columns, the dataset value elsewhere. */
+  function shoeRowLabel(row, key) {
+    var v = row[key];
+    return row.scale && v != null && KIDS_SCALE_REGION_KEYS.indexOf(key) >= 0 ? v + row.scale : v;
+  }
+
+  /**
+   * Canonical label for a size entered on a kids C/Y column, given that column's labels.
+   * A bare number inside the Y scale's range reads as Y (big-kid sizes are usually written
+   * without the suffix), anything else as C; input that is not a size number is returned as is.
+   */
+  function kidsScaleLabel(labels, raw) {
+    var p = parseKidsShoeSize(raw);
+    if (!p) return raw;
+    if (p.scale) return p.value + p.scale;
+    var min = Infinity, max = -Infinity;
+    labels.forEach(function (label) {
+      var l = parseKidsShoeSize(label);
+      if (!l || l.scale !== 'Y') return;
+      min = Math.min(min, l.value);
+      max = Math.max(max, l.value);
+    });
+    return p.value + (p.value >= min && p.value <= max ? 'Y' : 'C');
+  }
+
+  /**
+   * Display label for a size entered in region: on kids C/Y columns the matching row's label
+   * ('10' → '10C', '1' → '1Y'); any other size is returned as given.
+   */
+  function shoeSizeLabel(shoeData, gender, region, size) {
+    var rows = shoeData && shoeData[gender];
+    var key = regionKey(region);
+    if (!isKidsScaleColumn(rows, key)) return size;
+    var row = findShoeRow(shoeData, gender, region, size);
+    return row ? shoeRowLabel(row, key) : size;
+  }
+
+  /**
+   * What a kids' foot length means on the chart: the nearest kids row, its US/UK labels and age
+   * band, and for youth sizes long enough to reach the adult charts the men's and women's US size
+   * of the same length (within SHOE_RANGE_TOLERANCE_CM).
+   * @returns {{ row: object, us: string, uk: string, scale: string|null, age: string|null,
+   *   adult: { men?: number, women?: number }|null }|null}
+   */
+  function describeKidsShoe(shoeData, footCm) {
+    var match = findShoeByCm(shoeData, 'kids', footCm);
+    if (!match) return null;
+    var row = match.row;
+    var adult = null;
+    if (row.scale === 'Y') {
+      ['men', 'women'].forEach(function (g) {
+        var m = findShoeByCm(shoeData, g, row.cm);
+        if (!m || Math.abs(m.row.cm - row.cm) > SHOE_RANGE_TOLERANCE_CM) return;
+        adult = adult || {};
+        adult[g] = m.row.us;
+      });
+    }
+    return {
+      row: row,
+      us: shoeRowLabel(row, 'us'),
+      uk: shoeRowLabel(row, 'uk'),
+      scale: row.scale || null,
+      age: row.age || null,
+      adult: adult
+    };
+  }
+
+  /**
+   * Typical yearly foot growth (cm) while a child's foot is shorter than maxCm. Rough averages:
+   * fast over the first two years, about 1 cm a year through primary school, slowing in the early
+   * teens. Good enough to buy a season ahead; not a growth chart.
+   */
+  var KIDS_FOOT_GROWTH_CM_PER_YEAR = [
+    { maxCm: 12.3, cm: 4 },
+    { maxCm: 14.8, cm: 2.5 },
+    { maxCm: 16.5, cm: 1.8 },
+    { maxCm: 19, cm: 1.3 },
+    { maxCm: 22.5, cm: 1 },
+    { maxCm: 25, cm: 0.9 },
+    { maxCm: Infinity, cm: 0.6 }
+  ];
+  var MS_PER_MONTH = 30.44 * 24 * 60 * 60 * 1000;
+
+  /** Whole months from one date to another (Date or 'YYYY-MM-DD'); negative when to is earlier, null if either is invalid. */
+  function monthsBetween(from, to) {
+    var a = new Date(from).getTime();
+    var b = new Date(to).getTime();
+    if (isNaN(a) || isNaN(b)) return null;
+    return Math.round((b - a) / MS_PER_MONTH);
+  }
+
+  /**
+   * Kids' foot length expected `months` from now, growing a month at a time at the
+   * KIDS_FOOT_GROWTH_CM_PER_YEAR rate for the length reached so far. Never shrinks; 0.1 cm.
+   */
+  function projectKidsFootCm(footCm, months) {
+    var cm = Number(footCm);
+    if (isBlank(footCm) || !isFinite(cm) || cm <= 0) return null;
+    var n = Math.max(0, Math.round(Number(months) || 0));
+    for (var i = 0; i < n; i++) {
+      var band = KIDS_FOOT_GROWTH_CM_PER_YEAR.filter(function (b) { return cm < b.maxCm; })[0];
+      cm += band.cm / 12;
+    }
+    return Math.round(cm * 10) / 10;
+  }
+
+  /**
+   * describeKidsShoe for the foot length projected `months` ahead.
+   * @returns {{ months: number, footCm: number, projectedCm: number, kid: object }|null}
+   */
+  function projectKidsShoe(shoeData, footCm, months) {
+    var projectedCm = projectKidsFootCm(footCm, months);
+    var kid = projectedCm != null ? describeKidsShoe(shoeData, projectedCm) : null;
+    if (!kid) return null;
+    return { months: Math.max(0, Math.round(Number(months) || 0)), footCm: Number(footCm), projectedCm: projectedCm, kid: kid };
+  }
+
+  // ============================================
+  // Shoe width — foot width or girth to US/UK width letters
+  // ============================================
+
+  /** Width fits, narrowest first. */
+  var SHOE_WIDTH_FITS = ['narrow', 'standard', 'wide', 'extra_wide'];
+
+  /**
+   * Width letter per fit on the US/UK letter scale (2A–4E). Kids' shoes are cut on the men's
+   * scale (medium = D).
+   */
+  var SHOE_WIDTH_LETTERS = {
+    men: { narrow: 'B', standard: 'D', wide: '2E', extra_wide: '4E' },
+    women: { narrow: '2A', standard: 'B', wide: 'D', extra_wide: '2E' },
+    kids: { narrow: 'B', standard: 'D', wide: '2E', extra_wide: '4E' }
+  };
+
+  /**
+   * Upper bound of the narrow, standard and wide bands as a ratio to foot length; anything above
+   * the last is extra wide. girth: circumference around the ball; width: flat width across it.
+   */
+  var SHOE_WIDTH_RATIOS = {
+    girth: { men: [0.88, 0.96, 1.02], women: [0.86, 0.94, 1.0], kids: [0.88, 0.96, 1.02] },
+    width: { men: [0.36, 0.4, 0.425], women: [0.35, 0.39, 0.415], kids: [0.36, 0.4, 0.425] }
+  };
+
+  /**
+   * Width fit for a foot from its ball girth or, failing that, its flat width — girth follows the
+   * volume a shoe has to hold, so it wins when both are given.
+   * @param {string} gender - men | women | kids
+   * @param {number|string} footCm - foot length
+   * @param {{ widthCm?: number|string, girthCm?: number|string }} measure
+   * @returns {{ fit: string, letter: string, standardLetter: string, basis: string, ratio: number, bounds: number[] }|null}
+   *   bounds are the SHOE_WIDTH_RATIOS band limits used; null without a usable length and width or girth
+   */
+  function classifyFootWidth(gender, footCm, measure) {
+    var g = SHOE_WIDTH_LETTERS[gender] ? gender : 'men';
+    var length = Number(footCm);
+    measure = measure || {};
+    var basis = !isBlank(measure.girthCm) && Number(measure.girthCm) > 0 ? 'girth'
+      : !isBlank(measure.widthCm) && Number(measure.widthCm) > 0 ? 'width' : null;
+    if (!basis || isBlank(footCm) || !isFinite(length) || length <= 0) return null;
+    var value = Number(basis === 'girth' ? measure.girthCm : measure.widthCm);
+    if (!isFinite(value)) return null;
+    var ratio = value / length;
+    var bounds = SHOE_WIDTH_RATIOS[basis][g];
+    var i = 0;
+    while (i < bounds.length && ratio >= bounds[i]) i++;
+    var fit = SHOE_WIDTH_FITS[i];
+    return {
+      fit: fit,
+      letter: SHOE_WIDTH_LETTERS[g][fit],
+      standardLetter: SHOE_WIDTH_LETTERS[g].standard,
+      basis: basis,
+      ratio: Math.round(ratio * 1000) / 1000,
+      bounds: bounds.slice()
+    };
+  }
+
+  // ============================================
+  // Clothing Size Conversion
+  // ============================================
+
+  /** Map UI clothing type to `clothing_sizes.json` keys. Every type has its own dataset; null when unknown. */
+  function resolveClothingDataKey(gender, clothingCategoryUi) {
+    if (!clothingCategoryUi || CLOTHING_CATEGORIES.indexOf(clothingCategoryUi) < 0) return null;
+    return clothingCategoryUi;
+  }
+
+  function getClothingRows(clothingData, gender, categoryUi) {
+    var category = resolveClothingDataKey(gender, categoryUi);
+    var rows = category && clothingData && clothingData[gender] && clothingData[gender][category];
+    return Array.isArray(rows) ? rows : null;
+  }
+
+  /** Index of the row whose fromRegion value matches size: exact (case-insensitive) first, then numeric. */
+  function findClothingRowIndex(rows, fromRegion, size) {
+    if (!rows || isBlank(size) || !fromRegion) return -1;
+    var key = String(fromRegion).toLowerCase();
+    var sizeStr = String(size).trim().toLowerCase();
+    var i;
+    for (i = 0; i < rows.length; i++) {
+      var v = rows[i][key];
+      if (v != null && String(v).trim().toLowerCase() === sizeStr) return i;
+    }
+    var sizeNum = parseFloat(size);
+    if (isNaN(sizeNum)) return -1;
+    for (i = 0; i < rows.length; i++) {
+      var entryNum = parseFloat(rows[i][key]);
+      if (!isNaN(entryNum) && entryNum === sizeNum) return i;
+    }
+    return -1;
+  }
+
+  /** Dataset row for a clothing size in fromRegion, or null. */
+  function findClothingRow(clothingData, gender, categoryUi, fromRegion, size) {
+    var rows = getClothingRows(clothingData, gender, categoryUi);
+    var idx = findClothingRowIndex(rows, fromRegion, size);
+    return idx < 0 ? null : rows[idx];
+  }
+
+  function convertClothingSize(clothingData, size, fromRegion, toRegion, gender, categoryUi) {
+    var row = findClothingRow(clothingData, gender, categoryUi, fromRegion, size);
+    if (!row) return null;
+    var v = row[String(toRegion).toLowerCase()];
+    return v !== undefined ? v : null;
+  }
+
+  /**
+   * All regional equivalents for one clothing size, plus the row's body measurements and their ranges.
+   * Region and measurement keys the category does not chart (fr, au, neck_cm, bust_cm, ...) are left out.
+   * @returns {object} { us, uk, eu, jp, cn, fr?, au?, chest_cm, waist_cm, hips_cm, neck_cm?, sleeve_cm?,
+   *   underbust_cm?, bust_cm?, drop_in?, ranges } or {} when not found
+   */
+  function getAllClothingConversions(clothingData, size, fromRegion, gender, categoryUi) {
+    var row = findClothingRow(clothingData, gender, categoryUi, fromRegion, size);
+    if (!row) return {};
+    var out = {};
+    CLOTHING_REGION_KEYS.concat(CLOTHING_MEASUREMENT_KEYS, ['drop_in']).forEach(function (key) {
+      if (row[key] != null) out[key] = row[key];
+    });
+    out.ranges = row.ranges || {};
+    return out;
+  }
+
+  /**
+   * Trouser waist that comes with a suit jacket. US/UK jacket sizes are chest inches; the drop is
+   * chest minus trouser waist (6 in is the usual regular cut, 7–8 in slim/athletic, 4 in portly).
+   * @param {object} row - men's jackets row
+   * @param {number} [dropIn] - defaults to the row's drop_in
+   * @returns {{ dropIn: number, waistIn: number, waistCm: number }|null}
+   */
+  function suitTrouserWaist(row, dropIn) {
+    var chestIn = row ? parseFloat(row.us) : NaN;
+    var drop = dropIn != null && !isNaN(Number(dropIn)) ? Number(dropIn) : row && row.drop_in;
+    if (isNaN(chestIn) || drop == null) return null;
+    var waistIn = chestIn - drop;
+    return { dropIn: drop, waistIn: waistIn, waistCm: Math.round(waistIn * INCH_TO_CM) };
+  }
+
+  // ============================================
+  // Clothing by body measurements (ranges)
+  // ============================================
+
+  /** Body measurements a clothing row may carry a [min, max] range for under `ranges`. */
+  var CLOTHING_MEASUREMENT_KEYS = ['chest_cm', 'waist_cm', 'hips_cm', 'inseam_cm', 'height_cm',
+    'neck_cm', 'sleeve_cm', 'underbust_cm', 'bust_cm'];
+
+  /** Score weight per measurement; inseam, height and sleeve ranges overlap between sizes, so they count half. */
+  var CLOTHING_MEASUREMENT_WEIGHTS = {
+    chest_cm: 1, waist_cm: 1, hips_cm: 1, inseam_cm: 0.5, height_cm: 0.5,
+    neck_cm: 1, sleeve_cm: 0.5, underbust_cm: 1, bust_cm: 1
+  };
+
+  /** A measurement this close (cm) to the edge it shares with the next size counts as between sizes. */
+  var CLOTHING_BETWEEN_MARGIN_CM = 1;
+
+  /** [min, max] for a measurement on a row: its range, else the single reference value, else null (0 = not charted). */
+  function clothingRange(row, key) {
+    var r = row && row.ranges && row.ranges[key];
+    if (r && r.length === 2) return r;
+    var v = row && row[key];
+    return v ? [v, v] : null;
+  }
+
+  /** cm outside a range: negative below it, positive above it, 0 inside. */
+  function rangeDelta(range, value) {
+    if (value < range[0]) return roundCm(value - range[0]);
+    if (value > range[1]) return roundCm(value - range[1]);
+    return 0;
+  }
+
+  function rangeCentreDistance(range, value) {
+    return Math.abs(value - (range[0] + range[1]) / 2);
+  }
+
+  /** Lower score wins; equal scores go to the closer range centre. */
+  function isBetterFit(score, centre, bestScore, bestCentre) {
+    if (score < bestScore - 1e-9) return true;
+    return Math.abs(score - bestScore) <= 1e-9 && centre < bestCentre - 1e-9;
+  }
+
+  /**
+   * Match body measurements against every size's ranges at once.
+   * Each measurement scores the cm it falls outside a size's range (0 inside), weighted by
+   * CLOTHING_MEASUREMENT_WEIGHTS; the lowest weighted mean wins.
+   * @param {object} measurements - { chest_cm?, waist_cm?, hips_cm?, ... } keyed by CLOTHING_MEASUREMENT_KEYS; blanks are ignored
+   * @returns {object|null} null when no measurement applies to this category:
+   *   row, index, rangeRows - best size, its position, and it with its neighbours
+   *   score                 - weighted mean cm outside the ranges (0 = every measurement fits)
+   *   dimensions            - { key: { value, range, deltaCm, fits, bestIndex } } for each measurement used
+   *   betweenSizes          - { lower, upper, dimensions: [key] } when a measurement sits on the edge shared with
+   *                           the next size, else null
+   *   spansSizes            - { lower, upper, dimensions: { key: row } } when a measurement misses the best size
+   *                           but fits another, else null
+   *   outOfRange            - [{ key, direction: 'below'|'above' }] measurements beyond the whole chart
+   */
+  function matchClothingMeasurements(clothingData, gender, categoryUi, measurements) {
+    var rows = getClothingRows(clothingData, gender, categoryUi);
+    if (!rows || !rows.length || !measurements) return null;
+    var keys = CLOTHING_MEASUREMENT_KEYS.filter(function (key) {
+      var v = measurements[key];
+      if (isBlank(v) || isNaN(Number(v))) return false;
+      return rows.some(function (row) { return !!clothingRange(row, key); });
+    });
+    if (!keys.length) return null;
+
+    var bestIdx = -1;
+    var bestScore = Infinity;
+    var bestCentre = Infinity;
+    var i;
+    for (i = 0; i < rows.length; i++) {
+      var total = 0;
+      var centre = 0;
+      var weights = 0;
+      for (var k = 0; k < keys.length; k++) {
+        var range = clothingRange(rows[i], keys[k]);
+        if (!range) continue;
+        var w = CLOTHING_MEASUREMENT_WEIGHTS[keys[k]];
+        var v = Number(measurements[keys[k]]);
+        total += w * Math.abs(rangeDelta(range, v));
+        centre += w * rangeCentreDistance(range, v);
+        weights += w;
+      }
+      if (!weights) continue;
+      if (isBetterFit(total / weights, centre / weights, bestScore, bestCentre)) {
+        bestIdx = i;
+        bestScore = total / weights;
+        bestCentre = centre / weights;
+      }
+    }
+    if (bestIdx < 0) return null;
+
+    var dimensions = {};
+    var spanned = {};
+    var between = null;
+    var outOfRange = [];
+    keys.forEach(function (key) {
+      var value = Number(measurements[key]);
+      var range = clothingRange(rows[bestIdx], key);
+      var delta = range ? rangeDelta(range, value) : null;
+      var dimBest = -1;
+      var dimScore = Infinity;
+      var dimCentre = Infinity;
+      var min = Infinity;
+      var max = -Infinity;
+      rows.forEach(function (row, j) {
+        var r = clothingRange(row, key);
+        if (!r) return;
+        min = Math.min(min, r[0]);
+        max = Math.max(max, r[1]);
+        var d = Math.abs(rangeDelta(r, value));
+        var c = rangeCentreDistance(r, value);
+        if (isBetterFit(d, c, dimScore, dimCentre)) {
+          dimBest = j;
+          dimScore = d;
+          dimCentre = c;
+        }
+      });
+      dimensions[key] = { value: value, range: range, deltaCm: delta, fits: delta === 0, bestIndex: dimBest };
+      if (value < min || value > max) outOfRange.push({ key: key, direction: value < min ? 'below' : 'above' });
+      if (delta !== 0 && dimScore === 0 && dimBest !== bestIdx) spanned[key] = dimBest;
+      if (delta !== 0) return;
+
+      // Only contiguous neighbours share an edge; overlapping ranges (inseam, height) never count as between.
+      var next = clothingRange(rows[bestIdx + 1], key);
+      var prev = clothingRange(rows[bestIdx - 1], key);
+      var pair = null;
+      if (next && next[0] >= range[1] && range[1] - value <= CLOTHING_BETWEEN_MARGIN_CM) pair = [bestIdx, bestIdx + 1];
+      else if (prev && prev[1] <= range[0] && value - range[0] <= CLOTHING_BETWEEN_MARGIN_CM) pair = [bestIdx - 1, bestIdx];
+      if (!pair) return;
+      if (!between) between = { lowerIndex: pair[0], dimensions: [] };
+      if (between.lowerIndex === pair[0]) between.dimensions.push(key);
+    });
+
+    var spanKeys = Object.keys(spanned);
+    var spansSizes = null;
+    if (spanKeys.length) {
+      var lo = bestIdx;
+      var hi = bestIdx;
+      var byKey = {};
+      spanKeys.forEach(function (key) {
+        lo = Math.min(lo, spanned[key]);
+        hi = Math.max(hi, spanned[key]);
+        byKey[key] = rows[spanned[key]];
+      });
+      spansSizes = { lower: rows[lo], upper: rows[hi], dimensions: byKey };
+    }
+
+    var rangeRows = [rows[bestIdx]];
+    var hasAny = function (row) {
+      return keys.some(function (key) { return !!clothingRange(row, key); });
+    };
+    if (bestIdx > 0 && hasAny(rows[bestIdx - 1])) rangeRows.unshift(rows[bestIdx - 1]);
+    if (bestIdx < rows.length - 1 && hasAny(rows[bestIdx + 1])) rangeRows.push(rows[bestIdx + 1]);
+
+    return {
+      row: rows[bestIdx],
+      index: bestIdx,
+      rangeRows: rangeRows,
+      score: roundCm(bestScore),
+      dimensions: dimensions,
+      betweenSizes: between ? {
+        lower: rows[between.lowerIndex],
+        upper: rows[between.lowerIndex + 1],
+        dimensions: between.dimensions
+      } : null,
+      spansSizes: spansSizes,
+      outOfRange: outOfRange
+    };
+  }
+
+  /**
+   * Closest clothing size for one body measurement (any of CLOTHING_MEASUREMENT_KEYS, e.g. chest_cm or neck_cm).
+   * Single-measurement form of matchClothingMeasurements; rows that do not chart the measurement are skipped.
+   * @returns {{ row: object, index: number, rangeRows: object[] }|null}
+   */
+  function findClothingByMeasurement(clothingData, gender, categoryUi, valueCm, measurementKey) {
+    var measurements = {};
+    measurements[measurementKey] = valueCm;
+    var match = matchClothingMeasurements(clothingData, gender, categoryUi, measurements);
+    return match ? { row: match.row, index: match.index, rangeRows: match.rangeRows } : null;
+  }
+
+  // ============================================
+  // Brand registry (data/brand_registry.json)
+  // ============================================
+
+  /** Fit labels a registry entry may use. */
+  var BRAND_FIT_VALUES = ['runs_small', 'true_to_size', 'runs_large'];
+
+  /** Lowercase, trimmed, single-spaced brand key; names and aliases are matched this way. */
+  function normalizeBrandKey(brand) {
+    if (isBlank(brand)) return '';
+    return String(brand).trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Registry entry for a brand name or alias.
+   * @param {object} registry - same shape as data/brand_registry.json
+   * @returns {{ name: string, entry: object }|null}
+   */
+  function findRegistryBrand(registry, brand) {
+    var key = normalizeBrandKey(brand);
+    var brands = (registry && registry.brands) || {};
+    if (!key) return null;
+    var names = Object.keys(brands);
+    for (var i = 0; i < names.length; i++) {
+      var aliases = brands[names[i]].aliases || [];
+      if (normalizeBrandKey(names[i]) === key || aliases.map(normalizeBrandKey).indexOf(key) >= 0) {
+        return { name: names[i], entry: brands[names[i]] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Registry fit for brand + category (shoes | tops | pants | dresses) + gender.
+   * @returns {{ brand: string, category: string, gender: string, fit: string, confidence: number, source: string }|null}
+   */
+  function getBrandFit(registry, brand, category, gender) {
+    var found = findRegistryBrand(registry, brand);
+    var cat = found && found.entry.fit && found.entry.fit[category];
+    var fit = cat && cat.genders && cat.genders[gender];
+    if (!fit) return null;
+    return {
+      brand: found.name,
+      category: category,
+      gender: gender,
+      fit: fit,
+      confidence: cat.confidence,
+      source: cat.source || ''
+    };
+  }
+
+  /** Shoe last widths a registry entry may use (fit.shoes.width.last). */
+  var BRAND_LAST_WIDTHS = ['narrow', 'standard', 'wide'];
+
+  /**
+   * Registry shoe width for a brand: how its standard last is cut and whether it sells wide widths.
+   * @returns {{ brand: string, last: string, wideOptions: boolean }|null} null when the registry has no width note
+   */
+  function getBrandShoeWidth(registry, brand) {
+    var found = findRegistryBrand(registry, brand);
+    var width = found && found.entry.fit && found.entry.fit.shoes && found.entry.fit.shoes.width;
+    if (!width) return null;
+    return { brand: found.name, last: width.last, wideOptions: !!width.wide_options };
+  }
+
+  /** Brands listed for category + gender, in registry order: [{ name, fit }]. */
+  function listRegistryBrands(registry, category, gender) {
+    var brands = (registry && registry.brands) || {};
+    return Object.keys(brands)
+      .filter(function (name) { return !!getBrandFit(registry, name, category, gender); })
+      .map(function (name) { return { name: name, fit: brands[name].fit[category].genders[gender] }; });
+  }
+
+  // ============================================
+  // Brand adjustment
+  // ============================================
+
+  /** Key of obj matching name case-insensitively, or null. */
+  function findKeyIgnoreCase(obj, name) {
+    var wanted = String(name).trim().toLowerCase();
+    var keys = Object.keys(obj || {});
+    for (var i = 0; i < keys.length; i++) {
+      if (keys[i].toLowerCase() === wanted) return keys[i];
+    }
+    return null;
+  }
+
+  /**
+   * Brand shoe override from db.brands (data/brand_shoe_offsets.json).
+   * Most specific rule wins: model + gender, model + all, brand default + gender, brand default + all.
+   * model is null in the result when the brand default applied.
+   * @returns {{ brand: string, model: string|null, cmOffset: number, reason: string }|null}
+   */
+  function findBrandShoeOverride(db, gender, brand, model) {
+    if (!db || !db.brands || isBlank(brand)) return null;
+    var entry = db.brands[String(brand).trim().toLowerCase()];
+    if (!entry) return null;
+    var modelKey = isBlank(model) ? null : findKeyIgnoreCase(entry.models, model);
+    var modelRules = modelKey ? entry.models[modelKey] : null;
+    var rule = modelRules ? modelRules[gender] || modelRules.all : null;
+    if (!rule) modelKey = null;
+    rule = rule || entry.default[gender] || entry.default.all;
+    if (!rule) return null;
+    return {
+      brand: entry.name,
+      model: modelKey,
+      cmOffset: Number(rule.cm_offset) || 0,
+      reason: rule.reason || ''
+    };
+  }
+
+  /** Brand names that have shoe overrides, in data order. */
+  function getShoeBrandNames(db) {
+    var brands = (db && db.brands) || {};
+    return Object.keys(brands).map(function (k) { return brands[k].name; });
+  }
+
+  /** Model names with an override for brand that applies to gender (own rule or 'all'). */
+  function getShoeBrandModels(db, brand, gender) {
+    var entry = db && db.brands && !isBlank(brand) ? db.brands[String(brand).trim().toLowerCase()] : null;
+    if (!entry) return [];
+    return Object.keys(entry.models).filter(function (m) {
+      return !!(entry.models[m][gender] || entry.models[m].all);
+    });
+  }
+
+  /**
+   * Shoe adjustment for a registry fit label, in cm of foot length: half a size is one 0.5 cm chart row.
+   * Shifting the cm anchor (not the label) moves US 9.5, EU 42 and a raw foot length by the same amount.
+   */
+  var BRAND_FIT_SHOE_RULES = {
+    runs_small: { cmOffset: 0.5, reason: 'runs small; half a size up is the usual advice.' },
+    true_to_size: { cmOffset: 0, reason: 'runs true to size.' },
+    runs_large: { cmOffset: -0.5, reason: 'runs large; half a size down is the usual advice.' }
+  };
+
+  /**
+   * cm adjustment for a shoe conversion: the brand/model override table first,
+   * then the generic rule for options.brandFit (registry fit label).
+   * @param {object} options - { brand?, model?, brandFit? }
+   * @returns {{ brand: string|null, model: string|null, cmOffset: number, reason: string }|null}
+   */
+  function resolveShoeBrandAdjustment(db, gender, options) {
+    var override = findBrandShoeOverride(db, gender, options.brand, options.model);
+    if (override) return override;
+    var rule = BRAND_FIT_SHOE_RULES[options.brandFit];
+    if (!rule) return null;
+    var brand = isBlank(options.brand) ? null : String(options.brand).trim();
+    return {
+      brand: brand,
+      model: null,
+      cmOffset: rule.cmOffset,
+      reason: (brand || 'This brand') + ' ' + rule.reason
+    };
+  }
+
+  /**
+   * Shoe size adjusted for brand fit, on region's own table: the size's cm moves by the fit's
+   * cm offset and snaps to the nearest row, so 9.5 in a runs-small brand becomes 10 (US) and
+   * EU 42 becomes 42.5 — the same foot-length change either way.
+   * Returns size unchanged when brandFit is unknown, the size is not on the chart, or the
+   * adjusted length falls off it. Clothing uses adjustClothingSizeForBrand.
+   */
+  function adjustForBrand(db, size, brandFit, gender, region) {
+    if (!BRAND_FIT_SHOE_RULES[brandFit]) return size;
+    var r = convertSize(db, 'shoes', gender, region, region, size, { brandFit: brandFit });
+    return r && r.value != null ? r.value : size;
+  }
+
+  /**
+   * Move one row on the clothing chart in fromRegion when brand runs small/large.
+   * Does not change underlying JSON or non-clothing paths.
+   */
+  function adjustClothingSizeForBrand(clothingData, size, brandFit, gender, categoryUi, fromRegion) {
+    var raw = String(size == null ? '' : size).trim();
+    if (!brandFit || brandFit === 'true_to_size' || !raw) return raw;
+    var rows = getClothingRows(clothingData, gender, categoryUi);
+    var idx = findClothingRowIndex(rows, fromRegion, raw);
+    if (idx < 0) return raw;
+    var delta;
+    if (brandFit === 'runs_small') delta = 1;
+    else if (brandFit === 'runs_large') delta = -1;
+    else return raw;
+    var newIdx = Math.max(0, Math.min(rows.length - 1, idx + delta));
+    var out = rows[newIdx][String(fromRegion).toLowerCase()];
+    return out != null ? String(out).trim() : raw;
+  }
+
+  // ============================================
+  // Converter dataset checks
+  // ============================================
+
+  function isPlainObject(v) {
+    return v != null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  /**
+   * Structural check of the datasets the live converter swaps in, shaped as the files in data/:
+   * { shoes, clothing, regions, brandRegistry, brandShoeOffsets }. Catches a truncated or
+   * hand-broken file before it replaces working data; it is not a full schema.
+   * @returns {string[]} problems found (empty when the data is usable)
+   */
+  function checkConverterData(data) {
+    var errors = [];
+    var d = data || {};
+    GENDERS.forEach(function (g) {
+      var rows = d.shoes && d.shoes[g];
+      if (!Array.isArray(rows) || !rows.length) {
+        errors.push('shoes.' + g + ': missing or empty');
+        return;
+      }
+      rows.forEach(function (row, i) {
+        if (!isPlainObject(row) || typeof row.cm !== 'number' || row.us == null) {
+          errors.push('shoes.' + g + '[' + i + ']: needs numeric cm and a us size');
+        }
+      });
+    });
+    if (!isPlainObject(d.clothing)) {
+      errors.push('clothing: missing');
+    } else {
+      Object.keys(d.clothing).forEach(function (g) {
+        if (g.charAt(0) === '_') return;
+        var cats = d.clothing[g];
+        if (GENDERS.indexOf(g) < 0 || !isPlainObject(cats)) {
+          errors.push('clothing.' + g + ': unknown gender or not an object');
+          return;
+        }
+        Object.keys(cats).forEach(function (c) {
+          if (CLOTHING_CATEGORIES.indexOf(c) < 0 || !Array.isArray(cats[c]) || !cats[c].length) {
+            errors.push('clothing.' + g + '.' + c + ': unknown category or no rows');
+          }
+        });
+      });
+    }
+    var regions = d.regions && d.regions.regions;
+    if (!Array.isArray(regions) || !regions.length || regions.some(function (r) { return !r || isBlank(r.region_code); })) {
+      errors.push('regions: needs a regions array with a region_code on each entry');
+    }
+    if (!isPlainObject(d.brandRegistry) || !isPlainObject(d.brandRegistry.brands)) errors.push('brandRegistry: needs a brands object');
+    if (!isPlainObject(d.brandShoeOffsets) || !isPlainObject(d.brandShoeOffsets.brands)) errors.push('brandShoeOffsets: needs a brands object');
+    return errors;
+  }
+
+  // ============================================
+  // Local size profiles (opt-in, browser storage only)
+  // ============================================
+
+  /**
+   * localStorage key. The value is { version, activeId, profiles: [profile] }, one entry per person
+   * in the household; nothing is written until the visitor saves. A version 1 value held a single
+   * profile object and is read as a one-person household.
+   */
+  var PROFILE_STORAGE_KEY = 'globalsizechart.sizeProfile';
+  var PROFILE_VERSION = 2;
+  var PROFILE_NAME_MAX = 40;
+  var PROFILE_ID_RE = /^[a-z0-9-]{1,40}$/;
+  var ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  /** Body measurements kept in a profile and the cm range accepted for each. */
+  var PROFILE_MEASUREMENTS = {
+    footLengthCm: [9, 35],
+    footWidthCm: [4, 14],
+    chestCm: [40, 200],
+    waistCm: [35, 200],
+    hipsCm: [40, 200]
+  };
+  /** Preferred (shopping) region: any shoe region code except the cm anchor. */
+  var PROFILE_REGIONS = SHOE_REGION_KEYS.filter(function (k) { return k !== 'cm'; }).map(function (k) { return k.toUpperCase(); });
+  var FIT_PREFERENCES = ['tight', 'regular', 'loose'];
+
+  function isIsoDate(v) {
+    return typeof v === 'string' && ISO_DATE_RE.test(v) && !isNaN(new Date(v).getTime());
+  }
+
+  /**
+   * Keep only the profile fields that are present and valid: measurements rounded to 0.1 cm
+   * inside PROFILE_MEASUREMENTS, gender / region / fitPreference from their lists, a name of up
+   * to PROFILE_NAME_MAX characters and measuredOn as YYYY-MM-DD.
+   * @returns {object|null} the cleaned profile, or null when it has no measurement or preference
+   */
+  function normalizeProfile(input) {
+    if (!isPlainObject(input)) return null;
+    var out = {};
+    var n = 0;
+    Object.keys(PROFILE_MEASUREMENTS).forEach(function (key) {
+      if (isBlank(input[key])) return;
+      var v = Number(input[key]);
+      var range = PROFILE_MEASUREMENTS[key];
+      if (!isFinite(v) || v < range[0] || v > range[1]) return;
+      out[key] = Math.round(v * 10) / 10;
+      n++;
+    });
+    var gender = String(input.gender || '').toLowerCase();
+    if (GENDERS.indexOf(gender) >= 0) { out.gender = gender; n++; }
+    var region = normalizeShoeRegion(input.region || '');
+    if (PROFILE_REGIONS.indexOf(region) >= 0) { out.region = region; n++; }
+    var fit = String(input.fitPreference || '').toLowerCase();
+    if (FIT_PREFERENCES.indexOf(fit) >= 0) { out.fitPreference = fit; n++; }
+    if (!n) return null;
+    if (typeof input.id === 'string' && PROFILE_ID_RE.test(input.id)) out.id = input.id;
+    var name = typeof input.name === 'string' ? input.name.trim().slice(0, PROFILE_NAME_MAX) : '';
+    if (name) out.name = name;
+    if (isIsoDate(input.measuredOn)) out.measuredOn = input.measuredOn;
+    if (typeof input.updated === 'string') out.updated = input.updated;
+    return out;
+  }
+
+  /** Profile id from its name ("Mia, age 6" → mia-age-6), suffixed until unused. */
+  function profileIdFor(name, profiles) {
+    var base = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 30) || 'profile';
+    var id = base;
+    for (var i = 2; profiles.some(function (p) { return p.id === id; }); i++) id = base + '-' + i;
+    return id;
+  }
+
+  /**
+   * Every saved profile from a Storage (window.localStorage). Unreadable entries are dropped; a
+   * missing, blocked or corrupt store reads as no profiles.
+   * @returns {{ activeId: string|null, profiles: object[] }}
+   */
+  function readProfiles(storage) {
+    var empty = { activeId: null, profiles: [] };
+    var stored;
+    try {
+      var raw = storage && storage.getItem(PROFILE_STORAGE_KEY);
+      stored = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return empty;
+    }
+    if (!isPlainObject(stored)) return empty;
+    var list = Array.isArray(stored.profiles) ? stored.profiles : [stored];
+    var profiles = [];
+    list.forEach(function (p) {
+      var clean = normalizeProfile(p);
+      if (!clean) return;
+      if (!clean.id || profiles.some(function (q) { return q.id === clean.id; })) clean.id = profileIdFor(clean.name || 'me', profiles);
+      if (!clean.name) clean.name = profiles.length ? 'Profile ' + (profiles.length + 1) : 'Me';
+      profiles.push(clean);
+    });
+    var active = profiles.filter(function (p) { return p.id === stored.activeId; })[0] || profiles[0];
+    return { activeId: active ? active.id : null, profiles: profiles };
+  }
+
+  function storeProfiles(storage, state) {
+    if (!storage) return false;
+    try {
+      if (!state.profiles.length) storage.removeItem(PROFILE_STORAGE_KEY);
+      else storage.setItem(PROFILE_STORAGE_KEY, JSON.stringify({ version: PROFILE_VERSION, activeId: state.activeId, profiles: state.profiles }));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /** The active profile (what the converters prefill from), or null. */
+  function readProfile(storage) {
+    var state = readProfiles(storage);
+    return state.profiles.filter(function (p) { return p.id === state.activeId; })[0] || null;
+  }
+
+  /**
+   * Normalize and save a profile, replacing the one with the same id (a new id is made from the
+   * name otherwise), and make it the active profile.
+   * @returns {object|null} what was saved (null if nothing valid or storage failed)
+   */
+  function writeProfile(storage, profile) {
+    var clean = normalizeProfile(profile);
+    if (!clean || !storage) return null;
+    var state = readProfiles(storage);
+    var idx = clean.id ? state.profiles.map(function (p) { return p.id; }).indexOf(clean.id) : -1;
+    if (!clean.name) clean.name = idx >= 0 ? state.profiles[idx].name : (state.profiles.length ? 'Profile ' + (state.profiles.length + 1) : 'Me');
+    if (idx < 0) clean.id = profileIdFor(clean.name, state.profiles);
+    clean.updated = new Date().toISOString();
+    if (idx >= 0) state.profiles[idx] = clean;
+    else state.profiles.push(clean);
+    state.activeId = clean.id;
+    return storeProfiles(storage, state) ? clean : null;
+  }
+
+  /** Make another saved profile the active one. @returns {object|null} that profile */
+  function setActiveProfile(storage, id) {
+    var state = readProfiles(storage);
+    var profile = state.profiles.filter(function (p) { return p.id === id; })[0];
+    if (!profile) return null;
+    state.activeId = id;
+    return storeProfiles(storage, state) ? profile : null;
+  }
+
+  /** Remove one profile; the first remaining one becomes active if it was. */
+  function deleteProfile(storage, id) {
+    var state = readProfiles(storage);
+    state.profiles = state.profiles.filter(function (p) { return p.id !== id; });
+    if (state.activeId === id) state.activeId = state.profiles.length ? state.profiles[0].id : null;
+    storeProfiles(storage, state);
+  }
+
+  /** Remove every profile from this browser. */
+  function clearProfile(storage) {
+    try {
+      if (storage) storage.removeItem(PROFILE_STORAGE_KEY);
+    } catch (e) { /* storage unavailable: nothing was saved */ }
+  }
+
+  /**
+   * Shoe size a kids' profile is expected to need on a date, projected from its foot length and
+   * measuredOn (today when unknown) with projectKidsShoe.
+   * @returns {{ months, footCm, projectedCm, kid }|null} null for adults or without a foot length
+   */
+  function projectProfileShoe(shoeData, profile, onDate, today) {
+    if (!profile || profile.gender !== 'kids' || !profile.footLengthCm) return null;
+    var months = monthsBetween(profile.measuredOn || today, onDate);
+    if (months == null) return null;
+    return projectKidsShoe(shoeData, profile.footLengthCm, months);
+  }
+
+  var SizeEngine = {
+    GENDERS: GENDERS,
+    SHOE_REGION_KEYS: SHOE_REGION_KEYS,
+    SHOE_CONVERSION_KEYS: SHOE_CONVERSION_KEYS,
+    INCH_TO_CM: INCH_TO_CM,
+    CLOTHING_REGION_KEYS: CLOTHING_REGION_KEYS,
+    CLOTHING_CATEGORIES: CLOTHING_CATEGORIES,
+    CLOTHING_MEASUREMENT_KEYS: CLOTHING_MEASUREMENT_KEYS,
+    normalizeShoeRegion: normalizeShoeRegion,
+    regionKey: regionKey,
+    cmToIn: cmToIn,
+    inToCm: inToCm,
+    MONDOPOINT_STEP: MONDOPOINT_STEP,
+    mondopoint: mondopoint,
+    mondopointShell: mondopointShell,
+    buildSizeDatabase: buildSizeDatabase,
+    shoeRegionHasDataset: shoeRegionHasDataset,
+    convertSize: convertSize,
+    convertSizeValue: convertSizeValue,
+    getAllShoeConversions: getAllShoeConversions,
+    findShoeRow: findShoeRow,
+    findShoeByCm: findShoeByCm,
+    getAdjacentShoeRow: getAdjacentShoeRow,
+    KIDS_SCALE_REGION_KEYS: KIDS_SCALE_REGION_KEYS,
+    isKidsScaleColumn: isKidsScaleColumn,
+    parseKidsShoeSize: parseKidsShoeSize,
+    shoeRowLabel: shoeRowLabel,
+    shoeSizeLabel: shoeSizeLabel,
+    describeKidsShoe: describeKidsShoe,
+    KIDS_FOOT_GROWTH_CM_PER_YEAR: KIDS_FOOT_GROWTH_CM_PER_YEAR,
+    monthsBetween: monthsBetween,
+    projectKidsFootCm: projectKidsFootCm,
+    projectKidsShoe: projectKidsShoe,
+    SHOE_WIDTH_FITS: SHOE_WIDTH_FITS,
+    SHOE_WIDTH_LETTERS: SHOE_WIDTH_LETTERS,
+    classifyFootWidth: classifyFootWidth,
+    BRAND_FIT_VALUES: BRAND_FIT_VALUES,
+    normalizeBrandKey: normalizeBrandKey,
+    findRegistryBrand: findRegistryBrand,
+    getBrandFit: getBrandFit,
+    BRAND_LAST_WIDTHS: BRAND_LAST_WIDTHS,
+    getBrandShoeWidth: getBrandShoeWidth,
+    listRegistryBrands: listRegistryBrands,
+    findBrandShoeOverride: findBrandShoeOverride,
+    resolveShoeBrandAdjustment: resolveShoeBrandAdjustment,
+    getShoeBrandNames: getShoeBrandNames,
+    getShoeBrandModels: getShoeBrandModels,
+    resolveClothingDataKey: resolveClothingDataKey,
+    findClothingRow: findClothingRow,
+    convertClothingSize: convertClothingSize,
+    getAllClothingConversions: getAllClothingConversions,
+    suitTrouserWaist: suitTrouserWaist,
+    findClothingByMeasurement: findClothingByMeasurement,
+    matchClothingMeasurements: matchClothingMeasurements,
+    adjustForBrand: adjustForBrand,
+    adjustClothingSizeForBrand: adjustClothingSizeForBrand,
+    checkConverterData: checkConverterData,
+    PROFILE_STORAGE_KEY: PROFILE_STORAGE_KEY,
+    PROFILE_MEASUREMENTS: PROFILE_MEASUREMENTS,
+    PROFILE_REGIONS: PROFILE_REGIONS,
+    FIT_PREFERENCES: FIT_PREFERENCES,
+    normalizeProfile: normalizeProfile,
+    readProfiles: readProfiles,
+    readProfile: readProfile,
+    writeProfile: writeProfile,
+    setActiveProfile: setActiveProfile,
+    deleteProfile: deleteProfile,
+    clearProfile: clearProfile,
+    projectProfileShoe: projectProfileShoe
+  };
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SizeEngine;
+  } else {
+    global.SizeEngine = SizeEngine;
+  }
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,13 @@
+/**
+ * Register the offline service worker (/sw.js). app.js does the same on converter pages;
+ * this file is for pages that do not load app.js (tools, printable charts).
+ */
+(function () {
+  'use strict';
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  window.addEventListener('load', function () {
+    navigator.serviceWorker.register('/sw.js').catch(function (e) {
+      console.warn('Offline support unavailable:', e);
+    });
+  });
+})();
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Brand Registry Validation — BUILD GUARD
+ *
+ * data/brand_registry.json is the only source of brand fit. This check FAILs the build when:
+ *   - a registry entry is malformed (unknown category, gender or fit label; confidence outside 0–1; no source;
+ *     a width note off shoes or with an unknown last)
+ *   - two brands claim the same name or alias
+ *   - data/brand_shoe_offsets.json names a brand the registry does not know, or its default offset
+ *     points the other way from the registry's shoe fit (positive = runs_small, 0 = true_to_size, negative = runs_large)
+ *   - data/affiliate_products.json names an unknown brand, a category/gender the registry has no fit for,
+ *     or carries a fit_type that disagrees with the registry
+ *
+ * Can be run standalone: node scripts/validate-brand-registry.js
+ * Or required and run() called before generating pages.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SizeEngine = require('./size-engine.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const REGISTRY_PATH = path.join(DATA_DIR, 'brand_registry.json');
+const SHOE_OFFSETS_PATH = path.join(DATA_DIR, 'brand_shoe_offsets.json');
+const AFFILIATE_PATH = path.join(DATA_DIR, 'affiliate_products.json');
+
+const FIT_CATEGORIES = ['shoes', 'tops', 'pants', 'dresses'];
+/** Affiliate rows for unbranded, measurement-based products. */
+const GENERIC_BRAND = 'generic';
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+function fitForOffset(cmOffset) {
+  if (cmOffset > 0) return 'runs_small';
+  if (cmOffset < 0) return 'runs_large';
+  return 'true_to_size';
+}
+
+function checkRegistry(registry, errors) {
+  const seen = new Map();
+  for (const [name, entry] of Object.entries(registry.brands || {})) {
+    for (const key of [name, ...(entry.aliases || [])].map(SizeEngine.normalizeBrandKey)) {
+      if (seen.has(key) && seen.get(key) !== name) {
+        errors.push(`"${key}" is claimed by both ${seen.get(key)} and ${name}`);
+      }
+      seen.set(key, name);
+    }
+    const fit = entry.fit || {};
+    if (!Object.keys(fit).length) errors.push(`${name}: no fit categories`);
+    for (const [category, cat] of Object.entries(fit)) {
+      const where = `${name} / ${category}`;
+      if (!FIT_CATEGORIES.includes(category)) errors.push(`${where}: unknown category`);
+      const genders = Object.entries(cat.genders || {});
+      if (!genders.length) errors.push(`${where}: no genders`);
+      for (const [gender, label] of genders) {
+        if (!SizeEngine.GENDERS.includes(gender)) errors.push(`${where}: unknown gender "${gender}"`);
+        if (!SizeEngine.BRAND_FIT_VALUES.includes(label)) errors.push(`${where} / ${gender}: unknown fit "${label}"`);
+      }
+      if (typeof cat.confidence !== 'number' || cat.confidence < 0 || cat.confidence > 1) {
+        errors.push(`${where}: confidence must be a number from 0 to 1`);
+      }
+      if (!cat.source || !String(cat.source).trim()) errors.push(`${where}: missing source note`);
+      if (cat.width) {
+        if (category !== 'shoes') errors.push(`${where}: width notes belong to shoes only`);
+        if (!SizeEngine.BRAND_LAST_WIDTHS.includes(cat.width.last)) errors.push(`${where}: unknown last width "${cat.width.last}"`);
+        if (typeof cat.width.wide_options !== 'boolean') errors.push(`${where}: width.wide_options must be true or false`);
+      }
+    }
+  }
+}
+
+function checkShoeOffsets(registry, offsets, errors) {
+  for (const [name, entry] of Object.entries(offsets.brands || {})) {
+    const found = SizeEngine.findRegistryBrand(registry, name);
+    if (!found) {
+      errors.push(`brand_shoe_offsets: ${name} is not in the brand registry`);
+      continue;
+    }
+    const shoeGenders = Object.keys((found.entry.fit && found.entry.fit.shoes && found.entry.fit.shoes.genders) || {});
+    for (const [gender, rule] of Object.entries(entry.default || {})) {
+      const genders = gender === 'all' ? shoeGenders : [gender];
+      for (const g of genders) {
+        const fit = SizeEngine.getBrandFit(registry, name, 'shoes', g);
+        const implied = fitForOffset(Number(rule.cm_offset) || 0);
+        if (!fit) errors.push(`brand_shoe_offsets: ${name} / ${g} has an offset but no registry shoe fit`);
+        else if (fit.fit !== implied) {
+          errors.push(`brand_shoe_offsets: ${name} / ${g} offset ${rule.cm_offset} cm implies ${implied}, registry says ${fit.fit}`);
+        }
+      }
+    }
+  }
+}
+
+function checkAffiliateProducts(registry, products, errors) {
+  const { productFitCategory } = require('./affiliate-engine.js');
+  products.forEach((p, i) => {
+    if (SizeEngine.normalizeBrandKey(p.brand) === GENERIC_BRAND) return;
+    const where = `affiliate_products[${i}] (${p.brand}, ${p.gender})`;
+    if (!SizeEngine.findRegistryBrand(registry, p.brand)) {
+      errors.push(`${where}: brand is not in the brand registry`);
+      return;
+    }
+    const category = productFitCategory(p);
+    const fit = SizeEngine.getBrandFit(registry, p.brand, category, p.gender);
+    if (!fit) errors.push(`${where}: registry has no ${category} fit for this gender`);
+    else if (p.fit_type && p.fit_type !== fit.fit) {
+      errors.push(`${where}: fit_type ${p.fit_type} contradicts registry ${fit.fit} — drop it and let the registry decide`);
+    }
+  });
+}
+
+function run() {
+  const errors = [];
+  const registry = readJson(REGISTRY_PATH);
+  checkRegistry(registry, errors);
+  if (fs.existsSync(SHOE_OFFSETS_PATH)) checkShoeOffsets(registry, readJson(SHOE_OFFSETS_PATH), errors);
+  if (fs.existsSync(AFFILIATE_PATH)) checkAffiliateProducts(registry, readJson(AFFILIATE_PATH), errors);
+
+  if (errors.length) {
+    console.error('BUILD BLOCKED — Brand registry contradictions detected');
+    errors.forEach(e => console.error('  - ' + e));
+    return false;
+  }
+  console.log('Brand registry validation: OK (' + Object.keys(registry.brands || {}).length + ' brands).');
+  return true;
+}
+
+if (require.main === module) {
+  if (!run()) process.exit(1);
+  process.exit(0);
+}
+
+module.exports = { run };
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Dataset Validation — BUILD GUARD
+ *
+ * Every data/*.json needs a schema at data/schemas/<name>.schema.json and must match it
+ * (scripts/lib/json-schema-lite.js). On top of the schemas, FAILs the build when:
+ *   - shoe_sizes.json: cm is not strictly increasing per gender, or a region column goes down or
+ *     repeats a size (kids' US/UK/AU may restart once, where the C scale hands over to Y)
+ *   - clothing_sizes.json: a category repeats a size in one region column, a reference measurement
+ *     goes down from one size to the next (bust_cm excepted: it steps through cups inside each band),
+ *     or a range has min above max
+ *   - a route file names a size, measurement, brand or slug the data cannot back:
+ *     programmatic_routes / clothing_routes sizes missing from the charts, measurement_routes values
+ *     off the chart, brand_routes brands not in brand_registry.json, or a slug used twice
+ *
+ * Can be run standalone: node scripts/validate-data.js
+ * Or required and run() called before generating pages / sitemaps.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SizeEngine = require('./size-engine.js');
+const { validate } = require('./lib/json-schema-lite.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const SCHEMA_DIR = path.join(DATA_DIR, 'schemas');
+
+/** Measurement routes may sit this far (cm) outside the charted foot lengths. */
+const FOOT_CM_MARGIN = 0.5;
+/** Clothing reference measurements that are not expected to rise with size. */
+const NON_MONOTONIC_MEASUREMENTS = ['bust_cm'];
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+function schemaPathFor(file) {
+  return path.join(SCHEMA_DIR, file.replace(/\.json$/, '.schema.json'));
+}
+
+/** Parse and schema-check every data file; returns { name: parsed } for the files that passed. */
+function checkSchemas(errors) {
+  const valid = {};
+  const files = fs.readdirSync(DATA_DIR).filter(f => f.endsWith('.json')).sort();
+  for (const file of files) {
+    const schemaPath = schemaPathFor(file);
+    if (!fs.existsSync(schemaPath)) {
+      errors.push(`${file}: no schema (add data/schemas/${path.basename(schemaPath)})`);
+      continue;
+    }
+    let data;
+    try {
+      data = readJson(path.join(DATA_DIR, file));
+    } catch (e) {
+      errors.push(`${file}: invalid JSON — ${e.message}`);
+      continue;
+    }
+    const problems = validate(data, readJson(schemaPath), file);
+    problems.forEach(p => errors.push(p));
+    if (!problems.length) valid[file] = data;
+  }
+  return valid;
+}
+
+function checkShoeSizes(shoeData, errors) {
+  for (const gender of SizeEngine.GENDERS) {
+    const rows = shoeData[gender] || [];
+    for (const key of SizeEngine.SHOE_REGION_KEYS) {
+      const scaled = SizeEngine.isKidsScaleColumn(rows, key);
+      let prev = null;
+      rows.forEach((row, i) => {
+        if (row[key] == null) return;
+        const where = `shoe_sizes.json ${gender}[${i}].${key}`;
+        if (prev) {
+          const restart = scaled && row.scale !== prev.row.scale;
+          if (!restart && row[key] === prev.row[key]) errors.push(`${where}: duplicate size ${SizeEngine.shoeRowLabel(row, key)}`);
+          else if (!restart && row[key] < prev.row[key]) errors.push(`${where}: ${row[key]} is below the previous row's ${prev.row[key]}`);
+        }
+        prev = { row, i };
+      });
+    }
+  }
+}
+
+function checkClothingSizes(clothingData, errors) {
+  for (const [gender, categories] of Object.entries(clothingData)) {
+    for (const [category, rows] of Object.entries(categories)) {
+      const at = `clothing_sizes.json ${gender}.${category}`;
+      for (const key of SizeEngine.CLOTHING_REGION_KEYS) {
+        const seen = new Set();
+        rows.forEach((row, i) => {
+          if (row[key] == null) return;
+          const label = String(row[key]).toUpperCase();
+          if (seen.has(label)) errors.push(`${at}[${i}].${key}: duplicate size ${row[key]}`);
+          seen.add(label);
+        });
+      }
+      for (const key of SizeEngine.CLOTHING_MEASUREMENT_KEYS) {
+        let prevValue = 0;
+        let prevMin = null;
+        rows.forEach((row, i) => {
+          const range = row.ranges && row.ranges[key];
+          if (range && range[0] > range[1]) errors.push(`${at}[${i}].ranges.${key}: min ${range[0]} is above max ${range[1]}`);
+          if (NON_MONOTONIC_MEASUREMENTS.includes(key)) return;
+          if (row[key] && row[key] < prevValue) errors.push(`${at}[${i}].${key}: ${row[key]} is below the previous size's ${prevValue}`);
+          if (range && prevMin != null && range[0] < prevMin) errors.push(`${at}[${i}].ranges.${key}: starts at ${range[0]}, below the previous size's ${prevMin}`);
+          if (row[key]) prevValue = row[key];
+          if (range) prevMin = range[0];
+        });
+      }
+    }
+  }
+}
+
+function shoeSizeExists(shoeData, gender, region, size) {
+  if (region === 'INCH') return (shoeData[gender] || []).some(row => SizeEngine.cmToIn(row.cm) === String(size));
+  if (region === 'MP') return (shoeData[gender] || []).some(row => SizeEngine.mondopoint(row.cm) === Number(size));
+  return !!SizeEngine.findShoeRow(shoeData, gender, region, size);
+}
+
+/** [min, max] a clothing measurement is charted over for gender + category, or null. */
+function clothingSpan(clothingData, gender, category, key) {
+  const rows = (clothingData[gender] && clothingData[gender][category]) || [];
+  let min = Infinity;
+  let max = -Infinity;
+  for (const row of rows) {
+    const range = (row.ranges && row.ranges[key]) || (row[key] ? [row[key], row[key]] : null);
+    if (!range) continue;
+    min = Math.min(min, range[0]);
+    max = Math.max(max, range[1]);
+  }
+  return min <= max ? [min, max] : null;
+}
+
+function checkRoutes(data, errors) {
+  const shoeData = data['shoe_sizes.json'];
+  const clothingData = data['clothing_sizes.json'];
+  const registry = data['brand_registry.json'];
+  const slugs = new Map();
+
+  const routeFiles = ['programmatic_routes.json', 'clothing_routes.json', 'measurement_routes.json', 'brand_routes.json', 'semantic_routes.json'];
+  for (const file of routeFiles) {
+    (data[file] || []).forEach((route, i) => {
+      const where = `${file}[${i}] (${route.slug})`;
+      if (slugs.has(route.slug)) errors.push(`${where}: slug already used by ${slugs.get(route.slug)}`);
+      else slugs.set(route.slug, where);
+
+      if (route.type === 'size_pair' && shoeData && !shoeSizeExists(shoeData, route.gender, route.from_region, route.size)) {
+        errors.push(`${where}: ${route.gender} ${route.from_region} ${route.size} is not in shoe_sizes.json`);
+      }
+      if (route.type === 'clothing_size_pair' && clothingData &&
+          !SizeEngine.findClothingRow(clothingData, route.gender, route.category, route.from_region, route.size)) {
+        errors.push(`${where}: ${route.gender} ${route.category} ${route.from_region} ${route.size} is not in clothing_sizes.json`);
+      }
+      if (route.type === 'measurement_converter') {
+        if (route.measurement_type === 'foot_cm' && shoeData) {
+          const rows = shoeData[route.gender] || [];
+          const lo = rows.length ? rows[0].cm - FOOT_CM_MARGIN : Infinity;
+          const hi = rows.length ? rows[rows.length - 1].cm + FOOT_CM_MARGIN : -Infinity;
+          if (route.value_cm < lo || route.value_cm > hi) errors.push(`${where}: ${route.value_cm} cm is off the ${route.gender} shoe chart`);
+        } else if (route.measurement_type !== 'foot_cm' && clothingData) {
+          const span = clothingSpan(clothingData, route.gender, route.category, route.measurement_type);
+          if (!span || route.value_cm < span[0] || route.value_cm > span[1]) {
+            errors.push(`${where}: ${route.measurement_type} ${route.value_cm} is off the ${route.gender} ${route.category} chart`);
+          }
+        }
+      }
+      if (route.type === 'brand_converter' && registry && !SizeEngine.findRegistryBrand(registry, route.brand)) {
+        errors.push(`${where}: brand ${route.brand} is not in brand_registry.json`);
+      }
+    });
+  }
+}
+
+function run() {
+  const errors = [];
+  const data = checkSchemas(errors);
+  if (data['shoe_sizes.json']) checkShoeSizes(data['shoe_sizes.json'], errors);
+  if (data['clothing_sizes.json']) checkClothingSizes(data['clothing_sizes.json'], errors);
+  checkRoutes(data, errors);
+
+  if (errors.length) {
+    console.error('BUILD BLOCKED — Dataset validation failed');
+    errors.forEach(e => console.error('  - ' + e));
+    return false;
+  }
+  console.log('Dataset validation: OK (' + Object.keys(data).length + ' files).');
+  return true;
+}
+
+if (require.main === module) {
+  if (!run()) process.exit(1);
+  process.exit(0);
+}
+
+module.exports = { run, checkShoeSizes, checkClothingSizes, checkRoutes };
@@ -0,0 +1,166 @@
+/**
+ * Service worker — offline converter.
+ *
+ * Precaches the core converter pages, app.js, styles.css, the shared scripts and the converter
+ * datasets so the converters, Fit Assistant and printable charts keep working without signal.
+ * The precache list and PRECACHE_VERSION are generated by scripts/build-service-worker.js; the
+ * version is a hash of the precached files, so every deploy that changes one of them installs a
+ * fresh cache. Those files are fetched with cache: 'reload' because _headers marks .js and .css
+ * immutable for a year under unversioned names.
+ *
+ * Strategies:
+ *   - page navigations: network first, cached copy when offline (query string ignored, so
+ *     shared ?cat=…&size=… links still open)
+ *   - data/*.json: network first (normal HTTP caching, 1 h per _headers), cached copy when offline
+ *   - everything else same-origin: cache first, filled from the network on a miss
+ */
+
+// PRECACHE:START — generated by scripts/build-service-worker.js; do not edit by hand
+const PRECACHE_VERSION = '5664350301c92e15';
+const PRECACHE_URLS = [
+  '/',
+  '/app.js',
+  '/clothing-size-converter.html',
+  '/cm-to-us-shoe-size.html',
+  '/data/brand_registry.json',
+  '/data/brand_shoe_offsets.json',
+  '/data/clothing_sizes.json',
+  '/data/data_manifest.json',
+  '/data/regions.json',
+  '/data/shoe_sizes.json',
+  '/foot-measurement-calculator.html',
+  '/images/body-measurements.png',
+  '/images/foot-size-measurements-footstep.png',
+  '/images/foot-size-measurements.png',
+  '/images/icon.svg',
+  '/index.html',
+  '/kids-growth-size-calculator.html',
+  '/manifest.webmanifest',
+  '/printable-size-charts.html',
+  '/printable/clothing-measurement-chart.html',
+  '/printable/cm-ruler.html',
+  '/printable/foot-measuring-sheet.html',
+  '/printable/kids-size-guide.html',
+  '/printable/shoe-size-reference-chart.html',
+  '/scripts/fit-assistant.js',
+  '/scripts/foot-measure.js',
+  '/scripts/i18n.js',
+  '/scripts/size-engine.js',
+  '/scripts/sw-register.js',
+  '/shoe-size-converter.html',
+  '/styles.css',
+  '/tools/fit-assistant.html',
+  '/tools/measurement-assistant.html',
+  '/tools/size-profile.html',
+  '/uk-to-us-size.html',
+  '/us-to-eu-size.html'
+];
+/** Shown for an uncached page while offline. */
+const OFFLINE_FALLBACK = '/shoe-size-converter.html';
+// PRECACHE:END
+
+const CACHE_PREFIX = 'gsc-';
+const PRECACHE = `${CACHE_PREFIX}precache-${PRECACHE_VERSION}`;
+/** Pages and assets picked up while browsing; dropped with the precache on the next deploy. */
+const RUNTIME = `${CACHE_PREFIX}runtime-${PRECACHE_VERSION}`;
+
+/** Cloudflare Pages serves /page.html as /page; look a page up under both names. */
+function pageAliases(url) {
+  const u = new URL(url);
+  const out = [u.origin + u.pathname];
+  if (u.pathname.endsWith('.html')) out.push(u.origin + u.pathname.slice(0, -5));
+  else if (u.pathname.endsWith('/')) out.push(u.origin + u.pathname + 'index.html');
+  else out.push(u.origin + u.pathname + '.html');
+  return out;
+}
+
+/** A redirected response cannot answer a navigation; store a plain copy instead. */
+async function storable(response) {
+  if (!response.redirected) return response;
+  const body = await response.blob();
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+async function precache() {
+  const cache = await caches.open(PRECACHE);
+  await Promise.all(PRECACHE_URLS.map(async (url) => {
+    const response = await fetch(new Request(url, { cache: 'reload' }));
+    if (!response.ok) throw new Error(`Precache failed for ${url}: ${response.status}`);
+    await cache.put(url, await storable(response));
+  }));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function matchPage(url) {
+  for (const alias of pageAliases(url)) {
+    const hit = await caches.match(alias, { ignoreSearch: true });
+    if (hit) return hit;
+  }
+  return null;
+}
+
+async function networkFirstPage(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(RUNTIME);
+      await cache.put(request.url.split('?')[0], await storable(response.clone()));
+    }
+    return response;
+  } catch (e) {
+    return (await matchPage(request.url)) || (await matchPage(new URL(OFFLINE_FALLBACK, self.location.origin).href)) || Response.error();
+  }
+}
+
+async function networkFirstData(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const url = new URL(request.url);
+      const cache = await caches.open(PRECACHE_URLS.includes(url.pathname) ? PRECACHE : RUNTIME);
+      await cache.put(url.pathname, response.clone());
+    }
+    return response;
+  } catch (e) {
+    return (await caches.match(request, { ignoreSearch: true })) || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const hit = await caches.match(request, { ignoreSearch: true });
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.pathname.startsWith('/data/') && url.pathname.endsWith('.json')) {
+    event.respondWith(networkFirstData(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});